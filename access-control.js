@@ -0,0 +1,263 @@
+// Dashboard users, roles and department scoping.
+//
+// A user is `{ id, name, email, role, roles, departments }`. `role` is the
+// highest of `roles`; `departments` lists the owning departments whose
+// workflows the user may see, with '*' meaning all of them.
+//
+// Identity providers sign users in and out:
+//   { name, label, getUser(), signIn(options), signOut(), getAccessToken(), subscribe?(listener) }
+// All methods return promises; `getUser()` resolves to null when nobody is signed in.
+//
+// Everything here only shapes the UI. The backend must verify the access token
+// and check the role again on every request (see README → Access Control).
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Minimum role for each action
+export const PERMISSIONS = {
+  'workflows:view': 'viewer',
+  'reports:export': 'viewer',
+  'issues:act': 'operator',
+  'recommendations:adopt': 'operator',
+  'tests:run': 'operator',
+  'thresholds:edit': 'admin',
+  'cache:clear': 'admin'
+};
+
+export const ALL_DEPARTMENTS = '*';
+
+// Used when the dashboard is embedded without an identity provider: no sign-in, no restrictions
+export const UNRESTRICTED_USER = {
+  id: null,
+  name: null,
+  email: null,
+  role: 'admin',
+  roles: ['admin'],
+  departments: [ALL_DEPARTMENTS]
+};
+
+export const highestRole = (roles) => roles.reduce(
+  (best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best),
+  null
+);
+
+export const can = (user, permission) => {
+  if (!user) return false;
+  const required = PERMISSIONS[permission];
+  if (!required) throw new Error(`Unknown permission "${permission}"`);
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(required);
+};
+
+export const canSeeDepartment = (user, department) => Boolean(user) && (
+  user.departments.includes(ALL_DEPARTMENTS) || (Boolean(department) && user.departments.includes(department))
+);
+
+// Workflows without an owning department are only visible to users who can see all departments
+export const scopeWorkflows = (workflows, user) => workflows.filter(w => canSeeDepartment(user, w.department));
+
+const toList = (value) => (Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\s,]+/).filter(Boolean) : []);
+
+// Map ID token claims to a user. Role and department claim names vary by IdP.
+export const userFromClaims = (claims, { roleClaim = 'roles', departmentClaim = 'departments', defaultRole = 'viewer' } = {}) => {
+  const roles = toList(claims[roleClaim]).filter(role => ROLES.includes(role));
+  const effective = roles.length > 0 ? roles : [defaultRole];
+  return {
+    id: claims.sub,
+    name: claims.name || claims.preferred_username || claims.email || claims.sub,
+    email: claims.email || null,
+    role: highestRole(effective),
+    roles: effective,
+    departments: toList(claims[departmentClaim])
+  };
+};
+
+export const STUB_USERS = [
+  { id: 'hr-viewer', name: 'HR Viewer', email: 'hr.viewer@example.com', roles: ['viewer'], departments: ['HR'] },
+  { id: 'it-operator', name: 'IT Operator', email: 'it.operator@example.com', roles: ['operator'], departments: ['IT', 'Security'] },
+  { id: 'admin', name: 'Admin', email: 'admin@example.com', roles: ['admin'], departments: [ALL_DEPARTMENTS] }
+];
+
+// Local identity provider for development and tests: sign in as any of `users` without a password
+export function createStubIdentityProvider({ users = STUB_USERS, userId = null } = {}) {
+  const normalize = (user) => (user ? { ...user, role: highestRole(user.roles) } : null);
+  let current = normalize(users.find(u => u.id === userId));
+  const listeners = new Set();
+  const emit = () => listeners.forEach(listener => listener(current));
+
+  return {
+    name: 'stub',
+    label: 'Local test user',
+    users: users.map(normalize),
+    getUser: async () => current,
+    signIn: async ({ userId: id = users[0].id } = {}) => {
+      const user = users.find(u => u.id === id);
+      if (!user) throw new Error(`Unknown stub user "${id}"`);
+      current = normalize(user);
+      emit();
+      return current;
+    },
+    signOut: async () => {
+      current = null;
+      emit();
+    },
+    // The backend's stub verifier accepts `stub.<userId>` in place of a JWT
+    getAccessToken: async () => (current ? `stub.${current.id}` : null),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const randomString = (size = 32) => base64Url(crypto.getRandomValues(new Uint8Array(size)));
+
+const decodeJwtPayload = (token) => {
+  const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+  return JSON.parse(decodeURIComponent(escape(atob(payload))));
+};
+
+const TOKEN_KEY = 'docusign-dashboard:oidc-tokens';
+const PENDING_KEY = 'docusign-dashboard:oidc-pending';
+
+// OpenID Connect authorization code flow with PKCE, for a public browser client.
+// `signIn()` redirects to the IdP; `getUser()` completes the callback when the
+// page comes back with `?code=…&state=…`. Tokens live in sessionStorage.
+export function createOidcIdentityProvider({
+  authority,
+  clientId,
+  redirectUri = typeof window !== 'undefined' ? `${window.location.origin}${window.location.pathname}` : undefined,
+  postLogoutRedirectUri = redirectUri,
+  scope = 'openid profile email',
+  label = 'Single sign-on',
+  claims: claimOptions = {},
+  fetchImpl = (...args) => fetch(...args),
+  storage = typeof window !== 'undefined' ? window.sessionStorage : null,
+  location = typeof window !== 'undefined' ? window.location : null
+}) {
+  if (!authority || !clientId) throw new Error('OIDC identity provider needs an authority and a clientId');
+
+  let discovery = null;
+  const getConfiguration = () => {
+    discovery = discovery || fetchImpl(`${authority.replace(/\/$/, '')}/.well-known/openid-configuration`)
+      .then(response => {
+        if (!response.ok) throw new Error(`OIDC discovery failed: ${response.status} ${response.statusText}`);
+        return response.json();
+      })
+      .catch(err => {
+        discovery = null;
+        throw err;
+      });
+    return discovery;
+  };
+
+  const readJson = (key) => {
+    try {
+      return JSON.parse(storage?.getItem(key) || 'null');
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const tokenRequest = async (params) => {
+    const { token_endpoint: tokenEndpoint } = await getConfiguration();
+    const response = await fetchImpl(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ client_id: clientId, ...params })
+    });
+    if (!response.ok) throw new Error(`OIDC token request failed: ${response.status} ${response.statusText}`);
+    const body = await response.json();
+    // Refresh responses may omit the ID and refresh tokens; keep the previous ones
+    const previous = readJson(TOKEN_KEY);
+    const tokens = {
+      idToken: body.id_token || previous?.idToken,
+      accessToken: body.access_token,
+      refreshToken: body.refresh_token || previous?.refreshToken || null,
+      expiresAt: Date.now() + (body.expires_in || 300) * 1000
+    };
+    storage?.setItem(TOKEN_KEY, JSON.stringify(tokens));
+    return tokens;
+  };
+
+  const finishSignIn = async () => {
+    const params = new URLSearchParams(location.search);
+    const pending = readJson(PENDING_KEY);
+    if (!params.has('code') || !pending) return;
+    storage.removeItem(PENDING_KEY);
+    if (params.get('state') !== pending.state) throw new Error('OIDC callback state does not match the sign-in request');
+    await tokenRequest({
+      grant_type: 'authorization_code',
+      code: params.get('code'),
+      redirect_uri: redirectUri,
+      code_verifier: pending.verifier
+    });
+    // Drop code and state from the address bar, back to where sign-in started
+    window.history.replaceState(null, '', pending.returnTo || redirectUri);
+  };
+
+  // Shared so concurrent getUser/getAccessToken calls redeem the code only once
+  let callback = null;
+  const completeCallback = () => {
+    callback = callback || finishSignIn().finally(() => {
+      callback = null;
+    });
+    return callback;
+  };
+
+  const currentTokens = async () => {
+    await completeCallback();
+    const tokens = readJson(TOKEN_KEY);
+    if (!tokens) return null;
+    if (tokens.expiresAt - 30000 > Date.now()) return tokens;
+    if (!tokens.refreshToken) {
+      storage.removeItem(TOKEN_KEY);
+      return null;
+    }
+    try {
+      return await tokenRequest({ grant_type: 'refresh_token', refresh_token: tokens.refreshToken });
+    } catch (err) {
+      storage.removeItem(TOKEN_KEY);
+      return null;
+    }
+  };
+
+  return {
+    name: 'oidc',
+    label,
+    getUser: async () => {
+      const tokens = await currentTokens();
+      return tokens?.idToken ? userFromClaims(decodeJwtPayload(tokens.idToken), claimOptions) : null;
+    },
+    signIn: async () => {
+      const { authorization_endpoint: authorizationEndpoint } = await getConfiguration();
+      const verifier = randomString(48);
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+      const state = randomString();
+      storage.setItem(PENDING_KEY, JSON.stringify({ verifier, state, returnTo: location.href }));
+      location.assign(`${authorizationEndpoint}?${new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        code_challenge: base64Url(new Uint8Array(digest)),
+        code_challenge_method: 'S256'
+      })}`);
+    },
+    signOut: async () => {
+      const tokens = readJson(TOKEN_KEY);
+      storage.removeItem(TOKEN_KEY);
+      const { end_session_endpoint: endSession } = await getConfiguration().catch(() => ({}));
+      if (endSession) {
+        location.assign(`${endSession}?${new URLSearchParams({
+          ...(tokens?.idToken && { id_token_hint: tokens.idToken }),
+          post_logout_redirect_uri: postLogoutRedirectUri,
+          client_id: clientId
+        })}`);
+      }
+    },
+    getAccessToken: async () => (await currentTokens())?.accessToken || null
+  };
+}
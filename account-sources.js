@@ -0,0 +1,310 @@
+import { applyLiveEvent } from './live-updates.js';
+import { summarizeWorkflows } from './workflow-metrics.js';
+import { overallStatus } from './workflow-uptime.js';
+
+// Several DocuSign accounts and environments behind one provider.
+//
+// A source is `{ id, label, environment, provider }`, where `provider` is any
+// workflow provider (usually createHttpProvider pointed at one account's
+// backend routes). Workflows are tagged with `source: { id, label, environment }`
+// and their IDs are prefixed with the source ID, so the same workflow in demo
+// and production never collide in selection, issue records or alerts.
+
+export const ENVIRONMENTS = {
+  production: { label: 'Production', short: 'PROD', color: '#f87171', background: 'rgba(239, 68, 68, 0.15)' },
+  staging: { label: 'Staging', short: 'STAGING', color: '#fbbf24', background: 'rgba(245, 158, 11, 0.15)' },
+  demo: { label: 'Demo', short: 'DEMO', color: '#93c5fd', background: 'rgba(96, 165, 250, 0.15)' }
+};
+
+export const getEnvironment = (environment) => ENVIRONMENTS[environment] || {
+  label: environment,
+  short: String(environment).toUpperCase(),
+  color: '#cbd5e1',
+  background: 'rgba(148, 163, 184, 0.15)'
+};
+
+const SEPARATOR = '/';
+
+export const sourceWorkflowId = (sourceId, workflowId) => `${sourceId}${SEPARATOR}${workflowId}`;
+
+// 'prod/wf-003' → { sourceId: 'prod', workflowId: 'wf-003' }
+export const splitSourceWorkflowId = (id) => {
+  const index = id.indexOf(SEPARATOR);
+  if (index === -1) throw new Error(`Workflow ID "${id}" has no account prefix`);
+  return { sourceId: id.slice(0, index), workflowId: id.slice(index + 1) };
+};
+
+// Worst first, so a combined connection is only live when every source is
+const CONNECTION_ORDER = ['polling', 'reconnecting', 'connecting', 'live'];
+
+export function createMultiAccountProvider({ sources }) {
+  if (!sources?.length) throw new Error('Multi-account provider needs at least one source');
+  sources.forEach(source => {
+    if (!source.id || source.id.includes(SEPARATOR)) throw new Error(`Invalid source ID "${source.id}"`);
+    if (!source.provider) throw new Error(`Source ${source.id} has no provider`);
+  });
+  if (new Set(sources.map(s => s.id)).size !== sources.length) throw new Error('Source IDs must be unique');
+
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const describe = ({ id, label, environment }) => ({ id, label: label || id, environment });
+  // { [sourceId]: { ok, error, at } } from the last fetch
+  let sourceStatus = {};
+
+  const tag = (source, workflow) => ({
+    ...workflow,
+    id: sourceWorkflowId(source.id, workflow.id),
+    sourceWorkflowId: workflow.id,
+    source: describe(source)
+  });
+
+  const route = (id) => {
+    const { sourceId, workflowId } = splitSourceWorkflowId(id);
+    const source = byId.get(sourceId);
+    if (!source) throw new Error(`Unknown account "${sourceId}"`);
+    return { source, workflowId };
+  };
+
+  const tagEvent = (source, event) => {
+    switch (event.type) {
+      case 'snapshot':
+        return { ...event, workflows: event.workflows.map(w => tag(source, w)) };
+      case 'workflow':
+        return { ...event, workflow: tag(source, event.workflow) };
+      case 'delta':
+      case 'removed':
+        return { ...event, id: sourceWorkflowId(source.id, event.id) };
+      case 'issue':
+        return { ...event, workflowId: sourceWorkflowId(source.id, event.workflowId) };
+      default:
+        return event;
+    }
+  };
+
+  return {
+    name: 'multi-account',
+    sources: sources.map(describe),
+    getSourceStatus: () => sourceStatus,
+
+    // Each account's backend, for its shared stores and alerts (see combineSourceStores)
+    ...(sources.every(source => source.provider.backend) && {
+      backends: Object.fromEntries(sources.map(source => [source.id, source.provider.backend]))
+    }),
+
+    // One unreachable account does not hide the others; it only fails when all of them do
+    fetchWorkflows: async ({ signal } = {}) => {
+      const results = await Promise.allSettled(sources.map(source => source.provider.fetchWorkflows({ signal })));
+      const at = new Date().toISOString();
+      sourceStatus = Object.fromEntries(results.map((result, idx) => [
+        sources[idx].id,
+        { ok: result.status === 'fulfilled', error: result.reason?.message ?? null, at }
+      ]));
+      if (results.every(result => result.status === 'rejected')) throw results[0].reason;
+      return results.flatMap((result, idx) => (
+        result.status === 'fulfilled' ? result.value.map(workflow => tag(sources[idx], workflow)) : []
+      ));
+    },
+
+    fetchHistory: (id, options) => {
+      const { source, workflowId } = route(id);
+      return source.provider.fetchHistory(workflowId, options);
+    },
+    fetchInstances: (id, options) => {
+      const { source, workflowId } = route(id);
+      return source.provider.fetchInstances(workflowId, options);
+    },
+    fetchInstance: (id, instanceId, options) => {
+      const { source, workflowId } = route(id);
+      return source.provider.fetchInstance(workflowId, instanceId, options);
+    },
+
+    ...(sources.every(source => source.provider.fetchApprovalAnalytics) && {
+      fetchApprovalAnalytics: (id, options) => {
+        const { source, workflowId } = route(id);
+        return source.provider.fetchApprovalAnalytics(workflowId, options);
+      }
+    }),
+
+    ...(sources.every(source => source.provider.fetchPeriod) && {
+      fetchPeriod: (id, options) => {
+        const { source, workflowId } = route(id);
+        return source.provider.fetchPeriod(workflowId, options);
+      }
+    }),
+
+    ...(sources.every(source => source.provider.fetchStatusPage) && {
+      fetchStatusPage: async (options) => {
+        const pages = await Promise.all(sources.map(source => source.provider.fetchStatusPage(options)));
+        const workflows = pages.flatMap((page, idx) => page.workflows.map(workflow => tag(sources[idx], workflow)));
+        return { ...pages[0], workflows, overall: overallStatus(workflows) };
+      }
+    }),
+
+    ...(sources.some(source => source.provider.startTestRun) && {
+      startTestRun: (id, options) => {
+        const { source, workflowId } = route(id);
+        if (!source.provider.startTestRun) throw new Error(`Account "${source.id}" cannot start test runs`);
+        return source.provider.startTestRun(workflowId, options);
+      }
+    }),
+
+    ...(sources.every(source => source.provider.clearCache) && {
+      clearCache: (options) => Promise.all(sources.map(source => source.provider.clearCache(options)))
+    }),
+
+    // Each source streams into its own list; once all have sent a snapshot, every
+    // event re-emits the combined list as a snapshot, which the dashboard merges
+    // without touching unchanged cards
+    ...(sources.every(source => source.provider.subscribe) && {
+      subscribe: ({ onEvent, onStatus = () => {} }) => {
+        const lists = Object.fromEntries(sources.map(source => [source.id, []]));
+        const synced = new Set();
+        const statuses = Object.fromEntries(sources.map(source => [source.id, { state: 'connecting', attempt: 0 }]));
+
+        const emitStatus = (resumed) => {
+          const worst = Object.values(statuses).reduce((acc, status) => (
+            CONNECTION_ORDER.indexOf(status.state) < CONNECTION_ORDER.indexOf(acc.state) ? status : acc
+          ));
+          onStatus({ ...worst, ...(resumed && worst.state === 'live' && { resumed: true }) });
+        };
+
+        const unsubscribes = sources.map(source => source.provider.subscribe({
+          onEvent: (event) => {
+            if (event.type === 'heartbeat') {
+              onEvent(event);
+              return;
+            }
+            const tagged = tagEvent(source, event);
+            lists[source.id] = applyLiveEvent(lists[source.id], tagged);
+            if (event.type === 'snapshot') synced.add(source.id);
+            if (synced.size === sources.length) {
+              onEvent({ type: 'snapshot', workflows: sources.flatMap(s => lists[s.id]) });
+            } else if (event.type === 'snapshot') {
+              // Until every source has sent its snapshot, add workflows without dropping the others'
+              tagged.workflows.forEach(workflow => onEvent({ type: 'workflow', workflow }));
+            } else {
+              onEvent(tagged);
+            }
+          },
+          onStatus: (status) => {
+            statuses[source.id] = status;
+            emitStatus(status.resumed);
+          }
+        }));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+      }
+    })
+  };
+}
+
+// Shared stores and alert feeds of several accounts as one set over prefixed IDs.
+//
+// `perSource` is `{ [sourceId]: { alertEngine, issueStore, adoptionStore, syntheticStore } }`,
+// usually one HTTP set per account backend. Reads prefix every workflow ID and
+// key with the source ID, so they match the dashboard's workflow IDs and
+// issueKey/adoptionKey over them; actions go to the workflow's account with the
+// prefix stripped, so each backend only stores, scopes and audits its own IDs.
+
+const prefixMap = (sourceId, map, mapValue = value => value) => Object.fromEntries(
+  Object.entries(map).map(([key, value]) => [sourceWorkflowId(sourceId, key), mapValue(value)])
+);
+
+const prefixEntry = (sourceId, entry) => ({
+  ...entry,
+  workflowId: sourceWorkflowId(sourceId, entry.workflowId),
+  ...(entry.key && { key: sourceWorkflowId(sourceId, entry.key) })
+});
+
+const newestFirst = (field) => (a, b) => (a[field] < b[field] ? 1 : -1);
+
+const STORE_SHAPES = {
+  issueStore: {
+    prefix: (sourceId, state) => ({
+      records: prefixMap(sourceId, state.records, record => prefixEntry(sourceId, record)),
+      audit: state.audit.map(entry => prefixEntry(sourceId, entry))
+    }),
+    merge: (states) => ({
+      records: Object.assign({}, ...states.map(state => state.records)),
+      audit: states.flatMap(state => state.audit).sort(newestFirst('at'))
+    })
+  },
+  adoptionStore: {
+    prefix: (sourceId, state) => ({
+      adoptions: prefixMap(sourceId, state.adoptions, adoption => prefixEntry(sourceId, adoption))
+    }),
+    merge: (states) => ({ adoptions: Object.assign({}, ...states.map(state => state.adoptions)) })
+  },
+  syntheticStore: {
+    prefix: (sourceId, state) => ({
+      payloads: prefixMap(sourceId, state.payloads),
+      canaries: prefixMap(sourceId, state.canaries),
+      runs: state.runs.map(run => prefixEntry(sourceId, run))
+    }),
+    merge: (states) => ({
+      payloads: Object.assign({}, ...states.map(state => state.payloads)),
+      canaries: Object.assign({}, ...states.map(state => state.canaries)),
+      runs: states.flatMap(state => state.runs).sort(newestFirst('startedAt'))
+    })
+  }
+};
+
+const stripSource = (sourceId, value) => (
+  typeof value === 'string' && value.startsWith(sourceWorkflowId(sourceId, '')) ? value.slice(sourceId.length + 1) : value
+);
+
+function combineStores(stores, { prefix, merge }) {
+  const entries = Object.entries(stores);
+  const combined = () => merge(entries.map(([sourceId, store]) => prefix(sourceId, store.getState())));
+
+  return {
+    // Labelled single-user when any account keeps its state in this browser only
+    name: entries.some(([, store]) => store.name === 'local') ? 'local' : entries[0][1].name,
+    getState: combined,
+    dispatch: async (action) => {
+      const { sourceId } = splitSourceWorkflowId(action.workflowId);
+      const store = stores[sourceId];
+      if (!store) throw new Error(`Unknown account "${sourceId}"`);
+      await store.dispatch({
+        ...action,
+        workflowId: stripSource(sourceId, action.workflowId),
+        ...(action.key && { key: stripSource(sourceId, action.key) })
+      });
+      return combined();
+    },
+    subscribe: (listener) => {
+      const unsubscribes = entries.map(([, store]) => store.subscribe(() => listener(combined())));
+      return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }
+  };
+}
+
+function combineAlertFeeds(feeds) {
+  const entries = Object.entries(feeds);
+  const history = () => entries
+    .flatMap(([sourceId, feed]) => feed.getHistory().map(entry => prefixEntry(sourceId, entry)))
+    .sort(newestFirst('at'));
+
+  return {
+    getActive: () => entries.flatMap(([sourceId, feed]) => feed.getActive().map(condition => prefixEntry(sourceId, condition))),
+    getHistory: history,
+    clearHistory: () => entries.forEach(([, feed]) => feed.clearHistory()),
+    subscribe: (listener) => {
+      const unsubscribes = entries.map(([, feed]) => feed.subscribe(() => listener(history())));
+      return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }
+  };
+}
+
+export function combineSourceStores(perSource) {
+  const pick = (name) => Object.fromEntries(Object.entries(perSource).map(([sourceId, set]) => [sourceId, set[name]]));
+  return {
+    alertEngine: combineAlertFeeds(pick('alertEngine')),
+    ...Object.fromEntries(Object.entries(STORE_SHAPES).map(([name, shape]) => [name, combineStores(pick(name), shape)]))
+  };
+}
+
+// Summary per source, in source order, for the "all accounts" breakdown
+export const summarizeBySource = (workflows, sources, sourceStatus = {}) => sources.map(source => ({
+  source,
+  status: sourceStatus[source.id] || null,
+  ...summarizeWorkflows(workflows.filter(w => w.source?.id === source.id))
+}));
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { combineSourceStores } from './account-sources.js';
+import { createAlertEngine } from './alert-engine.js';
+import { annotateIssues, createLocalIssueStore } from './issue-lifecycle.js';
+import { createLocalAdoptionStore } from './recommendation-adoption.js';
+import { createLocalSyntheticStore } from './synthetic-runs.js';
+
+const sourceStores = () => ({
+  alertEngine: createAlertEngine({ alertOnStartup: true }),
+  issueStore: { ...createLocalIssueStore({ storage: null }), name: 'http' },
+  adoptionStore: createLocalAdoptionStore({ storage: null }),
+  syntheticStore: createLocalSyntheticStore({ storage: null })
+});
+
+describe('combineSourceStores', () => {
+  it('sends actions to the workflow’s account without the prefix and reads them back prefixed', async () => {
+    const perSource = { prod: sourceStores(), demo: sourceStores() };
+    const { issueStore } = combineSourceStores(perSource);
+
+    const state = await issueStore.dispatch({
+      key: 'prod/wf-003:api_error',
+      workflowId: 'prod/wf-003',
+      action: 'acknowledge',
+      actor: 'Dana'
+    });
+
+    expect(Object.keys(perSource.prod.issueStore.getState().records)).toEqual(['wf-003:api_error']);
+    expect(perSource.prod.issueStore.getState().audit[0].workflowId).toBe('wf-003');
+    expect(perSource.demo.issueStore.getState().records).toEqual({});
+
+    // Keys match what the dashboard computes for the prefixed workflow
+    const [{ issues: [issue] }] = annotateIssues([{ id: 'prod/wf-003', issues: [{ code: 'api_error' }] }], state);
+    expect(issue.state).toBe('acknowledged');
+    expect(annotateIssues([{ id: 'demo/wf-003', issues: [{ code: 'api_error' }] }], state)[0].issues[0].state).toBe('open');
+  });
+
+  it('merges each account’s alerts with prefixed workflow IDs', async () => {
+    const perSource = { prod: sourceStores(), demo: sourceStores() };
+    const { alertEngine } = combineSourceStores(perSource);
+    const failing = { id: 'wf-002', name: 'IT Onboarding', status: 'critical', completionRate: 40, failures: 6, issues: [] };
+
+    await perSource.demo.alertEngine.evaluate([failing]);
+
+    expect(alertEngine.getActive().map(condition => condition.workflowId)).toEqual(['demo/wf-002']);
+    expect(alertEngine.getHistory()[0]).toMatchObject({ workflowId: 'demo/wf-002', key: 'demo/wf-002:status' });
+  });
+
+  it('labels the combined stores single-user when any account keeps state in the browser', () => {
+    const { issueStore, adoptionStore } = combineSourceStores({ prod: sourceStores(), demo: sourceStores() });
+    expect(issueStore.name).toBe('http');
+    expect(adoptionStore.name).toBe('local');
+  });
+});
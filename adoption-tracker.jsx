@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, ExternalLink } from 'lucide-react';
+import { measureImpact, pickImpactWindow } from './recommendation-adoption.js';
+
+const VERDICTS = {
+  met: { label: 'Meets predicted impact', color: 'var(--status-healthy)' },
+  partial: { label: 'Partly meets predicted impact', color: 'var(--status-warning)' },
+  not_met: { label: 'Below predicted impact', color: 'var(--status-critical)' },
+  improved: { label: 'Improved', color: 'var(--status-healthy)' },
+  no_change: { label: 'No measurable change', color: 'var(--text-muted)' },
+  worse: { label: 'Worse since applied', color: 'var(--status-critical)' },
+  insufficient_data: { label: 'Not enough runs yet to measure', color: 'var(--text-muted)' }
+};
+
+const buttonStyle = {
+  padding: '0.25rem 0.6rem',
+  background: 'transparent',
+  border: '1px solid rgba(96, 165, 250, 0.4)',
+  borderRadius: '6px',
+  color: 'var(--text-accent)',
+  font: 'inherit',
+  fontSize: '0.75rem',
+  cursor: 'pointer'
+};
+
+const inputStyle = {
+  padding: '0.3rem 0.5rem',
+  background: 'var(--inset-strong)',
+  border: '1px solid var(--border)',
+  borderRadius: '6px',
+  color: 'var(--text)',
+  font: 'inherit',
+  fontSize: '0.8rem'
+};
+
+const formatChange = (change) => `${change > 0 ? '+' : '−'}${Math.abs(change * 100).toFixed(0)}%`;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Measured before/after effect of an applied recommendation, from the provider's history
+const MeasuredImpact = ({ provider, adoption }) => {
+  const [impact, setImpact] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!provider.fetchHistory) return undefined;
+    const controller = new AbortController();
+    setImpact(null);
+    setError(null);
+    provider.fetchHistory(adoption.workflowId, { window: pickImpactWindow(adoption.appliedAt), signal: controller.signal })
+      .then(history => {
+        if (!controller.signal.aborted) setImpact(measureImpact(history, adoption));
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) setError(err);
+      });
+    return () => controller.abort();
+  }, [provider, adoption]);
+
+  if (!provider.fetchHistory) return null;
+  if (error) return <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.8rem', color: 'var(--text-danger)' }}>Could not measure impact: {error.message}</p>;
+  if (!impact) return <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.8rem', color: 'var(--text-faint)' }}>Measuring impact…</p>;
+
+  const verdict = VERDICTS[impact.verdict];
+  const days = Math.max(1, Math.round(impact.spanMs / 86400000));
+  return (
+    <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+      <p style={{ margin: 0 }}>
+        📏 Measured: {impact.label}{' '}
+        {impact.before !== null ? impact.format(impact.before) : '–'} → {impact.after !== null ? impact.format(impact.after) : '–'}
+        {impact.change !== null && (
+          <strong style={{ marginLeft: '0.35rem', color: impact.change <= 0 ? 'var(--status-healthy)' : 'var(--status-critical)' }}>
+            ({formatChange(impact.change)})
+          </strong>
+        )}
+        {impact.completionBefore !== null && impact.completionAfter !== null && (
+          <span style={{ color: 'var(--text-muted)' }}>
+            {' '}· completion {impact.completionBefore.toFixed(1)}% → {impact.completionAfter.toFixed(1)}%
+          </span>
+        )}
+      </p>
+      <p style={{ margin: '0.25rem 0 0 0', color: verdict.color, fontWeight: '500' }}>
+        {verdict.label}
+        {adoption.expectedReduction !== null && impact.verdict !== 'insufficient_data' && (
+          <span style={{ color: 'var(--text-muted)', fontWeight: '400' }}> (predicted −{Math.round(adoption.expectedReduction * 100)}%)</span>
+        )}
+      </p>
+      <p style={{ margin: '0.25rem 0 0 0', fontSize: '0.7rem', color: 'var(--text-faint)' }}>
+        {impact.runsBefore} runs in the {days} day{days > 1 ? 's' : ''} before vs {impact.runsAfter} since
+      </p>
+    </div>
+  );
+};
+
+// Adoption controls for one recommendation card: mark as applied, or show
+// when it was applied and what it measurably changed. `readOnly` shows the
+// adoption and its impact without the controls.
+export default function RecommendationAdoption({ provider, workflowId, recommendation, adoption, actor, onAction, readOnly = false }) {
+  const [editing, setEditing] = useState(false);
+  const [appliedAt, setAppliedAt] = useState(today);
+  const [changeUrl, setChangeUrl] = useState('');
+  const [actionError, setActionError] = useState(null);
+
+  const run = async (action, extra = {}) => {
+    setActionError(null);
+    try {
+      await onAction({ action, workflowId, recommendation, ...extra });
+      setEditing(false);
+      setChangeUrl('');
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  if (readOnly && !adoption) return null;
+
+  return (
+    <div style={{ marginTop: '0.75rem', paddingTop: '0.75rem', borderTop: '1px solid rgba(96, 165, 250, 0.2)' }}>
+      {adoption ? (
+        <>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', color: 'var(--text-success)' }}>
+            <CheckCircle size={14} />
+            <span style={{ flex: 1 }}>
+              Applied {new Date(adoption.appliedAt).toLocaleDateString()} by {adoption.recordedBy}
+              {adoption.changeUrl && (
+                <a
+                  href={adoption.changeUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  style={{ marginLeft: '0.5rem', color: 'var(--text-accent)', display: 'inline-flex', alignItems: 'center', gap: '0.2rem' }}
+                >
+                  change <ExternalLink size={12} />
+                </a>
+              )}
+            </span>
+            {!readOnly && (
+              <button onClick={() => run('withdraw')} disabled={!actor} style={{ ...buttonStyle, borderColor: 'var(--border)', color: 'var(--text-muted)' }}>
+                Undo
+              </button>
+            )}
+          </div>
+          <MeasuredImpact provider={provider} adoption={adoption} />
+        </>
+      ) : editing ? (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            run('apply', { appliedAt, changeUrl: changeUrl.trim() });
+          }}
+          style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem' }}
+        >
+          <input
+            type="date"
+            value={appliedAt}
+            max={today()}
+            onChange={(e) => setAppliedAt(e.target.value)}
+            aria-label="Date applied"
+            required
+            style={inputStyle}
+          />
+          <input
+            type="url"
+            value={changeUrl}
+            onChange={(e) => setChangeUrl(e.target.value)}
+            placeholder="Link to change (optional)"
+            aria-label="Link to change"
+            style={{ ...inputStyle, flex: 1, minWidth: '8rem' }}
+          />
+          <button type="submit" style={buttonStyle}>Save</button>
+          <button type="button" onClick={() => setEditing(false)} style={{ ...buttonStyle, borderColor: 'var(--border)', color: 'var(--text-muted)' }}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button
+          onClick={() => setEditing(true)}
+          disabled={!actor}
+          title={actor ? 'Record that this recommendation was applied' : 'Enter your name under Workflow Details first'}
+          style={buttonStyle}
+        >
+          Mark as applied
+        </button>
+      )}
+      {actionError && <p role="alert" style={{ margin: '0.5rem 0 0 0', fontSize: '0.8rem', color: 'var(--text-danger)' }}>{actionError}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+// Alert delivery channels. A channel is any object with a `name` and an async
+// `send(alert)`; a rejected send is recorded against the alert, not retried.
+// `fetchImpl` / `transport` let tests point each channel at a local stub endpoint.
+
+const SEVERITY_COLORS = {
+  critical: '#ef4444',
+  warning: '#f59e0b',
+  resolved: '#10b981'
+};
+
+const alertColor = (alert) => (alert.state === 'resolved' ? SEVERITY_COLORS.resolved : SEVERITY_COLORS[alert.severity] || '#6b7280');
+
+const postJson = async (fetchImpl, url, body, headers = {}) => {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw new Error(`POST ${url} failed: ${response.status} ${response.statusText}`);
+  }
+  return response;
+};
+
+// Generic webhook: the alert object as-is
+export const createWebhookChannel = ({
+  url,
+  headers,
+  name = 'webhook',
+  fetchImpl = (...args) => fetch(...args)
+}) => ({
+  name,
+  send: (alert) => postJson(fetchImpl, url, alert, headers)
+});
+
+export const formatSlackMessage = (alert) => ({
+  text: `${alert.state === 'resolved' ? '✅' : '🚨'} ${alert.title}`,
+  attachments: [
+    {
+      color: alertColor(alert),
+      fields: [
+        { title: 'Workflow', value: `${alert.workflowName} (${alert.workflowId})`, short: false },
+        { title: 'Details', value: alert.message, short: false },
+        { title: 'Severity', value: alert.state === 'resolved' ? 'resolved' : alert.severity, short: true },
+        { title: 'Time', value: alert.at, short: true }
+      ]
+    }
+  ]
+});
+
+// Slack incoming-webhook compatible payload (also accepted by Mattermost and Rocket.Chat)
+export const createSlackChannel = ({
+  webhookUrl,
+  name = 'slack',
+  fetchImpl = (...args) => fetch(...args)
+}) => ({
+  name,
+  send: (alert) => postJson(fetchImpl, webhookUrl, formatSlackMessage(alert))
+});
+
+export const formatEmail = (alert) => ({
+  subject: `[${alert.state === 'resolved' ? 'RESOLVED' : alert.severity.toUpperCase()}] ${alert.title}`,
+  text: [
+    alert.title,
+    '',
+    `Workflow: ${alert.workflowName} (${alert.workflowId})`,
+    `Details: ${alert.message}`,
+    `Time: ${alert.at}`
+  ].join('\n')
+});
+
+// SMTP via a nodemailer-style transport (`sendMail({ from, to, subject, text })`),
+// so it runs server-side and can target a local SMTP stub in tests
+export const createSmtpChannel = ({ transport, from, to, name = 'email' }) => ({
+  name,
+  send: (alert) => transport.sendMail({ from, to, ...formatEmail(alert) })
+});
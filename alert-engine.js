@@ -0,0 +1,203 @@
+// Alerting over computed workflow state. Each evaluation diffs the workflows
+// against the previous evaluation and fires on status degradation, new
+// error-type issues and SLA breaches; conditions that clear send a resolve.
+// Delivery goes through pluggable channels (see alert-channels.js).
+
+import { createHttpStore } from './shared-store.js';
+import { describeBreach } from './health-thresholds.js';
+
+export const DEFAULT_COOLDOWN_MS = 15 * 60 * 1000;
+
+// Threshold metrics treated as SLAs rather than plain health limits
+export const SLA_METRICS = ['durationSla', 'lastRunAge'];
+
+const STATUS_RANK = { unknown: -1, healthy: 0, warning: 1, critical: 2 };
+
+// Every alertable condition a workflow is currently in, keyed so it can be de-duplicated
+export const collectConditions = (workflow) => {
+  const conditions = [];
+
+  if (STATUS_RANK[workflow.status] > STATUS_RANK.healthy) {
+    conditions.push({
+      key: `${workflow.id}:status`,
+      kind: 'status_change',
+      severity: workflow.status,
+      title: `${workflow.name} is ${workflow.status}`,
+      message: `Completion rate ${workflow.completionRate}% with ${workflow.failures} failures`
+    });
+  }
+
+  workflow.issues
+    .filter(issue => issue.type === 'error')
+    .forEach(issue => {
+      conditions.push({
+        key: `${workflow.id}:issue:${issue.code || issue.message}`,
+        kind: 'new_issue',
+        severity: 'critical',
+        title: `New issue in ${workflow.name}`,
+        message: issue.message
+      });
+    });
+
+  (workflow.breaches || [])
+    .filter(breach => SLA_METRICS.includes(breach.metric))
+    .forEach(breach => {
+      conditions.push({
+        key: `${workflow.id}:sla:${breach.metric}`,
+        kind: 'sla_breach',
+        severity: breach.level,
+        title: `SLA breach in ${workflow.name}`,
+        message: describeBreach(breach)
+      });
+    });
+
+  // The department lets the backend show each user only their departments' alerts
+  return conditions.map(condition => ({
+    ...condition,
+    workflowId: workflow.id,
+    workflowName: workflow.name,
+    department: workflow.department ?? null
+  }));
+};
+
+let alertSequence = 0;
+
+export function createAlertEngine({
+  channels = [],
+  cooldownMs = DEFAULT_COOLDOWN_MS,
+  alertOnStartup = false,
+  historyLimit = 200,
+  clock = () => new Date()
+} = {}) {
+  const registered = [...channels];
+  const active = new Map();
+  // Last time each key notified and the highest severity notified within its
+  // cooldown, kept after resolve so a flapping condition stays quiet
+  const lastNotified = new Map();
+  const cooling = (key, at) => {
+    const last = lastNotified.get(key);
+    return last && at.getTime() - last.at < cooldownMs ? last : null;
+  };
+  // Active keys whose firing was actually delivered; only these get a resolve
+  const notifiedActive = new Set();
+  const listeners = new Set();
+  let history = [];
+  let initialized = false;
+
+  const record = (entry) => {
+    history = [entry, ...history].slice(0, historyLimit);
+    listeners.forEach(listener => listener(history));
+    return entry;
+  };
+
+  const deliver = async (entry) => {
+    const deliveries = await Promise.all(registered.map(async channel => {
+      try {
+        await channel.send(entry);
+        return { channel: channel.name, ok: true };
+      } catch (err) {
+        return { channel: channel.name, ok: false, error: err.message };
+      }
+    }));
+    history = history.map(h => (h.id === entry.id ? { ...h, deliveries } : h));
+    listeners.forEach(listener => listener(history));
+    return deliveries;
+  };
+
+  const notify = (condition, state, at) => {
+    const entry = record({
+      id: `alert-${++alertSequence}`,
+      ...condition,
+      state,
+      at: at.toISOString(),
+      deliveries: null
+    });
+    const last = cooling(condition.key, at);
+    lastNotified.set(condition.key, {
+      at: at.getTime(),
+      severity: last && STATUS_RANK[last.severity] > STATUS_RANK[condition.severity] ? last.severity : condition.severity
+    });
+    return deliver(entry);
+  };
+
+  return {
+    addChannel: (channel) => registered.push(channel),
+
+    // Diff the workflows against the previous evaluation; resolves once deliveries settle
+    evaluate: async (workflows) => {
+      const at = clock();
+      const current = new Map(workflows.flatMap(collectConditions).map(c => [c.key, c]));
+      const pending = [];
+
+      current.forEach((condition, key) => {
+        const previous = active.get(key);
+        active.set(key, condition);
+        if (!initialized && !alertOnStartup) return;
+
+        const escalated = previous && STATUS_RANK[condition.severity] > STATUS_RANK[previous.severity];
+        if (previous && !escalated) return;
+
+        // Within the cooldown only a severity not yet notified gets through, so a
+        // workflow flapping between warning and critical is not re-sent each time
+        const last = cooling(key, at);
+        if (last && STATUS_RANK[condition.severity] <= STATUS_RANK[last.severity]) {
+          record({ id: `alert-${++alertSequence}`, ...condition, state: 'suppressed', at: at.toISOString(), deliveries: [] });
+          return;
+        }
+        notifiedActive.add(key);
+        pending.push(notify(condition, 'firing', at));
+      });
+
+      active.forEach((condition, key) => {
+        if (current.has(key)) return;
+        active.delete(key);
+        if (!notifiedActive.delete(key)) return;
+        pending.push(notify({ ...condition, title: `Resolved: ${condition.title}` }, 'resolved', at));
+      });
+
+      initialized = true;
+      await Promise.all(pending);
+      return history;
+    },
+
+    getActive: () => [...active.values()],
+    getHistory: () => history,
+    clearHistory: () => {
+      history = [];
+      listeners.forEach(listener => listener(history));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      listener(history);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+// The backend's alerts, for dashboards that do not evaluate their own: the
+// backend evaluates once over every workflow and answers
+//   GET {baseUrl}/alerts  → { active, history } for the user's departments
+// Read-only, so there is no `evaluate`; clearing the history hides it in this browser only.
+export function createHttpAlertFeed({ pollInterval = 30000, ...options } = {}) {
+  const store = createHttpStore({ ...options, path: '/alerts', initialState: { active: [], history: [] }, pollInterval });
+  const listeners = new Set();
+  let clearedAt = '';
+  const visible = () => store.getState().history.filter(entry => entry.at > clearedAt);
+
+  return {
+    getActive: () => store.getState().active,
+    getHistory: visible,
+    clearHistory: () => {
+      clearedAt = new Date().toISOString();
+      listeners.forEach(listener => listener(visible()));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      const unsubscribe = store.subscribe(() => listener(visible()));
+      return () => {
+        listeners.delete(listener);
+        unsubscribe();
+      };
+    }
+  };
+}
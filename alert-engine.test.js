@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { collectConditions, createAlertEngine } from './alert-engine.js';
+
+const MINUTE = 60000;
+
+const workflow = (status) => ({
+  id: 'wf-002',
+  name: 'Contractor Agreement',
+  department: 'HR',
+  status,
+  completionRate: status === 'critical' ? 70 : 86,
+  failures: 9,
+  issues: []
+});
+
+// An engine on a clock the test moves, with a channel that records what it was sent
+const setup = () => {
+  let now = 0;
+  const sent = [];
+  const engine = createAlertEngine({
+    alertOnStartup: true,
+    clock: () => new Date(now),
+    channels: [{ name: 'test', send: async (alert) => { sent.push(`${alert.state}:${alert.severity}`); } }]
+  });
+  return { engine, sent, at: (minutes) => { now = minutes * MINUTE; } };
+};
+
+describe('createAlertEngine', () => {
+  it('sends escalation once and stays quiet while the workflow flaps within the cooldown', async () => {
+    const { engine, sent, at } = setup();
+    await engine.evaluate([workflow('warning')]);
+    at(1);
+    await engine.evaluate([workflow('critical')]);
+    at(2);
+    await engine.evaluate([workflow('warning')]);
+    at(3);
+    await engine.evaluate([workflow('critical')]);
+    expect(sent).toEqual(['firing:warning', 'firing:critical']);
+    expect(engine.getHistory()[0]).toMatchObject({ state: 'suppressed', severity: 'critical' });
+  });
+
+  it('notifies again once the cooldown has passed', async () => {
+    const { engine, sent, at } = setup();
+    await engine.evaluate([workflow('critical')]);
+    at(1);
+    await engine.evaluate([workflow('healthy')]);
+    at(5);
+    await engine.evaluate([workflow('critical')]);
+    at(30);
+    await engine.evaluate([workflow('healthy')]);
+    await engine.evaluate([workflow('critical')]);
+    expect(sent).toEqual(['firing:critical', 'resolved:critical', 'firing:critical']);
+  });
+
+  it('tags alerts with the workflow\'s department', async () => {
+    const { engine } = setup();
+    await engine.evaluate([workflow('warning')]);
+    expect(engine.getActive()[0]).toMatchObject({ workflowId: 'wf-002', department: 'HR' });
+  });
+
+  it('describes SLA breaches in the units the thresholds are set in', () => {
+    const breaching = {
+      ...workflow('warning'),
+      breaches: [{ metric: 'lastRunAge', level: 'warning', value: 185.4, limit: 120 }]
+    };
+    const [, sla] = collectConditions(breaching);
+    expect(sla.kind).toBe('sla_breach');
+    expect(sla.message).toMatch(/^Time since last run .+ above warning limit .+$/);
+    expect(sla.message).not.toContain('lastRunAge');
+  });
+});
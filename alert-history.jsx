@@ -0,0 +1,118 @@
+import React from 'react';
+import { Bell, BellOff, CheckCircle, XCircle, AlertTriangle, X } from 'lucide-react';
+
+const getAlertIcon = (alert) => {
+  if (alert.state === 'resolved') return <CheckCircle size={16} style={{ color: 'var(--status-healthy)' }} />;
+  if (alert.state === 'suppressed') return <BellOff size={16} style={{ color: 'var(--text-faint)' }} />;
+  if (alert.severity === 'critical') return <XCircle size={16} style={{ color: 'var(--status-critical)' }} />;
+  return <AlertTriangle size={16} style={{ color: 'var(--status-warning)' }} />;
+};
+
+const deliverySummary = (deliveries) => {
+  if (deliveries === null) return 'sending…';
+  if (deliveries.length === 0) return 'in-app only';
+  return deliveries.map(d => `${d.channel} ${d.ok ? '✓' : `✗ ${d.error}`}`).join(' · ');
+};
+
+export default function AlertHistory({ alerts, onSelectWorkflow, onClear, onClose }) {
+  return (
+    <div style={{
+      background: 'var(--surface)',
+      border: '1px solid var(--border)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      height: 'fit-content',
+      maxHeight: 'calc(100vh - 4rem)',
+      overflowY: 'auto',
+      position: 'sticky',
+      top: '2rem',
+      animation: 'slideIn 0.4s ease-out'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.25rem' }}>
+        <h2 style={{
+          fontSize: '1.1rem',
+          fontWeight: '600',
+          margin: 0,
+          color: 'var(--text-strong)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <Bell size={18} style={{ color: '#60a5fa' }} />
+          Alerts
+        </h2>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          {alerts.length > 0 && (
+            <button
+              onClick={onClear}
+              style={{
+                background: 'transparent',
+                border: '1px solid var(--border)',
+                borderRadius: '6px',
+                padding: '0.25rem 0.6rem',
+                color: 'var(--text-muted)',
+                font: 'inherit',
+                fontSize: '0.75rem',
+                cursor: 'pointer'
+              }}
+            >
+              Clear
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            aria-label="Close alerts"
+            style={{
+              display: 'flex',
+              background: 'transparent',
+              border: '1px solid var(--border)',
+              borderRadius: '6px',
+              padding: '0.25rem',
+              color: 'var(--text-muted)',
+              cursor: 'pointer'
+            }}
+          >
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      {alerts.length === 0 ? (
+        <p style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-muted)' }}>
+          No alerts yet. Alerts fire when a workflow degrades, reports a new error or breaches an SLA.
+        </p>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          {alerts.map(alert => (
+            <button
+              key={alert.id}
+              onClick={() => onSelectWorkflow(alert.workflowId)}
+              style={{
+                display: 'flex',
+                gap: '0.6rem',
+                padding: '0.75rem',
+                background: alert.state === 'firing' ? 'rgba(239, 68, 68, 0.06)' : 'var(--surface-subtle)',
+                border: '1px solid var(--border-subtle)',
+                borderRadius: '8px',
+                color: 'var(--text)',
+                font: 'inherit',
+                textAlign: 'left',
+                cursor: 'pointer',
+                opacity: alert.state === 'suppressed' ? 0.6 : 1
+              }}
+            >
+              <span style={{ marginTop: '0.1rem' }}>{getAlertIcon(alert)}</span>
+              <span style={{ flex: 1, minWidth: 0 }}>
+                <span style={{ display: 'block', fontSize: '0.85rem', fontWeight: '500' }}>{alert.title}</span>
+                <span style={{ display: 'block', fontSize: '0.8rem', color: 'var(--text-muted)', margin: '0.2rem 0' }}>{alert.message}</span>
+                <span style={{ display: 'block', fontSize: '0.7rem', color: 'var(--text-faint)' }}>
+                  {new Date(alert.at).toLocaleString()} · {alert.state} · {deliverySummary(alert.deliveries)}
+                </span>
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import { averageDuration, formatDuration } from './workflow-metrics.js';
+
+// Anomaly detection against baselines learned from each workflow's own history.
+//
+// For every metric, the latest `windowHours` are compared with the same window
+// shifted back in time: by whole days for the rolling baseline, or by whole
+// weeks for the hour-of-week baseline (which follows weekly seasonality such
+// as quiet weekends). The shifted windows give a mean and standard deviation;
+// a deviation is raised as an issue when its z-score clears `minConfidence`.
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+export const BASELINE_METHODS = {
+  rolling: { label: 'rolling', shiftMs: DAY, minSamples: 7 },
+  hourOfWeek: { label: 'hour-of-week', shiftMs: 7 * DAY, minSamples: 3 }
+};
+
+const finishedRuns = (runs) => runs.filter(i => i.status !== 'in_progress');
+
+// `floor(mean, runs)` keeps a very steady history from turning noise into
+// certainty: Poisson noise for counts, binomial noise for rates
+export const ANOMALY_METRICS = {
+  volume: {
+    label: 'Execution volume',
+    value: (runs) => runs.length,
+    enoughRuns: () => true,
+    floor: (mean) => Math.sqrt(Math.max(mean, 1)),
+    format: (value) => `${Math.round(value)} runs`,
+    up: { code: 'volume_spike', type: 'warning', verb: 'spiked' },
+    down: { code: 'volume_drop', type: 'error', verb: 'dropped' }
+  },
+  failureRate: {
+    label: 'Failure rate',
+    value: (runs) => {
+      const finished = finishedRuns(runs);
+      return finished.length > 0 ? finished.filter(i => i.status === 'failed').length / finished.length : null;
+    },
+    enoughRuns: (runs, minRuns) => finishedRuns(runs).length >= minRuns,
+    floor: (mean, runs) => Math.sqrt(Math.max(mean * (1 - mean), 0.01) / Math.max(finishedRuns(runs).length, 1)),
+    format: (value) => `${(value * 100).toFixed(1)}%`,
+    up: { code: 'failure_rate_spike', type: 'error', verb: 'rose' }
+  },
+  duration: {
+    label: 'Average duration',
+    value: (runs) => averageDuration(runs),
+    enoughRuns: (runs, minRuns) => finishedRuns(runs).length >= minRuns,
+    floor: (mean) => mean * 0.05,
+    format: (value) => formatDuration(value),
+    up: { code: 'duration_spike', type: 'warning', verb: 'rose' }
+  }
+};
+
+export const DEFAULT_ANOMALY_CONFIG = {
+  // History needed before the latest window: 28 days holds 28 rolling or 4 hour-of-week samples
+  baselineDays: 28,
+  minConfidence: 0.99,
+  minRuns: 10,
+  metrics: {
+    // A short window so a trigger that silently stops is caught within hours
+    volume: { method: 'rolling', windowHours: 6 },
+    failureRate: { method: 'rolling', windowHours: 24 },
+    duration: { method: 'rolling', windowHours: 24 }
+  }
+};
+
+// Abramowitz & Stegun 7.1.26, accurate to 1.5e-7
+const erf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return x >= 0 ? y : -y;
+};
+
+// Two-sided: how sure we are the observation is not ordinary variation
+export const confidenceFromZ = (z) => erf(Math.abs(z) / Math.SQRT2);
+
+export const formatConfidence = (confidence) => (confidence >= 0.999 ? '>99.9%' : `${(confidence * 100).toFixed(1)}%`);
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const stddev = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+};
+
+// Runs that started in [from, to)
+const runsBetween = (timed, from, to) => timed.filter(({ at }) => at >= from && at < to).map(({ instance }) => instance);
+
+// Baseline and latest value of one metric; `samples` counts the history windows used
+export function learnBaseline(instances, metricKey, { now = new Date(), config = DEFAULT_ANOMALY_CONFIG } = {}) {
+  const metric = ANOMALY_METRICS[metricKey];
+  const { method, windowHours } = config.metrics[metricKey];
+  const { shiftMs, minSamples } = BASELINE_METHODS[method];
+  const windowMs = windowHours * HOUR;
+  const end = now.getTime();
+  const timed = instances.map(instance => ({ at: new Date(instance.startedAt).getTime(), instance }));
+
+  const recent = runsBetween(timed, end - windowMs, end);
+  const shifts = Math.floor((config.baselineDays * DAY) / shiftMs);
+  const values = Array.from({ length: shifts }, (_, idx) => {
+    const to = end - (idx + 1) * shiftMs;
+    const runs = runsBetween(timed, to - windowMs, to);
+    return metric.enoughRuns(runs, config.minRuns) ? metric.value(runs) : null;
+  }).filter(value => value !== null);
+
+  const baseline = {
+    metric: metricKey,
+    label: metric.label,
+    method,
+    windowHours,
+    samples: values.length,
+    observed: metric.enoughRuns(recent, config.minRuns) ? metric.value(recent) : null,
+    expected: values.length > 0 ? mean(values) : null,
+    stddev: null,
+    zScore: null,
+    confidence: null
+  };
+  if (values.length < minSamples || baseline.observed === null) return baseline;
+
+  baseline.stddev = Math.max(stddev(values), metric.floor(baseline.expected, recent), Number.EPSILON);
+  baseline.zScore = (baseline.observed - baseline.expected) / baseline.stddev;
+  baseline.confidence = confidenceFromZ(baseline.zScore);
+  return baseline;
+}
+
+export const learnBaselines = (instances, options = {}) => {
+  const config = options.config || DEFAULT_ANOMALY_CONFIG;
+  return Object.keys(config.metrics).map(metricKey => learnBaseline(instances, metricKey, { ...options, config }));
+};
+
+const describeWindow = (hours) => (hours % 24 === 0 && hours > 24 ? `${hours / 24}d` : `${hours}h`);
+
+// Significant deviations in a watched direction, as issues for the dashboard
+export const anomaliesFromBaselines = (baselines, { minConfidence } = DEFAULT_ANOMALY_CONFIG) => baselines
+  .filter(baseline => baseline.confidence !== null && baseline.confidence >= minConfidence)
+  .map(baseline => {
+    const metric = ANOMALY_METRICS[baseline.metric];
+    const watch = baseline.zScore > 0 ? metric.up : metric.down;
+    if (!watch) return null;
+    return {
+      code: watch.code,
+      type: watch.type,
+      message: `${metric.label} ${watch.verb}: ${metric.format(baseline.observed)} in the last ${describeWindow(baseline.windowHours)}`
+        + ` vs ${metric.format(baseline.expected)} ± ${metric.format(baseline.stddev)} expected`
+        + ` (${BASELINE_METHODS[baseline.method].label} baseline, ${formatConfidence(baseline.confidence)} confidence)`,
+      confidence: baseline.confidence,
+      anomaly: baseline
+    };
+  })
+  .filter(Boolean);
+
+export const detectAnomalies = (instances, { now = new Date(), config = DEFAULT_ANOMALY_CONFIG } = {}) =>
+  anomaliesFromBaselines(learnBaselines(instances, { now, config }), config);
+
+// Add learned baselines and anomaly issues to a workflow built by computeWorkflowMetrics.
+// `history` holds the instances of the last `baselineDays` plus the latest window.
+export const withAnomalies = (workflow, history, { now = new Date(), config = DEFAULT_ANOMALY_CONFIG } = {}) =>
+  withBaselines(workflow, learnBaselines(history, { now, config }), config);
+
+// Same, from baselines learned earlier (the backend learns them once an hour)
+export function withBaselines(workflow, baselines, config = DEFAULT_ANOMALY_CONFIG) {
+  const anomalies = anomaliesFromBaselines(baselines, config);
+  const volume = baselines.find(b => b.metric === 'volume');
+  return {
+    ...workflow,
+    baselines,
+    issues: [...workflow.issues, ...anomalies],
+    stats: {
+      ...workflow.stats,
+      // Share of the expected execution volume, for recommendation rules
+      volumeRatio: volume?.expected ? volume.observed / volume.expected : null
+    }
+  };
+}
@@ -0,0 +1,121 @@
+import { percentile, isTimeout, isExpired } from './workflow-metrics.js';
+import { HISTORY_WINDOWS } from './workflow-history.js';
+
+// Where approvals wait: per step and per recipient, from the step records of
+// raw instances. A step is an approval when it has a `recipient`; its wait runs
+// from `startedAt` (sent to the recipient) to `completedAt` (acted on, or timed
+// out). Steps may carry `reminders`, the ISO times reminders were sent.
+
+export const APPROVAL_WINDOWS = ['24h', '7d', '30d'];
+
+export const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const seconds = (from, to) => (new Date(to).getTime() - new Date(from).getTime()) / 1000;
+
+// Finished approval steps of finished, real instances. A step that failed
+// because the instance timed out or its envelope expired counts as a timeout;
+// its wait is how long it sat before giving up.
+export function collectApprovalWaits(instances, definition = {}) {
+  const roles = Object.fromEntries((definition.steps || []).map(s => [s.stepId, s.recipientRole]));
+
+  return instances
+    .filter(i => !i.synthetic && i.status !== 'in_progress')
+    .flatMap(instance => (instance.steps || [])
+      .filter(step => step.recipient && step.startedAt && step.completedAt && (step.status === 'completed' || step.status === 'failed'))
+      .map(step => {
+        const timedOut = step.status === 'failed' && instance.failedStepId === step.stepId && (isTimeout(instance) || isExpired(instance));
+        const reminders = step.reminders || [];
+        const lastReminder = reminders[reminders.length - 1];
+        return {
+          instanceId: instance.instanceId,
+          stepId: step.stepId,
+          stepName: step.name,
+          recipient: step.recipient,
+          role: roles[step.stepId]
+            || instance.metadata?.recipients?.find(r => r.email === step.recipient)?.role
+            || null,
+          sentAt: step.startedAt,
+          wait: seconds(step.startedAt, step.completedAt),
+          timedOut,
+          reminders: reminders.length,
+          // Time from the last reminder to the recipient acting on it
+          afterReminder: lastReminder && step.status === 'completed' ? seconds(lastReminder, step.completedAt) : null
+        };
+      }));
+}
+
+// Median and p90 wait, timeouts and reminder effectiveness of a set of waits.
+// Reminder effectiveness is the share of reminded approvals that were acted on
+// rather than left to time out.
+export function summarizeWaits(waits) {
+  const durations = waits.map(w => w.wait);
+  const reminded = waits.filter(w => w.reminders > 0);
+  const answered = reminded.filter(w => !w.timedOut);
+  const timeouts = waits.filter(w => w.timedOut).length;
+  return {
+    count: waits.length,
+    medianWait: percentile(durations, 50),
+    p90Wait: percentile(durations, 90),
+    timeouts,
+    timeoutRate: waits.length > 0 ? timeouts / waits.length : 0,
+    reminded: reminded.length,
+    reminderEffectiveness: reminded.length > 0 ? answered.length / reminded.length : null,
+    medianAfterReminder: percentile(answered.map(w => w.afterReminder).filter(v => v !== null), 50)
+  };
+}
+
+const groupBy = (waits, keyOf) => waits.reduce((groups, wait) => {
+  const key = keyOf(wait);
+  (groups[key] = groups[key] || []).push(wait);
+  return groups;
+}, {});
+
+// Slowest first. Groups with fewer than `minSamples` waits are ranked last, so
+// one unlucky approval does not top the table.
+const rank = (groups, describe, { minSamples, affectedLimit }) => Object.values(groups)
+  .map(waits => ({
+    ...describe(waits[0]),
+    ...summarizeWaits(waits),
+    // Longest waits first; these are the executions a manager would open
+    affected: [...waits]
+      .sort((a, b) => (b.timedOut - a.timedOut) || (b.wait - a.wait))
+      .slice(0, affectedLimit)
+      .map(({ instanceId, wait, timedOut, recipient, stepName }) => ({ instanceId, wait, timedOut, recipient, stepName }))
+  }))
+  .sort((a, b) => ((b.count >= minSamples) - (a.count >= minSamples))
+    || (b.medianWait - a.medianWait)
+    || (b.timeouts - a.timeouts));
+
+// Median wait by weekday and hour the approval was sent, in the browser's time zone.
+// `cells[day][hour]` is `{ count, medianWait }`; rows start on Sunday.
+export function waitHeatmap(waits) {
+  const cells = DAYS.map(() => Array.from({ length: 24 }, () => []));
+  waits.forEach(wait => {
+    const sentAt = new Date(wait.sentAt);
+    cells[sentAt.getDay()][sentAt.getHours()].push(wait.wait);
+  });
+  const summarized = cells.map(row => row.map(durations => ({ count: durations.length, medianWait: percentile(durations, 50) })));
+  const medians = summarized.flat().map(c => c.medianWait).filter(v => v !== null);
+  return { cells: summarized, maxWait: medians.length > 0 ? Math.max(...medians) : null };
+}
+
+export function computeApprovalAnalytics(instances, definition = {}, {
+  window = '7d',
+  now = new Date(),
+  minSamples = 3,
+  affectedLimit = 5
+} = {}) {
+  const since = now.getTime() - HISTORY_WINDOWS[window].durationMs;
+  const waits = collectApprovalWaits(instances.filter(i => new Date(i.startedAt).getTime() >= since), definition);
+  const options = { minSamples, affectedLimit };
+
+  return {
+    workflowId: definition.id,
+    window,
+    minSamples,
+    overall: summarizeWaits(waits),
+    steps: rank(groupBy(waits, w => w.stepId), w => ({ key: w.stepId, stepId: w.stepId, name: w.stepName, role: w.role }), options),
+    recipients: rank(groupBy(waits, w => w.recipient), w => ({ key: w.recipient, name: w.recipient, role: w.role }), options),
+    heatmap: waitHeatmap(waits)
+  };
+}
@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import { Hourglass, RefreshCw, ChevronDown, ChevronRight } from 'lucide-react';
+import { formatDuration } from './workflow-metrics.js';
+import { HISTORY_WINDOWS } from './workflow-history.js';
+import { APPROVAL_WINDOWS, DAYS } from './approval-analytics.js';
+import { InstanceTimeline } from './instance-drilldown.jsx';
+
+const VIEWS = [
+  { value: 'steps', label: 'Steps' },
+  { value: 'recipients', label: 'Approvers' }
+];
+
+const chipStyle = (active) => ({
+  padding: '0.25rem 0.5rem',
+  background: active ? 'rgba(96, 165, 250, 0.2)' : 'transparent',
+  border: active ? '1px solid rgba(96, 165, 250, 0.5)' : '1px solid var(--border)',
+  borderRadius: '6px',
+  color: active ? 'var(--text-accent)' : 'var(--text-muted)',
+  font: 'inherit',
+  fontSize: '0.75rem',
+  cursor: 'pointer'
+});
+
+const formatShare = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+
+const Stat = ({ label, value, detail }) => (
+  <div style={{ padding: '0.75rem', background: 'var(--inset)', borderRadius: '8px' }}>
+    <p style={{ margin: '0 0 0.25rem 0', fontSize: '0.7rem', color: 'var(--text-faint)', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
+      {label}
+    </p>
+    <p style={{ margin: 0, fontSize: '1.1rem', fontWeight: '700', color: 'var(--text-secondary)' }}>{value}</p>
+    {detail && <p style={{ margin: '0.15rem 0 0 0', fontSize: '0.7rem', color: 'var(--text-faint)' }}>{detail}</p>}
+  </div>
+);
+
+// Median wait by weekday (rows) and hour sent (columns); darker is slower
+const WaitHeatmap = ({ heatmap }) => (
+  <div style={{ padding: '0.75rem', background: 'var(--inset)', borderRadius: '8px', marginBottom: '1rem' }}>
+    <p style={{ margin: '0 0 0.5rem 0', fontSize: '0.75rem', color: 'var(--text-faint)', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
+      Median wait by time sent
+    </p>
+    <div
+      role="img"
+      aria-label="Heatmap of median approval wait by weekday and hour sent"
+      style={{ display: 'grid', gridTemplateColumns: '2rem repeat(24, 1fr)', gap: '2px', fontSize: '0.65rem', color: 'var(--text-faint)' }}
+    >
+      {DAYS.map((day, dayIndex) => (
+        <React.Fragment key={day}>
+          <span style={{ alignSelf: 'center' }}>{day}</span>
+          {heatmap.cells[dayIndex].map((cell, hour) => (
+            <div
+              key={hour}
+              title={cell.count > 0
+                ? `${day} ${String(hour).padStart(2, '0')}:00 · median ${formatDuration(cell.medianWait)} · ${cell.count} approval${cell.count > 1 ? 's' : ''}`
+                : `${day} ${String(hour).padStart(2, '0')}:00 · no approvals`}
+              style={{
+                height: '12px',
+                borderRadius: '2px',
+                background: cell.medianWait === null
+                  ? 'var(--surface)'
+                  : `rgba(245, 158, 11, ${0.1 + 0.9 * (cell.medianWait / heatmap.maxWait)})`
+              }}
+            />
+          ))}
+        </React.Fragment>
+      ))}
+      <span />
+      {Array.from({ length: 24 }, (_, hour) => (
+        <span key={hour} style={{ textAlign: 'center' }}>{hour % 6 === 0 ? hour : ''}</span>
+      ))}
+    </div>
+  </div>
+);
+
+export default function ApprovalBottlenecks({ provider, workflow }) {
+  const [range, setRange] = useState('7d');
+  const [view, setView] = useState('steps');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [selectedInstanceId, setSelectedInstanceId] = useState(null);
+  const [instance, setInstance] = useState(null);
+
+  useEffect(() => {
+    if (!provider.fetchApprovalAnalytics) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    provider.fetchApprovalAnalytics(workflow.id, { window: range, signal: controller.signal })
+      .then(next => {
+        if (controller.signal.aborted) return;
+        setAnalytics(next);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (controller.signal.aborted) return;
+        setError(err);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [provider, workflow.id, range]);
+
+  useEffect(() => {
+    if (!selectedInstanceId) {
+      setInstance(null);
+      return undefined;
+    }
+    const controller = new AbortController();
+
+    provider.fetchInstance(workflow.id, selectedInstanceId, { signal: controller.signal })
+      .then(next => {
+        if (!controller.signal.aborted) setInstance(next);
+      })
+      .catch(err => {
+        if (controller.signal.aborted) return;
+        setError(err);
+        setSelectedInstanceId(null);
+      });
+
+    return () => controller.abort();
+  }, [provider, workflow.id, selectedInstanceId]);
+
+  if (!provider.fetchApprovalAnalytics) return null;
+  // Workflows without approval steps have nothing to show
+  if (analytics && !error && analytics.overall.count === 0 && analytics.window === range) return null;
+
+  const rows = analytics ? analytics[view] : [];
+  const overall = analytics?.overall;
+
+  return (
+    <div style={{ marginBottom: '2rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <h3 style={{
+          fontSize: '1rem',
+          fontWeight: '600',
+          margin: 0,
+          color: 'var(--text-strong)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <Hourglass size={18} style={{ color: '#fbbf24' }} />
+          Approval Bottlenecks
+          {loading && <RefreshCw size={14} style={{ color: 'var(--text-faint)', animation: 'pulse 2s ease-in-out infinite' }} />}
+        </h3>
+
+        <div style={{ display: 'flex', gap: '0.25rem' }}>
+          {APPROVAL_WINDOWS.map(key => (
+            <button key={key} onClick={() => setRange(key)} style={chipStyle(range === key)}>
+              {HISTORY_WINDOWS[key].label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <p style={{ margin: '0 0 1rem 0', fontSize: '0.85rem', color: 'var(--text-danger)' }}>
+          Could not load approval analytics: {error.message}
+        </p>
+      )}
+
+      {selectedInstanceId ? (
+        instance
+          ? <InstanceTimeline instance={instance} onBack={() => setSelectedInstanceId(null)} />
+          : <p style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-muted)' }}>Loading execution…</p>
+      ) : overall && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '0.75rem', marginBottom: '1rem' }}>
+            <Stat label="Median wait" value={formatDuration(overall.medianWait)} detail={`p90 ${formatDuration(overall.p90Wait)} · ${overall.count} approvals`} />
+            <Stat label="Timeouts" value={overall.timeouts} detail={`${formatShare(overall.timeoutRate)} of approvals`} />
+            <Stat
+              label="Reminders answered"
+              value={formatShare(overall.reminderEffectiveness)}
+              detail={`${overall.reminded} reminded`}
+            />
+            <Stat
+              label="Answer after reminder"
+              value={formatDuration(overall.medianAfterReminder)}
+              detail="median, from last reminder"
+            />
+          </div>
+
+          <WaitHeatmap heatmap={analytics.heatmap} />
+
+          <div style={{ display: 'flex', gap: '0.25rem', marginBottom: '0.5rem' }}>
+            {VIEWS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => {
+                  setView(option.value);
+                  setExpanded(null);
+                }}
+                aria-pressed={view === option.value}
+                style={chipStyle(view === option.value)}
+              >
+                Slowest {option.label.toLowerCase()}
+              </button>
+            ))}
+          </div>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: '1fr 3.5rem 4rem 4.5rem',
+            gap: '0.5rem',
+            padding: '0 0.75rem 0.25rem',
+            fontSize: '0.7rem',
+            color: 'var(--text-faint)',
+            textTransform: 'uppercase',
+            letterSpacing: '0.05em'
+          }}>
+            <span>{view === 'steps' ? 'Step' : 'Approver'}</span>
+            <span>Median</span>
+            <span>Timeouts</span>
+            <span>Reminded</span>
+          </div>
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem' }}>
+            {rows.map((row, index) => {
+              const open = expanded === row.key;
+              const fewSamples = row.count < analytics.minSamples;
+              return (
+                <div key={row.key} style={{
+                  background: 'var(--surface-subtle)',
+                  border: '1px solid var(--border-subtle)',
+                  borderRadius: '6px',
+                  opacity: fewSamples ? 0.6 : 1
+                }}>
+                  <button
+                    onClick={() => setExpanded(open ? null : row.key)}
+                    aria-expanded={open}
+                    style={{
+                      width: '100%',
+                      display: 'grid',
+                      gridTemplateColumns: '1fr 3.5rem 4rem 4.5rem',
+                      alignItems: 'center',
+                      gap: '0.5rem',
+                      padding: '0.5rem 0.75rem',
+                      background: 'transparent',
+                      border: 'none',
+                      color: 'var(--text-secondary)',
+                      font: 'inherit',
+                      fontSize: '0.8rem',
+                      textAlign: 'left',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <span style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', overflow: 'hidden' }}>
+                      {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                      <span style={{ color: 'var(--text-faint)' }}>{index + 1}.</span>
+                      <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={row.name}>
+                        {row.name}
+                      </span>
+                      {row.role && <span style={{ color: 'var(--text-faint)', whiteSpace: 'nowrap' }}>· {row.role}</span>}
+                    </span>
+                    <span title={`${row.count} approvals, p90 ${formatDuration(row.p90Wait)}`}>{formatDuration(row.medianWait)}</span>
+                    <span style={{ color: row.timeouts > 0 ? 'var(--text-danger)' : 'var(--text-muted)' }}>{row.timeouts}</span>
+                    <span title="Reminded approvals that were answered rather than timing out">
+                      {formatShare(row.reminderEffectiveness)}
+                    </span>
+                  </button>
+
+                  {open && (
+                    <div style={{ padding: '0 0.75rem 0.5rem', display: 'flex', flexDirection: 'column', gap: '0.25rem' }}>
+                      <p style={{ margin: '0 0 0.25rem 0', fontSize: '0.75rem', color: 'var(--text-faint)' }}>
+                        {row.count} approval{row.count > 1 ? 's' : ''}
+                        {fewSamples && ', too few to rank'}. Longest waits:
+                      </p>
+                      {row.affected.map(item => (
+                        <button
+                          key={`${item.instanceId}-${item.stepName}`}
+                          onClick={() => setSelectedInstanceId(item.instanceId)}
+                          style={{
+                            display: 'grid',
+                            gridTemplateColumns: '1fr auto',
+                            gap: '0.5rem',
+                            padding: '0.35rem 0.5rem',
+                            background: 'var(--inset)',
+                            border: '1px solid var(--border-subtle)',
+                            borderRadius: '4px',
+                            color: 'var(--text-secondary)',
+                            font: 'inherit',
+                            fontSize: '0.75rem',
+                            textAlign: 'left',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {view === 'steps' ? item.recipient : item.stepName}
+                            {item.timedOut && <span style={{ color: 'var(--text-danger)' }}> · timed out</span>}
+                          </span>
+                          <span style={{ color: 'var(--text-muted)' }}>{formatDuration(item.wait)}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import { createWebhookChannel, createSlackChannel } from '../../alert-channels.js';
+import { DEFAULT_COOLDOWN_MS } from '../../alert-engine.js';
+
+// Alert delivery from the environment (see README → Alerting). Channels that
+// need more than a URL, such as SMTP, are passed to createServer() instead.
+
+const positive = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export function loadAlertConfig(env = process.env) {
+  return {
+    cooldownMs: positive(env.ALERT_COOLDOWN_MS, DEFAULT_COOLDOWN_MS),
+    alertOnStartup: env.ALERT_ON_STARTUP === 'true',
+    channels: [
+      env.ALERT_WEBHOOK_URL && createWebhookChannel({ url: env.ALERT_WEBHOOK_URL }),
+      env.ALERT_SLACK_WEBHOOK_URL && createSlackChannel({ webhookUrl: env.ALERT_SLACK_WEBHOOK_URL })
+    ].filter(Boolean)
+  };
+}
@@ -0,0 +1,41 @@
+import { readFileSync } from 'node:fs';
+
+// DocuSign settings from the environment (see README → Update Environment Variables).
+// The private key is read from DOCUSIGN_PRIVATE_KEY_PATH, or taken as-is from
+// DOCUSIGN_PRIVATE_KEY when a secret manager injects the key itself.
+
+const REQUIRED = ['DOCUSIGN_INTEGRATION_KEY', 'DOCUSIGN_USER_ID', 'DOCUSIGN_ACCOUNT_ID'];
+
+const positive = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export function loadDocuSignConfig(env = process.env, { readFile = (path) => readFileSync(path, 'utf8') } = {}) {
+  const missing = REQUIRED.filter(name => !env[name]);
+  if (!env.DOCUSIGN_PRIVATE_KEY && !env.DOCUSIGN_PRIVATE_KEY_PATH) missing.push('DOCUSIGN_PRIVATE_KEY_PATH');
+  if (missing.length > 0) throw new Error(`Missing DocuSign configuration: ${missing.join(', ')}`);
+
+  return {
+    integrationKey: env.DOCUSIGN_INTEGRATION_KEY,
+    userId: env.DOCUSIGN_USER_ID,
+    accountId: env.DOCUSIGN_ACCOUNT_ID,
+    privateKey: env.DOCUSIGN_PRIVATE_KEY || readFile(env.DOCUSIGN_PRIVATE_KEY_PATH),
+    authServer: env.DOCUSIGN_AUTH_SERVER || 'https://account-d.docusign.com',
+    apiBaseUrl: env.DOCUSIGN_API_BASE_URL || 'https://demo.docusign.net/restapi',
+    redisUrl: env.REDIS_URL || null,
+    // Cache tiers in seconds
+    ttl: {
+      definitions: positive(env.CACHE_TTL_DEFINITIONS, 3600),
+      history: positive(env.CACHE_TTL_HISTORY, 3600),
+      instances: positive(env.CACHE_TTL_INSTANCES, 300),
+      archive: positive(env.CACHE_TTL_ARCHIVE, 86400),
+      health: positive(env.CACHE_TTL_HEALTH ?? env.CACHE_TTL, 120)
+    },
+    // DocuSign allows about 1000 API calls per hour per integration
+    requestBudget: {
+      limit: positive(env.DOCUSIGN_REQUEST_BUDGET, 1000),
+      windowMs: positive(env.DOCUSIGN_REQUEST_WINDOW_MS, 3600000)
+    }
+  };
+}
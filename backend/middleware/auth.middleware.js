@@ -0,0 +1,40 @@
+import { UNRESTRICTED_USER, STUB_USERS, highestRole, can } from '../../access-control.js';
+
+// Access control for the routes (see README → Access Control). The user shape
+// and permissions are the ones the dashboard uses, from access-control.js.
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Sets `req.user` from the bearer token. `verifyToken(token)` resolves to a user
+// or null, e.g. by checking the IdP's signature and mapping its claims with
+// userFromClaims(). Without `verifyToken` access control is off: every request
+// acts as UNRESTRICTED_USER, as the dashboard does without an identity provider.
+export const authenticate = ({ verifyToken } = {}) => async (req, res, next) => {
+  if (!verifyToken) {
+    req.user = UNRESTRICTED_USER;
+    return next();
+  }
+  const token = bearerToken(req);
+  let user = null;
+  try {
+    user = token ? await verifyToken(token) : null;
+  } catch (err) {
+    console.warn('Access token rejected', err.message);
+  }
+  if (!user) return res.status(401).json({ error: 'A valid access token is required' });
+  req.user = user;
+  return next();
+};
+
+export const requirePermission = (permission) => (req, res, next) => (
+  can(req.user, permission) ? next() : res.status(403).json({ error: `Your role does not allow ${permission}` })
+);
+
+// Development only: accepts the stub identity provider's `stub.<userId>` tokens
+export const createStubTokenVerifier = (users = STUB_USERS) => async (token) => {
+  const user = users.find(u => token === `stub.${u.id}`);
+  return user ? { ...user, role: highestRole(user.roles) } : null;
+};
@@ -0,0 +1,45 @@
+// Express middleware around the tiered cache (services/cache.service.js).
+//
+// The DocuSign service already caches what it fetches; this caches whole
+// responses for routes that compute more on top (e.g. anomaly baselines), and
+// tells the dashboard when it is looking at cached data.
+
+// Responses depend on who asks (department scoping), so the user is part of the key
+const defaultKey = (req) => `response:${req.user?.id ?? 'anonymous'}:${req.originalUrl}`;
+
+export const cacheResponse = ({ cache, tier = 'health', key = defaultKey }) => async (req, res, next) => {
+  if (req.method !== 'GET') return next();
+  const cacheKey = key(req);
+
+  try {
+    const hit = await cache.read(cacheKey);
+    if (hit?.fresh) {
+      res.set('X-Cache', 'HIT');
+      return res.json(hit.value);
+    }
+  } catch (err) {
+    // A cache outage should slow responses down, not fail them
+    console.warn('Response cache read failed', err.message);
+  }
+
+  const json = res.json.bind(res);
+  // A partial response (X-Data-Partial) is not cached, so the next request tries again
+  res.json = (body) => {
+    if (res.statusCode < 400 && !res.get('X-Data-Partial')) {
+      cache.write(cacheKey, tier, body).catch(err => console.warn('Response cache write failed', err.message));
+    }
+    res.set('X-Cache', 'MISS');
+    return json(body);
+  };
+  return next();
+};
+
+// X-Data-Degraded-Since while the service is serving cached data instead of live DocuSign data
+export const degradedDataHeaders = (service) => (req, res, next) => {
+  const { degraded } = service.getStatus();
+  if (degraded) {
+    res.set('X-Data-Degraded-Since', degraded.since);
+    res.set('X-Data-Degraded-Reason', degraded.reason);
+  }
+  next();
+};
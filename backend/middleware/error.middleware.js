@@ -0,0 +1,15 @@
+// Last handler on the router. Service errors carry the HTTP `status` to answer
+// with (docusign.service.js); DocuSign's own 4xx answers other than 404 and 429
+// are our configuration's fault, not the caller's, so they become 502.
+// Express's own errors (e.g. a malformed JSON body) set `expose` and keep theirs.
+
+const PASSED_THROUGH = [404, 429, 503];
+
+export const errorHandler = () => (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  let status = 500;
+  if (PASSED_THROUGH.includes(err.status) || (err.expose && err.status < 500)) status = err.status;
+  else if (err.status >= 400) status = 502;
+  if (status >= 500) console.error(`${req.method} ${req.originalUrl} failed:`, err.message);
+  return res.status(status).json({ error: err.message, ...(err.code && { code: err.code }) });
+};
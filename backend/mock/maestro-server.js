@@ -0,0 +1,164 @@
+import { createServer } from 'node:http';
+import { createVerify } from 'node:crypto';
+import { mockWorkflowDefinitions, getMockDefinition, generateMockInstances, startMockTestRun, getMockTestRun } from '../../mock-data.js';
+
+// Local stand-in for DocuSign's OAuth and Maestro APIs, serving the dashboard's
+// mock workflows. Point the service at it to exercise the JWT grant, paging,
+// caching and the request budget without a DocuSign account:
+//
+//   const maestro = await startMockMaestroServer({ tokenTtl: 60, rateLimit: 50 });
+//   DOCUSIGN_AUTH_SERVER=maestro.url DOCUSIGN_API_BASE_URL=maestro.url
+//
+// Tokens expire after `tokenTtl` seconds, calls beyond `rateLimit` per hour get
+// 429, and `setAvailable(false)` makes every API call fail with 503.
+
+const HOUR = 3600000;
+const MAX_WINDOW_HOURS = 90 * 24;
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(data));
+  req.on('error', reject);
+});
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const page = (items, key, query) => {
+  const start = Number(query.get('start_position') || 0);
+  const count = Number(query.get('count') || 100);
+  const slice = items.slice(start, start + count);
+  return { [key]: slice, startPosition: start, resultSetSize: slice.length, totalSetSize: items.length };
+};
+
+const describeDefinition = ({ profile, ...definition }) => definition;
+
+export function startMockMaestroServer({
+  port = 0,
+  integrationKey,
+  // PEM public key; when set, assertions must be signed with the matching private key
+  publicKey,
+  tokenTtl = 3600,
+  rateLimit = 1000,
+  clock = () => new Date()
+} = {}) {
+  const tokens = new Map();
+  const stats = { tokenRequests: 0, apiCalls: 0, rejected: 0 };
+  let windowStart = clock().getTime();
+  let windowCalls = 0;
+  let available = true;
+
+  const issueToken = async (req, res) => {
+    stats.tokenRequests += 1;
+    const form = new URLSearchParams(await readBody(req));
+    if (form.get('grant_type') !== 'urn:ietf:params:oauth:grant-type:jwt-bearer') {
+      return send(res, 400, { error: 'unsupported_grant_type' });
+    }
+    const [header, payload, signature] = (form.get('assertion') || '').split('.');
+    let claims;
+    try {
+      claims = decodeSegment(payload);
+    } catch {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'malformed assertion' });
+    }
+    if (!claims.iss || !claims.sub || (integrationKey && claims.iss !== integrationKey)) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'unknown integration key' });
+    }
+    if (claims.exp * 1000 < clock().getTime()) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'assertion expired' });
+    }
+    if (publicKey && !createVerify('RSA-SHA256').update(`${header}.${payload}`).verify(publicKey, signature, 'base64url')) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'signature does not match' });
+    }
+    const accessToken = `mock-token-${stats.tokenRequests}`;
+    tokens.set(accessToken, clock().getTime() + tokenTtl * 1000);
+    return send(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: tokenTtl });
+  };
+
+  // Fixed hourly window, reported the way DocuSign does
+  const rateLimitHeaders = () => {
+    if (clock().getTime() - windowStart >= HOUR) {
+      windowStart = clock().getTime();
+      windowCalls = 0;
+    }
+    return {
+      'X-RateLimit-Limit': String(rateLimit),
+      'X-RateLimit-Remaining': String(Math.max(0, rateLimit - windowCalls)),
+      'X-RateLimit-Reset': String(Math.ceil((windowStart + HOUR) / 1000))
+    };
+  };
+
+  const handleApi = async (req, res, parts, query) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!tokens.has(token) || tokens.get(token) <= clock().getTime()) {
+      stats.rejected += 1;
+      return send(res, 401, { error: 'invalid_token' });
+    }
+    if (windowCalls >= rateLimit && clock().getTime() - windowStart < HOUR) {
+      stats.rejected += 1;
+      const retryAfter = String(Math.ceil((windowStart + HOUR - clock().getTime()) / 1000));
+      return send(res, 429, { error: 'rate_limit_exceeded' }, { ...rateLimitHeaders(), 'Retry-After': retryAfter });
+    }
+    const headers = rateLimitHeaders();
+    windowCalls += 1;
+    stats.apiCalls += 1;
+    headers['X-RateLimit-Remaining'] = String(rateLimit - windowCalls);
+    if (!available) return send(res, 503, { error: 'service_unavailable' }, headers);
+
+    // parts: ['workflows', workflowId?, 'instances'?, instanceId?]
+    const [, workflowId, child, instanceId] = parts;
+    if (!workflowId) {
+      return send(res, 200, page(mockWorkflowDefinitions.map(describeDefinition), 'workflows', query), headers);
+    }
+    const definition = getMockDefinition(workflowId);
+    if (!definition) return send(res, 404, { error: 'workflow_not_found' }, headers);
+    if (!child) return send(res, 200, describeDefinition(definition), headers);
+    if (child !== 'instances') return send(res, 404, { error: 'not_found' }, headers);
+
+    if (req.method === 'POST') {
+      const body = JSON.parse((await readBody(req)) || '{}');
+      return send(res, 201, startMockTestRun(workflowId, body.inputs), headers);
+    }
+    if (instanceId) {
+      const instance = getMockTestRun(instanceId)
+        || generateMockInstances(definition, { now: clock() }).find(i => i.instanceId === instanceId);
+      return instance ? send(res, 200, instance, headers) : send(res, 404, { error: 'instance_not_found' }, headers);
+    }
+    const from = query.get('from_date') ? new Date(query.get('from_date')) : new Date(clock().getTime() - 24 * HOUR);
+    const until = query.get('to_date') ? new Date(query.get('to_date')) : null;
+    const windowHours = Math.min(MAX_WINDOW_HOURS, Math.max(1, Math.ceil((clock() - from) / HOUR)));
+    return send(res, 200, page(generateMockInstances(definition, { now: clock(), windowHours, until }), 'instances', query), headers);
+  };
+
+  const route = (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/oauth/token' && req.method === 'POST') return issueToken(req, res);
+    // /v2.1/accounts/{accountId}/maestro/workflows/...
+    const match = url.pathname.match(/^\/v2\.1\/accounts\/[^/]+\/maestro\/(workflows(?:\/.*)?)$/);
+    if (!match) return send(res, 404, { error: 'not_found' });
+    return handleApi(req, res, match[1].split('/').map(decodeURIComponent), url.searchParams);
+  };
+
+  const server = createServer((req, res) => {
+    Promise.resolve(route(req, res)).catch(err => send(res, 500, { error: 'internal', error_description: err.message }));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        stats: () => ({ ...stats }),
+        setAvailable: (value) => {
+          available = value;
+        },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
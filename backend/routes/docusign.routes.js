@@ -0,0 +1,236 @@
+import { Router, json } from 'express';
+import { UNRESTRICTED_USER, canSeeDepartment, scopeWorkflows } from '../../access-control.js';
+import { pageInstances, DEFAULT_PAGE_SIZE } from '../../workflow-providers.js';
+import { assembleStatusPage, STATUS_PAGE_WINDOWS } from '../../workflow-uptime.js';
+import { DEFAULT_THRESHOLD_CONFIG } from '../../health-thresholds.js';
+import { cacheResponse, degradedDataHeaders } from '../middleware/cache.middleware.js';
+import { authenticate, requirePermission } from '../middleware/auth.middleware.js';
+import { errorHandler } from '../middleware/error.middleware.js';
+
+// The routes createHttpProvider() and createHttpSnapshotStore() call, mounted
+// at /api/docusign (see README → API Endpoints). `docusign` is the service from
+// createDocuSignServiceFromConfig(), `cache` the tiered cache it was given.
+
+const MAX_PAGE_SIZE = 100;
+
+const dateParam = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const positiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Snapshots hold every workflow; each user only gets back the ones they can see
+const scopeSnapshot = (snapshot, user) => snapshot && { ...snapshot, workflows: scopeWorkflows(snapshot.workflows, user) };
+
+const byWorkflow = (entries, visible) => Object.fromEntries(Object.entries(entries).filter(([, entry]) => visible(entry.workflowId)));
+
+// Each shared state, reduced to the workflows `visible(workflowId)` lets through
+const scopeIssueState = ({ records, audit }, visible) => ({
+  records: byWorkflow(records, visible),
+  audit: audit.filter(entry => visible(entry.workflowId))
+});
+
+const scopeAdoptionState = ({ adoptions }, visible) => ({ adoptions: byWorkflow(adoptions, visible) });
+
+// Payloads and canaries are keyed by workflow ID
+const byWorkflowId = (entries, visible) => Object.fromEntries(Object.entries(entries).filter(([workflowId]) => visible(workflowId)));
+
+const scopeSyntheticState = ({ payloads, canaries, runs }, visible) => ({
+  payloads: byWorkflowId(payloads, visible),
+  canaries: byWorkflowId(canaries, visible),
+  runs: runs.filter(run => visible(run.workflowId))
+});
+
+// Viewers only get the overrides of workflows they can see
+const scopeThresholdState = (state, visible) => ({
+  ...state,
+  config: { ...state.config, overrides: byWorkflowId(state.config.overrides || {}, visible) }
+});
+
+// Audit entries and adoptions name the signed-in user; without access control the dashboard's "Acting as" name is kept
+const actorOf = (req) => (req.user === UNRESTRICTED_USER ? req.body?.actor : req.user.name || req.user.email || req.user.id);
+
+export function createDocuSignRouter({
+  docusign,
+  cache,
+  verifyToken,
+  thresholds = DEFAULT_THRESHOLD_CONFIG,
+  thresholdStore,
+  snapshotStore,
+  alertEngine,
+  issueStore,
+  adoptionStore,
+  syntheticStore,
+  liveStream
+}) {
+  const router = Router();
+
+  // Saved by an admin through /thresholds, or `thresholds` until then
+  const thresholdState = async () => {
+    const state = thresholdStore ? await thresholdStore.getState() : null;
+    return { updatedAt: null, updatedBy: null, ...state, config: state?.config || thresholds };
+  };
+
+  // Whether the user can see a workflow, by the cached definitions' departments
+  const visibleTo = async (user) => {
+    const departments = new Map((await docusign.listWorkflows()).map(definition => [definition.id, definition.department]));
+    return (workflowId) => canSeeDepartment(user, departments.get(workflowId));
+  };
+
+  // GET {path} and POST {path}/actions, as createHttpStore() (shared-store.js) calls them
+  const sharedState = (path, store, { permission, scope }) => {
+    router.get(path, async (req, res) => {
+      res.json(scope(await store.getState(), await visibleTo(req.user)));
+    });
+    router.post(`${path}/actions`, requirePermission(permission), async (req, res) => {
+      const visible = await visibleTo(req.user);
+      if (!visible(req.body?.workflowId)) return res.status(404).json({ error: `Workflow ${req.body?.workflowId} not found` });
+      const state = await store.dispatch({ ...req.body, actor: actorOf(req) });
+      return res.json(scope(state, visible));
+    });
+  };
+
+  router.use(json());
+  router.use(degradedDataHeaders(docusign));
+
+  // Monitoring probes have no user
+  router.get('/health', (req, res) => res.json(docusign.getStatus()));
+
+  // Public: only what buildStatusPage() lets through, the same for everyone
+  const statusWindow = (req) => (STATUS_PAGE_WINDOWS.includes(req.query.window) ? req.query.window : '30d');
+  router.get('/status', cacheResponse({ cache, tier: 'history', key: (req) => `response:status:${statusWindow(req)}` }), async (req, res) => {
+    const page = await assembleStatusPage({
+      fetchWorkflows: () => docusign.getWorkflows(),
+      fetchHistory: (workflowId, { window }) => docusign.getHistory(workflowId, { window })
+    }, { window: statusWindow(req), thresholdConfig: (await thresholdState()).config });
+    if (!page.complete) res.set('X-Data-Partial', 'true');
+    res.json(page);
+  });
+
+  // EventSource cannot send the access token; with access control on, the
+  // stream takes a short-lived token from POST /stream/token instead
+  if (liveStream) {
+    router.get('/stream', (req, res) => {
+      const user = verifyToken ? liveStream.verifyToken(req.query.token) : UNRESTRICTED_USER;
+      if (!user) return res.status(401).json({ error: 'A valid stream token is required' });
+      return liveStream.connect(req, res, user);
+    });
+  }
+
+  router.use(authenticate({ verifyToken }));
+
+  if (liveStream) router.post('/stream/token', (req, res) => res.json(liveStream.issueToken(req.user)));
+
+  router.get('/workflows', cacheResponse({ cache }), async (req, res) => {
+    res.json(scopeWorkflows(await docusign.getWorkflows(), req.user));
+  });
+
+  // A workflow outside the user's departments is answered as if it did not exist
+  router.param('id', async (req, res, next, id) => {
+    try {
+      const definition = await docusign.getDefinition(id);
+      if (!canSeeDepartment(req.user, definition.department)) {
+        return res.status(404).json({ error: `Workflow ${id} not found` });
+      }
+      req.definition = definition;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  router.get('/workflows/:id', (req, res) => res.json({ ...req.definition, id: req.params.id }));
+
+  // `since`/`until` answer every instance in the range (history, comparison);
+  // `page` answers one page of the last 24h (the executions list)
+  router.get('/workflows/:id/instances', async (req, res) => {
+    const { since, until, page, pageSize, status, errorCode } = req.query;
+    const from = since === undefined ? undefined : dateParam(since);
+    const to = until === undefined ? undefined : dateParam(until);
+    if (from === null || to === null) return res.status(400).json({ error: 'since and until must be ISO dates' });
+
+    const instances = await docusign.getInstances(req.params.id, { ...(from && { since: from }), ...(to && { until: to }) });
+    if (page === undefined) return res.json(instances);
+    return res.json(pageInstances(instances, {
+      status,
+      errorCode,
+      page: positiveInt(page, 1),
+      pageSize: Math.min(positiveInt(pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE)
+    }));
+  });
+
+  router.get('/workflows/:id/instances/:instanceId', async (req, res) => {
+    res.json(await docusign.getInstance(req.params.id, req.params.instanceId));
+  });
+
+  router.post('/workflows/:id/test-runs', requirePermission('tests:run'), async (req, res) => {
+    res.status(201).json(await docusign.startInstance(req.params.id, { payload: req.body?.payload }));
+  });
+
+  router.post('/cache/clear', requirePermission('cache:clear'), async (req, res) => {
+    res.json(await docusign.clearCache());
+  });
+
+  if (issueStore) sharedState('/issues', issueStore, { permission: 'issues:act', scope: scopeIssueState });
+  if (adoptionStore) sharedState('/adoptions', adoptionStore, { permission: 'recommendations:adopt', scope: scopeAdoptionState });
+  if (syntheticStore) sharedState('/synthetic', syntheticStore, { permission: 'tests:run', scope: scopeSyntheticState });
+
+  // Read by every dashboard, the alert engine and /status. An admin who sees only
+  // some departments keeps the other workflows' overrides as they were.
+  router.get('/thresholds', async (req, res) => {
+    res.json(scopeThresholdState(await thresholdState(), await visibleTo(req.user)));
+  });
+  if (thresholdStore) {
+    router.post('/thresholds/actions', requirePermission('thresholds:edit'), async (req, res) => {
+      const visible = await visibleTo(req.user);
+      const { config: current } = await thresholdState();
+      const config = req.body?.config && {
+        ...req.body.config,
+        overrides: {
+          ...byWorkflowId(req.body.config.overrides || {}, visible),
+          ...byWorkflowId(current.overrides || {}, (workflowId) => !visible(workflowId))
+        }
+      };
+      const state = await thresholdStore.dispatch({ ...req.body, config, actor: actorOf(req) });
+      // The status page is judged by these thresholds
+      await cache.clear('response:status:');
+      res.json(scopeThresholdState(state, visible));
+    });
+  }
+
+  // Evaluated by the server (createServer); each user gets their departments' alerts
+  if (alertEngine) {
+    router.get('/alerts', (req, res) => {
+      const visible = (alert) => canSeeDepartment(req.user, alert.department);
+      res.json({ active: alertEngine.getActive().filter(visible), history: alertEngine.getHistory().filter(visible) });
+    });
+  }
+
+  if (snapshotStore) {
+    router.get('/snapshots', async (req, res) => {
+      const from = req.query.from === undefined ? new Date(0) : dateParam(req.query.from);
+      const to = req.query.to === undefined ? new Date() : dateParam(req.query.to);
+      if (!from || !to) return res.status(400).json({ error: 'from and to must be ISO dates' });
+      return res.json(await snapshotStore.list({ from, to }));
+    });
+
+    router.get('/snapshots/latest', async (req, res) => {
+      const snapshot = await snapshotStore.latest();
+      return snapshot ? res.json(scopeSnapshot(snapshot, req.user)) : res.status(404).json({ error: 'No snapshots yet' });
+    });
+
+    router.get('/snapshots/at', async (req, res) => {
+      const time = dateParam(req.query.time);
+      if (!time) return res.status(400).json({ error: 'time must be an ISO date' });
+      const snapshot = await snapshotStore.at(time);
+      return snapshot ? res.json(scopeSnapshot(snapshot, req.user)) : res.status(404).json({ error: `No snapshot at or before ${time.toISOString()}` });
+    });
+  }
+
+  router.use(errorHandler());
+  return router;
+}
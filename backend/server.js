@@ -0,0 +1,109 @@
+import express from 'express';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { loadDocuSignConfig } from './config/docusign.config.js';
+import { createTieredCache, createCacheStore } from './services/cache.service.js';
+import { createDocuSignServiceFromConfig } from './services/docusign.service.js';
+import { createFileSnapshotStore } from './services/snapshot.service.js';
+import { createWorkflowMonitor, DEFAULT_MONITOR_INTERVAL } from './services/workflow-monitor.service.js';
+import { createStateStore } from './services/state-store.service.js';
+import { createLiveStream } from './services/live-stream.service.js';
+import { createStubTokenVerifier } from './middleware/auth.middleware.js';
+import { createDocuSignRouter } from './routes/docusign.routes.js';
+import { loadAlertConfig } from './config/alerts.config.js';
+import { createSnapshotRecorder } from '../workflow-snapshots.js';
+import { createAlertEngine } from '../alert-engine.js';
+import { DEFAULT_THRESHOLD_CONFIG, applyThresholds, applyThresholdAction, EMPTY_THRESHOLD_STATE } from '../health-thresholds.js';
+import { applyIssueAction, EMPTY_ISSUE_STATE } from '../issue-lifecycle.js';
+import { applyAdoptionAction, EMPTY_ADOPTION_STATE } from '../recommendation-adoption.js';
+import { applySyntheticAction, createCanaryScheduler, EMPTY_SYNTHETIC_STATE } from '../synthetic-runs.js';
+
+// Backend entry: `npm start` reads .env and serves the routes at /api/docusign.
+// Deployments with an identity provider call createServer() themselves and pass
+// `verifyToken` (see README → Access Control).
+
+const positive = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export async function createServer({
+  env = process.env,
+  verifyToken,
+  connectors,
+  anomalyConfig,
+  thresholds = DEFAULT_THRESHOLD_CONFIG,
+  alertChannels = [],
+  fetchImpl,
+  snapshotStore
+} = {}) {
+  const config = loadDocuSignConfig(env);
+  // One cache for the service and the response cache, so clearing it clears both
+  const cache = createTieredCache({ store: await createCacheStore({ redisUrl: config.redisUrl }), ttl: config.ttl });
+  const docusign = await createDocuSignServiceFromConfig(config, { connectors, anomalyConfig, fetchImpl, cache });
+
+  if (!verifyToken && env.AUTH_MODE === 'stub') verifyToken = createStubTokenVerifier();
+  if (!verifyToken) console.warn('No token verifier configured: access control is off and every request sees all workflows');
+
+  // What people do from the dashboard, shared by everyone; kept in STATE_DIR when set
+  const stateFile = (name) => (env.STATE_DIR ? join(env.STATE_DIR, `${name}.json`) : undefined);
+  if (!env.STATE_DIR) console.warn('No STATE_DIR configured: thresholds, issue states, adoptions and test payloads are kept in memory and lost on restart');
+  // Admins' threshold edits; `thresholds` is the configuration until one is saved
+  const thresholdStore = createStateStore({ reducer: applyThresholdAction, initialState: EMPTY_THRESHOLD_STATE, file: stateFile('thresholds') });
+  const currentThresholds = async () => (await thresholdStore.getState()).config || thresholds;
+
+  // Snapshots and alerts are taken here, once over every workflow, not by each
+  // open dashboard over its user's departments
+  const monitor = createWorkflowMonitor({ docusign, interval: positive(env.MONITOR_INTERVAL_MS, DEFAULT_MONITOR_INTERVAL) });
+  const alertConfig = loadAlertConfig(env);
+  const alertEngine = createAlertEngine({ ...alertConfig, channels: [...alertConfig.channels, ...alertChannels] });
+  monitor.subscribe(async ({ workflows }) => alertEngine.evaluate(applyThresholds(workflows, await currentThresholds())));
+  const liveStream = createLiveStream({ monitor, ...(env.STREAM_TOKEN_SECRET && { secret: env.STREAM_TOKEN_SECRET }) });
+  if (!snapshotStore && env.SNAPSHOT_DIR) snapshotStore = createFileSnapshotStore({ dir: env.SNAPSHOT_DIR });
+  if (snapshotStore) {
+    const recorder = createSnapshotRecorder({ store: snapshotStore });
+    monitor.subscribe(({ workflows }) => recorder.record(workflows));
+  }
+
+  const issueStore = createStateStore({ reducer: applyIssueAction, initialState: EMPTY_ISSUE_STATE, file: stateFile('issues') });
+  const adoptionStore = createStateStore({ reducer: applyAdoptionAction, initialState: EMPTY_ADOPTION_STATE, file: stateFile('adoptions') });
+  const syntheticStore = createStateStore({ reducer: applySyntheticAction, initialState: EMPTY_SYNTHETIC_STATE, file: stateFile('synthetic') });
+
+  // Canaries run here, so they keep running with no dashboard open and only once however many are
+  const canaries = createCanaryScheduler({
+    store: syntheticStore,
+    provider: {
+      startTestRun: (workflowId, { payload }) => docusign.startInstance(workflowId, { payload }),
+      fetchInstance: (workflowId, instanceId) => docusign.getInstance(workflowId, instanceId)
+    },
+    checkEvery: positive(env.CANARY_CHECK_INTERVAL_MS, 60000)
+  });
+
+  const app = express();
+  app.disable('x-powered-by');
+  app.use('/api/docusign', createDocuSignRouter({
+    docusign,
+    cache,
+    verifyToken,
+    thresholds,
+    thresholdStore,
+    snapshotStore,
+    alertEngine,
+    issueStore,
+    adoptionStore,
+    syntheticStore,
+    liveStream
+  }));
+
+  return { app, docusign, monitor, alertEngine, canaries };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { app, monitor, canaries } = await createServer();
+  const port = positive(process.env.PORT, 3001);
+  app.listen(port, () => {
+    console.log(`DocuSign dashboard backend listening on http://localhost:${port}`);
+    monitor.start();
+    canaries.start();
+  });
+}
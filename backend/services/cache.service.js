@@ -0,0 +1,106 @@
+// Cache stores and the tiered cache used by docusign.service.js.
+//
+// A store is any object with async `get(key)`, `set(key, value, ttlSeconds)`,
+// `del(key)` and `clear(prefix)`; values are plain JSON. The memory store suits
+// a single backend process, Redis shares the cache between instances.
+
+export const DEFAULT_CACHE_TTL = {
+  // Workflow definitions change infrequently
+  definitions: 3600,
+  // 7-day history behind each card's trend arrow
+  history: 3600,
+  instances: 300,
+  // Days of instances that ended over a day ago; their runs have finished
+  archive: 86400,
+  // Aggregated metrics shown on the dashboard
+  health: 120
+};
+
+export function createMemoryCache({ clock = () => Date.now(), maxEntries = 5000 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= clock()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    set: async (key, value, ttlSeconds) => {
+      // Oldest first, so the first key is the one to drop
+      entries.delete(key);
+      if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+      entries.set(key, { value, expiresAt: clock() + ttlSeconds * 1000 });
+    },
+    del: async (key) => {
+      entries.delete(key);
+    },
+    clear: async (prefix = '') => {
+      [...entries.keys()].filter(key => key.startsWith(prefix)).forEach(key => entries.delete(key));
+    }
+  };
+}
+
+// `client` is a connected node-redis v4 client (createClient({ url }).connect())
+export function createRedisCache({ client, namespace = 'docusign-dashboard:' }) {
+  if (!client) throw new Error('Redis cache needs a connected client');
+
+  return {
+    name: 'redis',
+    get: async (key) => {
+      const raw = await client.get(namespace + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    set: async (key, value, ttlSeconds) => {
+      await client.set(namespace + key, JSON.stringify(value), { EX: Math.max(1, Math.ceil(ttlSeconds)) });
+    },
+    del: async (key) => {
+      await client.del(namespace + key);
+    },
+    // SCAN rather than KEYS, so clearing never blocks Redis
+    clear: async (prefix = '') => {
+      const keys = [];
+      for await (const key of client.scanIterator({ MATCH: `${namespace}${prefix}*`, COUNT: 500 })) keys.push(key);
+      if (keys.length > 0) await client.del(keys);
+    }
+  };
+}
+
+// Redis when REDIS_URL is set, otherwise memory
+export async function createCacheStore({ redisUrl } = {}) {
+  if (!redisUrl) return createMemoryCache();
+  const { createClient } = await import('redis');
+  const client = createClient({ url: redisUrl });
+  client.on('error', (err) => console.warn('Redis error', err.message));
+  await client.connect();
+  return createRedisCache({ client });
+}
+
+// Entries are kept for `staleFor` seconds after they stop being fresh, so the
+// service can fall back to them when DocuSign is unreachable or the request
+// budget is spent.
+export function createTieredCache({ store = createMemoryCache(), ttl = DEFAULT_CACHE_TTL, staleFor = 24 * 3600, clock = () => Date.now() } = {}) {
+  return {
+    store,
+    ttl,
+
+    // { value, storedAt, fresh } or null
+    read: async (key) => {
+      const entry = await store.get(key);
+      if (!entry) return null;
+      return { value: entry.value, storedAt: entry.storedAt, fresh: entry.freshUntil > clock() };
+    },
+
+    write: async (key, tier, value) => {
+      if (!ttl[tier]) throw new Error(`Unknown cache tier "${tier}"`);
+      const storedAt = clock();
+      await store.set(key, { value, storedAt, freshUntil: storedAt + ttl[tier] * 1000 }, ttl[tier] + staleFor);
+    },
+
+    clear: (prefix) => store.clear(prefix)
+  };
+}
@@ -0,0 +1,86 @@
+import { createSign } from 'node:crypto';
+
+// DocuSign JWT grant (https://developers.docusign.com/platform/auth/jwt/).
+// The JWT grant has no refresh token: a new assertion is signed whenever the
+// access token is close to expiry. Concurrent callers share one token request.
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// The `aud` claim is the auth server's host name, without scheme
+const audience = (authServer) => new URL(authServer).host;
+
+export function signJwtAssertion({ integrationKey, userId, authServer, privateKey, scopes, now = new Date(), lifetime = 3600 }) {
+  const iat = Math.floor(now.getTime() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    iss: integrationKey,
+    sub: userId,
+    aud: audience(authServer),
+    iat,
+    exp: iat + lifetime,
+    scope: scopes.join(' ')
+  }));
+  const signature = createSign('RSA-SHA256').update(`${header}.${payload}`).sign(privateKey, 'base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+export function createJwtAuth({
+  integrationKey,
+  userId,
+  authServer,
+  privateKey,
+  scopes = ['signature', 'impersonation'],
+  // Refresh this long before the token expires, so no request carries an expiring token
+  refreshMargin = 5 * 60000,
+  fetchImpl = (...args) => fetch(...args),
+  clock = () => new Date()
+}) {
+  let token = null;
+  let inFlight = null;
+
+  const requestToken = async () => {
+    const assertion = signJwtAssertion({ integrationKey, userId, authServer, privateKey, scopes, now: clock() });
+    const response = await fetchImpl(`${authServer.replace(/\/$/, '')}/oauth/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }).toString()
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      // `consent_required` means the one-time consent URL in the README has not been visited
+      const error = new Error(`DocuSign JWT grant failed: ${body.error || response.status}${body.error_description ? ` (${body.error_description})` : ''}`);
+      error.status = response.status;
+      error.code = body.error;
+      throw error;
+    }
+    const lifetime = Number(body.expires_in || 3600) * 1000;
+    return { accessToken: body.access_token, expiresAt: clock().getTime() + lifetime, lifetime };
+  };
+
+  // A token that lives shorter than the margin is still used for half its life
+  const isFresh = () => token && token.expiresAt - Math.min(refreshMargin, token.lifetime / 2) > clock().getTime();
+
+  return {
+    getAccessToken: async () => {
+      if (isFresh()) return token.accessToken;
+      if (!inFlight) {
+        inFlight = requestToken()
+          .then(next => {
+            token = next;
+            return next;
+          })
+          .finally(() => {
+            inFlight = null;
+          });
+      }
+      return (await inFlight).accessToken;
+    },
+
+    // After a 401 the token was revoked or rotated early; the next call signs a new assertion
+    invalidate: () => {
+      token = null;
+    },
+
+    getStatus: () => ({ hasToken: Boolean(token), expiresAt: token ? new Date(token.expiresAt).toISOString() : null })
+  };
+}
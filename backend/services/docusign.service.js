@@ -0,0 +1,263 @@
+import { computeWorkflowMetrics } from '../../workflow-metrics.js';
+import { buildHistory, HISTORY_WINDOWS } from '../../workflow-history.js';
+import { learnBaselines, withBaselines, DEFAULT_ANOMALY_CONFIG } from '../../anomaly-detection.js';
+import { createJwtAuth } from './docusign-auth.service.js';
+import { createTieredCache, createCacheStore } from './cache.service.js';
+import { createRequestBudget } from './request-budget.service.js';
+
+// DocuSign Maestro integration for the backend routes.
+//
+// Every read goes through the tiered cache: definitions, 7-day trends and
+// anomaly baselines for an hour, instance lists for 5 minutes, computed workflow health for 2 minutes. A cache miss
+// spends one call (or one per page) from the request budget. When the budget
+// is spent, DocuSign rate-limits us or cannot be reached, the last cached copy
+// is served instead and `getStatus().degraded` says since when.
+//
+// Instances are read one UTC day at a time, so a 90-day window never runs into
+// the paging limit and every window shares the days it has in common. A day
+// that ended more than a day ago no longer changes and stays in the archive
+// tier. A day with more pages than `maxPages` fails rather than coming back short.
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+const toError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+// The UTC days [since, until) touches, as [start, end) pairs
+const daysBetween = (since, until) => {
+  const days = [];
+  for (let start = Math.floor(since.getTime() / DAY) * DAY; start < until.getTime(); start += DAY) {
+    days.push([new Date(start), new Date(start + DAY)]);
+  }
+  return days;
+};
+
+// A week of rolling baselines keeps anomaly detection to the instances the trend
+// already reads; hour-of-week baselines need `baselineDays` of at least 21
+export const SERVICE_ANOMALY_CONFIG = { ...DEFAULT_ANOMALY_CONFIG, baselineDays: 7 };
+
+const normalizeInstance = (instance) => ({
+  ...instance,
+  synthetic: Boolean(instance.synthetic || instance.metadata?.synthetic)
+});
+
+export function createDocuSignService({
+  accountId,
+  apiBaseUrl,
+  auth,
+  cache = createTieredCache(),
+  budget = createRequestBudget(),
+  connectors = [],
+  // null turns anomaly detection off
+  anomalyConfig = SERVICE_ANOMALY_CONFIG,
+  pageSize = 100,
+  maxPages = 50,
+  fetchImpl = (...args) => fetch(...args),
+  clock = () => new Date()
+}) {
+  if (!accountId || !apiBaseUrl || !auth) throw new Error('DocuSign service needs accountId, apiBaseUrl and auth');
+  // The baseline days plus the longest window they are compared with, and never less than the trend's week
+  const longestWindowHours = anomalyConfig ? Math.max(...Object.values(anomalyConfig.metrics).map(m => m.windowHours)) : 0;
+  const historyDays = anomalyConfig ? Math.max(7, anomalyConfig.baselineDays + Math.ceil(longestWindowHours / 24)) : 7;
+  const basePath = `${apiBaseUrl.replace(/\/$/, '')}/v2.1/accounts/${encodeURIComponent(accountId)}/maestro`;
+  const loading = new Map();
+  let degraded = null;
+  let lastError = null;
+
+  const call = async (path, { method = 'GET', query, body, priority = false, retried = false } = {}) => {
+    if (!budget.tryTake({ priority })) {
+      throw toError('DocuSign request budget exhausted', 503, 'BUDGET_EXHAUSTED');
+    }
+    const token = await auth.getAccessToken();
+    const url = `${basePath}${path}${query ? `?${new URLSearchParams(query)}` : ''}`;
+    const response = await fetchImpl(url, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${token}`,
+        ...(body !== undefined && { 'Content-Type': 'application/json' })
+      },
+      ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+    budget.observe(response.headers);
+
+    if (response.status === 401 && !retried) {
+      auth.invalidate();
+      return call(path, { method, query, body, priority, retried: true });
+    }
+    if (response.status === 429) {
+      budget.block(response.headers.get('retry-after'));
+      throw toError(`DocuSign rate limit reached on ${path}`, 429, 'RATE_LIMITED');
+    }
+    if (!response.ok) {
+      throw toError(`DocuSign request to ${path} failed: ${response.status} ${response.statusText}`, response.status);
+    }
+    degraded = null;
+    return response.json();
+  };
+
+  // Follows start_position/count paging until totalSetSize items are read
+  const fetchAllPages = async (path, key, query = {}) => {
+    const items = [];
+    for (let page = 0; page < maxPages; page++) {
+      const body = await call(path, { query: { ...query, count: String(pageSize), start_position: String(items.length) } });
+      const batch = body[key] || [];
+      items.push(...batch);
+      const total = Number(body.totalSetSize ?? items.length);
+      if (batch.length === 0 || items.length >= total) return items;
+    }
+    throw toError(`DocuSign returned more than ${maxPages} pages for ${path}`, 502, 'RESULT_TRUNCATED');
+  };
+
+  // Fresh entry, else load (one load per key at a time), else the stale entry
+  const cached = async (key, tier, load) => {
+    const hit = await cache.read(key);
+    if (hit?.fresh) return hit.value;
+
+    if (!loading.has(key)) {
+      loading.set(key, load()
+        .then(async value => {
+          await cache.write(key, tier, value);
+          return value;
+        })
+        .finally(() => loading.delete(key)));
+    }
+    try {
+      return await loading.get(key);
+    } catch (err) {
+      lastError = { message: err.message, code: err.code ?? null, at: clock().toISOString() };
+      if (!hit) throw err;
+      degraded = degraded || { since: clock().toISOString(), reason: err.code || 'UPSTREAM_ERROR' };
+      return hit.value;
+    }
+  };
+
+  const listWorkflows = () => cached('workflows', 'definitions', () => fetchAllPages('/workflows', 'workflows'));
+
+  const getDefinition = (workflowId) => cached(
+    `workflow:${workflowId}:definition`,
+    'definitions',
+    () => call(`/workflows/${encodeURIComponent(workflowId)}`)
+  );
+
+  const getDay = (workflowId, [start, end]) => cached(
+    `workflow:${workflowId}:instances:${start.toISOString()}`,
+    end.getTime() <= clock().getTime() - DAY ? 'archive' : 'instances',
+    async () => (await fetchAllPages(`/workflows/${encodeURIComponent(workflowId)}/instances`, 'instances', {
+      from_date: start.toISOString(),
+      to_date: end.toISOString()
+    })).map(normalizeInstance)
+  );
+
+  // Newest first, as DocuSign lists them
+  const getInstances = async (workflowId, { since = new Date(clock().getTime() - DAY), until = clock() } = {}) => {
+    const days = await Promise.all(daysBetween(since, until).reverse().map(day => getDay(workflowId, day)));
+    return days.flat().filter(instance => new Date(instance.startedAt) >= since && new Date(instance.startedAt) < until);
+  };
+
+  // The trend and the baselines read the same instances. That is many pages, and
+  // neither needs them fresher than the history tier: the trend compares two
+  // halves of a week, and a baseline's latest window may lag by up to an hour.
+  const getAnalysis = (workflowId) => cached(`workflow:${workflowId}:history`, 'history', async () => {
+    const now = clock();
+    const [definition, history] = await Promise.all([
+      getDefinition(workflowId),
+      getInstances(workflowId, { since: new Date(now.getTime() - historyDays * DAY) })
+    ]);
+    const real = history.filter(instance => !instance.synthetic);
+    const week = real.filter(instance => new Date(instance.startedAt).getTime() >= now.getTime() - 7 * DAY);
+    return {
+      trend: buildHistory(week, definition, { window: '7d', now }).trend,
+      baselines: anomalyConfig ? learnBaselines(real, { now, config: anomalyConfig }) : null
+    };
+  });
+
+  // Metrics over the last 24h, as rendered on the workflow cards
+  const getWorkflowHealth = (workflowId) => cached(`workflow:${workflowId}:health`, 'health', async () => {
+    const now = clock();
+    const [definition, instances, { trend, baselines }] = await Promise.all([
+      getDefinition(workflowId),
+      getInstances(workflowId),
+      getAnalysis(workflowId)
+    ]);
+    const workflow = { ...computeWorkflowMetrics({ ...definition, id: workflowId }, instances, { now, connectors }), trend };
+    return baselines ? withBaselines(workflow, baselines, anomalyConfig) : workflow;
+  });
+
+  return {
+    listWorkflows,
+    getDefinition,
+    getInstances,
+    getWorkflowHealth,
+
+    // One workflow that cannot be loaded (and has nothing cached) is left out, not fatal
+    getWorkflows: async () => {
+      const definitions = await listWorkflows();
+      const results = await Promise.allSettled(definitions.map(definition => getWorkflowHealth(definition.id)));
+      if (definitions.length > 0 && results.every(result => result.status === 'rejected')) throw results[0].reason;
+      return results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    },
+
+    // Bucketed history of one window, for the status page's uptime
+    getHistory: (workflowId, { window = '30d' } = {}) => cached(`workflow:${workflowId}:history:${window}`, 'history', async () => {
+      const now = clock();
+      const [definition, instances] = await Promise.all([
+        getDefinition(workflowId),
+        getInstances(workflowId, { since: new Date(now.getTime() - HISTORY_WINDOWS[window].durationMs) })
+      ]);
+      return buildHistory(instances.filter(instance => !instance.synthetic), definition, { window, now });
+    }),
+
+    // Running instances are never cached: test runs poll them for step progress
+    getInstance: async (workflowId, instanceId) => {
+      const key = `workflow:${workflowId}:instance:${instanceId}`;
+      const hit = await cache.read(key);
+      if (hit) return hit.value;
+      const instance = normalizeInstance(await call(
+        `/workflows/${encodeURIComponent(workflowId)}/instances/${encodeURIComponent(instanceId)}`,
+        { priority: true }
+      ));
+      if (instance.status !== 'in_progress') await cache.write(key, 'instances', instance);
+      return instance;
+    },
+
+    // Test runs (synthetic-runs.js): the instance is flagged so metrics leave it out
+    startInstance: async (workflowId, { payload = {} } = {}) => {
+      const body = await call(`/workflows/${encodeURIComponent(workflowId)}/instances`, {
+        method: 'POST',
+        body: { inputs: payload, metadata: { synthetic: true } },
+        priority: true
+      });
+      return { instanceId: body.instanceId, startedAt: body.startedAt ?? clock().toISOString() };
+    },
+
+    clearCache: async () => {
+      await cache.clear('');
+      degraded = null;
+      return { cleared: true };
+    },
+
+    getStatus: () => ({
+      degraded,
+      lastError,
+      cache: cache.store.name,
+      budget: budget.getStatus(),
+      auth: auth.getStatus()
+    })
+  };
+}
+
+// Service wired from loadDocuSignConfig(). Pass `cache` to share it with the
+// response cache (middleware/cache.middleware.js).
+export async function createDocuSignServiceFromConfig(config, { connectors, fetchImpl, cache, anomalyConfig } = {}) {
+  return createDocuSignService({
+    accountId: config.accountId,
+    apiBaseUrl: config.apiBaseUrl,
+    auth: createJwtAuth({ ...config, ...(fetchImpl && { fetchImpl }) }),
+    cache: cache || createTieredCache({ store: await createCacheStore({ redisUrl: config.redisUrl }), ttl: config.ttl }),
+    budget: createRequestBudget(config.requestBudget),
+    connectors,
+    ...(anomalyConfig !== undefined && { anomalyConfig }),
+    ...(fetchImpl && { fetchImpl })
+  });
+}
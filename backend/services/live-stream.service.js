@@ -0,0 +1,82 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { canSeeDepartment, scopeWorkflows } from '../../access-control.js';
+import { diffWorkflows } from '../../live-updates.js';
+
+// Server-Sent Events stream of workflow changes (see live-updates.js for the
+// events), computed after each poll of the workflow monitor and filtered per
+// client to the user's departments.
+//
+// EventSource cannot send an Authorization header, so the dashboard first trades
+// its access token for a stream token (POST /stream/token) and passes that in
+// the URL. Stream tokens are signed with `secret`, name the user, and only open
+// a stream for `tokenTtlMs`; an open stream stays open. Give every backend
+// process the same STREAM_TOKEN_SECRET when they sit behind one load balancer.
+
+export const DEFAULT_STREAM_TOKEN_TTL = 60000;
+
+const sign = (secret, payload) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+export function createLiveStream({
+  monitor,
+  secret = randomBytes(32),
+  tokenTtlMs = DEFAULT_STREAM_TOKEN_TTL,
+  heartbeatMs = 25000,
+  clock = () => new Date()
+}) {
+  const clients = new Set();
+  let workflows = monitor.latest()?.workflows || [];
+
+  const send = (client, event) => client.res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+  // Which workflow an event is about, so it only goes to users who can see it.
+  // A removed workflow is only in the previous list, so `byId` covers both.
+  const departmentOf = (event, byId) => {
+    if (event.type === 'workflow') return event.workflow.department;
+    return byId.get(event.id ?? event.workflowId)?.department;
+  };
+
+  monitor.subscribe(({ workflows: next }) => {
+    const events = diffWorkflows(workflows, next);
+    const byId = new Map([...workflows, ...next].map(workflow => [workflow.id, workflow]));
+    workflows = next;
+    if (events.length === 0) return;
+    clients.forEach(client => events
+      .filter(event => canSeeDepartment(client.user, departmentOf(event, byId)))
+      .forEach(event => send(client, event)));
+  });
+
+  setInterval(() => clients.forEach(client => send(client, { type: 'heartbeat' })), heartbeatMs).unref?.();
+
+  return {
+    issueToken: (user) => {
+      const expiresAt = clock().getTime() + tokenTtlMs;
+      const payload = Buffer.from(JSON.stringify({ user, exp: expiresAt })).toString('base64url');
+      return { token: `${payload}.${sign(secret, payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+    },
+
+    // The user the token was issued to, or null when it is forged or expired
+    verifyToken: (token) => {
+      const [payload, signature] = String(token || '').split('.');
+      if (!payload || !signature) return null;
+      const expected = Buffer.from(sign(secret, payload));
+      const given = Buffer.from(signature);
+      if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+      try {
+        const { user, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return exp > clock().getTime() ? user : null;
+      } catch {
+        return null;
+      }
+    },
+
+    // Starts with the user's workflows as they stand (once the monitor has polled), then sends each change
+    connect: (req, res, user) => {
+      res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.flushHeaders();
+      const client = { res, user };
+      clients.add(client);
+      if (workflows.length > 0) send(client, { type: 'snapshot', workflows: scopeWorkflows(workflows, user) });
+      req.on('close', () => clients.delete(client));
+    }
+  };
+}
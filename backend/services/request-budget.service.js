@@ -0,0 +1,56 @@
+// DocuSign API request budget. DocuSign allows about 1000 calls per hour per
+// integration and answers 429 beyond that, so calls are counted in a sliding
+// window and refused before the limit is reached. `reserve` keeps a few calls
+// back for interactive requests (instance drill-down, test runs), which are
+// made with `{ priority: true }`. DocuSign's own rate limit headers correct
+// the count when other processes share the integration key.
+
+export function createRequestBudget({ limit = 1000, windowMs = 3600000, reserve = 50, clock = () => Date.now() } = {}) {
+  let calls = [];
+  // From rate limit headers or a 429: nothing more until this time
+  let blockedUntil = 0;
+
+  const prune = () => {
+    const since = clock() - windowMs;
+    calls = calls.filter(at => at > since);
+  };
+
+  const available = (priority) => (priority ? limit : limit - reserve);
+
+  return {
+    // Take one call from the budget; false when the caller should use cached data instead
+    tryTake: ({ priority = false } = {}) => {
+      prune();
+      if (clock() < blockedUntil || calls.length >= available(priority)) return false;
+      calls.push(clock());
+      return true;
+    },
+
+    // X-RateLimit-Remaining / X-RateLimit-Reset (epoch seconds) from DocuSign responses
+    observe: (headers) => {
+      if (headers.get('x-ratelimit-remaining') === null || headers.get('x-ratelimit-reset') === null) return;
+      const remaining = Number(headers.get('x-ratelimit-remaining'));
+      const resetAt = Number(headers.get('x-ratelimit-reset')) * 1000;
+      prune();
+      // Calls made elsewhere with the same key count until DocuSign's window resets
+      while (calls.length < limit - remaining) calls.unshift(resetAt - windowMs);
+      if (remaining <= 0) blockedUntil = resetAt;
+    },
+
+    // After a 429: wait for Retry-After (seconds), or a minute
+    block: (retryAfterSeconds) => {
+      blockedUntil = clock() + (Number(retryAfterSeconds) || 60) * 1000;
+    },
+
+    getStatus: () => {
+      prune();
+      return {
+        limit,
+        used: calls.length,
+        remaining: Math.max(0, limit - calls.length),
+        windowMs,
+        blockedUntil: blockedUntil > clock() ? new Date(blockedUntil).toISOString() : null
+      };
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import { mkdir, readdir, readFile, appendFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+
+// Server-side snapshot stores, with the same interface as the browser's
+// (see workflow-snapshots.js). Record with createSnapshotRecorder on a timer,
+// so history keeps growing while no dashboard is open.
+
+const iso = (time) => (time instanceof Date ? time : new Date(time)).toISOString();
+
+// One JSON-lines file per UTC day: snapshots-2025-01-28.jsonl
+export function createFileSnapshotStore({ dir }) {
+  if (!dir) throw new Error('File snapshot store needs a directory');
+  const fileFor = (takenAt) => join(dir, `snapshots-${takenAt.slice(0, 10)}.jsonl`);
+  const dayOf = (name) => name.slice('snapshots-'.length, 'snapshots-'.length + 10);
+
+  const days = async () => {
+    await mkdir(dir, { recursive: true });
+    return (await readdir(dir)).filter(name => /^snapshots-\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort();
+  };
+
+  // A crash mid-append leaves a half-written last line; that snapshot is skipped, not the day
+  const readDay = async (name) => (await readFile(join(dir, name), 'utf8'))
+    .split('\n')
+    .filter(Boolean)
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+
+  // Walks back a day at a time, so a gap in recording (or an empty day file) does not hide older snapshots
+  const newest = async (until = null) => {
+    const names = (await days()).filter(name => !until || dayOf(name) <= until.slice(0, 10)).reverse();
+    for (const name of names) {
+      const match = (await readDay(name)).filter(s => !until || s.takenAt <= until).pop();
+      if (match) return match;
+    }
+    return null;
+  };
+
+  // Snapshots between two times, oldest first; only the files for those days are read
+  const between = async (from, to) => {
+    const names = (await days()).filter(name => dayOf(name) >= from.slice(0, 10) && dayOf(name) <= to.slice(0, 10));
+    const snapshots = (await Promise.all(names.map(readDay))).flat();
+    return snapshots.filter(s => s.takenAt >= from && s.takenAt <= to).sort((a, b) => (a.takenAt < b.takenAt ? -1 : 1));
+  };
+
+  return {
+    name: 'file',
+    save: async (snapshot) => {
+      await mkdir(dir, { recursive: true });
+      await appendFile(fileFor(snapshot.takenAt), `${JSON.stringify(snapshot)}\n`);
+    },
+    latest: () => newest(),
+    list: async ({ from = new Date(0), to = new Date() } = {}) =>
+      (await between(iso(from), iso(to))).map(s => s.takenAt),
+    at: (time) => newest(iso(time)),
+    // Whole days only: a day's file goes once all of it is older than `before`
+    prune: async (before) => {
+      const day = iso(before).slice(0, 10);
+      const old = (await days()).filter(name => dayOf(name) < day);
+      await Promise.all(old.map(name => rm(join(dir, name))));
+    }
+  };
+}
+
+// `db` is a better-sqlite3 Database (new Database('snapshots.db')). The table
+// name goes into the SQL as is, so it must be a plain identifier.
+export function createSqliteSnapshotStore({ db, table = 'snapshots' }) {
+  if (!db) throw new Error('SQLite snapshot store needs a database');
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) throw new Error(`Invalid snapshot table name: ${table}`);
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (taken_at TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+  const statements = {
+    save: db.prepare(`INSERT OR REPLACE INTO ${table} (taken_at, data) VALUES (?, ?)`),
+    latest: db.prepare(`SELECT data FROM ${table} ORDER BY taken_at DESC LIMIT 1`),
+    list: db.prepare(`SELECT taken_at FROM ${table} WHERE taken_at BETWEEN ? AND ? ORDER BY taken_at`),
+    at: db.prepare(`SELECT data FROM ${table} WHERE taken_at <= ? ORDER BY taken_at DESC LIMIT 1`),
+    prune: db.prepare(`DELETE FROM ${table} WHERE taken_at < ?`)
+  };
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+  return {
+    name: 'sqlite',
+    save: async (snapshot) => {
+      statements.save.run(snapshot.takenAt, JSON.stringify(snapshot));
+    },
+    latest: async () => parse(statements.latest.get()),
+    list: async ({ from = new Date(0), to = new Date() } = {}) =>
+      statements.list.all(iso(from), iso(to)).map(row => row.taken_at),
+    at: async (time) => parse(statements.at.get(iso(time))),
+    prune: async (before) => {
+      statements.prune.run(iso(before));
+    }
+  };
+}
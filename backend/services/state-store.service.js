@@ -0,0 +1,51 @@
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// Server side of createHttpStore() (shared-store.js): one state shared by every
+// user, changed only by the same reducer the browser stores use. Actions are
+// applied one at a time. With `file` the state survives restarts; it is written
+// to a temporary file and renamed, so a crash never leaves half of it behind.
+
+export function createStateStore({ reducer, initialState, file, clock = () => new Date() }) {
+  let state = initialState;
+
+  const load = async () => {
+    if (!file) return;
+    try {
+      state = JSON.parse(await readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`Could not read ${file}, starting empty`, err.message);
+    }
+  };
+
+  const save = async () => {
+    if (!file) return;
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify(state));
+    await rename(`${file}.tmp`, file);
+  };
+
+  let queue = load();
+
+  return {
+    name: file ? 'file' : 'memory',
+    getState: async () => {
+      await queue;
+      return state;
+    },
+    // The reducer's errors are the caller's mistake (e.g. resolving a resolved issue), so they answer 400
+    dispatch: (action) => {
+      const run = queue.then(async () => {
+        try {
+          state = reducer(state, { ...action, at: clock().toISOString() });
+        } catch (err) {
+          throw Object.assign(err, { status: 400, expose: true });
+        }
+        await save();
+        return state;
+      });
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
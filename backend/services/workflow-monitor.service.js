@@ -0,0 +1,50 @@
+// Polls the DocuSign service for every workflow, whoever is watching, and hands
+// each result to the subscribers: the snapshot recorder, and anything else that
+// must see all workflows rather than one user's departments.
+
+export const DEFAULT_MONITOR_INTERVAL = 60000;
+
+export function createWorkflowMonitor({ docusign, interval = DEFAULT_MONITOR_INTERVAL }) {
+  const subscribers = new Set();
+  let timer = null;
+  let latest = null;
+
+  const poll = async () => {
+    let workflows;
+    try {
+      workflows = await docusign.getWorkflows();
+    } catch (err) {
+      console.warn('Workflow poll failed', err.message);
+      return null;
+    }
+    latest = { workflows, at: new Date().toISOString() };
+    // One failing subscriber must not keep the others from running
+    await Promise.all([...subscribers].map(async (subscriber) => {
+      try {
+        await subscriber(latest);
+      } catch (err) {
+        console.warn('Workflow monitor subscriber failed', err.message);
+      }
+    }));
+    return latest;
+  };
+
+  return {
+    poll,
+    latest: () => latest,
+    subscribe: (subscriber) => {
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+    start: () => {
+      if (timer) return;
+      poll();
+      timer = setInterval(poll, interval);
+      timer.unref?.();
+    },
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,521 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { GitCompare, X, RefreshCw } from 'lucide-react';
+import { HISTORY_WINDOWS } from './workflow-history.js';
+import {
+  COMPARISON_LIMITS,
+  PERIOD_PRESETS,
+  presetRanges,
+  rangeFromDates,
+  toDateInput,
+  formatRange,
+  comparisonBucketMs,
+  compareMetrics,
+  formatDelta,
+  diffIssues,
+  diffFailureReasons
+} from './workflow-comparison.js';
+import { toSegments } from './trend-charts.jsx';
+import { tokens, toneOf, badgeStyle, labelStyle, sectionTitleStyle } from './design-tokens.js';
+
+const MODES = [
+  { value: 'workflows', label: 'Workflows' },
+  { value: 'periods', label: 'Time periods' }
+];
+
+// Each column keeps its color and dash pattern everywhere, so the lines can be
+// told apart without color too
+const COLUMN_STYLES = [
+  { color: 'rgb(96, 165, 250)', dash: undefined },
+  { color: 'rgb(167, 139, 250)', dash: '6 3' },
+  { color: 'rgb(52, 211, 153)', dash: '2 3' },
+  { color: 'rgb(251, 146, 60)', dash: '8 3 2 3' }
+];
+
+const CHANGE_TONES = { better: 'healthy', resolved: 'healthy', worse: 'critical', new: 'critical', changed: 'info', same: 'neutral' };
+const CHANGE_LABELS = { better: 'Better', resolved: 'Resolved', worse: 'Worse', new: 'New', changed: 'Changed' };
+
+const CHART_WIDTH = 386;
+const CHART_HEIGHT = 80;
+const PADDING = { top: 8, right: 4, bottom: 4, left: 4 };
+
+const chipStyle = (active) => ({
+  padding: '0.25rem 0.5rem',
+  background: active ? 'rgba(96, 165, 250, 0.2)' : 'transparent',
+  border: active ? '1px solid rgba(96, 165, 250, 0.5)' : `1px solid ${tokens.color.border.default}`,
+  borderRadius: tokens.radius.sm,
+  color: active ? 'var(--text-accent)' : tokens.color.text.muted,
+  font: 'inherit',
+  fontSize: '0.75rem',
+  cursor: 'pointer'
+});
+
+const inputStyle = {
+  padding: '0.35rem 0.5rem',
+  background: tokens.color.surface.insetStrong,
+  border: `1px solid ${tokens.color.border.default}`,
+  borderRadius: tokens.radius.sm,
+  color: tokens.color.text.default,
+  font: 'inherit',
+  fontSize: '0.8rem'
+};
+
+const cellStyle = {
+  padding: '0.5rem 0.75rem',
+  borderBottom: `1px solid ${tokens.color.border.subtle}`,
+  textAlign: 'left',
+  verticalAlign: 'top',
+  fontSize: '0.8rem'
+};
+
+const headerCellStyle = { ...cellStyle, color: tokens.color.text.faint, fontWeight: '500' };
+
+// Whole days shown in the date inputs for a range whose `to` is exclusive
+const toDays = ({ from, to }) => ({ from: toDateInput(from), to: toDateInput(new Date(to.getTime() - 1)) });
+
+const Swatch = ({ index }) => (
+  <svg width="18" height="6" aria-hidden="true" style={{ flexShrink: 0 }}>
+    <line x1="0" x2="18" y1="3" y2="3" stroke={COLUMN_STYLES[index].color} strokeWidth="2" strokeDasharray={COLUMN_STYLES[index].dash} />
+  </svg>
+);
+
+const ChangeBadge = ({ change }) => (CHANGE_LABELS[change]
+  ? <span style={{ ...badgeStyle(CHANGE_TONES[change]), marginLeft: '0.35rem' }}>{CHANGE_LABELS[change]}</span>
+  : null);
+
+// One line per column, plotted by time since the column's start so ranges on
+// different dates overlay
+const OverlayChart = ({ title, series, span, minY }) => {
+  const values = series.flatMap(s => s.points.map(p => p.value)).filter(v => v !== null && v !== undefined);
+  const low = minY ?? 0;
+  const high = Math.max(low + 1, ...values);
+  const x = (offset) => PADDING.left + (offset / span) * (CHART_WIDTH - PADDING.left - PADDING.right);
+  const y = (value) => CHART_HEIGHT - PADDING.bottom - ((value - low) / (high - low)) * (CHART_HEIGHT - PADDING.top - PADDING.bottom);
+
+  return (
+    <div style={{ padding: '0.75rem', background: tokens.color.surface.inset, borderRadius: tokens.radius.md }}>
+      <p style={{ ...labelStyle, marginBottom: '0.5rem' }}>{title}</p>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        style={{ width: '100%', height: 'auto', display: 'block' }}
+        role="img"
+        aria-label={`${title} over time for ${series.map(s => s.label).join(', ')}`}
+      >
+        {series.map((s, index) => toSegments(s.points).map((segment, idx) => (
+          <polyline
+            key={`${index}-${idx}`}
+            fill="none"
+            stroke={COLUMN_STYLES[index].color}
+            strokeDasharray={COLUMN_STYLES[index].dash}
+            strokeWidth="1.75"
+            strokeLinejoin="round"
+            points={segment.map(p => `${x(p.time)},${y(p.value)}`).join(' ')}
+          />
+        )))}
+      </svg>
+    </div>
+  );
+};
+
+const TREND_CHARTS = [
+  { key: 'completionRate', title: 'Completion Rate' },
+  { key: 'executions', title: 'Executions' },
+  { key: 'failures', title: 'Failures' },
+  { key: 'avgDuration', title: 'Avg Duration' }
+];
+
+// Two to four workflows over the same range, or one workflow over two ranges,
+// in columns. The first column is the baseline the others are compared with;
+// in period mode that is the earlier period.
+export default function ComparisonView({ provider, workflows, initialWorkflowIds = [], onClose }) {
+  const [mode, setMode] = useState('workflows');
+  const [workflowIds, setWorkflowIds] = useState(initialWorkflowIds.slice(0, COMPARISON_LIMITS.max));
+  const [range, setRange] = useState('7d');
+  const [periodWorkflowId, setPeriodWorkflowId] = useState(initialWorkflowIds[0] || workflows[0]?.id || '');
+  const [preset, setPreset] = useState('week');
+  const [customDays, setCustomDays] = useState(() => presetRanges('week').map(toDays));
+  // Ranges end at this moment until the user reloads
+  const [now, setNow] = useState(() => new Date());
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const titleRef = useRef(null);
+
+  useEffect(() => {
+    titleRef.current?.focus();
+  }, []);
+
+  // The columns to load, or a hint when the choices don't make a comparison yet
+  const request = useMemo(() => {
+    try {
+      if (mode === 'workflows') {
+        if (workflowIds.length < COMPARISON_LIMITS.min) {
+          return { columns: [], hint: `Pick at least ${COMPARISON_LIMITS.min} workflows to compare.` };
+        }
+        const from = new Date(now.getTime() - HISTORY_WINDOWS[range].durationMs);
+        return { columns: workflowIds.map(workflowId => ({ workflowId, from, to: now })) };
+      }
+      if (!periodWorkflowId) return { columns: [], hint: 'Pick a workflow to compare.' };
+      const ranges = preset === 'custom'
+        ? customDays.map(days => rangeFromDates(days.from, days.to))
+        : presetRanges(preset, now);
+      return { columns: ranges.map(r => ({ workflowId: periodWorkflowId, ...r })) };
+    } catch (err) {
+      return { columns: [], hint: err.message };
+    }
+  }, [mode, workflowIds, range, periodWorkflowId, preset, customDays, now]);
+
+  useEffect(() => {
+    if (!provider.fetchPeriod || request.columns.length === 0) return undefined;
+    const controller = new AbortController();
+    const bucketMs = comparisonBucketMs(request.columns);
+    setLoading(true);
+    setError(null);
+
+    Promise.all(request.columns.map(({ workflowId, from, to }) => (
+      provider.fetchPeriod(workflowId, { from, to, bucketMs, signal: controller.signal })
+    )))
+      .then(periods => {
+        if (controller.signal.aborted) return;
+        setResult({ request, periods });
+        setLoading(false);
+      })
+      .catch(err => {
+        if (controller.signal.aborted) return;
+        setError(err);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [provider, request]);
+
+  const nameOf = (workflowId) => workflows.find(w => w.id === workflowId)?.name || workflowId;
+  const periods = result?.request === request ? result.periods : null;
+  const labels = request.columns.map(column => (mode === 'workflows' ? nameOf(column.workflowId) : formatRange(column)));
+
+  const changeMode = (value) => {
+    setMode(value);
+    if (value === 'periods' && workflowIds[0]) setPeriodWorkflowId(workflowIds[0]);
+  };
+
+  const updateCustomDays = (index, changes) => setCustomDays(days => days.map((d, i) => (i === index ? { ...d, ...changes } : d)));
+
+  const columnHeaders = (first) => (
+    <tr>
+      <th scope="col" style={headerCellStyle}>{first}</th>
+      {labels.map((label, index) => (
+        <th key={index} scope="col" style={headerCellStyle}>
+          <span style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', color: tokens.color.text.default }}>
+            <Swatch index={index} />
+            {label}
+          </span>
+          {periods && (
+            <span style={{ display: 'block', marginTop: '0.15rem', fontSize: '0.7rem' }}>
+              {periods[index].metrics.executions} runs{index === 0 && ' · baseline'}
+            </span>
+          )}
+        </th>
+      ))}
+    </tr>
+  );
+
+  const span = Math.max(1, ...request.columns.map(({ from, to }) => to - from));
+  const series = (key) => periods.map((period, index) => ({
+    label: labels[index],
+    points: period.buckets.map(b => ({
+      time: new Date(b.start).getTime() - new Date(period.from).getTime(),
+      value: b[key]
+    }))
+  }));
+  const completionFloor = periods
+    ? Math.min(50, ...periods.flatMap(p => p.buckets).filter(b => b.completionRate !== null).map(b => Math.floor(b.completionRate / 10) * 10))
+    : 0;
+
+  const metricRows = periods ? compareMetrics(periods) : [];
+  const issueRows = periods ? diffIssues(periods) : [];
+  const reasonRows = periods ? diffFailureReasons(periods) : [];
+
+  if (!provider.fetchPeriod) return null;
+
+  return (
+    <section
+      aria-labelledby="comparison-title"
+      onKeyDown={(e) => {
+        if (e.key !== 'Escape') return;
+        e.stopPropagation();
+        onClose();
+      }}
+      style={{
+        marginBottom: '2rem',
+        background: tokens.color.surface.default,
+        border: `1px solid ${tokens.color.border.default}`,
+        borderRadius: tokens.radius.xl,
+        padding: tokens.space.xl,
+        animation: 'fadeInUp 0.4s ease-out'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1.25rem' }}>
+        <h2
+          id="comparison-title"
+          ref={titleRef}
+          tabIndex={-1}
+          style={{
+            fontSize: '1.1rem',
+            fontWeight: '600',
+            margin: 0,
+            marginRight: 'auto',
+            color: tokens.color.text.strong,
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}
+        >
+          <GitCompare size={18} style={{ color: '#60a5fa' }} aria-hidden="true" />
+          Compare
+          {loading && <RefreshCw size={14} style={{ color: tokens.color.text.faint, animation: 'pulse 2s ease-in-out infinite' }} />}
+        </h2>
+        <button
+          onClick={() => setNow(new Date())}
+          aria-label="Reload comparison"
+          title="Reload up to now"
+          style={{ display: 'flex', background: 'transparent', border: 'none', color: tokens.color.text.muted, cursor: 'pointer' }}
+        >
+          <RefreshCw size={16} />
+        </button>
+        <button
+          onClick={onClose}
+          aria-label="Close comparison"
+          style={{ display: 'flex', background: 'transparent', border: 'none', color: tokens.color.text.muted, cursor: 'pointer' }}
+        >
+          <X size={18} />
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', marginBottom: '1.25rem' }}>
+        <div role="group" aria-label="Compare by" style={{ display: 'flex', gap: '0.25rem' }}>
+          {MODES.map(option => (
+            <button
+              key={option.value}
+              onClick={() => changeMode(option.value)}
+              aria-pressed={mode === option.value}
+              style={chipStyle(mode === option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {mode === 'workflows' ? (
+          <>
+            {workflowIds.map((workflowId, index) => (
+              <span
+                key={workflowId}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.35rem',
+                  padding: '0.25rem 0.25rem 0.25rem 0.5rem',
+                  background: tokens.color.surface.inset,
+                  borderRadius: tokens.radius.sm,
+                  fontSize: '0.8rem'
+                }}
+              >
+                <Swatch index={index} />
+                {nameOf(workflowId)}
+                <button
+                  onClick={() => setWorkflowIds(ids => ids.filter(id => id !== workflowId))}
+                  aria-label={`Remove ${nameOf(workflowId)} from comparison`}
+                  style={{ display: 'flex', padding: '0.15rem', background: 'transparent', border: 'none', color: tokens.color.text.muted, cursor: 'pointer' }}
+                >
+                  <X size={12} />
+                </button>
+              </span>
+            ))}
+            {workflowIds.length < COMPARISON_LIMITS.max && (
+              <select
+                value=""
+                onChange={(e) => e.target.value && setWorkflowIds(ids => [...ids, e.target.value])}
+                aria-label="Add a workflow to the comparison"
+                style={inputStyle}
+              >
+                <option value="">Add workflow…</option>
+                {workflows.filter(w => !workflowIds.includes(w.id)).map(w => (
+                  <option key={w.id} value={w.id}>{w.name}</option>
+                ))}
+              </select>
+            )}
+            <div role="group" aria-label="Range" style={{ display: 'flex', gap: '0.25rem', marginLeft: 'auto' }}>
+              {Object.keys(HISTORY_WINDOWS).map(key => (
+                <button key={key} onClick={() => setRange(key)} aria-pressed={range === key} style={chipStyle(range === key)}>
+                  {HISTORY_WINDOWS[key].label}
+                </button>
+              ))}
+            </div>
+          </>
+        ) : (
+          <>
+            <select value={periodWorkflowId} onChange={(e) => setPeriodWorkflowId(e.target.value)} aria-label="Workflow" style={inputStyle}>
+              {!periodWorkflowId && <option value="">Pick a workflow…</option>}
+              {workflows.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+            </select>
+            <select value={preset} onChange={(e) => setPreset(e.target.value)} aria-label="Periods" style={inputStyle}>
+              {PERIOD_PRESETS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+            </select>
+            {preset === 'custom' && customDays.map((days, index) => (
+              <fieldset key={index} style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', border: 'none', margin: 0, padding: 0 }}>
+                <legend className="sr-only">{index === 0 ? 'Baseline period' : 'Compared period'}</legend>
+                <Swatch index={index} />
+                <input
+                  type="date"
+                  value={days.from}
+                  onChange={(e) => updateCustomDays(index, { from: e.target.value })}
+                  aria-label="From"
+                  style={inputStyle}
+                />
+                –
+                <input
+                  type="date"
+                  value={days.to}
+                  onChange={(e) => updateCustomDays(index, { to: e.target.value })}
+                  aria-label="To"
+                  style={inputStyle}
+                />
+              </fieldset>
+            ))}
+          </>
+        )}
+      </div>
+
+      {request.hint && (
+        <p style={{ margin: 0, fontSize: '0.875rem', color: tokens.color.text.muted }}>{request.hint}</p>
+      )}
+
+      {error && (
+        <p style={{ margin: '0 0 1rem 0', fontSize: '0.85rem', color: 'var(--text-danger)' }}>
+          Could not load comparison: {error.message}
+        </p>
+      )}
+
+      {periods && (
+        <>
+          <div style={{ overflowX: 'auto', marginBottom: '1.5rem' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', color: tokens.color.text.secondary }}>
+              <caption style={{ textAlign: 'left', fontSize: '0.8rem', color: tokens.color.text.muted, paddingBottom: '0.5rem' }}>
+                Changes are against {labels[0]}
+              </caption>
+              <thead>{columnHeaders('Metric')}</thead>
+              <tbody>
+                {metricRows.map(row => (
+                  <tr key={row.key}>
+                    <th scope="row" style={{ ...cellStyle, fontWeight: '500' }}>{row.label}</th>
+                    {row.cells.map((cell, index) => (
+                      <td key={index} style={cellStyle}>
+                        {cell.value === null ? '—' : row.format(cell.value)}
+                        {cell.delta !== null && (
+                          <span style={{ marginLeft: '0.4rem', fontSize: '0.75rem', color: toneOf(CHANGE_TONES[cell.change]).text }}>
+                            {formatDelta(row, cell.delta)}
+                          </span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h3 style={sectionTitleStyle}>Trends</h3>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginBottom: '0.75rem', fontSize: '0.8rem', color: tokens.color.text.muted }}>
+            {labels.map((label, index) => (
+              <span key={index} style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                <Swatch index={index} />
+                {label}
+              </span>
+            ))}
+            <span style={{ marginLeft: 'auto', color: tokens.color.text.faint }}>
+              By time since the start of each {mode === 'workflows' ? 'range' : 'period'}
+            </span>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '0.75rem', marginBottom: '1.5rem' }}>
+            {TREND_CHARTS.map(chart => (
+              <OverlayChart
+                key={chart.key}
+                title={chart.title}
+                series={series(chart.key)}
+                span={span}
+                minY={chart.key === 'completionRate' ? completionFloor : undefined}
+              />
+            ))}
+          </div>
+
+          <h3 style={sectionTitleStyle}>Issues</h3>
+          {issueRows.length === 0 ? (
+            <p style={{ margin: '0 0 1.5rem 0', fontSize: '0.875rem', color: tokens.color.text.muted }}>
+              No issues detected in any column.
+            </p>
+          ) : (
+            <div style={{ overflowX: 'auto', marginBottom: '1.5rem' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', color: tokens.color.text.secondary }}>
+                <thead>{columnHeaders('Issue')}</thead>
+                <tbody>
+                  {issueRows.map(row => (
+                    <tr key={row.code}>
+                      <th scope="row" style={{ ...cellStyle, fontWeight: '500' }}>{row.label}</th>
+                      {row.cells.map(({ issue, change }, index) => (
+                        <td key={index} style={cellStyle}>
+                          {issue ? (
+                            <span title={issue.message} style={{ color: issue.type === 'error' ? 'var(--text-danger)' : 'var(--text-warning)' }}>
+                              Raised
+                            </span>
+                          ) : <span style={{ color: 'var(--text-disabled)' }}>—</span>}
+                          <ChangeBadge change={change} />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <h3 style={sectionTitleStyle}>Failure Reasons</h3>
+          {reasonRows.length === 0 ? (
+            <p style={{ margin: 0, fontSize: '0.875rem', color: tokens.color.text.muted }}>
+              No failed runs in any column.
+            </p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', color: tokens.color.text.secondary }}>
+                <caption style={{ textAlign: 'left', fontSize: '0.8rem', color: tokens.color.text.muted, paddingBottom: '0.5rem' }}>
+                  Failed runs and share of finished runs
+                </caption>
+                <thead>{columnHeaders('Reason')}</thead>
+                <tbody>
+                  {reasonRows.map(row => (
+                    <tr key={row.reason}>
+                      <th scope="row" style={{ ...cellStyle, fontWeight: '500' }}>
+                        {row.reason}
+                        {row.errorCode && (
+                          <span style={{ display: 'block', fontFamily: tokens.font.mono, fontSize: '0.7rem', color: tokens.color.text.faint }}>
+                            {row.errorCode}
+                          </span>
+                        )}
+                      </th>
+                      {row.cells.map((cell, index) => (
+                        <td key={index} style={cellStyle}>
+                          {cell.count > 0
+                            ? `${cell.count} · ${(cell.rate * 100).toFixed(1)}%`
+                            : <span style={{ color: 'var(--text-disabled)' }}>—</span>}
+                          <ChangeBadge change={cell.change} />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,188 @@
+import { CheckCircle, AlertTriangle, XCircle, TrendingUp } from 'lucide-react';
+
+// Props for each reusable component in its typical states, for the component
+// gallery, screenshots and the portal team's own previews. Each entry is
+// `{ name: props }`; callbacks are left to whoever renders them.
+
+const FIXED_NOW = new Date('2025-03-03T10:00:00Z');
+
+const source = { id: 'prod', label: 'Main', environment: 'production' };
+
+const baseWorkflow = {
+  department: 'HR',
+  avgDuration: '4h 12m',
+  lastRun: '5m ago',
+  lastRunAt: '2025-03-03T09:55:00Z',
+  inProgress: 2,
+  breaches: [],
+  connectors: [],
+  durationPercentiles: { p50: 12600, p95: 31000, p99: 52000 },
+  errorRates: [],
+  topFailedStep: null
+};
+
+const issue = (overrides) => ({
+  key: `wf-002:${overrides.code}`,
+  code: 'timeout',
+  type: 'warning',
+  message: 'Timeout rate elevated: 9 timeouts in last 60 executions (15%)',
+  state: 'open',
+  owner: null,
+  snoozeUntil: null,
+  notes: [],
+  ...overrides
+});
+
+export const ISSUE_FIXTURES = {
+  openError: issue({
+    code: 'api_error',
+    type: 'error',
+    message: 'API connection failures in "Provision AD account": 6 instances'
+  }),
+  openWarning: issue({ code: 'timeout' }),
+  acknowledged: issue({ code: 'expiration', state: 'acknowledged', message: 'Envelope expiration: 3 envelopes expired before completion' }),
+  assigned: issue({
+    code: 'routing_error',
+    type: 'error',
+    state: 'assigned',
+    owner: 'jane.doe',
+    message: 'Routing errors: 4 instances failed conditional routing',
+    notes: [{ actor: 'jane.doe', text: 'Manager field is empty for contractors', at: '2025-03-03T09:30:00Z' }]
+  }),
+  snoozed: issue({ code: 'slow_duration', snoozeUntil: '2025-03-03T14:00:00Z', message: 'Average duration 2.3x the baseline' }),
+  resolved: issue({ code: 'failure_rate_spike', type: 'error', state: 'resolved', message: 'Failure rate 12% is far above the usual 2%' }),
+  suppressed: issue({ code: 'volume_drop', type: 'error', state: 'suppressed', message: 'Execution volume dropped to 30% of the usual' })
+};
+
+export const WORKFLOW_FIXTURES = {
+  healthy: {
+    ...baseWorkflow,
+    id: 'wf-001',
+    name: 'Employee Onboarding',
+    status: 'healthy',
+    completionRate: 97,
+    trend: 'up',
+    executions: 142,
+    failures: 4,
+    issues: [],
+    source
+  },
+  warning: {
+    ...baseWorkflow,
+    id: 'wf-002',
+    name: 'Contractor Agreement',
+    status: 'warning',
+    completionRate: 86,
+    trend: 'stable',
+    executions: 60,
+    failures: 9,
+    issues: [ISSUE_FIXTURES.openWarning, ISSUE_FIXTURES.acknowledged],
+    breaches: [{ metric: 'completionRate', level: 'warning', value: 86, limit: 90 }],
+    source: { id: 'staging', label: 'Staging', environment: 'staging' },
+    topFailedStep: { stepId: 'sponsor-approval', name: 'Sponsor approval', count: 7 }
+  },
+  critical: {
+    ...baseWorkflow,
+    id: 'wf-003',
+    name: 'Access Request',
+    status: 'critical',
+    completionRate: 71,
+    trend: 'down',
+    executions: 88,
+    failures: 25,
+    issues: [ISSUE_FIXTURES.openError, ISSUE_FIXTURES.assigned],
+    breaches: [
+      { metric: 'completionRate', level: 'critical', value: 71, limit: 75 },
+      { metric: 'failures', level: 'critical', value: 25, limit: 20 }
+    ],
+    source,
+    errorRates: [
+      { errorCode: 'API_ERROR', count: 14, rate: 0.16 },
+      { errorCode: 'ROUTING_ERROR', count: 6, rate: 0.07 }
+    ],
+    topFailedStep: { stepId: 'provision-ad', name: 'Provision AD account', count: 14 },
+    connectors: [{ id: 'active-directory', name: 'Active Directory', calls: 80, failures: 14, steps: [{ stepId: 'provision-ad', name: 'Provision AD account', calls: 80, failures: 14 }] }]
+  },
+  unknown: {
+    ...baseWorkflow,
+    id: 'wf-009',
+    name: 'Vendor Offboarding',
+    status: 'unknown',
+    completionRate: null,
+    trend: null,
+    avgDuration: '-',
+    lastRun: 'never',
+    lastRunAt: null,
+    executions: 0,
+    failures: 0,
+    inProgress: 0,
+    issues: [],
+    durationPercentiles: null,
+    source: null
+  }
+};
+
+export const STAT_CARD_FIXTURES = {
+  healthy: { label: 'Healthy Workflows', value: 12, icon: CheckCircle, tone: 'healthy' },
+  warningActive: { label: 'Needs Attention', value: 3, icon: AlertTriangle, tone: 'warning', active: true },
+  critical: { label: 'Critical Issues', value: 1, icon: XCircle, tone: 'critical' },
+  info: { label: 'Avg Completion', value: '91%', icon: TrendingUp, tone: 'info' }
+};
+
+export const WORKFLOW_CARD_FIXTURES = {
+  healthy: { workflow: WORKFLOW_FIXTURES.healthy, openIssues: 0 },
+  warningSelected: { workflow: WORKFLOW_FIXTURES.warning, openIssues: 1, selected: true },
+  criticalWithCanary: {
+    workflow: WORKFLOW_FIXTURES.critical,
+    openIssues: 1,
+    canary: { status: 'failing', passRate: 0.25, runs: 4, consecutiveFailures: 3, lastRun: null }
+  },
+  handledIssues: {
+    workflow: { ...WORKFLOW_FIXTURES.warning, issues: [ISSUE_FIXTURES.resolved, ISSUE_FIXTURES.suppressed] },
+    openIssues: 0
+  },
+  noData: { workflow: WORKFLOW_FIXTURES.unknown, openIssues: 0 }
+};
+
+export const ISSUE_ITEM_FIXTURES = {
+  ...Object.fromEntries(Object.entries(ISSUE_FIXTURES).map(([name, fixture]) => [name, { issue: fixture, actor: 'jane.doe', now: FIXED_NOW }])),
+  readOnly: { issue: ISSUE_FIXTURES.openError, readOnly: true, now: FIXED_NOW },
+  signedOut: { issue: ISSUE_FIXTURES.openWarning, actor: '', now: FIXED_NOW }
+};
+
+const recommendation = (priority, overrides = {}) => ({
+  ruleId: `${priority}-rule`,
+  priority,
+  action: 'Add a reminder after 24h and escalate to the backup approver after 48h',
+  impact: 'Reduce approval timeouts by about 60%',
+  expectedReduction: 0.6,
+  trigger: { metric: 'timeoutRate', value: 0.15, display: '15%' },
+  ...overrides
+});
+
+export const RECOMMENDATION_CARD_FIXTURES = {
+  critical: { recommendation: recommendation('critical', { action: 'Check the Active Directory connector credentials', impact: 'Restore provisioning for 14 failed requests' }) },
+  high: { recommendation: recommendation('high') },
+  medium: { recommendation: recommendation('medium', { action: 'Shorten the envelope expiry warning to 3 days' }) },
+  low: { recommendation: recommendation('low', { action: 'Archive unused templates', impact: 'Less clutter for senders' }) },
+  noLongerTriggered: { recommendation: recommendation('high', { trigger: null }) }
+};
+
+export const DETAIL_PANEL_FIXTURES = {
+  critical: {
+    workflow: WORKFLOW_FIXTURES.critical,
+    connectors: WORKFLOW_FIXTURES.critical.connectors.map(connector => ({
+      ...connector,
+      health: { status: 'critical', affectedWorkflows: ['wf-003', 'wf-006'] }
+    }))
+  },
+  healthy: { workflow: WORKFLOW_FIXTURES.healthy, connectors: [] }
+};
+
+export const FIXTURES = {
+  StatCard: STAT_CARD_FIXTURES,
+  WorkflowCard: WORKFLOW_CARD_FIXTURES,
+  IssueItem: ISSUE_ITEM_FIXTURES,
+  RecommendationCard: RECOMMENDATION_CARD_FIXTURES,
+  DetailPanel: DETAIL_PANEL_FIXTURES
+};
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { THEMES } from './display-themes.js';
+import {
+  STAT_CARD_FIXTURES,
+  WORKFLOW_CARD_FIXTURES,
+  ISSUE_ITEM_FIXTURES,
+  RECOMMENDATION_CARD_FIXTURES,
+  DETAIL_PANEL_FIXTURES
+} from './component-fixtures.js';
+import ThemeScope from './theme-scope.jsx';
+import StatCard from './stat-card.jsx';
+import WorkflowCard from './workflow-card.jsx';
+import IssueItem from './issue-item.jsx';
+import RecommendationCard from './recommendation-card.jsx';
+import DetailPanel, { PerformanceSection, ExternalSystemsSection } from './detail-panel.jsx';
+
+const noop = () => Promise.resolve();
+
+// Visible text, without the comments React puts between adjacent text nodes
+const textOf = (html) => html.replace(/<!-- -->/g, '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const renderInTheme = (theme, element) => renderToStaticMarkup(<ThemeScope theme={theme} motion="reduce">{element}</ThemeScope>);
+
+const ELEMENTS = {
+  StatCard: (props) => <StatCard {...props} onToggle={props.tone === 'info' ? undefined : noop} />,
+  WorkflowCard: (props) => <WorkflowCard {...props} animate={false} onSelect={noop} />,
+  IssueItem: (props) => <IssueItem {...props} onAction={noop} />,
+  RecommendationCard: (props) => <RecommendationCard {...props} />,
+  DetailPanel: ({ workflow, connectors }) => (
+    <DetailPanel workflow={workflow} id={`detail-${workflow.id}`} onPrint={noop} onClose={noop}>
+      <PerformanceSection workflow={workflow} />
+      <ExternalSystemsSection workflow={workflow} connectors={connectors} />
+    </DetailPanel>
+  )
+};
+
+const FIXTURE_SETS = {
+  StatCard: STAT_CARD_FIXTURES,
+  WorkflowCard: WORKFLOW_CARD_FIXTURES,
+  IssueItem: ISSUE_ITEM_FIXTURES,
+  RecommendationCard: RECOMMENDATION_CARD_FIXTURES,
+  DetailPanel: DETAIL_PANEL_FIXTURES
+};
+
+const cases = Object.entries(FIXTURE_SETS).flatMap(([component, fixtures]) => (
+  Object.entries(fixtures).map(([name, props]) => [component, name, props])
+));
+
+describe.each(Object.keys(THEMES))('in the %s theme', (theme) => {
+  // Themes only set the scope's CSS variables, so a component's own markup is
+  // the same in every theme
+  it.each(cases)('renders %s %s from the scope\'s variables', (component, name, props) => {
+    const bare = renderToStaticMarkup(ELEMENTS[component](props));
+    const html = renderInTheme(theme, ELEMENTS[component](props));
+    expect(html).toContain(`data-theme="${theme}"`);
+    expect(html).toContain(`--text-strong:${THEMES[theme].vars['--text-strong']}`);
+    expect(html).toContain(bare);
+  });
+});
+
+describe('StatCard', () => {
+  it('shows its label and value', () => {
+    const text = textOf(renderToStaticMarkup(ELEMENTS.StatCard(STAT_CARD_FIXTURES.critical)));
+    expect(text).toBe('Critical Issues 1');
+  });
+
+  it('is a toggle button only with onToggle', () => {
+    expect(renderToStaticMarkup(ELEMENTS.StatCard(STAT_CARD_FIXTURES.warningActive))).toContain('role="button" tabindex="0" aria-pressed="true"');
+    expect(renderToStaticMarkup(ELEMENTS.StatCard(STAT_CARD_FIXTURES.healthy))).toContain('aria-pressed="false"');
+    expect(renderToStaticMarkup(ELEMENTS.StatCard(STAT_CARD_FIXTURES.info))).not.toContain('role="button"');
+  });
+});
+
+describe('WorkflowCard', () => {
+  it('describes the workflow for screen readers', () => {
+    const html = renderToStaticMarkup(ELEMENTS.WorkflowCard(WORKFLOW_CARD_FIXTURES.warningSelected));
+    expect(html).toContain('data-workflow-id="wf-002"');
+    expect(html).toContain('aria-label="Contractor Agreement, status Warning, 86% completion, 9 failures, 1 open issue, Staging"');
+    expect(html).toContain('aria-expanded="true"');
+    expect(html).toContain('aria-controls="workflow-detail-panel"');
+  });
+
+  it('counts open issues apart from handled ones', () => {
+    expect(textOf(renderToStaticMarkup(ELEMENTS.WorkflowCard(WORKFLOW_CARD_FIXTURES.criticalWithCanary)))).toContain('⚠ 1 issue detected');
+    expect(textOf(renderToStaticMarkup(ELEMENTS.WorkflowCard(WORKFLOW_CARD_FIXTURES.handledIssues)))).toContain('✓ 2 issues being handled');
+  });
+
+  it('shows no issue line for a workflow without data', () => {
+    const html = renderToStaticMarkup(ELEMENTS.WorkflowCard(WORKFLOW_CARD_FIXTURES.noData));
+    expect(html).toContain('aria-expanded="false"');
+    expect(textOf(html)).not.toMatch(/issues? (detected|being handled)/);
+  });
+});
+
+describe('IssueItem', () => {
+  it('shows state, owner, message and notes', () => {
+    const text = textOf(renderToStaticMarkup(ELEMENTS.IssueItem(ISSUE_ITEM_FIXTURES.assigned)));
+    expect(text).toContain('assigned @jane.doe Routing errors: 4 instances failed conditional routing');
+    expect(text).toContain('jane.doe : Manager field is empty for contractors');
+  });
+
+  it('offers only the actions allowed from its state', () => {
+    const open = textOf(renderToStaticMarkup(ELEMENTS.IssueItem(ISSUE_ITEM_FIXTURES.openError)));
+    expect(open).toContain('Acknowledge Resolve Suppress Assign');
+    expect(open).not.toContain('Reopen');
+
+    const resolved = textOf(renderToStaticMarkup(ELEMENTS.IssueItem(ISSUE_ITEM_FIXTURES.resolved)));
+    expect(resolved).toContain('Reopen');
+    expect(resolved).not.toContain('Acknowledge');
+  });
+
+  it('renders no actions read-only and disables them without an actor', () => {
+    expect(renderToStaticMarkup(ELEMENTS.IssueItem(ISSUE_ITEM_FIXTURES.readOnly))).not.toContain('<button');
+    const signedOut = renderToStaticMarkup(ELEMENTS.IssueItem(ISSUE_ITEM_FIXTURES.signedOut));
+    expect(signedOut.match(/<button/g).length).toBe(signedOut.match(/<button disabled=""/g).length);
+  });
+
+  it('says until when a snoozed issue is snoozed', () => {
+    expect(textOf(renderToStaticMarkup(ELEMENTS.IssueItem(ISSUE_ITEM_FIXTURES.snoozed)))).toContain('snoozed until');
+  });
+});
+
+describe('RecommendationCard', () => {
+  it('shows priority, action, impact and the rule that fired', () => {
+    const text = textOf(renderToStaticMarkup(ELEMENTS.RecommendationCard(RECOMMENDATION_CARD_FIXTURES.high)));
+    expect(text).toBe('high Add a reminder after 24h and escalate to the backup approver after 48h 💡 Reduce approval timeouts by about 60% rule: high-rule · timeoutRate = 15%');
+  });
+
+  it('says when the rule no longer fires', () => {
+    expect(textOf(renderToStaticMarkup(ELEMENTS.RecommendationCard(RECOMMENDATION_CARD_FIXTURES.noLongerTriggered)))).toContain('rule: high-rule · no longer triggered');
+  });
+});
+
+describe('DetailPanel', () => {
+  it('is a labelled region with print and close buttons', () => {
+    const html = renderToStaticMarkup(ELEMENTS.DetailPanel(DETAIL_PANEL_FIXTURES.critical));
+    expect(html).toContain('id="detail-wf-003" role="region" aria-labelledby="detail-wf-003-title"');
+    expect(html).toContain('aria-label="Print report for Access Request"');
+    expect(html).toContain('aria-label="Close details"');
+    expect(textOf(html)).toContain('Workflow Details : Access Request');
+  });
+
+  it('leaves out buttons without their callbacks', () => {
+    const html = renderToStaticMarkup(<DetailPanel workflow={DETAIL_PANEL_FIXTURES.healthy.workflow} />);
+    expect(html).not.toContain('<button');
+  });
+
+  it('lists external systems and other workflows sharing an outage', () => {
+    const text = textOf(renderToStaticMarkup(ELEMENTS.DetailPanel(DETAIL_PANEL_FIXTURES.critical)));
+    expect(text).toContain('External Systems Active Directory 14/80 Provision AD account');
+    expect(text).toContain('Active Directory outage likely: also failing in wf-006');
+    expect(textOf(renderToStaticMarkup(ELEMENTS.DetailPanel(DETAIL_PANEL_FIXTURES.healthy)))).not.toContain('External Systems');
+  });
+});
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { THEMES } from './display-themes.js';
+import { FIXTURES } from './component-fixtures.js';
+import ThemeScope from './theme-scope.jsx';
+import StatCard from './stat-card.jsx';
+import WorkflowCard from './workflow-card.jsx';
+import IssueItem from './issue-item.jsx';
+import RecommendationCard from './recommendation-card.jsx';
+import DetailPanel, { PerformanceSection, ExternalSystemsSection } from './detail-panel.jsx';
+
+// What a fixture callback was called with, for the action log. Events are
+// not worth printing.
+const describeArgs = (args) => args
+  .map(arg => {
+    if (arg && typeof arg === 'object' && 'nativeEvent' in arg) return 'event';
+    try {
+      return JSON.stringify(arg);
+    } catch (err) {
+      return String(arg);
+    }
+  })
+  .join(', ');
+
+const renderers = (log) => ({
+  StatCard: (props) => <StatCard {...props} onToggle={props.tone === 'info' ? undefined : log('StatCard.onToggle')} />,
+  WorkflowCard: (props) => <WorkflowCard {...props} animate={false} onSelect={log('WorkflowCard.onSelect')} />,
+  IssueItem: (props) => <IssueItem {...props} onAction={log('IssueItem.onAction')} />,
+  RecommendationCard: (props) => <RecommendationCard {...props} />,
+  DetailPanel: ({ workflow, connectors }) => (
+    <DetailPanel workflow={workflow} id={`detail-${workflow.id}`} onPrint={log('DetailPanel.onPrint')} onClose={log('DetailPanel.onClose')}>
+      <PerformanceSection workflow={workflow} />
+      <ExternalSystemsSection workflow={workflow} connectors={connectors} />
+    </DetailPanel>
+  )
+});
+
+// Every fixture of every component, side by side in each theme. Mount it on its
+// own page (e.g. /gallery in development) to review visual changes. Callbacks
+// change nothing; the latest calls are listed under the component picker.
+export default function ComponentGallery({ themes = Object.keys(THEMES) }) {
+  const [component, setComponent] = useState(Object.keys(FIXTURES)[0]);
+  const [actions, setActions] = useState([]);
+
+  const log = (name) => (...args) => {
+    setActions(list => [{ id: Date.now() + Math.random(), name, args: describeArgs(args) }, ...list].slice(0, 10));
+    return Promise.resolve();
+  };
+  const render = renderers(log)[component];
+
+  return (
+    <div style={{ fontFamily: '"DM Sans", system-ui, -apple-system, sans-serif' }}>
+      <nav style={{ display: 'flex', gap: '0.5rem', padding: '1rem' }}>
+        {Object.keys(FIXTURES).map(name => (
+          <button key={name} onClick={() => setComponent(name)} aria-pressed={name === component}>
+            {name}
+          </button>
+        ))}
+      </nav>
+      <ol role="log" aria-label="Action log" style={{ margin: 0, padding: '0 1rem 1rem 2rem', minHeight: '1.5rem', fontSize: '0.75rem', fontFamily: '"JetBrains Mono", monospace' }}>
+        {actions.length === 0 && <li style={{ listStyle: 'none', marginLeft: '-1rem', color: '#64748b' }}>No actions yet</li>}
+        {actions.map(entry => (
+          <li key={entry.id}>{entry.name}({entry.args})</li>
+        ))}
+      </ol>
+      <div style={{ display: 'grid', gridTemplateColumns: `repeat(${themes.length}, 1fr)` }}>
+        {themes.map(theme => (
+          <ThemeScope key={theme} theme={theme} motion="reduce" style={{ background: 'var(--page-background)', padding: '1.5rem', minHeight: '100vh' }}>
+            <h2 style={{ marginTop: 0, color: 'var(--text-strong)' }}>{THEMES[theme].label}</h2>
+            {Object.entries(FIXTURES[component]).map(([name, props]) => (
+              <section key={name} aria-label={`${component} ${name}`} style={{ marginBottom: '1.5rem' }}>
+                <p style={{ margin: '0 0 0.5rem 0', fontSize: '0.75rem', color: 'var(--text-faint)', fontFamily: '"JetBrains Mono", monospace' }}>
+                  {name}
+                </p>
+                {render(props)}
+              </section>
+            ))}
+          </ThemeScope>
+        ))}
+      </div>
+    </div>
+  );
+}
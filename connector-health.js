@@ -0,0 +1,70 @@
+// Health of the external systems (Active Directory, HRIS, ticketing…) that
+// workflows call, aggregated from each workflow's `connectors` usage (see
+// calculateConnectorUsage in workflow-metrics.js). One failing connector shows
+// up as a single outage listing every workflow it affects, instead of several
+// unrelated-looking workflow issues.
+
+export const DEFAULT_CONNECTOR_THRESHOLDS = {
+  // Share of calls failing that marks a connector critical on its own
+  criticalRate: 0.1,
+  // Failures in this many workflows at once point at the connector, not the workflows
+  criticalWorkflows: 2
+};
+
+const STATUS_ORDER = { critical: 0, warning: 1, healthy: 2 };
+
+// With several accounts the same connector name can be two different systems
+const connectorKey = (workflow, connector) => (workflow.source ? `${workflow.source.id}:${connector.id}` : connector.id);
+
+export function aggregateConnectorHealth(workflows, thresholds = DEFAULT_CONNECTOR_THRESHOLDS) {
+  const byKey = new Map();
+
+  workflows.forEach(workflow => (workflow.connectors || []).forEach(connector => {
+    const key = connectorKey(workflow, connector);
+    const entry = byKey.get(key) || {
+      key,
+      id: connector.id,
+      name: connector.name,
+      kind: connector.kind,
+      source: workflow.source || null,
+      calls: 0,
+      failures: 0,
+      lastFailureAt: null,
+      lastError: null,
+      workflows: []
+    };
+    entry.calls += connector.calls;
+    entry.failures += connector.failures;
+    if (connector.lastFailureAt && (!entry.lastFailureAt || connector.lastFailureAt > entry.lastFailureAt)) {
+      entry.lastFailureAt = connector.lastFailureAt;
+      entry.lastError = connector.lastError;
+    }
+    entry.workflows.push({
+      id: workflow.id,
+      name: workflow.name,
+      status: workflow.status,
+      calls: connector.calls,
+      failures: connector.failures,
+      steps: connector.steps
+    });
+    byKey.set(key, entry);
+  }));
+
+  return [...byKey.values()]
+    .map(entry => {
+      const affected = entry.workflows.filter(w => w.failures > 0);
+      const errorRate = entry.calls > 0 ? entry.failures / entry.calls : 0;
+      let status = 'healthy';
+      if (entry.failures > 0) {
+        status = errorRate >= thresholds.criticalRate || affected.length >= thresholds.criticalWorkflows ? 'critical' : 'warning';
+      }
+      return { ...entry, errorRate, status, affectedWorkflows: affected.map(w => w.id) };
+    })
+    .sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || b.failures - a.failures || a.name.localeCompare(b.name));
+}
+
+// Connectors of one workflow with the fleet-wide view of each, for the detail panel
+export const connectorsForWorkflow = (workflow, connectorHealth) => (workflow.connectors || []).map(connector => ({
+  ...connector,
+  health: connectorHealth.find(entry => entry.key === connectorKey(workflow, connector)) || null
+}));
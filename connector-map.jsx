@@ -0,0 +1,151 @@
+import React from 'react';
+import { Network, X } from 'lucide-react';
+import { formatRelativeTime } from './workflow-metrics.js';
+import SourceBadge from './source-badge.jsx';
+
+const cellStyle = {
+  padding: '0.5rem 0.75rem',
+  borderBottom: '1px solid var(--border-subtle)',
+  textAlign: 'left',
+  fontSize: '0.8rem'
+};
+
+const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+// External systems and the workflows that depend on them: one card per
+// connector, then a workflow × connector matrix of the steps that call it.
+export default function ConnectorHealthMap({ connectors, workflows, onSelectWorkflow, onClose, getStatusColor, now = new Date() }) {
+  const dependents = workflows.filter(w => (w.connectors || []).length > 0);
+
+  return (
+    <div style={{
+      marginBottom: '2rem',
+      background: 'var(--surface)',
+      border: '1px solid var(--border)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      animation: 'fadeInUp 0.4s ease-out'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.25rem' }}>
+        <h2 style={{
+          fontSize: '1.1rem',
+          fontWeight: '600',
+          margin: 0,
+          color: 'var(--text-strong)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <Network size={18} style={{ color: '#60a5fa' }} />
+          External Systems
+        </h2>
+        <button
+          onClick={onClose}
+          aria-label="Close external systems"
+          style={{ display: 'flex', background: 'transparent', border: 'none', color: 'var(--text-muted)', cursor: 'pointer' }}
+        >
+          <X size={18} />
+        </button>
+      </div>
+
+      {connectors.length === 0 ? (
+        <p style={{ margin: 0, fontSize: '0.875rem', color: 'var(--text-muted)' }}>
+          No workflow steps are mapped to external connectors.
+        </p>
+      ) : (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+            {connectors.map(connector => (
+              <div
+                key={connector.key}
+                style={{
+                  padding: '1rem',
+                  background: 'var(--inset)',
+                  border: `1px solid ${connector.status === 'healthy' ? 'var(--border)' : getStatusColor(connector.status)}`,
+                  borderRadius: '12px'
+                }}
+              >
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                  <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: getStatusColor(connector.status) }} />
+                  <span style={{ fontWeight: '600', color: 'var(--text-strong)' }}>{connector.name}</span>
+                  {connector.kind && <span style={{ fontSize: '0.75rem', color: 'var(--text-faint)' }}>{connector.kind}</span>}
+                  <span style={{ marginLeft: 'auto' }}><SourceBadge source={connector.source} compact /></span>
+                </div>
+                <p style={{ margin: 0, fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                  {connector.failures} failed of {connector.calls} calls ({pct(connector.errorRate)})
+                  {' · '}used by {connector.workflows.length} workflow{connector.workflows.length === 1 ? '' : 's'}
+                </p>
+                {connector.affectedWorkflows.length > 0 && (
+                  <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.8rem', color: getStatusColor(connector.status) }}>
+                    {connector.status === 'critical' ? 'Outage' : 'Failures'} affecting {connector.affectedWorkflows.length} of {connector.workflows.length}:{' '}
+                    {connector.affectedWorkflows.map((id, idx) => (
+                      <React.Fragment key={id}>
+                        {idx > 0 && ', '}
+                        <button
+                          onClick={() => onSelectWorkflow(id)}
+                          style={{ padding: 0, background: 'none', border: 'none', color: 'inherit', font: 'inherit', textDecoration: 'underline', cursor: 'pointer' }}
+                        >
+                          {id}
+                        </button>
+                      </React.Fragment>
+                    ))}
+                  </p>
+                )}
+                {connector.lastError && (
+                  <p style={{ margin: '0.35rem 0 0 0', fontSize: '0.75rem', color: 'var(--text-faint)' }}>
+                    Last: {connector.lastError} ({formatRelativeTime(connector.lastFailureAt, now)})
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', color: 'var(--text-secondary)' }}>
+              <caption style={{ textAlign: 'left', fontSize: '0.8rem', color: 'var(--text-muted)', paddingBottom: '0.5rem' }}>
+                Steps calling each system (failures / calls)
+              </caption>
+              <thead>
+                <tr>
+                  <th scope="col" style={{ ...cellStyle, color: 'var(--text-faint)' }}>Workflow</th>
+                  {connectors.map(connector => (
+                    <th key={connector.key} scope="col" style={{ ...cellStyle, color: 'var(--text-faint)' }}>{connector.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {dependents.map(workflow => (
+                  <tr key={workflow.id}>
+                    <th scope="row" style={{ ...cellStyle, fontWeight: '500' }}>
+                      <button
+                        onClick={() => onSelectWorkflow(workflow.id)}
+                        style={{ padding: 0, background: 'none', border: 'none', color: 'var(--text)', font: 'inherit', textAlign: 'left', cursor: 'pointer' }}
+                      >
+                        {workflow.name}
+                      </button>
+                    </th>
+                    {connectors.map(connector => {
+                      const usage = connector.workflows.find(w => w.id === workflow.id);
+                      return (
+                        <td key={connector.key} style={cellStyle}>
+                          {usage ? usage.steps.map(step => (
+                            <div key={step.stepId} style={{ color: step.failures > 0 ? getStatusColor(connector.status) : 'var(--text-muted)' }}>
+                              {step.name}{' '}
+                              <span style={{ fontFamily: '"JetBrains Mono", monospace', fontSize: '0.75rem' }}>
+                                {step.failures}/{step.calls}
+                              </span>
+                            </div>
+                          )) : <span style={{ color: 'var(--text-disabled)' }}>—</span>}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
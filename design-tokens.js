@@ -0,0 +1,107 @@
+// Design tokens for the reusable components (stat-card, workflow-card,
+// issue-item, recommendation-card, detail-panel).
+//
+// Colors are references to the theme's CSS variables (see display-themes.js),
+// so the same component renders dark, light or high contrast depending on the
+// ThemeScope or dashboard around it. Sizes and fonts do not change per theme.
+
+export const tokens = {
+  color: {
+    text: {
+      strong: 'var(--text-strong)',
+      default: 'var(--text)',
+      secondary: 'var(--text-secondary)',
+      muted: 'var(--text-muted)',
+      faint: 'var(--text-faint)'
+    },
+    surface: {
+      subtle: 'var(--surface-subtle)',
+      default: 'var(--surface)',
+      raised: 'var(--surface-raised)',
+      inset: 'var(--inset)',
+      insetStrong: 'var(--inset-strong)'
+    },
+    border: {
+      default: 'var(--border)',
+      subtle: 'var(--border-subtle)'
+    },
+    status: {
+      healthy: 'var(--status-healthy)',
+      warning: 'var(--status-warning)',
+      critical: 'var(--status-critical)',
+      unknown: 'var(--status-unknown)'
+    },
+    accent: 'var(--accent)'
+  },
+  radius: {
+    sm: '6px',
+    md: '8px',
+    lg: '12px',
+    xl: '16px'
+  },
+  space: {
+    xs: '0.25rem',
+    sm: '0.5rem',
+    md: '0.75rem',
+    lg: '1rem',
+    xl: '1.5rem',
+    xxl: '2rem'
+  },
+  font: {
+    body: '"DM Sans", system-ui, -apple-system, sans-serif',
+    mono: '"JetBrains Mono", monospace'
+  }
+};
+
+// `color` at `percent` opacity, for tinted backgrounds and borders that follow the theme
+export const tint = (color, percent) => `color-mix(in srgb, ${color} ${percent}%, transparent)`;
+
+// A tone is a color for fills and borders plus a readable text color on top of it
+export const TONES = {
+  healthy: { color: tokens.color.status.healthy, text: 'var(--text-success)' },
+  warning: { color: tokens.color.status.warning, text: 'var(--text-warning)' },
+  critical: { color: tokens.color.status.critical, text: 'var(--text-danger)' },
+  info: { color: tokens.color.accent, text: 'var(--text-accent)' },
+  highlight: { color: 'var(--text-highlight)', text: 'var(--text-highlight)' },
+  neutral: { color: tokens.color.text.muted, text: tokens.color.text.secondary }
+};
+
+export const toneOf = (tone) => TONES[tone] || TONES.neutral;
+
+export const PRIORITY_TONES = {
+  critical: 'critical',
+  high: 'warning',
+  medium: 'info',
+  low: 'neutral'
+};
+
+// Small uppercase label, e.g. a recommendation's priority or an issue's state
+export const badgeStyle = (tone) => ({
+  display: 'inline-block',
+  padding: '0.1rem 0.5rem',
+  borderRadius: tokens.radius.sm,
+  background: tint(toneOf(tone).color, 20),
+  color: toneOf(tone).text,
+  fontSize: '0.7rem',
+  fontWeight: '600',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+});
+
+export const labelStyle = {
+  margin: '0 0 0.25rem 0',
+  fontSize: '0.75rem',
+  color: tokens.color.text.faint,
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+};
+
+export const sectionTitleStyle = {
+  fontSize: '1rem',
+  fontWeight: '600',
+  marginBottom: '1rem',
+  color: tokens.color.text.strong,
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem'
+};
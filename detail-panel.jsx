@@ -0,0 +1,233 @@
+import React from 'react';
+import { Printer, GitCompare, X, Clock, Network, CheckCircle } from 'lucide-react';
+import { formatDuration } from './workflow-metrics.js';
+import { describeBreach } from './health-thresholds.js';
+import { tokens, labelStyle, sectionTitleStyle } from './design-tokens.js';
+import { getStatusColor } from './status-visuals.jsx';
+import SourceBadge from './source-badge.jsx';
+
+const iconButtonStyle = {
+  display: 'flex',
+  padding: '0.4rem',
+  background: 'transparent',
+  border: `1px solid ${tokens.color.border.default}`,
+  borderRadius: tokens.radius.sm,
+  color: tokens.color.text.muted,
+  cursor: 'pointer'
+};
+
+// Titled block inside the panel
+export const DetailSection = ({ icon: Icon, iconColor = tokens.color.accent, title, children, style }) => (
+  <div style={{ marginBottom: '2rem', ...style }}>
+    <h3 style={sectionTitleStyle}>
+      {Icon && <Icon size={18} style={{ color: iconColor }} aria-hidden="true" />}
+      {title}
+    </h3>
+    {children}
+  </div>
+);
+
+// Duration percentiles, error rates and the step that fails most
+export const PerformanceSection = ({ workflow }) => {
+  if (!workflow.durationPercentiles) return null;
+  return (
+    <DetailSection icon={Clock} iconColor="#a78bfa" title="Performance">
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(3, 1fr)',
+        gap: '0.75rem',
+        marginBottom: '1rem'
+      }}>
+        {['p50', 'p95', 'p99'].map(key => (
+          <div key={key} style={{
+            padding: '0.75rem',
+            background: tokens.color.surface.inset,
+            borderRadius: tokens.radius.md
+          }}>
+            <p style={labelStyle}>{key}</p>
+            <p style={{ margin: 0, fontSize: '1.1rem', fontWeight: '700', color: tokens.color.text.secondary }}>
+              {formatDuration(workflow.durationPercentiles[key])}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {workflow.errorRates?.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '1rem' }}>
+          {workflow.errorRates.map(({ errorCode, count, rate }) => (
+            <div key={errorCode} style={{ fontSize: '0.8rem' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem' }}>
+                <span style={{ fontFamily: tokens.font.mono, color: tokens.color.text.secondary }}>{errorCode}</span>
+                <span style={{ color: tokens.color.text.muted }}>{count} · {(rate * 100).toFixed(1)}%</span>
+              </div>
+              <div style={{ height: '4px', background: tokens.color.surface.raised, borderRadius: '2px' }}>
+                <div style={{
+                  width: `${Math.min(rate * 100, 100)}%`,
+                  height: '100%',
+                  background: tokens.color.status.critical,
+                  borderRadius: '2px'
+                }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {workflow.topFailedStep && (
+        <p style={{ margin: 0, fontSize: '0.85rem', color: tokens.color.text.muted }}>
+          Most failed step:{' '}
+          <span style={{ color: tokens.color.text.strong, fontWeight: '500' }}>
+            {workflow.topFailedStep.name || workflow.topFailedStep.stepId}
+          </span>
+          {' '}({workflow.topFailedStep.count} failure{workflow.topFailedStep.count > 1 ? 's' : ''})
+        </p>
+      )}
+    </DetailSection>
+  );
+};
+
+// External systems the workflow calls, from connectorsForWorkflow(), with outages
+// that also hit other workflows
+export const ExternalSystemsSection = ({ workflow, connectors }) => {
+  if (connectors.length === 0) return null;
+  return (
+    <DetailSection icon={Network} title="External Systems">
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+        {connectors.map(connector => {
+          const others = (connector.health?.affectedWorkflows || []).filter(id => id !== workflow.id);
+          return (
+            <div key={connector.id} style={{
+              padding: '0.75rem',
+              background: tokens.color.surface.inset,
+              borderRadius: tokens.radius.md,
+              fontSize: '0.8rem',
+              color: tokens.color.text.muted
+            }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: tokens.color.text.default }}>
+                <span style={{
+                  width: '8px',
+                  height: '8px',
+                  borderRadius: '50%',
+                  background: getStatusColor(connector.health?.status || 'healthy')
+                }} />
+                {connector.name}
+                <span style={{ marginLeft: 'auto', fontFamily: tokens.font.mono, color: connector.failures > 0 ? 'var(--text-danger)' : tokens.color.text.muted }}>
+                  {connector.failures}/{connector.calls}
+                </span>
+              </div>
+              <p style={{ margin: '0.25rem 0 0 0' }}>{connector.steps.map(step => step.name).join(', ')}</p>
+              {connector.failures > 0 && others.length > 0 && (
+                <p style={{ margin: '0.25rem 0 0 0', color: getStatusColor(connector.health.status) }}>
+                  {connector.name} outage likely: also failing in {others.join(', ')}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </DetailSection>
+  );
+};
+
+export const AllClear = () => (
+  <div style={{ padding: '2rem', textAlign: 'center', color: tokens.color.text.muted }}>
+    <CheckCircle size={48} style={{ color: tokens.color.status.healthy, marginBottom: '1rem' }} aria-hidden="true" />
+    <p style={{ margin: 0, fontSize: '0.95rem' }}>
+      No issues detected. Workflow is running smoothly.
+    </p>
+  </div>
+);
+
+// Side panel for the selected workflow: name, account, threshold breaches, then
+// `children` (the sections). `headerExtra` goes under the header, `titleRef` on
+// the heading so keyboard users can be moved there. Without `onCompare`,
+// `onPrint` or `onClose` that button is left out. Pass a different `id` when several panels
+// share a page.
+export default function DetailPanel({ workflow, id = 'workflow-detail-panel', titleRef, onCompare, onPrint, onClose, headerExtra, children }) {
+  return (
+    <div
+      id={id}
+      role="region"
+      aria-labelledby={`${id}-title`}
+      style={{
+        background: tokens.color.surface.default,
+        border: `1px solid ${tokens.color.border.default}`,
+        borderRadius: tokens.radius.xl,
+        padding: tokens.space.xxl,
+        height: 'fit-content',
+        position: 'sticky',
+        top: '2rem',
+        animation: 'slideIn 0.4s ease-out'
+      }}
+    >
+      <div style={{ marginBottom: '2rem' }}>
+        <div style={{ display: 'flex', alignItems: 'flex-start', gap: '0.5rem' }}>
+          <h2
+            id={`${id}-title`}
+            ref={titleRef}
+            tabIndex={-1}
+            style={{
+              fontSize: '1.25rem',
+              fontWeight: '600',
+              marginBottom: '0.5rem',
+              marginRight: 'auto',
+              color: tokens.color.text.strong
+            }}
+          >
+            Workflow Details
+            <span className="sr-only">: {workflow.name}</span>
+          </h2>
+          {onCompare && (
+            <button
+              onClick={() => onCompare(workflow.id)}
+              aria-label={`Compare ${workflow.name} with other workflows or periods`}
+              title="Compare with other workflows or periods"
+              style={iconButtonStyle}
+            >
+              <GitCompare size={14} />
+            </button>
+          )}
+          {onPrint && (
+            <button
+              onClick={() => onPrint(workflow.id)}
+              aria-label={`Print report for ${workflow.name}`}
+              title="Print workflow report (or save as PDF)"
+              style={iconButtonStyle}
+            >
+              <Printer size={14} />
+            </button>
+          )}
+          {onClose && (
+            <button onClick={onClose} aria-label="Close details" title="Close (Esc)" style={iconButtonStyle}>
+              <X size={14} />
+            </button>
+          )}
+        </div>
+        <p style={{
+          margin: 0,
+          fontSize: '0.875rem',
+          color: tokens.color.text.muted
+        }}>
+          {workflow.name}
+        </p>
+        {workflow.source && (
+          <div style={{ marginTop: '0.5rem' }}>
+            <SourceBadge source={workflow.source} />
+          </div>
+        )}
+        {headerExtra}
+        {workflow.breaches?.length > 0 && (
+          <ul style={{ margin: '0.75rem 0 0 0', paddingLeft: '1.1rem', fontSize: '0.8rem' }}>
+            {workflow.breaches.map(breach => (
+              <li key={breach.metric} style={{ color: getStatusColor(breach.level) }}>
+                {describeBreach(breach)}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {children}
+    </div>
+  );
+}
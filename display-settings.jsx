@@ -0,0 +1,110 @@
+import React from 'react';
+import { Contrast, X } from 'lucide-react';
+import { THEME_OPTIONS } from './display-themes.js';
+
+const MOTION_OPTIONS = [
+  { value: 'system', label: 'Match system' },
+  { value: 'reduce', label: 'Reduce motion' },
+  { value: 'full', label: 'Full motion' }
+];
+
+const legendStyle = {
+  padding: 0,
+  marginBottom: '0.5rem',
+  fontSize: '0.75rem',
+  color: 'var(--text-faint)',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em'
+};
+
+const optionStyle = (checked) => ({
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+  padding: '0.4rem 0.75rem',
+  background: checked ? 'rgba(96, 165, 250, 0.2)' : 'var(--surface)',
+  border: checked ? '1px solid rgba(96, 165, 250, 0.5)' : '1px solid var(--border)',
+  borderRadius: '8px',
+  color: checked ? 'var(--text-accent)' : 'var(--text-secondary)',
+  fontSize: '0.85rem',
+  cursor: 'pointer'
+});
+
+// Theme and motion choices, saved per browser. `resolvedTheme` is what "Match
+// system" currently gives.
+export default function DisplaySettings({ preferences, resolvedTheme, onChange, onClose }) {
+  const radioGroup = (name, options, value) => (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+      {options.map(option => (
+        <label key={option.value} style={optionStyle(value === option.value)}>
+          <input
+            type="radio"
+            name={name}
+            value={option.value}
+            checked={value === option.value}
+            onChange={() => onChange({ ...preferences, [name]: option.value })}
+          />
+          {option.label}
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <section
+      aria-labelledby="display-settings-title"
+      onKeyDown={(e) => {
+        if (e.key !== 'Escape') return;
+        e.stopPropagation();
+        onClose();
+      }}
+      style={{
+        marginBottom: '2rem',
+        background: 'var(--surface)',
+        border: '1px solid var(--border)',
+        borderRadius: '16px',
+        padding: '1.5rem',
+        animation: 'fadeInUp 0.4s ease-out'
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.25rem' }}>
+        <h2 id="display-settings-title" style={{
+          fontSize: '1.1rem',
+          fontWeight: '600',
+          margin: 0,
+          color: 'var(--text-strong)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <Contrast size={18} style={{ color: '#60a5fa' }} aria-hidden="true" />
+          Display
+        </h2>
+        <button
+          onClick={onClose}
+          aria-label="Close display settings"
+          style={{ display: 'flex', background: 'transparent', border: 'none', color: 'var(--text-muted)', cursor: 'pointer' }}
+        >
+          <X size={18} />
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2rem' }}>
+        <fieldset style={{ border: 'none', margin: 0, padding: 0 }}>
+          <legend style={legendStyle}>Theme</legend>
+          {radioGroup('theme', THEME_OPTIONS, preferences.theme)}
+          {preferences.theme === 'system' && (
+            <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.75rem', color: 'var(--text-faint)' }}>
+              Currently {THEME_OPTIONS.find(o => o.value === resolvedTheme)?.label.toLowerCase()}, from your system settings.
+            </p>
+          )}
+        </fieldset>
+
+        <fieldset style={{ border: 'none', margin: 0, padding: 0 }}>
+          <legend style={legendStyle}>Animations</legend>
+          {radioGroup('motion', MOTION_OPTIONS, preferences.motion)}
+        </fieldset>
+      </div>
+    </section>
+  );
+}
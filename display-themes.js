@@ -0,0 +1,152 @@
+// Color themes and motion preference for the dashboard.
+//
+// Components color themselves with CSS variables (`var(--text-muted)`), which
+// the dashboard root sets from the active theme, so switching theme never
+// re-renders the cards. Status colors go through `--status-*` so the high
+// contrast theme can make them distinguishable for low vision.
+
+export const THEMES = {
+  dark: {
+    label: 'Dark',
+    colorScheme: 'dark',
+    vars: {
+      '--page-background': 'linear-gradient(135deg, #0f172a 0%, #1e293b 100%)',
+      '--text-strong': '#f1f5f9',
+      '--text': '#e2e8f0',
+      '--text-secondary': '#cbd5e1',
+      '--text-muted': '#94a3b8',
+      '--text-faint': '#64748b',
+      '--text-disabled': '#475569',
+      '--text-danger': '#fca5a5',
+      '--text-warning': '#fcd34d',
+      '--text-accent': '#93c5fd',
+      '--text-success': '#6ee7b7',
+      '--text-highlight': '#ddd6fe',
+      '--surface-subtle': 'rgba(255, 255, 255, 0.03)',
+      '--surface': 'rgba(255, 255, 255, 0.05)',
+      '--surface-raised': 'rgba(255, 255, 255, 0.1)',
+      '--surface-strong': 'rgba(255, 255, 255, 0.15)',
+      '--surface-modal': '#1e293b',
+      '--inset': 'rgba(0, 0, 0, 0.2)',
+      '--inset-strong': 'rgba(0, 0, 0, 0.3)',
+      '--border': 'rgba(255, 255, 255, 0.1)',
+      '--border-subtle': 'rgba(255, 255, 255, 0.08)',
+      '--accent': 'rgb(96, 165, 250)',
+      '--focus-ring': '#60a5fa',
+      '--status-healthy': 'rgb(16, 185, 129)',
+      '--status-warning': 'rgb(245, 158, 11)',
+      '--status-critical': 'rgb(239, 68, 68)',
+      '--status-unknown': 'rgb(107, 114, 128)'
+    }
+  },
+  light: {
+    label: 'Light',
+    colorScheme: 'light',
+    vars: {
+      '--page-background': 'linear-gradient(135deg, #f8fafc 0%, #e2e8f0 100%)',
+      '--text-strong': '#0f172a',
+      '--text': '#1e293b',
+      '--text-secondary': '#334155',
+      '--text-muted': '#475569',
+      '--text-faint': '#64748b',
+      '--text-disabled': '#94a3b8',
+      '--text-danger': '#b91c1c',
+      '--text-warning': '#92400e',
+      '--text-accent': '#1d4ed8',
+      '--text-success': '#047857',
+      '--text-highlight': '#6d28d9',
+      '--surface-subtle': 'rgba(255, 255, 255, 0.6)',
+      '--surface': 'rgba(255, 255, 255, 0.8)',
+      '--surface-raised': '#ffffff',
+      '--surface-strong': 'rgba(15, 23, 42, 0.08)',
+      '--surface-modal': '#ffffff',
+      '--inset': 'rgba(15, 23, 42, 0.05)',
+      '--inset-strong': 'rgba(15, 23, 42, 0.08)',
+      '--border': 'rgba(15, 23, 42, 0.15)',
+      '--border-subtle': 'rgba(15, 23, 42, 0.1)',
+      '--accent': '#2563eb',
+      '--focus-ring': '#1d4ed8',
+      '--status-healthy': '#047857',
+      '--status-warning': '#b45309',
+      '--status-critical': '#b91c1c',
+      '--status-unknown': '#4b5563'
+    }
+  },
+  // Black background, white text, solid borders; at least 7:1 contrast for text
+  'high-contrast': {
+    label: 'High contrast',
+    colorScheme: 'dark',
+    vars: {
+      '--page-background': '#000000',
+      '--text-strong': '#ffffff',
+      '--text': '#ffffff',
+      '--text-secondary': '#ffffff',
+      '--text-muted': '#e2e8f0',
+      '--text-faint': '#cbd5e1',
+      '--text-disabled': '#94a3b8',
+      '--text-danger': '#ffb4b4',
+      '--text-warning': '#ffe066',
+      '--text-accent': '#9fd0ff',
+      '--text-success': '#7dffc4',
+      '--text-highlight': '#e9d5ff',
+      '--surface-subtle': '#000000',
+      '--surface': '#0a0a0a',
+      '--surface-raised': '#1a1a1a',
+      '--surface-strong': '#262626',
+      '--surface-modal': '#000000',
+      '--inset': '#111111',
+      '--inset-strong': '#1a1a1a',
+      '--border': '#ffffff',
+      '--border-subtle': '#a3a3a3',
+      '--accent': '#9fd0ff',
+      '--focus-ring': '#ffe066',
+      '--status-healthy': '#4ade80',
+      '--status-warning': '#facc15',
+      '--status-critical': '#ff6b6b',
+      '--status-unknown': '#d4d4d4'
+    }
+  }
+};
+
+export const THEME_OPTIONS = [
+  { value: 'system', label: 'Match system' },
+  ...Object.entries(THEMES).map(([value, theme]) => ({ value, label: theme.label }))
+];
+
+export const DEFAULT_DISPLAY_PREFERENCES = {
+  theme: 'system',
+  // 'system' follows prefers-reduced-motion; 'reduce' turns animations off regardless
+  motion: 'system'
+};
+
+const media = (query) => (typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(query).matches : false);
+
+// 'system' picks high contrast, then light, from the OS settings; dark otherwise
+export const resolveTheme = (theme, { prefersContrast = media('(prefers-contrast: more)'), prefersLight = media('(prefers-color-scheme: light)') } = {}) => {
+  if (THEMES[theme]) return theme;
+  if (prefersContrast) return 'high-contrast';
+  return prefersLight ? 'light' : 'dark';
+};
+
+export const reduceMotion = (motion, { prefersReduced = media('(prefers-reduced-motion: reduce)') } = {}) => (
+  motion === 'reduce' || (motion !== 'full' && prefersReduced)
+);
+
+// Inline style for the dashboard root: the theme's variables plus its color scheme,
+// so native controls (selects, scrollbars) match
+export const themeStyle = (theme) => ({ ...THEMES[theme].vars, colorScheme: THEMES[theme].colorScheme });
+
+const STORAGE_KEY = 'docusign-dashboard:display';
+
+export const loadDisplayPreferences = (storage = typeof window !== 'undefined' ? window.localStorage : null) => {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    return raw ? { ...DEFAULT_DISPLAY_PREFERENCES, ...JSON.parse(raw) } : DEFAULT_DISPLAY_PREFERENCES;
+  } catch (err) {
+    return DEFAULT_DISPLAY_PREFERENCES;
+  }
+};
+
+export const saveDisplayPreferences = (preferences, storage = typeof window !== 'undefined' ? window.localStorage : null) => {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(preferences));
+};
@@ -1,213 +1,601 @@
-import React, { useState, useEffect } from 'react';
-import { Activity, AlertTriangle, CheckCircle, XCircle, TrendingUp, Clock, Users, Zap, ChevronRight, RefreshCw } from 'lucide-react';
-
-// Mock data generator for workflows
-const generateMockWorkflows = () => [
-  {
-    id: 'wf-001',
-    name: 'Employee Onboarding - IT Access Provisioning',
-    status: 'healthy',
-    completionRate: 98.5,
-    avgDuration: '2.3m',
-    lastRun: '5 min ago',
-    executions: 342,
-    failures: 5,
-    trend: 'up',
-    issues: []
-  },
-  {
-    id: 'wf-002',
-    name: 'Contractor Access Request & Approval',
-    status: 'warning',
-    completionRate: 87.2,
-    avgDuration: '8.7m',
-    lastRun: '12 min ago',
-    executions: 156,
-    failures: 20,
-    trend: 'down',
-    issues: [
-      { type: 'warning', message: 'Approval timeout rate increasing (15% last 24h)' },
-      { type: 'info', message: 'Average response time 3x baseline' }
-    ]
-  },
-  {
-    id: 'wf-003',
-    name: 'Quarterly Access Review & Recertification',
-    status: 'critical',
-    completionRate: 62.8,
-    avgDuration: '45.2m',
-    lastRun: '2 hours ago',
-    executions: 89,
-    failures: 33,
-    trend: 'down',
-    issues: [
-      { type: 'error', message: 'API connection failures to AD (12 failures in last hour)' },
-      { type: 'error', message: 'Conditional routing logic failing for managers with >50 reports' },
-      { type: 'warning', message: 'Envelope expiration before completion (8 instances)' }
-    ]
-  },
-  {
-    id: 'wf-004',
-    name: 'Offboarding - Access Revocation',
-    status: 'healthy',
-    completionRate: 99.1,
-    avgDuration: '1.8m',
-    lastRun: '8 min ago',
-    executions: 278,
-    failures: 3,
-    trend: 'stable',
-    issues: []
-  },
-  {
-    id: 'wf-005',
-    name: 'Role Change - Permission Update',
-    status: 'warning',
-    completionRate: 91.5,
-    avgDuration: '5.2m',
-    lastRun: '18 min ago',
-    executions: 203,
-    failures: 17,
-    trend: 'stable',
-    issues: [
-      { type: 'warning', message: 'Recipient routing delay in 12% of workflows' }
-    ]
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { AlertTriangle, CheckCircle, XCircle, TrendingUp, Users, Zap, RefreshCw, WifiOff, Settings, Bell, Download, Printer, UserCheck, Search, ArrowUp, ArrowDown, X, LogOut, Database, Network, History, Contrast, GitCompare } from 'lucide-react';
+import { createMockProvider } from './workflow-providers.js';
+import { summarizeWorkflows } from './workflow-metrics.js';
+import { createRecommendationEngine } from './recommendation-engine.js';
+import WorkflowTrendCharts from './trend-charts.jsx';
+import InstanceDrilldown from './instance-drilldown.jsx';
+import ApprovalBottlenecks from './approval-bottlenecks.jsx';
+import VirtualList from './virtual-list.jsx';
+import { useWorkflowFilters, applyWorkflowFilters, filterBySource, SORT_OPTIONS } from './workflow-filters.js';
+import { DEFAULT_THRESHOLD_CONFIG, applyThresholds, createHttpThresholdStore, loadThresholdConfig, saveThresholdConfig } from './health-thresholds.js';
+import ThresholdSettings from './threshold-settings.jsx';
+import { createAlertEngine, createHttpAlertFeed } from './alert-engine.js';
+import AlertHistory from './alert-history.jsx';
+import { workflowsToCsv, workflowsToJson, exportFilename, downloadFile } from './workflow-export.js';
+import PrintReport from './print-report.jsx';
+import { applyLiveEvent, reuseUnchanged } from './live-updates.js';
+import { createLocalIssueStore, createHttpIssueStore, annotateIssues, needsAttention, loadActorName, saveActorName } from './issue-lifecycle.js';
+import IssueList from './issue-list.jsx';
+import { createLocalAdoptionStore, createHttpAdoptionStore, getAdoptions } from './recommendation-adoption.js';
+import RecommendationAdoption from './adoption-tracker.jsx';
+import { UNRESTRICTED_USER, can, scopeWorkflows } from './access-control.js';
+import SignIn from './sign-in.jsx';
+import { combineSourceStores, getEnvironment, summarizeBySource } from './account-sources.js';
+import SourceBadge from './source-badge.jsx';
+import { aggregateConnectorHealth, connectorsForWorkflow } from './connector-health.js';
+import ConnectorHealthMap from './connector-map.jsx';
+import ComparisonView from './comparison-view.jsx';
+import { createLocalSyntheticStore, createHttpSyntheticStore, createCanaryScheduler, getRuns, canaryHealth } from './synthetic-runs.js';
+import TestRuns from './test-runs.jsx';
+import { createBrowserSnapshotStore, createHttpSnapshotStore, createSnapshotRecorder, DEFAULT_SNAPSHOT_INTERVAL } from './workflow-snapshots.js';
+import SnapshotReplay from './snapshot-replay.jsx';
+import { loadDisplayPreferences, saveDisplayPreferences, resolveTheme, reduceMotion, themeStyle } from './display-themes.js';
+import DisplaySettings from './display-settings.jsx';
+import { useStatusAnnouncer } from './status-announcer.js';
+import { getStatusColor } from './status-visuals.jsx';
+import StatCard from './stat-card.jsx';
+import WorkflowCard from './workflow-card.jsx';
+import RecommendationCard from './recommendation-card.jsx';
+import { COMPONENT_CSS } from './theme-scope.jsx';
+import DetailPanel, { DetailSection, PerformanceSection, ExternalSystemsSection, AllClear } from './detail-panel.jsx';
+
+const defaultProvider = createMockProvider();
+const defaultRecommendationEngine = createRecommendationEngine();
+const defaultAlertEngine = createAlertEngine();
+const defaultIssueStore = createLocalIssueStore();
+const defaultAdoptionStore = createLocalAdoptionStore();
+const defaultSyntheticStore = createLocalSyntheticStore();
+const defaultSnapshotStore = createBrowserSnapshotStore();
+
+// With a backend (an HTTP provider) issue lifecycles, adoptions and test
+// payloads are shared through it, and alerts, canaries and snapshots come from
+// it, run once over every workflow rather than in each open dashboard. One set per provider.
+// Snapshots of several accounts are taken at different times, so a
+// multi-account dashboard keeps recording its own.
+const backendDefaults = new WeakMap();
+const httpStores = (backend) => ({
+  alertEngine: createHttpAlertFeed(backend),
+  issueStore: createHttpIssueStore(backend),
+  adoptionStore: createHttpAdoptionStore(backend),
+  syntheticStore: createHttpSyntheticStore(backend),
+  thresholdStore: createHttpThresholdStore(backend),
+  snapshotStore: createHttpSnapshotStore(backend)
+});
+// Multi-account providers expose each account's backend; their stores are combined over prefixed IDs
+const backendDefaultsFor = (provider) => {
+  if (!provider.backend && !provider.backends) return null;
+  if (!backendDefaults.has(provider)) {
+    backendDefaults.set(provider, provider.backends
+      ? combineSourceStores(Object.fromEntries(Object.entries(provider.backends).map(([id, backend]) => [id, httpStores(backend)])))
+      : httpStores(provider.backend));
   }
+  return backendDefaults.get(provider);
+};
+
+const STATUS_STAT_CARDS = [
+  { status: 'healthy', label: 'Healthy Workflows', icon: CheckCircle },
+  { status: 'warning', label: 'Needs Attention', icon: AlertTriangle },
+  { status: 'critical', label: 'Critical Issues', icon: XCircle }
 ];
 
-const recommendations = {
-  'wf-002': [
-    {
-      priority: 'high',
-      action: 'Reduce approval timeout from 48h to 24h to prevent workflow abandonment',
-      impact: 'Could improve completion rate by ~8-10%'
-    },
-    {
-      priority: 'medium',
-      action: 'Add reminder notifications at 12h and 20h marks',
-      impact: 'Reduce average response time'
-    }
-  ],
-  'wf-003': [
-    {
-      priority: 'critical',
-      action: 'Implement retry logic with exponential backoff for AD API calls',
-      impact: 'Should reduce API failures by 80%+'
-    },
-    {
-      priority: 'critical',
-      action: 'Split large manager review batches into sub-workflows (threshold: 25 reports)',
-      impact: 'Fix routing logic failures'
-    },
-    {
-      priority: 'high',
-      action: 'Extend envelope expiration from 7 to 14 days for quarterly reviews',
-      impact: 'Prevent premature expiration'
-    }
-  ],
-  'wf-005': [
-    {
-      priority: 'medium',
-      action: 'Optimize parallel processing for permission updates',
-      impact: 'Reduce routing delays'
-    }
-  ]
+const CONNECTION_STATES = {
+  live: { label: 'Live', color: 'var(--status-healthy)' },
+  connecting: { label: 'Connecting…', color: 'var(--status-warning)' },
+  reconnecting: { label: 'Reconnecting…', color: 'var(--status-warning)' },
+  polling: { label: 'Polling', color: '#60a5fa' }
 };
 
-export default function DocuSignDashboard() {
-  const [workflows, setWorkflows] = useState(generateMockWorkflows());
-  const [selectedWorkflow, setSelectedWorkflow] = useState(null);
-  const [lastUpdate, setLastUpdate] = useState(new Date());
+export default function DocuSignDashboard({
+  provider = defaultProvider,
+  recommendationEngine = defaultRecommendationEngine,
+  alertEngine = backendDefaultsFor(provider)?.alertEngine || defaultAlertEngine,
+  issueStore = backendDefaultsFor(provider)?.issueStore || defaultIssueStore,
+  adoptionStore = backendDefaultsFor(provider)?.adoptionStore || defaultAdoptionStore,
+  syntheticStore = backendDefaultsFor(provider)?.syntheticStore || defaultSyntheticStore,
+  // Start due canaries from this browser. Off by default: every open dashboard
+  // would start its own real instances. The backend schedules them instead.
+  runCanaries = false,
+  // Last good data when the live source fails, and history for replay
+  snapshotStore = backendDefaultsFor(provider)?.snapshotStore || defaultSnapshotStore,
+  snapshotInterval = DEFAULT_SNAPSHOT_INTERVAL,
+  currentUser,
+  identityProvider,
+  refreshInterval = 30000,
+  staleAfter = refreshInterval * 2,
+  virtualizeAbove = 50,
+  // Health thresholds: the backend's (shared by every dashboard, its alerts and
+  // /status) when there is one, otherwise this prop. Without either, an admin's
+  // edits are kept in this browser.
+  thresholds,
+  thresholdStore = backendDefaultsFor(provider)?.thresholdStore || null,
+  onThresholdsChange
+}) {
+  const [rawWorkflows, setWorkflows] = useState([]);
+  const [selectedWorkflowId, setSelectedWorkflowId] = useState(null);
+  const [sharedThresholds, setSharedThresholds] = useState(null);
+  const [editedThresholds, setEditedThresholds] = useState(() => (thresholds || thresholdStore ? null : loadThresholdConfig()));
+  const [showSettings, setShowSettings] = useState(false);
+  const [alertHistory, setAlertHistory] = useState([]);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [showConnectors, setShowConnectors] = useState(false);
+  // { workflowIds, openedAt } while comparing; opening again from a workflow starts over
+  const [comparison, setComparison] = useState(null);
+  const [displayPreferences, setDisplayPreferences] = useState(loadDisplayPreferences);
+  const [showDisplay, setShowDisplay] = useState(false);
+  // Bumped when the OS theme, contrast or motion setting changes
+  const [, setSystemPreferenceVersion] = useState(0);
+  // { workflowId, generatedAt } while a report is being printed; workflowId null prints the fleet
+  const [printJob, setPrintJob] = useState(null);
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+  const [issueState, setIssueState] = useState(() => issueStore.getState());
+  const [adoptionState, setAdoptionState] = useState(() => adoptionStore.getState());
+  const [syntheticState, setSyntheticState] = useState(() => syntheticStore.getState());
+  const [actorName, setActorName] = useState(loadActorName);
+  const [connection, setConnection] = useState({ state: provider.subscribe ? 'connecting' : 'polling' });
+  // undefined while the identity provider is checking, null when signed out
+  const [user, setUser] = useState(undefined);
+  const [identityError, setIdentityError] = useState(null);
+  const [clearingCache, setClearingCache] = useState(false);
+  // Per-account fetch results from a multi-account provider
+  const [sourceStatus, setSourceStatus] = useState({});
+  // Latest stored snapshot, shown when live data cannot be loaded at all
+  const [offlineSnapshot, setOfflineSnapshot] = useState(null);
+  // { timestamps, index, snapshot, loading } while replaying past snapshots
+  const [replay, setReplay] = useState(null);
+  const inFlight = useRef(null);
+  const derivedWorkflows = useRef([]);
+  const workflowListRef = useRef(null);
+  const virtualListRef = useRef(null);
+  const detailTitleRef = useRef(null);
+  // Set when a card is opened from the keyboard, so focus follows into the detail panel
+  const focusDetailOnOpen = useRef(false);
+  const visibleWorkflowsRef = useRef([]);
+  const { filters, updateFilters, resetFilters } = useWorkflowFilters();
+
+  // Without an identity provider the dashboard is unrestricted, as before
+  const access = identityProvider ? user : UNRESTRICTED_USER;
+  const signedIn = Boolean(access);
 
   useEffect(() => {
-    const interval = setInterval(() => {
+    if (!identityProvider) return undefined;
+    let cancelled = false;
+    identityProvider.getUser()
+      .then(next => {
+        if (!cancelled) setUser(next);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setIdentityError(err);
+        setUser(null);
+      });
+    const unsubscribe = identityProvider.subscribe?.(setUser);
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+    };
+  }, [identityProvider]);
+
+  const refresh = useCallback(async () => {
+    inFlight.current?.abort();
+    const controller = new AbortController();
+    inFlight.current = controller;
+    setLoading(true);
+
+    try {
+      const next = await provider.fetchWorkflows({ signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setWorkflows(next);
+      setSourceStatus(provider.getSourceStatus?.() || {});
       setLastUpdate(new Date());
-    }, 30000);
+      setError(null);
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      // Keep the last good data on screen; the stale badge tells the user
+      setError(err);
+    } finally {
+      if (inFlight.current === controller) {
+        inFlight.current = null;
+        setLoading(false);
+      }
+    }
+  }, [provider]);
+
+  // Nothing is fetched until someone is signed in
+  useEffect(() => {
+    setWorkflows([]);
+    setSelectedWorkflowId(null);
+    setLastUpdate(null);
+    if (!signedIn) return undefined;
+    refresh();
+    return () => inFlight.current?.abort();
+  }, [refresh, signedIn]);
+
+  // Push updates when the provider supports them; events are merged into the
+  // list in place so the selection and untouched cards survive
+  useEffect(() => {
+    if (!signedIn) return undefined;
+    if (!provider.subscribe) {
+      setConnection({ state: 'polling' });
+      return undefined;
+    }
+    return provider.subscribe({
+      onEvent: (event) => {
+        setWorkflows(prev => applyLiveEvent(prev, event));
+        setLastUpdate(new Date());
+        setError(null);
+      },
+      onStatus: (status) => {
+        setConnection(status);
+        // Catch up on anything missed while disconnected
+        if (status.state === 'live' && status.resumed) refresh();
+      }
+    });
+  }, [provider, refresh, signedIn]);
+
+  // Poll whenever the push channel is not live
+  useEffect(() => {
+    if (!signedIn || connection.state === 'live') return undefined;
+    const interval = setInterval(refresh, refreshInterval);
+    return () => clearInterval(interval);
+  }, [connection.state, refresh, refreshInterval, signedIn]);
+
+  // Tick so the stale badge appears even when refreshes stop succeeding
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 5000);
     return () => clearInterval(interval);
   }, []);
 
-  const getStatusColor = (status) => {
-    switch(status) {
-      case 'healthy': return 'rgb(16, 185, 129)';
-      case 'warning': return 'rgb(245, 158, 11)';
-      case 'critical': return 'rgb(239, 68, 68)';
-      default: return 'rgb(107, 114, 128)';
+  useEffect(() => {
+    if (typeof window === 'undefined' || !window.matchMedia) return undefined;
+    const queries = ['(prefers-color-scheme: light)', '(prefers-contrast: more)', '(prefers-reduced-motion: reduce)']
+      .map(query => window.matchMedia(query));
+    const onChange = () => setSystemPreferenceVersion(v => v + 1);
+    queries.forEach(query => query.addEventListener?.('change', onChange));
+    return () => queries.forEach(query => query.removeEventListener?.('change', onChange));
+  }, []);
+
+  const theme = resolveTheme(displayPreferences.theme);
+  const motionReduced = reduceMotion(displayPreferences.motion);
+
+  const changeDisplayPreferences = (preferences) => {
+    setDisplayPreferences(preferences);
+    saveDisplayPreferences(preferences);
+  };
+
+  const recorder = useMemo(
+    () => createSnapshotRecorder({ store: snapshotStore, interval: snapshotInterval }),
+    [snapshotStore, snapshotInterval]
+  );
+
+  // Every successful refresh or live event may become a snapshot; the recorder keeps one per interval
+  useEffect(() => {
+    if (!lastUpdate || error || rawWorkflows.length === 0) return;
+    recorder.record(rawWorkflows, { sourceStatus }).catch(err => console.warn('Could not save snapshot', err));
+  }, [recorder, rawWorkflows, sourceStatus, lastUpdate, error]);
+
+  const liveUnavailable = signedIn && error !== null && rawWorkflows.length === 0;
+  useEffect(() => {
+    if (!liveUnavailable) return undefined;
+    let cancelled = false;
+    snapshotStore.latest()
+      .then(snapshot => {
+        if (!cancelled) setOfflineSnapshot(snapshot);
+      })
+      .catch(err => console.warn('Could not load snapshot', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [liveUnavailable, snapshotStore]);
+
+  const showingOffline = liveUnavailable && offlineSnapshot !== null;
+  // A replayed or offline snapshot replaces live data everywhere below
+  const viewedSnapshot = replay?.snapshot || (showingOffline ? offlineSnapshot : null);
+  const viewedAt = viewedSnapshot?.takenAt ?? null;
+
+  const connectionState = CONNECTION_STATES[connection.state] || CONNECTION_STATES.polling;
+  const isStale = showingOffline || (lastUpdate !== null && (error !== null || now - lastUpdate > staleAfter));
+
+  useEffect(() => (signedIn ? issueStore.subscribe(setIssueState) : undefined), [issueStore, signedIn]);
+  useEffect(() => (signedIn ? adoptionStore.subscribe(setAdoptionState) : undefined), [adoptionStore, signedIn]);
+  useEffect(() => (signedIn ? syntheticStore.subscribe(setSyntheticState) : undefined), [syntheticStore, signedIn]);
+  useEffect(() => (signedIn && thresholdStore ? thresholdStore.subscribe(setSharedThresholds) : undefined), [thresholdStore, signedIn]);
+  // A new `thresholds` prop replaces edits made since the last one
+  useEffect(() => {
+    if (thresholds) setEditedThresholds(null);
+  }, [thresholds]);
+  const thresholdConfig = sharedThresholds?.config || editedThresholds || thresholds || DEFAULT_THRESHOLD_CONFIG;
+
+  const canRunTests = can(access, 'tests:run');
+  useEffect(() => {
+    if (!runCanaries || !canRunTests || !provider.startTestRun) return undefined;
+    const scheduler = createCanaryScheduler({ store: syntheticStore, provider });
+    scheduler.start();
+    return scheduler.stop;
+  }, [runCanaries, canRunTests, provider, syntheticStore]);
+
+  // Users only see the workflows owned by their departments. This only shapes
+  // the UI; the backend scopes its responses by the same rule.
+  const baseWorkflows = viewedSnapshot ? viewedSnapshot.workflows : rawWorkflows;
+  const scopedWorkflows = useMemo(() => scopeWorkflows(baseWorkflows, access), [baseWorkflows, access]);
+
+  // Status is always derived from the threshold configuration, never taken from the provider.
+  // Unchanged workflows keep their previous object so their cards skip re-rendering.
+  const workflows = useMemo(() => {
+    // Snapshots are judged as of when they were taken (e.g. time since last run)
+    const derived = annotateIssues(applyThresholds(scopedWorkflows, thresholdConfig, { now: viewedAt ? new Date(viewedAt) : now }), issueState);
+    derivedWorkflows.current = reuseUnchanged(derivedWorkflows.current, derived);
+    return derivedWorkflows.current;
+  }, [scopedWorkflows, thresholdConfig, issueState, now, viewedAt]);
+  const selectedWorkflow = workflows.find(w => w.id === selectedWorkflowId) || null;
+
+  // Replayed and offline snapshots are not news
+  const statusAnnouncement = useStatusAnnouncer(workflows, { enabled: !viewedSnapshot });
+
+  useEffect(() => {
+    if (!selectedWorkflowId || !focusDetailOnOpen.current) return;
+    focusDetailOnOpen.current = false;
+    detailTitleRef.current?.focus();
+  }, [selectedWorkflowId]);
+
+  useEffect(() => alertEngine.subscribe(setAlertHistory), [alertEngine]);
+
+  // Old data must not raise or resolve alerts. A backend's alert feed has no
+  // `evaluate`: the backend evaluates them itself.
+  useEffect(() => {
+    if (alertEngine.evaluate && scopedWorkflows.length > 0 && !viewedSnapshot) alertEngine.evaluate(workflows);
+  }, [alertEngine, workflows, scopedWorkflows.length, viewedSnapshot]);
+
+  const activeAlertCount = alertEngine.getActive().length;
+
+  useEffect(() => {
+    if (!printJob) return undefined;
+    const done = () => setPrintJob(null);
+    window.addEventListener('afterprint', done);
+    window.print();
+    return () => window.removeEventListener('afterprint', done);
+  }, [printJob]);
+
+  const actor = user?.name || currentUser || actorName;
+  const changeActorName = (name) => {
+    setActorName(name);
+    saveActorName(name);
+  };
+  const runIssueAction = (action) => issueStore.dispatch({ ...action, workflowId: selectedWorkflow.id, actor });
+  const runAdoptionAction = (action) => adoptionStore.dispatch({ ...action, actor });
+  const runSyntheticAction = (action) => syntheticStore.dispatch({ ...action, workflowId: selectedWorkflow.id, actor });
+
+  const signOut = async () => {
+    await identityProvider.signOut();
+    setUser(null);
+  };
+
+  // Drop the backend's cached DocuSign responses, then reload from the source
+  const clearServerCache = async () => {
+    setClearingCache(true);
+    try {
+      await provider.clearCache();
+      await refresh();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setClearingCache(false);
     }
   };
 
-  const getStatusIcon = (status) => {
-    switch(status) {
-      case 'healthy': return <CheckCircle size={20} />;
-      case 'warning': return <AlertTriangle size={20} />;
-      case 'critical': return <XCircle size={20} />;
-      default: return <Activity size={20} />;
+  // Post-incident review: step through recorded snapshots with a slider
+  const seekReplay = async (index) => {
+    const takenAt = replay.timestamps[index];
+    setReplay(prev => ({ ...prev, index, loading: true }));
+    try {
+      const snapshot = await snapshotStore.at(takenAt);
+      // Ignore answers for positions the slider has already left
+      setReplay(prev => (prev && prev.timestamps[prev.index] === takenAt ? { ...prev, snapshot, loading: false } : prev));
+    } catch (err) {
+      console.warn('Could not load snapshot', err);
+      setReplay(prev => prev && { ...prev, loading: false });
     }
   };
 
-  const healthyCount = workflows.filter(w => w.status === 'healthy').length;
-  const warningCount = workflows.filter(w => w.status === 'warning').length;
-  const criticalCount = workflows.filter(w => w.status === 'critical').length;
-  const avgCompletion = (workflows.reduce((sum, w) => sum + w.completionRate, 0) / workflows.length).toFixed(1);
+  const toggleReplay = async () => {
+    if (replay) {
+      setReplay(null);
+      return;
+    }
+    const timestamps = await snapshotStore.list({ to: new Date() });
+    const index = timestamps.length - 1;
+    setReplay({ timestamps, index, snapshot: null, loading: timestamps.length > 0 });
+    if (timestamps.length > 0) {
+      const snapshot = await snapshotStore.at(timestamps[index]);
+      setReplay(prev => (prev && prev.index === index && !prev.snapshot ? { ...prev, snapshot, loading: false } : prev));
+    }
+  };
+
+  const saveThresholds = async (config) => {
+    if (thresholdStore) {
+      await thresholdStore.dispatch({ action: 'set', config, actor });
+    } else {
+      setEditedThresholds(config);
+      if (!thresholds) saveThresholdConfig(config);
+    }
+    onThresholdsChange?.(config);
+    setShowSettings(false);
+  };
+
+  // Applied recommendations stay listed after their rule stops firing, so the measured impact remains visible
+  const selectedAdoptions = selectedWorkflow ? getAdoptions(adoptionState, selectedWorkflow.id) : [];
+  const firingRecommendations = selectedWorkflow ? recommendationEngine.evaluate(selectedWorkflow) : [];
+  const selectedRecommendations = [
+    ...firingRecommendations,
+    ...selectedAdoptions
+      .filter(adoption => !firingRecommendations.some(rec => rec.ruleId === adoption.ruleId))
+      .map(({ ruleId, priority, action, impact, expectedReduction }) => ({ ruleId, priority, action, impact, expectedReduction, trigger: null }))
+  ];
+
+  // Account switcher: summary cards and list follow the selected account, or all of them
+  const sources = provider.sources || [];
+  const activeSource = sources.some(s => s.id === filters.source) ? filters.source : '';
+  const accountWorkflows = filterBySource(workflows, activeSource);
+  const sourceBreakdown = sources.length > 1 && !activeSource ? summarizeBySource(workflows, sources, sourceStatus) : [];
+  const unavailableSources = sources.filter(s => sourceStatus[s.id] && !sourceStatus[s.id].ok);
+
+  // One failing external system across several workflows shows as a single outage
+  const connectorHealth = aggregateConnectorHealth(accountWorkflows);
+  const connectorOutageCount = connectorHealth.filter(c => c.status === 'critical').length;
+  const selectedConnectors = selectedWorkflow ? connectorsForWorkflow(selectedWorkflow, connectorHealth) : [];
+
+  const visibleWorkflows = applyWorkflowFilters(workflows, { ...filters, source: activeSource });
+  const isFiltered = Boolean(filters.query || filters.status);
+  const toggleStatusFilter = (status) => updateFilters({ status: filters.status === status ? '' : status });
+
+  const { healthyCount, warningCount, criticalCount, avgCompletion } = summarizeWorkflows(accountWorkflows);
+
+  // Exports cover the list as currently filtered and sorted. While a replayed or
+  // offline snapshot is shown they say when it was taken, not just when they were made.
+  const snapshotAt = viewedAt ? new Date(viewedAt) : null;
+  const exportWorkflows = (format) => {
+    const generatedAt = new Date();
+    if (format === 'csv') {
+      downloadFile(workflowsToCsv(visibleWorkflows, { recommendationEngine }), exportFilename('csv', generatedAt, { snapshotAt }), 'text/csv;charset=utf-8');
+    } else {
+      downloadFile(workflowsToJson(visibleWorkflows, { recommendationEngine, generatedAt, snapshotAt }), exportFilename('json', generatedAt, { snapshotAt }), 'application/json');
+    }
+  };
+
+  const printReport = (workflowId = null) => setPrintJob({ workflowId, generatedAt: new Date(), snapshotAt });
+
+  // Canary health sits next to the workflow status without changing it
+  const canaryFor = (workflow) => (syntheticState.canaries[workflow.id]
+    ? canaryHealth(getRuns(syntheticState, workflow.id, 'canary'), { now })
+    : null);
+
+  // Acknowledged, assigned, resolved, suppressed and snoozed issues are left out of the card count
+  const openIssueCount = (workflow) => workflow.issues.filter(issue => needsAttention(issue, now)).length;
+
+  const openWorkflow = (workflowId, { fromKeyboard = false } = {}) => {
+    focusDetailOnOpen.current = fromKeyboard;
+    setSelectedWorkflowId(workflowId);
+  };
+
+  // By position in the filtered list: a long list is virtualized, so the card may
+  // not be rendered until the list has scrolled to it
+  const focusCard = (index) => {
+    if (index < 0 || index >= visibleWorkflowsRef.current.length) return;
+    if (virtualListRef.current) {
+      virtualListRef.current.scrollToIndex(index, (row) => row.firstElementChild?.focus());
+    } else {
+      workflowListRef.current?.children[index]?.focus();
+    }
+  };
+
+  // Cards are memoized without their handlers, so the key handler reads the list through a ref
+  visibleWorkflowsRef.current = visibleWorkflows;
+
+  const closeWorkflow = () => {
+    const workflowId = selectedWorkflowId;
+    setSelectedWorkflowId(null);
+    if (workflowId) focusCard(visibleWorkflowsRef.current.findIndex(w => w.id === workflowId));
+  };
+
+  // Arrow keys move between cards, Home/End jump to the ends, Enter or Space opens the details
+  const handleCardKeyDown = (event, workflowId) => {
+    if (event.target !== event.currentTarget) return;
+    const list = visibleWorkflowsRef.current;
+    const index = list.findIndex(w => w.id === workflowId);
+    const target = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: list.length - 1 }[event.key];
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      openWorkflow(workflowId, { fromKeyboard: true });
+    } else if (target !== undefined && list[target]) {
+      event.preventDefault();
+      focusCard(target);
+    }
+  };
+
+  const renderWorkflowCard = (workflow, index, { animate = true } = {}) => (
+    <WorkflowCard
+      key={workflow.id}
+      workflow={workflow}
+      index={index}
+      animate={animate}
+      selected={workflow.id === selectedWorkflowId}
+      openIssues={openIssueCount(workflow)}
+      canary={canaryFor(workflow)}
+      compactSource={Boolean(activeSource)}
+      onSelect={openWorkflow}
+      onKeyDown={handleCardKeyDown}
+    />
+  );
+
+  const exportButtonStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.35rem',
+    padding: '0.75rem',
+    background: 'transparent',
+    border: 'none',
+    color: 'var(--text-secondary)',
+    font: 'inherit',
+    fontSize: '0.8rem',
+    cursor: 'pointer'
+  };
+
+  if (!signedIn) {
+    return user === null ? <SignIn identityProvider={identityProvider} error={identityError} /> : null;
+  }
 
   return (
-    <div style={{
-      minHeight: '100vh',
-      background: 'linear-gradient(135deg, #0f172a 0%, #1e293b 100%)',
-      fontFamily: '"DM Sans", system-ui, -apple-system, sans-serif',
-      color: '#e2e8f0',
-      padding: '2rem'
-    }}>
+    <div
+      className="dashboard-screen theme-scope"
+      data-theme={theme}
+      data-motion={motionReduced ? 'reduce' : 'full'}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape' && selectedWorkflowId) closeWorkflow();
+      }}
+      style={{
+        ...themeStyle(theme),
+        minHeight: '100vh',
+        background: 'var(--page-background)',
+        fontFamily: '"DM Sans", system-ui, -apple-system, sans-serif',
+        color: 'var(--text)',
+        padding: '2rem'
+      }}
+    >
       <style>{`
         @import url('https://fonts.googleapis.com/css2?family=DM+Sans:wght@400;500;700&family=JetBrains+Mono:wght@500&display=swap');
-        
-        @keyframes fadeInUp {
-          from {
-            opacity: 0;
-            transform: translateY(20px);
-          }
-          to {
-            opacity: 1;
-            transform: translateY(0);
-          }
+        ${COMPONENT_CSS}
+
+        .print-report {
+          display: none;
         }
-        
-        @keyframes pulse {
-          0%, 100% {
-            opacity: 1;
-          }
-          50% {
-            opacity: 0.5;
+
+        @media print {
+          .dashboard-screen {
+            background: none !important;
+            padding: 0 !important;
+            --status-healthy: rgb(16, 185, 129) !important;
+            --status-warning: rgb(245, 158, 11) !important;
+            --status-critical: rgb(239, 68, 68) !important;
+            --status-unknown: rgb(107, 114, 128) !important;
           }
-        }
-        
-        @keyframes slideIn {
-          from {
-            transform: translateX(-10px);
-            opacity: 0;
+
+          .dashboard-screen > :not(.print-report) {
+            display: none !important;
           }
-          to {
-            transform: translateX(0);
-            opacity: 1;
+
+          .print-report {
+            display: block;
           }
         }
-        
-        .workflow-card {
-          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-        }
-        
-        .workflow-card:hover {
-          transform: translateY(-2px);
-          box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.3), 0 10px 10px -5px rgba(0, 0, 0, 0.2);
-        }
-        
-        .stat-card {
-          animation: fadeInUp 0.6s ease-out;
-        }
-        
-        .recommendation-item {
-          animation: slideIn 0.4s ease-out;
-        }
       `}</style>
 
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+        {statusAnnouncement}
+      </div>
+
       {/* Header */}
       <div style={{
         marginBottom: '2.5rem',
@@ -233,28 +621,354 @@ export default function DocuSignDashboard() {
             </h1>
             <p style={{
               margin: 0,
-              color: '#94a3b8',
+              color: 'var(--text-muted)',
               fontSize: '0.95rem'
             }}>
               DocuSign IAM Workflow Monitoring & Intelligence
             </p>
           </div>
           
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+            {sources.length > 1 && (
+              <select
+                value={activeSource}
+                onChange={(e) => updateFilters({ source: e.target.value })}
+                aria-label="Account and environment"
+                style={{
+                  padding: '0.75rem',
+                  background: 'var(--surface)',
+                  border: '1px solid var(--border)',
+                  borderRadius: '12px',
+                  color: 'var(--text)',
+                  font: 'inherit',
+                  fontSize: '0.875rem'
+                }}
+              >
+                <option value="">All accounts</option>
+                {sources.map(source => (
+                  <option key={source.id} value={source.id}>
+                    {source.label} ({getEnvironment(source.environment).label})
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {identityProvider && (
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.75rem',
+                padding: '0.4rem 0.4rem 0.4rem 1rem',
+                background: 'var(--surface)',
+                borderRadius: '12px',
+                border: '1px solid var(--border)',
+                fontSize: '0.8rem'
+              }}>
+                <span>
+                  <span style={{ display: 'block', color: 'var(--text)' }}>{access.name}</span>
+                  <span style={{ color: 'var(--text-muted)' }}>
+                    {access.role} · {access.departments.includes('*') ? 'all departments' : access.departments.join(', ')}
+                  </span>
+                </span>
+                <button
+                  onClick={signOut}
+                  aria-label="Sign out"
+                  title="Sign out"
+                  style={{
+                    display: 'flex',
+                    padding: '0.5rem',
+                    background: 'transparent',
+                    border: 'none',
+                    color: 'var(--text-muted)',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <LogOut size={16} />
+                </button>
+              </div>
+            )}
+
+            <div
+              role="group"
+              aria-label="Export"
+              style={{
+                display: 'flex',
+                background: 'var(--surface)',
+                borderRadius: '12px',
+                border: '1px solid var(--border)'
+              }}
+            >
+              <button onClick={() => exportWorkflows('csv')} disabled={workflows.length === 0} title="Export list as CSV" style={exportButtonStyle}>
+                <Download size={16} /> CSV
+              </button>
+              <button onClick={() => exportWorkflows('json')} disabled={workflows.length === 0} title="Export list as JSON" style={exportButtonStyle}>
+                JSON
+              </button>
+              <button
+                onClick={() => printReport()}
+                disabled={workflows.length === 0}
+                aria-label="Print fleet report"
+                title="Print fleet report (or save as PDF)"
+                style={exportButtonStyle}
+              >
+                <Printer size={16} />
+              </button>
+            </div>
+
+            <button
+              onClick={() => setShowAlerts(open => !open)}
+              aria-label={`Alerts (${activeAlertCount} active)`}
+              aria-pressed={showAlerts}
+              title="Alert history"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.4rem',
+                padding: '0.75rem',
+                background: showAlerts ? 'rgba(96, 165, 250, 0.15)' : 'var(--surface)',
+                borderRadius: '12px',
+                border: '1px solid var(--border)',
+                color: activeAlertCount > 0 ? 'var(--text-danger)' : 'var(--text-secondary)',
+                font: 'inherit',
+                fontSize: '0.8rem',
+                cursor: 'pointer'
+              }}
+            >
+              <Bell size={16} />
+              {activeAlertCount > 0 && activeAlertCount}
+            </button>
+
+            <button
+              onClick={() => setShowConnectors(open => !open)}
+              aria-label={`External systems (${connectorOutageCount} with outages)`}
+              aria-pressed={showConnectors}
+              title="External systems health"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.4rem',
+                padding: '0.75rem',
+                background: showConnectors ? 'rgba(96, 165, 250, 0.15)' : 'var(--surface)',
+                borderRadius: '12px',
+                border: '1px solid var(--border)',
+                color: connectorOutageCount > 0 ? 'var(--text-danger)' : 'var(--text-secondary)',
+                font: 'inherit',
+                fontSize: '0.8rem',
+                cursor: 'pointer'
+              }}
+            >
+              <Network size={16} />
+              {connectorOutageCount > 0 && connectorOutageCount}
+            </button>
+
+            {provider.fetchPeriod && (
+              <button
+                onClick={() => setComparison(open => (open ? null : { workflowIds: [], openedAt: Date.now() }))}
+                aria-label="Compare workflows and periods"
+                aria-pressed={Boolean(comparison)}
+                title="Compare workflows and periods"
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  padding: '0.75rem',
+                  background: comparison ? 'rgba(96, 165, 250, 0.15)' : 'var(--surface)',
+                  borderRadius: '12px',
+                  border: '1px solid var(--border)',
+                  color: 'var(--text-secondary)',
+                  cursor: 'pointer'
+                }}
+              >
+                <GitCompare size={16} />
+              </button>
+            )}
+
+            <button
+              onClick={() => toggleReplay().catch(err => console.warn('Could not list snapshots', err))}
+              aria-label="Replay past snapshots"
+              aria-pressed={Boolean(replay)}
+              title="Replay the dashboard at a past moment"
+              style={{
+                display: 'flex',
+                padding: '0.75rem',
+                background: replay ? 'rgba(167, 139, 250, 0.15)' : 'var(--surface)',
+                borderRadius: '12px',
+                border: '1px solid var(--border)',
+                color: replay ? 'var(--text-highlight)' : 'var(--text-secondary)',
+                cursor: 'pointer'
+              }}
+            >
+              <History size={16} />
+            </button>
+
+            {can(access, 'cache:clear') && provider.clearCache && (
+              <button
+                onClick={clearServerCache}
+                disabled={clearingCache}
+                aria-label="Clear server cache"
+                title="Clear the backend's cached DocuSign responses"
+                style={{
+                  display: 'flex',
+                  padding: '0.75rem',
+                  background: 'var(--surface)',
+                  borderRadius: '12px',
+                  border: '1px solid var(--border)',
+                  color: 'var(--text-secondary)',
+                  cursor: clearingCache ? 'default' : 'pointer'
+                }}
+              >
+                <Database size={16} />
+              </button>
+            )}
+
+            <button
+              onClick={() => setShowDisplay(open => !open)}
+              aria-label="Display settings"
+              aria-pressed={showDisplay}
+              title="Theme and animations"
+              style={{
+                display: 'flex',
+                padding: '0.75rem',
+                background: showDisplay ? 'rgba(96, 165, 250, 0.15)' : 'var(--surface)',
+                borderRadius: '12px',
+                border: '1px solid var(--border)',
+                color: showDisplay ? 'var(--text-accent)' : 'var(--text-secondary)',
+                cursor: 'pointer'
+              }}
+            >
+              <Contrast size={16} />
+            </button>
+
+            {can(access, 'thresholds:edit') && (
+              <button
+                onClick={() => setShowSettings(true)}
+                aria-label="Health threshold settings"
+                title="Health threshold settings"
+                style={{
+                  display: 'flex',
+                  padding: '0.75rem',
+                  background: 'var(--surface)',
+                  borderRadius: '12px',
+                  border: '1px solid var(--border)',
+                  color: 'var(--text-secondary)',
+                  cursor: 'pointer'
+                }}
+              >
+                <Settings size={16} />
+              </button>
+            )}
+
+            <button
+              onClick={refresh}
+              disabled={loading}
+              aria-label={`${connectionState.label}. ${lastUpdate ? `Last update ${lastUpdate.toLocaleTimeString()}` : 'No data yet'}. Refresh now`}
+              title={error ? error.message : connection.error ? connection.error.message : 'Refresh now'}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '1rem',
+                background: isStale ? 'rgba(245, 158, 11, 0.1)' : 'var(--surface)',
+                padding: '0.75rem 1.25rem',
+                borderRadius: '12px',
+                border: isStale ? '1px solid rgba(245, 158, 11, 0.3)' : '1px solid var(--border)',
+                font: 'inherit',
+                cursor: loading ? 'default' : 'pointer'
+              }}
+            >
+              {isStale ? (
+                <WifiOff size={16} style={{ color: '#f59e0b' }} />
+              ) : (
+                <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: connectionState.color }} />
+              )}
+              <span style={{ fontSize: '0.875rem', color: connectionState.color }}>
+                {connectionState.label}
+              </span>
+              <span style={{ fontSize: '0.875rem', color: isStale ? 'var(--text-warning)' : 'var(--text-secondary)' }}>
+                {lastUpdate
+                  ? `${isStale ? 'Stale since' : 'Last update'}: ${lastUpdate.toLocaleTimeString()}`
+                  : showingOffline ? `Stale since: ${new Date(offlineSnapshot.takenAt).toLocaleString()}`
+                    : loading ? 'Loading…' : 'No data'}
+              </span>
+            </button>
+          </div>
+        </div>
+
+        {showSettings && can(access, 'thresholds:edit') && (
+          <ThresholdSettings
+            config={thresholdConfig}
+            workflows={scopedWorkflows}
+            onSave={saveThresholds}
+            onClose={() => setShowSettings(false)}
+            getStatusColor={getStatusColor}
+          />
+        )}
+
+        {error && (
           <div style={{
             display: 'flex',
             alignItems: 'center',
-            gap: '1rem',
-            background: 'rgba(255, 255, 255, 0.05)',
-            padding: '0.75rem 1.25rem',
-            borderRadius: '12px',
-            border: '1px solid rgba(255, 255, 255, 0.1)'
+            gap: '0.75rem',
+            padding: '0.75rem 1rem',
+            background: 'rgba(239, 68, 68, 0.1)',
+            border: '1px solid rgba(239, 68, 68, 0.3)',
+            borderRadius: '8px',
+            fontSize: '0.875rem',
+            color: 'var(--text-danger)'
           }}>
-            <RefreshCw size={16} style={{ color: '#60a5fa', animation: 'pulse 2s ease-in-out infinite' }} />
-            <span style={{ fontSize: '0.875rem', color: '#cbd5e1' }}>
-              Last update: {lastUpdate.toLocaleTimeString()}
+            <AlertTriangle size={16} />
+            <span style={{ flex: 1 }}>
+              {lastUpdate
+                ? `Could not refresh workflow data (${error.message}). Showing data from ${lastUpdate.toLocaleTimeString()}.`
+                : showingOffline
+                  ? `Could not load live workflow data (${error.message}). Showing the last snapshot, stale since ${new Date(offlineSnapshot.takenAt).toLocaleString()}.`
+                  : `Could not load workflow data: ${error.message}`}
             </span>
+            <button
+              onClick={refresh}
+              disabled={loading}
+              style={{
+                background: 'transparent',
+                border: '1px solid rgba(239, 68, 68, 0.4)',
+                borderRadius: '6px',
+                padding: '0.25rem 0.75rem',
+                color: 'var(--text-danger)',
+                font: 'inherit',
+                cursor: 'pointer'
+              }}
+            >
+              Retry
+            </button>
           </div>
-        </div>
+        )}
+
+        {replay && (
+          <SnapshotReplay
+            timestamps={replay.timestamps}
+            index={replay.index}
+            loading={replay.loading}
+            onSeek={seekReplay}
+            onExit={() => setReplay(null)}
+          />
+        )}
+
+        {!error && unavailableSources.length > 0 && (
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.75rem',
+            marginTop: '0.75rem',
+            padding: '0.75rem 1rem',
+            background: 'rgba(245, 158, 11, 0.1)',
+            border: '1px solid rgba(245, 158, 11, 0.3)',
+            borderRadius: '8px',
+            fontSize: '0.875rem',
+            color: 'var(--text-warning)'
+          }}>
+            <WifiOff size={16} />
+            <span>
+              Could not reach {unavailableSources.map(s => s.label).join(', ')}. Their workflows are not shown.
+            </span>
+          </div>
+        )}
 
         {/* Summary Stats */}
         <div style={{
@@ -263,92 +977,100 @@ export default function DocuSignDashboard() {
           gap: '1.5rem',
           marginTop: '2rem'
         }}>
-          <div className="stat-card" style={{
-            background: 'linear-gradient(135deg, rgba(16, 185, 129, 0.1) 0%, rgba(16, 185, 129, 0.05) 100%)',
-            padding: '1.5rem',
-            borderRadius: '16px',
-            border: '1px solid rgba(16, 185, 129, 0.2)',
-            animationDelay: '0.1s'
-          }}>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-              <div>
-                <p style={{ margin: '0 0 0.5rem 0', fontSize: '0.875rem', color: '#94a3b8', fontWeight: '500' }}>
-                  Healthy Workflows
-                </p>
-                <p style={{ margin: 0, fontSize: '2rem', fontWeight: '700', color: 'rgb(16, 185, 129)' }}>
-                  {healthyCount}
-                </p>
-              </div>
-              <CheckCircle size={32} style={{ color: 'rgb(16, 185, 129)', opacity: 0.5 }} />
-            </div>
-          </div>
+          {STATUS_STAT_CARDS.map(({ status, label, icon }, idx) => (
+            <StatCard
+              key={status}
+              label={label}
+              value={{ healthy: healthyCount, warning: warningCount, critical: criticalCount }[status]}
+              icon={icon}
+              tone={status}
+              active={filters.status === status}
+              onToggle={() => toggleStatusFilter(status)}
+              animationDelay={`${(idx + 1) * 0.1}s`}
+            />
+          ))}
+          <StatCard label="Avg Completion" value={`${avgCompletion}%`} icon={TrendingUp} tone="info" animationDelay="0.4s" />
+        </div>
 
-          <div className="stat-card" style={{
-            background: 'linear-gradient(135deg, rgba(245, 158, 11, 0.1) 0%, rgba(245, 158, 11, 0.05) 100%)',
-            padding: '1.5rem',
-            borderRadius: '16px',
-            border: '1px solid rgba(245, 158, 11, 0.2)',
-            animationDelay: '0.2s'
+        {/* Per-account breakdown in the "all accounts" view */}
+        {sourceBreakdown.length > 0 && (
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: `repeat(${Math.min(sourceBreakdown.length, 4)}, 1fr)`,
+            gap: '1rem',
+            marginTop: '1rem'
           }}>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-              <div>
-                <p style={{ margin: '0 0 0.5rem 0', fontSize: '0.875rem', color: '#94a3b8', fontWeight: '500' }}>
-                  Needs Attention
-                </p>
-                <p style={{ margin: 0, fontSize: '2rem', fontWeight: '700', color: 'rgb(245, 158, 11)' }}>
-                  {warningCount}
-                </p>
-              </div>
-              <AlertTriangle size={32} style={{ color: 'rgb(245, 158, 11)', opacity: 0.5 }} />
-            </div>
+            {sourceBreakdown.map(({ source, status, total, healthyCount: healthy, warningCount: warning, criticalCount: critical, avgCompletion: completion }) => (
+              <button
+                key={source.id}
+                onClick={() => updateFilters({ source: source.id })}
+                title={`Show only ${source.label}`}
+                style={{
+                  display: 'flex',
+                  flexDirection: 'column',
+                  gap: '0.5rem',
+                  padding: '1rem',
+                  background: 'var(--surface-subtle)',
+                  border: `1px solid ${getEnvironment(source.environment).background}`,
+                  borderRadius: '12px',
+                  color: 'var(--text)',
+                  font: 'inherit',
+                  textAlign: 'left',
+                  cursor: 'pointer'
+                }}
+              >
+                <SourceBadge source={source} />
+                {status && !status.ok ? (
+                  <span style={{ fontSize: '0.8rem', color: 'var(--text-warning)' }}>Unavailable: {status.error}</span>
+                ) : (
+                  <span style={{ display: 'flex', gap: '0.75rem', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                    <span>{total} workflows</span>
+                    <span style={{ color: getStatusColor('healthy') }}>{healthy} ✓</span>
+                    <span style={{ color: getStatusColor('warning') }}>{warning} ⚠</span>
+                    <span style={{ color: getStatusColor('critical') }}>{critical} ✕</span>
+                    <span style={{ marginLeft: 'auto', color: 'var(--text-accent)' }}>{completion}%</span>
+                  </span>
+                )}
+              </button>
+            ))}
           </div>
+        )}
+      </div>
 
-          <div className="stat-card" style={{
-            background: 'linear-gradient(135deg, rgba(239, 68, 68, 0.1) 0%, rgba(239, 68, 68, 0.05) 100%)',
-            padding: '1.5rem',
-            borderRadius: '16px',
-            border: '1px solid rgba(239, 68, 68, 0.2)',
-            animationDelay: '0.3s'
-          }}>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-              <div>
-                <p style={{ margin: '0 0 0.5rem 0', fontSize: '0.875rem', color: '#94a3b8', fontWeight: '500' }}>
-                  Critical Issues
-                </p>
-                <p style={{ margin: 0, fontSize: '2rem', fontWeight: '700', color: 'rgb(239, 68, 68)' }}>
-                  {criticalCount}
-                </p>
-              </div>
-              <XCircle size={32} style={{ color: 'rgb(239, 68, 68)', opacity: 0.5 }} />
-            </div>
-          </div>
+      {showDisplay && (
+        <DisplaySettings
+          preferences={displayPreferences}
+          resolvedTheme={resolveTheme('system')}
+          onChange={changeDisplayPreferences}
+          onClose={() => setShowDisplay(false)}
+        />
+      )}
 
-          <div className="stat-card" style={{
-            background: 'linear-gradient(135deg, rgba(96, 165, 250, 0.1) 0%, rgba(96, 165, 250, 0.05) 100%)',
-            padding: '1.5rem',
-            borderRadius: '16px',
-            border: '1px solid rgba(96, 165, 250, 0.2)',
-            animationDelay: '0.4s'
-          }}>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-              <div>
-                <p style={{ margin: '0 0 0.5rem 0', fontSize: '0.875rem', color: '#94a3b8', fontWeight: '500' }}>
-                  Avg Completion
-                </p>
-                <p style={{ margin: 0, fontSize: '2rem', fontWeight: '700', color: 'rgb(96, 165, 250)' }}>
-                  {avgCompletion}%
-                </p>
-              </div>
-              <TrendingUp size={32} style={{ color: 'rgb(96, 165, 250)', opacity: 0.5 }} />
-            </div>
-          </div>
-        </div>
-      </div>
+      {showConnectors && (
+        <ConnectorHealthMap
+          connectors={connectorHealth}
+          workflows={accountWorkflows}
+          onSelectWorkflow={setSelectedWorkflowId}
+          onClose={() => setShowConnectors(false)}
+          getStatusColor={getStatusColor}
+          now={now}
+        />
+      )}
+
+      {comparison && (
+        <ComparisonView
+          key={comparison.openedAt}
+          provider={provider}
+          workflows={accountWorkflows}
+          initialWorkflowIds={comparison.workflowIds}
+          onClose={() => setComparison(null)}
+        />
+      )}
 
       {/* Main Content Grid */}
       <div style={{
         display: 'grid',
-        gridTemplateColumns: selectedWorkflow ? '1fr 450px' : '1fr',
+        gridTemplateColumns: ['1fr', selectedWorkflow && '450px', showAlerts && '360px'].filter(Boolean).join(' '),
         gap: '2rem',
         animation: 'fadeInUp 0.6s ease-out'
       }}>
@@ -358,289 +1080,291 @@ export default function DocuSignDashboard() {
             fontSize: '1.25rem',
             fontWeight: '600',
             marginBottom: '1.5rem',
-            color: '#f1f5f9'
+            color: 'var(--text-strong)'
           }}>
             Active Workflows
+            {isFiltered && (
+              <span style={{ marginLeft: '0.5rem', fontSize: '0.875rem', fontWeight: '400', color: 'var(--text-muted)' }}>
+                {visibleWorkflows.length} of {accountWorkflows.length}
+              </span>
+            )}
           </h2>
-          
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
-            {workflows.map((workflow, index) => (
-              <div
-                key={workflow.id}
-                className="workflow-card"
-                onClick={() => setSelectedWorkflow(workflow)}
+
+          <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            alignItems: 'center',
+            gap: '0.75rem',
+            marginBottom: '1.25rem'
+          }}>
+            <div style={{
+              flex: '1 1 240px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              padding: '0.5rem 0.75rem',
+              background: 'var(--surface)',
+              border: '1px solid var(--border)',
+              borderRadius: '8px'
+            }}>
+              <Search size={16} style={{ color: 'var(--text-faint)' }} />
+              <input
+                type="search"
+                value={filters.query}
+                onChange={(e) => updateFilters({ query: e.target.value })}
+                placeholder="Search by name or ID"
+                aria-label="Search workflows"
                 style={{
-                  background: selectedWorkflow?.id === workflow.id 
-                    ? 'rgba(255, 255, 255, 0.1)' 
-                    : 'rgba(255, 255, 255, 0.05)',
-                  border: selectedWorkflow?.id === workflow.id
-                    ? '1px solid rgba(96, 165, 250, 0.5)'
-                    : '1px solid rgba(255, 255, 255, 0.1)',
-                  borderRadius: '16px',
-                  padding: '1.5rem',
-                  cursor: 'pointer',
-                  animation: `fadeInUp 0.5s ease-out ${index * 0.1}s backwards`
+                  flex: 1,
+                  background: 'transparent',
+                  border: 'none',
+                  outline: 'none',
+                  color: 'var(--text)',
+                  font: 'inherit',
+                  fontSize: '0.875rem'
                 }}
-              >
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '1rem' }}>
-                  <div style={{ flex: 1 }}>
-                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.5rem' }}>
-                      <div style={{ color: getStatusColor(workflow.status) }}>
-                        {getStatusIcon(workflow.status)}
-                      </div>
-                      <h3 style={{
-                        margin: 0,
-                        fontSize: '1.1rem',
-                        fontWeight: '600',
-                        color: '#f1f5f9'
-                      }}>
-                        {workflow.name}
-                      </h3>
-                    </div>
-                    <p style={{
-                      margin: 0,
-                      fontSize: '0.875rem',
-                      color: '#94a3b8',
-                      fontFamily: '"JetBrains Mono", monospace'
-                    }}>
-                      {workflow.id}
-                    </p>
-                  </div>
-                  
-                  <ChevronRight 
-                    size={20} 
-                    style={{ 
-                      color: '#64748b',
-                      transform: selectedWorkflow?.id === workflow.id ? 'rotate(90deg)' : 'rotate(0deg)',
-                      transition: 'transform 0.3s ease'
-                    }} 
-                  />
-                </div>
+              />
+            </div>
 
-                <div style={{
-                  display: 'grid',
-                  gridTemplateColumns: 'repeat(4, 1fr)',
-                  gap: '1rem',
-                  marginTop: '1rem',
-                  paddingTop: '1rem',
-                  borderTop: '1px solid rgba(255, 255, 255, 0.1)'
-                }}>
-                  <div>
-                    <p style={{ margin: '0 0 0.25rem 0', fontSize: '0.75rem', color: '#64748b', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
-                      Completion
-                    </p>
-                    <p style={{ margin: 0, fontSize: '1.25rem', fontWeight: '700', color: getStatusColor(workflow.status) }}>
-                      {workflow.completionRate}%
-                    </p>
-                  </div>
-                  
-                  <div>
-                    <p style={{ margin: '0 0 0.25rem 0', fontSize: '0.75rem', color: '#64748b', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
-                      Avg Duration
-                    </p>
-                    <p style={{ margin: 0, fontSize: '1.25rem', fontWeight: '700', color: '#cbd5e1' }}>
-                      {workflow.avgDuration}
-                    </p>
-                  </div>
-                  
-                  <div>
-                    <p style={{ margin: '0 0 0.25rem 0', fontSize: '0.75rem', color: '#64748b', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
-                      Executions
-                    </p>
-                    <p style={{ margin: 0, fontSize: '1.25rem', fontWeight: '700', color: '#cbd5e1' }}>
-                      {workflow.executions}
-                    </p>
-                  </div>
-                  
-                  <div>
-                    <p style={{ margin: '0 0 0.25rem 0', fontSize: '0.75rem', color: '#64748b', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
-                      Failures
-                    </p>
-                    <p style={{ margin: 0, fontSize: '1.25rem', fontWeight: '700', color: workflow.failures > 10 ? 'rgb(239, 68, 68)' : '#cbd5e1' }}>
-                      {workflow.failures}
-                    </p>
-                  </div>
-                </div>
+            <div style={{ display: 'flex', gap: '0.35rem' }}>
+              {[
+                { value: '', label: 'All', count: accountWorkflows.length },
+                { value: 'healthy', label: 'Healthy', count: healthyCount },
+                { value: 'warning', label: 'Warning', count: warningCount },
+                { value: 'critical', label: 'Critical', count: criticalCount }
+              ].map(chip => (
+                <button
+                  key={chip.value}
+                  onClick={() => updateFilters({ status: chip.value })}
+                  aria-pressed={filters.status === chip.value}
+                  style={{
+                    padding: '0.4rem 0.75rem',
+                    background: filters.status === chip.value ? 'rgba(96, 165, 250, 0.2)' : 'var(--surface)',
+                    border: filters.status === chip.value ? '1px solid rgba(96, 165, 250, 0.5)' : '1px solid var(--border)',
+                    borderRadius: '999px',
+                    color: chip.value ? getStatusColor(chip.value) : 'var(--text-secondary)',
+                    font: 'inherit',
+                    fontSize: '0.8rem',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {chip.label} · {chip.count}
+                </button>
+              ))}
+            </div>
 
-                {workflow.issues.length > 0 && (
-                  <div style={{
-                    marginTop: '1rem',
-                    padding: '0.75rem',
-                    background: 'rgba(0, 0, 0, 0.2)',
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+              <select
+                value={filters.sort}
+                onChange={(e) => updateFilters({ sort: e.target.value })}
+                aria-label="Sort workflows"
+                style={{
+                  padding: '0.4rem 0.5rem',
+                  background: 'var(--surface)',
+                  border: '1px solid var(--border)',
+                  borderRadius: '8px',
+                  color: 'var(--text-secondary)',
+                  font: 'inherit',
+                  fontSize: '0.8rem'
+                }}
+              >
+                {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </select>
+              {filters.sort && (
+                <button
+                  onClick={() => updateFilters({ dir: filters.dir === 'asc' ? 'desc' : 'asc' })}
+                  aria-label={filters.dir === 'asc' ? 'Sort descending' : 'Sort ascending'}
+                  style={{
+                    display: 'flex',
+                    padding: '0.4rem',
+                    background: 'var(--surface)',
+                    border: '1px solid var(--border)',
                     borderRadius: '8px',
-                    fontSize: '0.875rem'
-                  }}>
-                    <p style={{ margin: '0 0 0.5rem 0', color: '#f59e0b', fontWeight: '500' }}>
-                      ⚠ {workflow.issues.length} issue{workflow.issues.length > 1 ? 's' : ''} detected
-                    </p>
-                  </div>
-                )}
-              </div>
-            ))}
+                    color: 'var(--text-secondary)',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {filters.dir === 'asc' ? <ArrowUp size={14} /> : <ArrowDown size={14} />}
+                </button>
+              )}
+              {(isFiltered || filters.sort) && (
+                <button
+                  onClick={resetFilters}
+                  aria-label="Clear filters"
+                  style={{
+                    display: 'flex',
+                    padding: '0.4rem',
+                    background: 'transparent',
+                    border: '1px solid var(--border)',
+                    borderRadius: '8px',
+                    color: 'var(--text-muted)',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <X size={14} />
+                </button>
+              )}
+            </div>
+          </div>
+          
+          {loading && workflows.length === 0 && (
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.75rem',
+              padding: '2rem',
+              color: 'var(--text-muted)',
+              fontSize: '0.95rem'
+            }}>
+              <RefreshCw size={18} style={{ animation: 'pulse 2s ease-in-out infinite' }} />
+              Loading workflows…
+            </div>
+          )}
+
+          {!loading && !error && workflows.length === 0 && (
+            <div style={{ padding: '2rem', color: 'var(--text-muted)', fontSize: '0.95rem' }}>
+              No workflows found for this account.
+            </div>
+          )}
+
+          {workflows.length > 0 && visibleWorkflows.length === 0 && (
+            <div style={{ padding: '2rem', color: 'var(--text-muted)', fontSize: '0.95rem' }}>
+              No workflows match the current filters.
+            </div>
+          )}
+
+          <div
+            ref={workflowListRef}
+            role="group"
+            aria-label="Workflows. Use the arrow keys to move between them and Enter to open one."
+            style={{ display: 'flex', flexDirection: 'column', gap: '1rem', opacity: isStale ? 0.7 : 1 }}
+          >
+            {visibleWorkflows.length > virtualizeAbove ? (
+              <VirtualList
+                items={visibleWorkflows}
+                listRef={virtualListRef}
+                getKey={(workflow) => workflow.id}
+                renderItem={(workflow, index) => renderWorkflowCard(workflow, index, { animate: false })}
+              />
+            ) : (
+              visibleWorkflows.map((workflow, index) => renderWorkflowCard(workflow, index))
+            )}
           </div>
         </div>
 
         {/* Detail Panel */}
         {selectedWorkflow && (
-          <div style={{
-            background: 'rgba(255, 255, 255, 0.05)',
-            border: '1px solid rgba(255, 255, 255, 0.1)',
-            borderRadius: '16px',
-            padding: '2rem',
-            height: 'fit-content',
-            position: 'sticky',
-            top: '2rem',
-            animation: 'slideIn 0.4s ease-out'
-          }}>
-            <div style={{ marginBottom: '2rem' }}>
-              <h2 style={{
-                fontSize: '1.25rem',
-                fontWeight: '600',
-                marginBottom: '0.5rem',
-                color: '#f1f5f9'
-              }}>
-                Workflow Details
-              </h2>
-              <p style={{
-                margin: 0,
-                fontSize: '0.875rem',
-                color: '#94a3b8'
-              }}>
-                {selectedWorkflow.name}
-              </p>
-            </div>
+          <DetailPanel
+            workflow={selectedWorkflow}
+            titleRef={detailTitleRef}
+            onCompare={provider.fetchPeriod ? (workflowId) => setComparison({ workflowIds: [workflowId], openedAt: Date.now() }) : undefined}
+            onPrint={printReport}
+            onClose={closeWorkflow}
+            headerExtra={!currentUser && !identityProvider && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                <UserCheck size={14} />
+                Acting as
+                <input
+                  value={actorName}
+                  onChange={(e) => changeActorName(e.target.value)}
+                  placeholder="Your name"
+                  style={{
+                    flex: 1,
+                    minWidth: 0,
+                    padding: '0.3rem 0.5rem',
+                    background: 'var(--inset-strong)',
+                    border: '1px solid var(--border)',
+                    borderRadius: '6px',
+                    color: 'var(--text)',
+                    font: 'inherit',
+                    fontSize: '0.8rem'
+                  }}
+                />
+              </label>
+            )}
+          >
+            <WorkflowTrendCharts provider={provider} workflow={selectedWorkflow} />
+
+            <PerformanceSection workflow={selectedWorkflow} />
+
+            <InstanceDrilldown key={selectedWorkflow.id} provider={provider} workflow={selectedWorkflow} />
+
+            <ApprovalBottlenecks key={`approvals-${selectedWorkflow.id}`} provider={provider} workflow={selectedWorkflow} />
+
+            <TestRuns
+              key={`test-${selectedWorkflow.id}`}
+              provider={provider}
+              workflow={selectedWorkflow}
+              state={syntheticState}
+              onAction={runSyntheticAction}
+              canRun={canRunTests}
+              now={now}
+            />
+
+            <ExternalSystemsSection workflow={selectedWorkflow} connectors={selectedConnectors} />
 
-            {/* Issues Section */}
             {selectedWorkflow.issues.length > 0 && (
-              <div style={{ marginBottom: '2rem' }}>
-                <h3 style={{
-                  fontSize: '1rem',
-                  fontWeight: '600',
-                  marginBottom: '1rem',
-                  color: '#f1f5f9',
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '0.5rem'
-                }}>
-                  <AlertTriangle size={18} style={{ color: '#f59e0b' }} />
-                  Current Issues
-                </h3>
-                
-                <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
-                  {selectedWorkflow.issues.map((issue, idx) => (
-                    <div
-                      key={idx}
-                      className="recommendation-item"
-                      style={{
-                        padding: '1rem',
-                        background: issue.type === 'error' 
-                          ? 'rgba(239, 68, 68, 0.1)' 
-                          : 'rgba(245, 158, 11, 0.1)',
-                        border: `1px solid ${issue.type === 'error' ? 'rgba(239, 68, 68, 0.3)' : 'rgba(245, 158, 11, 0.3)'}`,
-                        borderRadius: '8px',
-                        fontSize: '0.875rem',
-                        color: '#e2e8f0',
-                        animationDelay: `${idx * 0.1}s`
-                      }}
-                    >
-                      {issue.message}
-                    </div>
-                  ))}
-                </div>
-              </div>
+              <IssueList
+                issues={selectedWorkflow.issues}
+                audit={issueState.audit.filter(entry => entry.workflowId === selectedWorkflow.id)}
+                actor={actor}
+                onAction={runIssueAction}
+                readOnly={!can(access, 'issues:act')}
+                singleUser={issueStore.name === 'local'}
+                now={now}
+              />
             )}
 
-            {/* Recommendations Section */}
-            {recommendations[selectedWorkflow.id] && (
-              <div>
-                <h3 style={{
-                  fontSize: '1rem',
-                  fontWeight: '600',
-                  marginBottom: '1rem',
-                  color: '#f1f5f9',
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '0.5rem'
-                }}>
-                  <Zap size={18} style={{ color: '#60a5fa' }} />
-                  Recommendations
-                </h3>
-                
+            {selectedRecommendations.length > 0 && (
+              <DetailSection icon={Zap} title="Recommendations" style={{ marginBottom: 0 }}>
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
-                  {recommendations[selectedWorkflow.id].map((rec, idx) => (
-                    <div
-                      key={idx}
-                      className="recommendation-item"
-                      style={{
-                        padding: '1.25rem',
-                        background: 'rgba(96, 165, 250, 0.1)',
-                        border: '1px solid rgba(96, 165, 250, 0.3)',
-                        borderRadius: '12px',
-                        animationDelay: `${(selectedWorkflow.issues.length + idx) * 0.1}s`
-                      }}
+                  {selectedRecommendations.map((rec, idx) => (
+                    <RecommendationCard
+                      key={rec.ruleId}
+                      recommendation={rec}
+                      animationDelay={`${(selectedWorkflow.issues.length + idx) * 0.1}s`}
                     >
-                      <div style={{
-                        display: 'inline-block',
-                        padding: '0.25rem 0.75rem',
-                        background: rec.priority === 'critical' 
-                          ? 'rgba(239, 68, 68, 0.2)' 
-                          : rec.priority === 'high'
-                          ? 'rgba(245, 158, 11, 0.2)'
-                          : 'rgba(96, 165, 250, 0.2)',
-                        borderRadius: '6px',
-                        fontSize: '0.75rem',
-                        fontWeight: '600',
-                        textTransform: 'uppercase',
-                        letterSpacing: '0.05em',
-                        marginBottom: '0.75rem',
-                        color: rec.priority === 'critical' 
-                          ? '#fca5a5' 
-                          : rec.priority === 'high'
-                          ? '#fcd34d'
-                          : '#93c5fd'
-                      }}>
-                        {rec.priority}
-                      </div>
-                      
-                      <p style={{
-                        margin: '0 0 0.75rem 0',
-                        fontSize: '0.9rem',
-                        fontWeight: '500',
-                        color: '#f1f5f9',
-                        lineHeight: '1.5'
-                      }}>
-                        {rec.action}
-                      </p>
-                      
-                      <p style={{
-                        margin: 0,
-                        fontSize: '0.85rem',
-                        color: '#94a3b8',
-                        fontStyle: 'italic'
-                      }}>
-                        💡 {rec.impact}
-                      </p>
-                    </div>
+                      <RecommendationAdoption
+                        provider={provider}
+                        workflowId={selectedWorkflow.id}
+                        recommendation={rec}
+                        adoption={selectedAdoptions.find(adoption => adoption.ruleId === rec.ruleId)}
+                        actor={actor}
+                        onAction={runAdoptionAction}
+                        readOnly={!can(access, 'recommendations:adopt')}
+                      />
+                    </RecommendationCard>
                   ))}
                 </div>
-              </div>
+              </DetailSection>
             )}
 
-            {selectedWorkflow.issues.length === 0 && !recommendations[selectedWorkflow.id] && (
-              <div style={{
-                padding: '2rem',
-                textAlign: 'center',
-                color: '#94a3b8'
-              }}>
-                <CheckCircle size={48} style={{ color: 'rgb(16, 185, 129)', marginBottom: '1rem' }} />
-                <p style={{ margin: 0, fontSize: '0.95rem' }}>
-                  No issues detected. Workflow is running smoothly.
-                </p>
-              </div>
-            )}
-          </div>
+            {selectedWorkflow.issues.length === 0 && selectedRecommendations.length === 0 && <AllClear />}
+          </DetailPanel>
+        )}
+
+        {showAlerts && (
+          <AlertHistory
+            alerts={alertHistory}
+            onSelectWorkflow={setSelectedWorkflowId}
+            onClear={alertEngine.clearHistory}
+            onClose={() => setShowAlerts(false)}
+          />
         )}
       </div>
+
+      {printJob && (
+        <div className="print-report">
+          <PrintReport
+            workflows={workflows}
+            workflow={printJob.workflowId ? workflows.find(w => w.id === printJob.workflowId) : null}
+            recommendationEngine={recommendationEngine}
+            generatedAt={printJob.generatedAt}
+            snapshotAt={printJob.snapshotAt}
+            getStatusColor={getStatusColor}
+          />
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,66 @@
+import React from 'react';
+import { THEMES } from './display-themes.js';
+import { STATUS_PAGE_WINDOWS } from './workflow-uptime.js';
+import StatusPage from './status-page.jsx';
+import { StatusStripWidget, WorkflowBadgeWidget } from './status-widgets.jsx';
+
+// Widgets and the status page behind one URL, for iframes:
+//   /embed?widget=strip&workflows=wf-001,wf-004&theme=light
+//   /embed?widget=badge&workflow=wf-001
+//   /embed?widget=status&range=90d
+
+export const EMBED_WIDGETS = ['strip', 'badge', 'status'];
+
+const list = (value) => (value ? value.split(',').map(id => id.trim()).filter(Boolean) : null);
+
+export const readEmbedParams = (search) => {
+  const params = new URLSearchParams(search);
+  const widget = params.get('widget');
+  const theme = params.get('theme');
+  const range = params.get('range');
+  return {
+    widget: EMBED_WIDGETS.includes(widget) ? widget : 'strip',
+    workflowIds: list(params.get('workflows')),
+    workflowId: params.get('workflow'),
+    theme: THEMES[theme] ? theme : 'system',
+    range: STATUS_PAGE_WINDOWS.includes(range) ? range : '30d',
+    title: params.get('title')
+  };
+};
+
+// `baseUrl` is where the host app mounts EmbedApp, e.g. 'https://dash.example.com/embed'
+export const embedUrl = (baseUrl, { widget = 'strip', workflowIds, workflowId, theme, range, title } = {}) => {
+  const params = new URLSearchParams({ widget });
+  if (workflowIds?.length) params.set('workflows', workflowIds.join(','));
+  if (workflowId) params.set('workflow', workflowId);
+  if (theme) params.set('theme', theme);
+  if (range) params.set('range', range);
+  if (title) params.set('title', title);
+  return `${baseUrl}?${params}`;
+};
+
+// Renders the widget named in the query string. `dashboardUrl` makes the strip
+// and badge link to the full dashboard (the badge opens the workflow's view).
+export default function EmbedApp({
+  provider,
+  search = typeof window !== 'undefined' ? window.location.search : '',
+  dashboardUrl
+}) {
+  const { widget, workflowIds, workflowId, theme, range, title } = readEmbedParams(search);
+
+  if (widget === 'status') {
+    return <StatusPage provider={provider} workflowIds={workflowIds} theme={theme} initialWindow={range} title={title || undefined} />;
+  }
+  if (widget === 'badge') {
+    if (!workflowId) return <p>Missing ?workflow= parameter</p>;
+    return (
+      <WorkflowBadgeWidget
+        provider={provider}
+        workflowId={workflowId}
+        theme={theme}
+        href={dashboardUrl && `${dashboardUrl}?q=${encodeURIComponent(workflowId)}`}
+      />
+    );
+  }
+  return <StatusStripWidget provider={provider} workflowIds={workflowIds} theme={theme} title={title || undefined} href={dashboardUrl} />;
+}
@@ -0,0 +1,156 @@
+import { HEALTH_THRESHOLDS, parseDuration, formatDuration } from './workflow-metrics.js';
+import { createHttpStore } from './shared-store.js';
+
+// Health threshold configuration: global limits with per-workflow overrides.
+// Each metric has a warning and a critical limit; `null` disables that level.
+
+// Runs still in progress have not succeeded or failed, so they are not data yet.
+// Workflows built without instance stats only carry the counts.
+export const hasFinishedRuns = (w) => (w.stats?.finished ?? (w.executions ?? 0) - (w.inProgress ?? 0)) > 0;
+
+export const THRESHOLD_METRICS = {
+  completionRate: {
+    label: 'Completion rate',
+    unit: '%',
+    // Breached when the value drops below the limit; the other metrics breach when they exceed it
+    lowerIsWorse: true,
+    value: (w) => (hasFinishedRuns(w) ? w.completionRate ?? null : null),
+    format: (v) => `${v}%`
+  },
+  failures: {
+    label: 'Failures',
+    unit: 'runs',
+    lowerIsWorse: false,
+    value: (w) => w.failures,
+    format: (v) => String(v)
+  },
+  durationSla: {
+    label: 'Avg duration SLA',
+    unit: 'seconds',
+    lowerIsWorse: false,
+    value: (w) => w.stats?.avgDuration ?? parseDuration(w.avgDuration),
+    format: formatDuration
+  },
+  lastRunAge: {
+    label: 'Time since last run',
+    unit: 'minutes',
+    lowerIsWorse: false,
+    value: (w, now) => (w.lastRunAt ? (now - new Date(w.lastRunAt)) / 60000 : null),
+    format: (v) => formatDuration(v * 60)
+  }
+};
+
+export const DEFAULT_THRESHOLDS = {
+  completionRate: { warning: HEALTH_THRESHOLDS.healthy, critical: HEALTH_THRESHOLDS.warning },
+  failures: { warning: 10, critical: null },
+  durationSla: { warning: null, critical: null },
+  lastRunAge: { warning: null, critical: null }
+};
+
+export const DEFAULT_THRESHOLD_CONFIG = {
+  global: DEFAULT_THRESHOLDS,
+  overrides: {}
+};
+
+const STATUS_RANK = { unknown: -1, healthy: 0, warning: 1, critical: 2 };
+
+export const worstStatus = (...statuses) => statuses.reduce(
+  (worst, status) => (STATUS_RANK[status] > STATUS_RANK[worst] ? status : worst),
+  'healthy'
+);
+
+// Global limits merged with the workflow's overrides, metric by metric
+export const resolveThresholds = (config, workflowId) => {
+  const override = config.overrides?.[workflowId] || {};
+  return Object.fromEntries(
+    Object.keys(THRESHOLD_METRICS).map(metric => [
+      metric,
+      { ...DEFAULT_THRESHOLDS[metric], ...config.global?.[metric], ...override[metric] }
+    ])
+  );
+};
+
+const isBreached = (metric, value, limit) => {
+  if (limit === null || limit === undefined || value === null || value === undefined) return false;
+  return THRESHOLD_METRICS[metric].lowerIsWorse ? value < limit : value > limit;
+};
+
+export function evaluateHealth(workflow, thresholds, { now = new Date() } = {}) {
+  const breaches = [];
+  Object.entries(THRESHOLD_METRICS).forEach(([metric, definition]) => {
+    const value = definition.value(workflow, now);
+    const { warning, critical } = thresholds[metric];
+    const level = isBreached(metric, value, critical) ? 'critical'
+      : isBreached(metric, value, warning) ? 'warning'
+      : null;
+    if (level) {
+      breaches.push({ metric, level, value, limit: level === 'critical' ? critical : warning });
+    }
+  });
+
+  const hasData = hasFinishedRuns(workflow);
+  return {
+    status: hasData ? worstStatus(...breaches.map(b => b.level)) : 'unknown',
+    breaches
+  };
+}
+
+// Re-derive status for every workflow from the threshold configuration
+export const applyThresholds = (workflows, config, { now = new Date() } = {}) => workflows.map(workflow => {
+  const thresholds = resolveThresholds(config, workflow.id);
+  const { status, breaches } = evaluateHealth(workflow, thresholds, { now });
+  return { ...workflow, status, breaches, thresholds };
+});
+
+export const getBreach = (workflow, metric) => workflow.breaches?.find(b => b.metric === metric) || null;
+
+export const describeBreach = (breach) => {
+  const { label, format, lowerIsWorse } = THRESHOLD_METRICS[breach.metric];
+  return `${label} ${format(breach.value)} ${lowerIsWorse ? 'below' : 'above'} ${breach.level} limit ${format(breach.limit)}`;
+};
+
+// Shared configuration, as the backend keeps it: `{ config, updatedAt, updatedBy }`.
+// `config: null` means the backend's own default (createServer's `thresholds`).
+export const EMPTY_THRESHOLD_STATE = { config: null, updatedAt: null, updatedBy: null };
+
+const isLimit = (value) => value === null || (typeof value === 'number' && Number.isFinite(value));
+
+const checkLimits = (limits = {}, where) => Object.entries(limits).forEach(([metric, levels]) => {
+  if (!THRESHOLD_METRICS[metric]) throw new Error(`Unknown threshold metric "${metric}" in ${where}`);
+  ['warning', 'critical'].forEach(level => {
+    if (levels?.[level] !== undefined && !isLimit(levels[level])) throw new Error(`${metric} ${level} limit in ${where} must be a number or null`);
+  });
+});
+
+export function applyThresholdAction(state, { action, config, actor, at }) {
+  if (!actor) throw new Error('Threshold changes need an actor');
+  if (action !== 'set') throw new Error(`Unknown threshold action "${action}"`);
+  if (!config || typeof config.global !== 'object') throw new Error('Threshold configuration needs global limits');
+  checkLimits(config.global, 'global');
+  Object.entries(config.overrides || {}).forEach(([workflowId, limits]) => checkLimits(limits, workflowId));
+  return { config: { global: config.global, overrides: config.overrides || {} }, updatedAt: at, updatedBy: actor };
+}
+
+// Shared through GET /thresholds and POST /thresholds/actions; the backend
+// answers its default configuration until an admin saves one
+export const createHttpThresholdStore = (options = {}) => createHttpStore({
+  path: '/thresholds',
+  initialState: EMPTY_THRESHOLD_STATE,
+  ...options
+});
+
+// Without a backend, an admin's edits are kept in this browser
+const STORAGE_KEY = 'docusign-dashboard:thresholds';
+
+export const loadThresholdConfig = (storage = typeof window !== 'undefined' ? window.localStorage : null) => {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveThresholdConfig = (config, storage = typeof window !== 'undefined' ? window.localStorage : null) => {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(config));
+};
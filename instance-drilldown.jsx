@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from 'react';
+import { List, ChevronLeft, ChevronRight, CheckCircle, XCircle, Clock, Activity, RefreshCw } from 'lucide-react';
+import { formatDuration, formatRelativeTime } from './workflow-metrics.js';
+import { DEFAULT_PAGE_SIZE } from './workflow-providers.js';
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'in_progress', label: 'Running' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+export const getInstanceColor = (status) => {
+  switch(status) {
+    case 'completed': return 'var(--status-healthy)';
+    case 'failed': return 'var(--status-critical)';
+    case 'in_progress': return 'rgb(96, 165, 250)';
+    default: return 'var(--status-unknown)';
+  }
+};
+
+export const getInstanceIcon = (status, size = 14) => {
+  switch(status) {
+    case 'completed': return <CheckCircle size={size} />;
+    case 'failed': return <XCircle size={size} />;
+    case 'in_progress': return <Activity size={size} />;
+    default: return <Clock size={size} />;
+  }
+};
+
+const stepDuration = (step) => (step.startedAt && step.completedAt
+  ? (new Date(step.completedAt) - new Date(step.startedAt)) / 1000
+  : null);
+
+const formatTime = (value) => (value ? new Date(value).toLocaleTimeString() : '—');
+
+const chipStyle = (active) => ({
+  padding: '0.25rem 0.6rem',
+  background: active ? 'rgba(96, 165, 250, 0.2)' : 'transparent',
+  border: active ? '1px solid rgba(96, 165, 250, 0.5)' : '1px solid var(--border)',
+  borderRadius: '6px',
+  color: active ? 'var(--text-accent)' : 'var(--text-muted)',
+  font: 'inherit',
+  fontSize: '0.75rem',
+  cursor: 'pointer'
+});
+
+// Without `onBack` the timeline is shown on its own (e.g. a test run in progress)
+export const InstanceTimeline = ({ instance, onBack }) => {
+  const start = new Date(instance.startedAt).getTime();
+  const end = instance.completedAt
+    ? new Date(instance.completedAt).getTime()
+    : Math.max(start + 1, ...instance.steps.filter(s => s.startedAt).map(s => new Date(s.completedAt || Date.now()).getTime()));
+  const span = Math.max(end - start, 1);
+
+  return (
+    <div>
+      {onBack && (
+        <button onClick={onBack} style={{ ...chipStyle(false), display: 'flex', alignItems: 'center', gap: '0.25rem', marginBottom: '1rem' }}>
+          <ChevronLeft size={14} /> Back to executions
+        </button>
+      )}
+
+      <div style={{
+        padding: '1rem',
+        background: 'var(--inset)',
+        borderRadius: '8px',
+        fontSize: '0.8rem',
+        color: 'var(--text-muted)',
+        display: 'grid',
+        gridTemplateColumns: 'auto 1fr',
+        gap: '0.35rem 0.75rem',
+        marginBottom: '1rem'
+      }}>
+        <span>Status</span>
+        <span style={{ color: getInstanceColor(instance.status), fontWeight: '600' }}>{instance.status}</span>
+        <span>Instance</span>
+        <span style={{ fontFamily: '"JetBrains Mono", monospace', color: 'var(--text-secondary)', wordBreak: 'break-all' }}>{instance.instanceId}</span>
+        <span>Envelope</span>
+        <span style={{ fontFamily: '"JetBrains Mono", monospace', color: 'var(--text-secondary)', wordBreak: 'break-all' }}>
+          {instance.metadata?.envelopeId || '—'}
+        </span>
+        <span>Started</span>
+        <span style={{ color: 'var(--text-secondary)' }}>{new Date(instance.startedAt).toLocaleString()}</span>
+        <span>Duration</span>
+        <span style={{ color: 'var(--text-secondary)' }}>{formatDuration(instance.duration)}</span>
+        {instance.triggeredBy && (
+          <>
+            <span>Triggered by</span>
+            <span style={{ color: 'var(--text-secondary)' }}>{instance.triggeredBy}</span>
+          </>
+        )}
+        {instance.errorCode && (
+          <>
+            <span>Error</span>
+            <span style={{ color: 'var(--text-danger)' }}>{instance.errorCode}: {instance.failureReason || instance.errorMessage}</span>
+          </>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+        {instance.steps.map((step, idx) => {
+          const failed = step.status === 'failed' || step.stepId === instance.failedStepId;
+          const offset = step.startedAt ? ((new Date(step.startedAt).getTime() - start) / span) * 100 : 0;
+          const duration = stepDuration(step);
+          const width = step.startedAt
+            ? Math.max(((duration ?? (Date.now() - new Date(step.startedAt).getTime()) / 1000) * 1000 / span) * 100, 1)
+            : 0;
+
+          return (
+            <div
+              key={step.stepId}
+              className="recommendation-item"
+              style={{
+                padding: '0.75rem',
+                background: failed ? 'rgba(239, 68, 68, 0.1)' : 'var(--surface-subtle)',
+                border: `1px solid ${failed ? 'rgba(239, 68, 68, 0.3)' : 'var(--border-subtle)'}`,
+                borderRadius: '8px',
+                animationDelay: `${idx * 0.05}s`
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+                <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.85rem', color: 'var(--text-strong)', fontWeight: '500' }}>
+                  <span style={{ color: getInstanceColor(step.status) }}>{getInstanceIcon(step.status)}</span>
+                  {step.name}
+                </span>
+                <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                  {step.status === 'skipped' || step.status === 'pending' ? step.status : formatDuration(duration)}
+                </span>
+              </div>
+
+              {step.startedAt && (
+                <>
+                  <div style={{ height: '4px', background: 'var(--surface)', borderRadius: '2px', margin: '0.5rem 0', position: 'relative' }}>
+                    <div style={{
+                      position: 'absolute',
+                      left: `${offset}%`,
+                      width: `${Math.min(width, 100 - offset)}%`,
+                      height: '100%',
+                      background: getInstanceColor(step.status),
+                      borderRadius: '2px'
+                    }} />
+                  </div>
+                  <p style={{ margin: 0, fontSize: '0.75rem', color: 'var(--text-faint)' }}>
+                    {formatTime(step.startedAt)} → {step.completedAt ? formatTime(step.completedAt) : 'running'}
+                    {step.recipient && ` · ${step.recipient}`}
+                  </p>
+                </>
+              )}
+
+              {failed && step.errorMessage && (
+                <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.8rem', color: 'var(--text-danger)' }}>
+                  {step.errorMessage}
+                </p>
+              )}
+            </div>
+          );
+        })}
+
+        {instance.steps.length === 0 && (
+          <p style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-muted)' }}>No step details recorded for this execution.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default function InstanceDrilldown({ provider, workflow, pageSize = DEFAULT_PAGE_SIZE }) {
+  const [status, setStatus] = useState('');
+  const [errorCode, setErrorCode] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedInstanceId, setSelectedInstanceId] = useState(null);
+  const [instance, setInstance] = useState(null);
+
+  useEffect(() => {
+    if (!provider.fetchInstances) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    provider.fetchInstances(workflow.id, { status, errorCode, page, pageSize, signal: controller.signal })
+      .then(next => {
+        if (controller.signal.aborted) return;
+        setResult(next);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (controller.signal.aborted) return;
+        setError(err);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [provider, workflow.id, status, errorCode, page, pageSize]);
+
+  useEffect(() => {
+    if (!selectedInstanceId) {
+      setInstance(null);
+      return undefined;
+    }
+    const controller = new AbortController();
+    setError(null);
+
+    provider.fetchInstance(workflow.id, selectedInstanceId, { signal: controller.signal })
+      .then(next => {
+        if (!controller.signal.aborted) setInstance(next);
+      })
+      .catch(err => {
+        if (controller.signal.aborted) return;
+        setError(err);
+        setSelectedInstanceId(null);
+      });
+
+    return () => controller.abort();
+  }, [provider, workflow.id, selectedInstanceId]);
+
+  if (!provider.fetchInstances) return null;
+
+  const totalPages = result ? Math.max(1, Math.ceil(result.total / result.pageSize)) : 1;
+  const errorCodes = (workflow.errorRates || []).map(r => r.errorCode);
+  const changeFilter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  return (
+    <div style={{ marginBottom: '2rem' }}>
+      <h3 style={{
+        fontSize: '1rem',
+        fontWeight: '600',
+        marginBottom: '1rem',
+        color: 'var(--text-strong)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <List size={18} style={{ color: '#60a5fa' }} />
+        Executions
+        {loading && <RefreshCw size={14} style={{ color: 'var(--text-faint)', animation: 'pulse 2s ease-in-out infinite' }} />}
+      </h3>
+
+      {error && (
+        <p style={{ margin: '0 0 1rem 0', fontSize: '0.85rem', color: 'var(--text-danger)' }}>
+          Could not load executions: {error.message}
+        </p>
+      )}
+
+      {selectedInstanceId ? (
+        instance
+          ? <InstanceTimeline instance={instance} onBack={() => setSelectedInstanceId(null)} />
+          : <p style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-muted)' }}>Loading execution…</p>
+      ) : (
+        <>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem', marginBottom: '0.75rem' }}>
+            {STATUS_FILTERS.map(filter => (
+              <button key={filter.value} onClick={() => changeFilter(setStatus)(filter.value)} style={chipStyle(status === filter.value)}>
+                {filter.label}
+              </button>
+            ))}
+          </div>
+
+          {errorCodes.length > 0 && (
+            <select
+              value={errorCode}
+              onChange={(e) => changeFilter(setErrorCode)(e.target.value)}
+              aria-label="Filter by error code"
+              style={{
+                width: '100%',
+                marginBottom: '0.75rem',
+                padding: '0.4rem 0.5rem',
+                background: 'var(--inset-strong)',
+                border: '1px solid var(--border)',
+                borderRadius: '6px',
+                color: 'var(--text-secondary)',
+                font: 'inherit',
+                fontSize: '0.8rem'
+              }}
+            >
+              <option value="">Any error code</option>
+              {errorCodes.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          )}
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem' }}>
+            {result?.instances.map(item => (
+              <button
+                key={item.instanceId}
+                onClick={() => setSelectedInstanceId(item.instanceId)}
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'auto 1fr auto',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  padding: '0.5rem 0.75rem',
+                  background: 'var(--surface-subtle)',
+                  border: '1px solid var(--border-subtle)',
+                  borderRadius: '6px',
+                  color: 'var(--text-secondary)',
+                  font: 'inherit',
+                  fontSize: '0.8rem',
+                  textAlign: 'left',
+                  cursor: 'pointer'
+                }}
+              >
+                <span style={{ color: getInstanceColor(item.status) }}>{getInstanceIcon(item.status)}</span>
+                <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {formatRelativeTime(item.startedAt)}
+                  {item.errorCode && <span style={{ color: 'var(--text-danger)' }}> · {item.errorCode}</span>}
+                </span>
+                <span style={{ color: 'var(--text-muted)' }}>{formatDuration(item.duration)}</span>
+              </button>
+            ))}
+
+            {result && result.instances.length === 0 && (
+              <p style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-muted)' }}>No executions match these filters.</p>
+            )}
+          </div>
+
+          {result && result.total > result.pageSize && (
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '0.75rem', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+              <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} style={chipStyle(false)} aria-label="Previous page">
+                <ChevronLeft size={14} />
+              </button>
+              <span>Page {page} of {totalPages} · {result.total} executions</span>
+              <button onClick={() => setPage(p => p + 1)} disabled={page >= totalPages} style={chipStyle(false)} aria-label="Next page">
+                <ChevronRight size={14} />
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
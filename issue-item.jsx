@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { ISSUE_ACTIONS, isSnoozed } from './issue-lifecycle.js';
+import { tokens, tint, badgeStyle } from './design-tokens.js';
+
+export const STATE_TONES = {
+  open: 'critical',
+  acknowledged: 'info',
+  assigned: 'highlight',
+  resolved: 'healthy',
+  suppressed: 'neutral'
+};
+
+const SNOOZE_OPTIONS = [
+  { label: '1h', hours: 1 },
+  { label: '4h', hours: 4 },
+  { label: '24h', hours: 24 }
+];
+
+export const smallButtonStyle = {
+  padding: '0.2rem 0.55rem',
+  background: 'transparent',
+  border: `1px solid ${tokens.color.border.default}`,
+  borderRadius: tokens.radius.sm,
+  color: tokens.color.text.secondary,
+  font: 'inherit',
+  fontSize: '0.75rem',
+  cursor: 'pointer'
+};
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '0.3rem 0.5rem',
+  background: tokens.color.surface.insetStrong,
+  border: `1px solid ${tokens.color.border.default}`,
+  borderRadius: tokens.radius.sm,
+  color: tokens.color.text.default,
+  font: 'inherit',
+  fontSize: '0.8rem'
+};
+
+// Open issues are tinted by severity; handled and snoozed ones fade back
+const issueColor = (issue) => (issue.type === 'error' ? tokens.color.status.critical : tokens.color.status.warning);
+
+// One issue with its state, owner, notes and lifecycle controls.
+// `onAction({ key, lastSeenAt, action, owner, note, snoozeUntil })` resolves once the store has
+// applied it. `readOnly` hides the controls; without an `actor` they are disabled.
+export default function IssueItem({ issue, actor, onAction, readOnly = false, now = new Date(), index = 0 }) {
+  // 'assign' | 'note' while the inline form is open
+  const [editing, setEditing] = useState(null);
+  const [text, setText] = useState('');
+  const [actionError, setActionError] = useState(null);
+  const snoozed = isSnoozed(issue, now);
+  const active = issue.state === 'open' && !snoozed;
+
+  const run = async (action, extra = {}) => {
+    setActionError(null);
+    try {
+      await onAction({ key: issue.key, lastSeenAt: issue.lastSeenAt, action, ...extra });
+      setEditing(null);
+      setText('');
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const submitEdit = () => {
+    if (!text.trim()) return;
+    if (editing === 'assign') run('assign', { owner: text.trim() });
+    else run('note', { note: text.trim() });
+  };
+
+  const can = (action) => ISSUE_ACTIONS[action].from.includes(issue.state);
+
+  return (
+    <div
+      className="recommendation-item"
+      style={{
+        padding: tokens.space.lg,
+        background: active ? tint(issueColor(issue), 10) : tokens.color.surface.subtle,
+        border: active ? `1px solid ${tint(issueColor(issue), 30)}` : `1px dashed ${tokens.color.border.default}`,
+        borderRadius: tokens.radius.md,
+        fontSize: '0.875rem',
+        color: active ? tokens.color.text.default : tokens.color.text.muted,
+        animationDelay: `${index * 0.1}s`
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem', flexWrap: 'wrap' }}>
+        <span style={badgeStyle(STATE_TONES[issue.state])}>
+          {issue.state}
+        </span>
+        {issue.owner && <span style={{ fontSize: '0.75rem', color: 'var(--text-highlight)' }}>@{issue.owner}</span>}
+        {snoozed && (
+          <span style={{ fontSize: '0.75rem', color: tokens.color.text.muted }}>
+            snoozed until {new Date(issue.snoozeUntil).toLocaleTimeString()}
+          </span>
+        )}
+      </div>
+
+      {issue.message}
+
+      {issue.notes.length > 0 && (
+        <ul style={{ margin: '0.5rem 0 0 0', paddingLeft: '1rem', fontSize: '0.8rem', color: tokens.color.text.muted }}>
+          {issue.notes.map((note, noteIdx) => (
+            <li key={noteIdx}>
+              <span style={{ color: tokens.color.text.secondary }}>{note.actor}</span>: {note.text}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!readOnly && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem', marginTop: '0.75rem' }}>
+          {['acknowledge', 'resolve', 'suppress', 'reopen'].filter(can).map(action => (
+            <button key={action} onClick={() => run(action)} disabled={!actor} style={smallButtonStyle}>
+              {ISSUE_ACTIONS[action].label}
+            </button>
+          ))}
+          {can('assign') && (
+            <button onClick={() => setEditing('assign')} disabled={!actor} style={smallButtonStyle}>
+              {issue.owner ? 'Reassign' : 'Assign'}
+            </button>
+          )}
+          {can('snooze') && SNOOZE_OPTIONS.map(option => (
+            <button
+              key={option.label}
+              onClick={() => run('snooze', { snoozeUntil: new Date(now.getTime() + option.hours * 3600000).toISOString() })}
+              disabled={!actor}
+              aria-label={`Snooze for ${option.label}`}
+              style={smallButtonStyle}
+            >
+              💤 {option.label}
+            </button>
+          ))}
+          <button onClick={() => setEditing('note')} disabled={!actor} style={smallButtonStyle}>
+            Note
+          </button>
+        </div>
+      )}
+
+      {editing && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            submitEdit();
+          }}
+          style={{ display: 'flex', gap: '0.35rem', marginTop: '0.5rem' }}
+        >
+          <input
+            autoFocus
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={editing === 'assign' ? 'Owner' : 'Note'}
+            aria-label={editing === 'assign' ? 'Owner' : 'Note'}
+            style={inputStyle}
+          />
+          <button type="submit" style={smallButtonStyle}>Save</button>
+          <button type="button" onClick={() => setEditing(null)} style={smallButtonStyle}>Cancel</button>
+        </form>
+      )}
+
+      {actionError && (
+        <p role="alert" style={{ margin: '0.5rem 0 0 0', fontSize: '0.8rem', color: 'var(--text-danger)' }}>{actionError}</p>
+      )}
+    </div>
+  );
+}
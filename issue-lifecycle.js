@@ -0,0 +1,152 @@
+import { createLocalStore, createHttpStore } from './shared-store.js';
+
+// Issue lifecycle: open → acknowledged → assigned → resolved / suppressed.
+//
+// Detected issues stay plain `{ code, type, message }` objects; what people
+// have done about them lives in a separate state keyed by `issueKey`, so the
+// same AD outage keeps its owner and notes across refreshes. The state is
+// `{ records, audit }`: the current record per issue plus an append-only log
+// of every action. `applyIssueAction` is the only way it changes, and a store
+// (local or HTTP) persists it so everyone watching sees the same thing.
+//
+// A resolved issue that shows up in a run started after it was resolved has
+// come back: it is open again, without an owner, and keeps its notes.
+
+export const ISSUE_STATES = ['open', 'acknowledged', 'assigned', 'resolved', 'suppressed'];
+
+const ACTIVE_STATES = ['open', 'acknowledged', 'assigned'];
+
+// `to: null` actions annotate the issue without changing its state
+export const ISSUE_ACTIONS = {
+  acknowledge: { label: 'Acknowledge', from: ['open'], to: 'acknowledged' },
+  assign: { label: 'Assign', from: ACTIVE_STATES, to: 'assigned' },
+  resolve: { label: 'Resolve', from: ACTIVE_STATES, to: 'resolved' },
+  suppress: { label: 'Suppress', from: ACTIVE_STATES, to: 'suppressed' },
+  reopen: { label: 'Reopen', from: ['acknowledged', 'assigned', 'resolved', 'suppressed'], to: 'open' },
+  snooze: { label: 'Snooze', from: ACTIVE_STATES, to: null },
+  note: { label: 'Add note', from: ISSUE_STATES, to: null }
+};
+
+export const EMPTY_ISSUE_STATE = { records: {}, audit: [] };
+
+export const issueKey = (workflowId, issue) => `${workflowId}:${issue.code || issue.message}`;
+
+// `lastSeenAt` is the start of the latest run showing the issue (see detectIssues)
+export const hasRecurred = (record, lastSeenAt) => (
+  record?.state === 'resolved' && Boolean(lastSeenAt) && Boolean(record.resolvedAt) && lastSeenAt > record.resolvedAt
+);
+
+const freshRecord = (key, workflowId, notes = []) => ({ key, workflowId, state: 'open', owner: null, snoozeUntil: null, resolvedAt: null, notes });
+
+let auditSequence = 0;
+
+export function applyIssueAction(state, { key, workflowId, action, actor, at, owner, note, snoozeUntil, lastSeenAt }, { auditLimit = 1000 } = {}) {
+  const definition = ISSUE_ACTIONS[action];
+  if (!definition) throw new Error(`Unknown issue action "${action}"`);
+  if (!actor) throw new Error('Issue actions need an actor');
+
+  const stored = state.records[key];
+  const previous = stored && !hasRecurred(stored, lastSeenAt) ? stored : freshRecord(key, workflowId, stored?.notes);
+  if (!definition.from.includes(previous.state)) {
+    throw new Error(`Cannot ${action} an issue that is ${previous.state}`);
+  }
+  if (action === 'assign' && !owner) throw new Error('Assign needs an owner');
+  if (action === 'snooze' && !snoozeUntil) throw new Error('Snooze needs a snooze-until time');
+  if (action === 'note' && !note) throw new Error('Note is empty');
+
+  const record = {
+    ...previous,
+    state: definition.to || previous.state,
+    owner: action === 'assign' ? owner : action === 'reopen' ? null : previous.owner,
+    snoozeUntil: action === 'snooze' ? snoozeUntil : definition.to ? null : previous.snoozeUntil,
+    resolvedAt: action === 'resolve' ? at : definition.to ? null : previous.resolvedAt ?? null,
+    notes: note ? [...previous.notes, { actor, at, text: note }] : previous.notes,
+    updatedAt: at,
+    updatedBy: actor
+  };
+
+  const entry = {
+    id: `audit-${Date.parse(at)}-${++auditSequence}`,
+    key,
+    workflowId,
+    action,
+    actor,
+    at,
+    from: previous.state,
+    to: record.state,
+    ...(owner && { owner }),
+    ...(note && { note }),
+    ...(snoozeUntil && { snoozeUntil })
+  };
+
+  return {
+    records: { ...state.records, [key]: record },
+    audit: [entry, ...state.audit].slice(0, auditLimit)
+  };
+}
+
+// Merge lifecycle records into each workflow's detected issues
+export const annotateIssues = (workflows, issueState) => workflows.map(workflow => ({
+  ...workflow,
+  issues: workflow.issues.map(issue => {
+    const key = issueKey(workflow.id, issue);
+    const stored = issueState.records[key];
+    const record = hasRecurred(stored, issue.lastSeenAt) ? freshRecord(key, workflow.id, stored.notes) : stored;
+    return {
+      ...issue,
+      key,
+      state: record?.state || 'open',
+      owner: record?.owner || null,
+      snoozeUntil: record?.snoozeUntil || null,
+      notes: record?.notes || []
+    };
+  })
+}));
+
+export const isSnoozed = (issue, now = new Date()) => Boolean(issue.snoozeUntil) && new Date(issue.snoozeUntil) > now;
+
+// Only open, unsnoozed issues count towards "N issues detected"
+export const needsAttention = (issue, now = new Date()) => (issue.state || 'open') === 'open' && !isSnoozed(issue, now);
+
+export const describeAuditEntry = (entry) => {
+  switch (entry.action) {
+    case 'assign': return `assigned to ${entry.owner}`;
+    case 'snooze': return `snoozed until ${new Date(entry.snoozeUntil).toLocaleString()}`;
+    case 'note': return 'added a note';
+    case 'reopen': return `reopened (was ${entry.from})`;
+    default: return entry.to;
+  }
+};
+
+// Stores persist the state (see shared-store.js); both apply actions with applyIssueAction
+
+const STORAGE_KEY = 'docusign-dashboard:issues';
+
+export const createLocalIssueStore = ({ auditLimit, ...options } = {}) => createLocalStore({
+  reducer: (state, action) => applyIssueAction(state, action, { auditLimit }),
+  initialState: EMPTY_ISSUE_STATE,
+  storageKey: STORAGE_KEY,
+  ...options
+});
+
+// Shared across users through GET /issues and POST /issues/actions
+export const createHttpIssueStore = (options = {}) => createHttpStore({
+  path: '/issues',
+  initialState: EMPTY_ISSUE_STATE,
+  ...options
+});
+
+// Name recorded in the audit log when no signed-in user is passed to the dashboard
+const ACTOR_STORAGE_KEY = 'docusign-dashboard:actor';
+
+export const loadActorName = (storage = typeof window !== 'undefined' ? window.localStorage : null) => {
+  try {
+    return storage?.getItem(ACTOR_STORAGE_KEY) || '';
+  } catch (err) {
+    return '';
+  }
+};
+
+export const saveActorName = (name, storage = typeof window !== 'undefined' ? window.localStorage : null) => {
+  storage?.setItem(ACTOR_STORAGE_KEY, name);
+};
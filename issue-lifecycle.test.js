@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { applyIssueAction, annotateIssues, needsAttention, EMPTY_ISSUE_STATE } from './issue-lifecycle.js';
+
+const KEY = 'wf-003:api_error';
+
+const workflow = (lastSeenAt) => ({
+  id: 'wf-003',
+  issues: [{ code: 'api_error', type: 'error', message: 'API connection failures: 4 instances', lastSeenAt }]
+});
+
+const resolved = applyIssueAction(EMPTY_ISSUE_STATE, {
+  key: KEY,
+  workflowId: 'wf-003',
+  action: 'resolve',
+  actor: 'Dana',
+  at: '2025-01-28T12:00:00.000Z',
+  lastSeenAt: '2025-01-28T11:30:00.000Z'
+});
+
+describe('issue lifecycle', () => {
+  it('keeps an issue resolved while only runs from before the resolution show it', () => {
+    const [{ issues: [issue] }] = annotateIssues([workflow('2025-01-28T11:30:00.000Z')], resolved);
+    expect(issue.state).toBe('resolved');
+    expect(needsAttention(issue)).toBe(false);
+  });
+
+  it('reopens a resolved issue once a later run shows it again', () => {
+    const [{ issues: [issue] }] = annotateIssues([workflow('2025-01-29T08:00:00.000Z')], resolved);
+    expect(issue).toMatchObject({ state: 'open', owner: null });
+    expect(needsAttention(issue, new Date('2025-01-29T09:00:00.000Z'))).toBe(true);
+  });
+
+  it('accepts actions on the recurrence as on a new issue', () => {
+    const state = applyIssueAction(resolved, {
+      key: KEY,
+      workflowId: 'wf-003',
+      action: 'acknowledge',
+      actor: 'Sam',
+      at: '2025-01-29T09:00:00.000Z',
+      lastSeenAt: '2025-01-29T08:00:00.000Z'
+    });
+    expect(state.records[KEY]).toMatchObject({ state: 'acknowledged', resolvedAt: null });
+    expect(state.audit[0]).toMatchObject({ action: 'acknowledge', from: 'open', to: 'acknowledged' });
+  });
+});
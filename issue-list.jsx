@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { AlertTriangle, History } from 'lucide-react';
+import { describeAuditEntry } from './issue-lifecycle.js';
+import { tokens, sectionTitleStyle } from './design-tokens.js';
+import IssueItem, { smallButtonStyle } from './issue-item.jsx';
+
+// Current issues of one workflow with their lifecycle controls and audit trail.
+// `onAction` and `readOnly` are passed to each IssueItem. `singleUser` says the
+// lifecycle is only kept in this browser, so nobody else sees it.
+export default function IssueList({ issues, audit, actor, onAction, readOnly = false, singleUser = false, now = new Date() }) {
+  const [showAudit, setShowAudit] = useState(false);
+
+  return (
+    <div style={{ marginBottom: '2rem' }}>
+      <h3 style={sectionTitleStyle}>
+        <AlertTriangle size={18} style={{ color: tokens.color.status.warning }} aria-hidden="true" />
+        Current Issues
+        {singleUser && (
+          <span
+            title="Issue states, owners and notes are saved in this browser only. Configure a backend to share them with your team."
+            style={{ marginLeft: 'auto', fontSize: '0.7rem', fontWeight: 500, color: 'var(--text-muted)', border: '1px solid var(--border-subtle)', borderRadius: '999px', padding: '0.1rem 0.5rem' }}
+          >
+            Single-user · this browser only
+          </span>
+        )}
+      </h3>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+        {issues.map((issue, idx) => (
+          <IssueItem
+            key={issue.key}
+            issue={issue}
+            index={idx}
+            actor={actor}
+            onAction={onAction}
+            readOnly={readOnly}
+            now={now}
+          />
+        ))}
+      </div>
+
+      {audit.length > 0 && (
+        <div style={{ marginTop: '0.75rem' }}>
+          <button
+            onClick={() => setShowAudit(open => !open)}
+            aria-expanded={showAudit}
+            style={{ ...smallButtonStyle, display: 'flex', alignItems: 'center', gap: '0.35rem', border: 'none', padding: 0, color: 'var(--text-muted)' }}
+          >
+            <History size={14} />
+            Activity ({audit.length})
+          </button>
+          {showAudit && (
+            <ul style={{ margin: '0.5rem 0 0 0', padding: 0, listStyle: 'none', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+              {audit.map(entry => (
+                <li key={entry.id} style={{ padding: '0.3rem 0', borderBottom: '1px solid var(--border-subtle)' }}>
+                  <span style={{ color: 'var(--text-faint)' }}>{new Date(entry.at).toLocaleString()}</span>{' '}
+                  <span style={{ color: 'var(--text-secondary)' }}>{entry.actor}</span>{' '}
+                  {describeAuditEntry(entry)}{' '}
+                  <span style={{ fontFamily: '"JetBrains Mono", monospace' }}>{entry.key.split(':').slice(1).join(':')}</span>
+                  {entry.note && <span>: “{entry.note}”</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+// Live workflow updates pushed over Server-Sent Events or a WebSocket.
+//
+// The stream carries JSON messages, one per event:
+//   { type: 'snapshot', workflows: [...] }            full list, sent on (re)connect
+//   { type: 'workflow', workflow: {...} }              a workflow added or replaced
+//   { type: 'delta', id, changes: {...} }              changed fields of one workflow
+//   { type: 'issue', workflowId, issue: {...} }        a newly detected issue
+//   { type: 'removed', id }                            a workflow deleted or no longer visible
+//   { type: 'heartbeat' }                              keeps the connection (and data) fresh
+//
+// `applyLiveEvent` merges events into the workflow list and keeps every
+// untouched workflow object as-is, so memoized cards do not re-render.
+
+export const LIVE_EVENT_TYPES = ['snapshot', 'workflow', 'delta', 'issue', 'removed', 'heartbeat'];
+
+const sameIssue = (a, b) => (a.code && b.code ? a.code === b.code : a.message === b.message);
+
+export const applyLiveEvent = (workflows, event) => {
+  switch (event.type) {
+    case 'snapshot':
+      return reuseUnchanged(workflows, event.workflows);
+    case 'workflow': {
+      const exists = workflows.some(w => w.id === event.workflow.id);
+      return exists
+        ? workflows.map(w => (w.id === event.workflow.id ? event.workflow : w))
+        : [...workflows, event.workflow];
+    }
+    case 'delta':
+      return workflows.map(w => (w.id === event.id ? { ...w, ...event.changes } : w));
+    case 'issue':
+      return workflows.map(w => (
+        w.id === event.workflowId && !w.issues.some(issue => sameIssue(issue, event.issue))
+          ? { ...w, issues: [...w.issues, event.issue] }
+          : w
+      ));
+    case 'removed':
+      return workflows.some(w => w.id === event.id) ? workflows.filter(w => w.id !== event.id) : workflows;
+    default:
+      return workflows;
+  }
+};
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Fields of `next` that differ from `prev`, or null when nothing changed
+export const diffWorkflow = (prev, next) => {
+  const changes = {};
+  Object.keys(next).forEach(key => {
+    if (!sameValue(prev[key], next[key])) changes[key] = next[key];
+  });
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Events that turn `previous` into `next`; what a backend streams after each poll of Maestro
+export const diffWorkflows = (previous, next) => {
+  const byId = new Map(previous.map(w => [w.id, w]));
+  const nextIds = new Set(next.map(w => w.id));
+  const removed = previous.filter(w => !nextIds.has(w.id)).map(w => ({ type: 'removed', id: w.id }));
+  return [...removed, ...next.flatMap(workflow => {
+    const prev = byId.get(workflow.id);
+    if (!prev) return [{ type: 'workflow', workflow }];
+    const changes = diffWorkflow(prev, workflow);
+    if (!changes) return [];
+    const newIssues = (changes.issues || []).filter(issue => !prev.issues.some(p => sameIssue(p, issue)));
+    return [
+      { type: 'delta', id: workflow.id, changes },
+      ...newIssues.map(issue => ({ type: 'issue', workflowId: workflow.id, issue }))
+    ];
+  })];
+};
+
+// `next` with every workflow that is unchanged from `previous` swapped for the previous object
+export const reuseUnchanged = (previous, next) => {
+  const byId = new Map(previous.map(w => [w.id, w]));
+  return next.map(workflow => {
+    const prev = byId.get(workflow.id);
+    return prev && !diffWorkflow(prev, workflow) ? prev : workflow;
+  });
+};
+
+// Exponential backoff with full jitter: attempt 1 waits up to baseMs, doubling to maxMs
+export const backoffDelay = (attempt, { baseMs = 1000, maxMs = 30000, random = Math.random } = {}) =>
+  Math.round(random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1)));
+
+// Transports: `connect({ onOpen, onMessage, onClose })` returns a function that
+// closes the connection without reporting it through `onClose`. `url` may be an
+// async function, called on every (re)connect, e.g. to add a fresh stream token.
+
+const openWith = (url, open, onClose) => {
+  let close = null;
+  let closed = false;
+  Promise.resolve(typeof url === 'function' ? url() : url)
+    .then(resolved => {
+      if (!closed) close = open(resolved);
+    })
+    .catch(err => {
+      if (!closed) onClose(err);
+    });
+  return () => {
+    closed = true;
+    close?.();
+  };
+};
+
+export const createSseTransport = ({ url, EventSourceImpl = globalThis.EventSource, withCredentials = false }) => ({
+  name: 'sse',
+  connect: ({ onOpen, onMessage, onClose }) => openWith(url, (resolved) => {
+    const source = new EventSourceImpl(resolved, { withCredentials });
+    source.onopen = () => onOpen();
+    source.onmessage = (message) => onMessage(message.data);
+    // EventSource retries on its own at a fixed interval; close it and use our backoff instead
+    source.onerror = () => {
+      source.close();
+      onClose(new Error('Event stream disconnected'));
+    };
+    return () => source.close();
+  }, onClose)
+});
+
+export const createWebSocketTransport = ({ url, WebSocketImpl = globalThis.WebSocket, protocols }) => ({
+  name: 'websocket',
+  connect: ({ onOpen, onMessage, onClose }) => openWith(url, (resolved) => {
+    const socket = new WebSocketImpl(resolved, protocols);
+    let closedByUs = false;
+    socket.onopen = () => onOpen();
+    socket.onmessage = (message) => onMessage(message.data);
+    socket.onclose = (event) => {
+      if (!closedByUs) onClose(new Error(`WebSocket closed (${event.code})`));
+    };
+    return () => {
+      closedByUs = true;
+      socket.close();
+    };
+  }, onClose)
+});
+
+// Keeps a transport connected, reconnecting with backoff. Status updates are
+// `{ state, attempt, error }` with state 'connecting', 'live', 'reconnecting',
+// or 'polling' once `fallbackAfter` attempts in a row have failed (reconnects
+// continue in the background at the maximum backoff). `resumed` is set on a
+// 'live' status that follows a dropped connection, so callers can resync.
+export function createLiveConnection({
+  transport,
+  onEvent,
+  onStatus = () => {},
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  fallbackAfter = 3,
+  random = Math.random
+}) {
+  let attempt = 0;
+  let closeTransport = null;
+  let retryTimer = null;
+  let stopped = true;
+
+  const handleMessage = (data) => {
+    let event;
+    try {
+      event = typeof data === 'string' ? JSON.parse(data) : data;
+    } catch (err) {
+      console.warn('Ignoring malformed live update', err);
+      return;
+    }
+    if (LIVE_EVENT_TYPES.includes(event?.type)) onEvent(event);
+  };
+
+  const scheduleReconnect = (error) => {
+    closeTransport = null;
+    if (stopped) return;
+    attempt += 1;
+    const delay = attempt > fallbackAfter
+      ? maxDelayMs
+      : backoffDelay(attempt, { baseMs: baseDelayMs, maxMs: maxDelayMs, random });
+    onStatus({ state: attempt > fallbackAfter ? 'polling' : 'reconnecting', attempt, error });
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  function connect() {
+    retryTimer = null;
+    const resumed = attempt > 0;
+    if (!resumed) onStatus({ state: 'connecting', attempt });
+    try {
+      closeTransport = transport.connect({
+        onOpen: () => {
+          attempt = 0;
+          onStatus({ state: 'live', attempt, resumed });
+        },
+        onMessage: handleMessage,
+        onClose: scheduleReconnect
+      });
+    } catch (err) {
+      // e.g. no EventSource/WebSocket in this environment
+      scheduleReconnect(err);
+    }
+  }
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    closeTransport?.();
+    closeTransport = null;
+  };
+
+  return {
+    start: () => {
+      if (!stopped) return stop;
+      stopped = false;
+      attempt = 0;
+      connect();
+      return stop;
+    },
+    stop
+  };
+}
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { applyLiveEvent, diffWorkflows } from './live-updates.js';
+
+const workflow = (id, completionRate = 95) => ({ id, name: `Workflow ${id}`, completionRate, issues: [] });
+
+describe('diffWorkflows', () => {
+  it('emits a removal for a workflow that is gone, which the merge drops', () => {
+    const previous = [workflow('wf-001'), workflow('wf-002'), workflow('wf-003')];
+    const next = [workflow('wf-001'), workflow('wf-003', 80)];
+
+    const events = diffWorkflows(previous, next);
+    expect(events).toContainEqual({ type: 'removed', id: 'wf-002' });
+
+    const merged = events.reduce(applyLiveEvent, previous);
+    expect(merged).toEqual(next);
+    // Untouched workflows keep their object, so their cards do not re-render
+    expect(merged[0]).toBe(previous[0]);
+  });
+
+  it('ignores a removal for a workflow the list does not have', () => {
+    const list = [workflow('wf-001')];
+    expect(applyLiveEvent(list, { type: 'removed', id: 'wf-009' })).toBe(list);
+  });
+});
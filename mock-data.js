@@ -0,0 +1,461 @@
+import { computeWorkflowMetrics } from './workflow-metrics.js';
+import { buildHistory, HISTORY_WINDOWS } from './workflow-history.js';
+import { withAnomalies, DEFAULT_ANOMALY_CONFIG } from './anomaly-detection.js';
+
+// Deterministic PRNG (mulberry32) so mock data is stable between renders
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const hashString = (value) => {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+};
+
+export const mockUuid = (random) => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+  const r = Math.floor(random() * 16);
+  return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+});
+
+// External systems the mock workflows call from their steps
+export const mockConnectors = [
+  { id: 'active-directory', name: 'Active Directory', kind: 'Directory' },
+  { id: 'hris', name: 'Workday HRIS', kind: 'HRIS' },
+  { id: 'servicenow', name: 'ServiceNow', kind: 'Ticketing' }
+];
+
+// Mock workflow definitions with the failure profile each one exhibits
+export const mockWorkflowDefinitions = [
+  {
+    id: 'wf-001',
+    name: 'Employee Onboarding - IT Access Provisioning',
+    department: 'HR',
+    baselineDuration: 150,
+    steps: [
+      { stepId: 'wf-001-s1', name: 'Collect New Hire Details', connector: 'hris' },
+      { stepId: 'wf-001-s2', name: 'Manager Approval', recipientRole: 'Manager' },
+      { stepId: 'wf-001-s3', name: 'Provision AD Account', connector: 'active-directory' },
+      { stepId: 'wf-001-s4', name: 'Send Welcome Envelope' }
+    ],
+    profile: {
+      executions: 342,
+      inProgress: 2,
+      meanDuration: 125,
+      lastRunMinutesAgo: 5,
+      failures: [
+        { errorCode: 'VALIDATION_ERROR', count: 3, stepId: 'wf-001-s1', failureReason: 'Missing cost center on new hire record' },
+        // HRIS feed fix shipped three days ago
+        { errorCode: 'VALIDATION_ERROR', count: 12, stepId: 'wf-001-s1', failureReason: 'Start date missing from HRIS feed', untilHours: 72 },
+        { errorCode: 'TIMEOUT', count: 2, stepId: 'wf-001-s2', failureReason: 'Manager approval timed out after 48h' },
+        // Same Active Directory outage as wf-003
+        { errorCode: 'API_ERROR', count: 6, stepId: 'wf-001-s3', failureReason: 'API connection to Active Directory refused', sinceHours: 30 }
+      ]
+    }
+  },
+  {
+    id: 'wf-002',
+    name: 'Contractor Access Request & Approval',
+    department: 'IT',
+    baselineDuration: 175,
+    steps: [
+      { stepId: 'wf-002-s1', name: 'Access Request Form' },
+      { stepId: 'wf-002-s2', name: 'Sponsor Approval', recipientRole: 'Sponsor' },
+      { stepId: 'wf-002-s3', name: 'Security Review', recipientRole: 'Security', connector: 'servicenow' },
+      { stepId: 'wf-002-s4', name: 'Grant Contractor Access', connector: 'active-directory' }
+    ],
+    profile: {
+      executions: 156,
+      inProgress: 0,
+      meanDuration: 475,
+      lastRunMinutesAgo: 12,
+      // Sit on approvals far longer than other sponsors
+      slowApprovers: ['sponsor-16@example.com', 'sponsor-41@example.com'],
+      failures: [
+        {
+          errorCode: 'TIMEOUT',
+          count: 18,
+          stepId: 'wf-002-s2',
+          failureReason: 'Sponsor approval timed out after 48h',
+          sinceHours: 96,
+          recipients: ['sponsor-16@example.com', 'sponsor-41@example.com']
+        },
+        { errorCode: 'VALIDATION_ERROR', count: 2, stepId: 'wf-002-s1', failureReason: 'Contract end date missing' }
+      ]
+    }
+  },
+  {
+    id: 'wf-003',
+    name: 'Quarterly Access Review & Recertification',
+    department: 'Security',
+    baselineDuration: 1800,
+    steps: [
+      { stepId: 'wf-003-s1', name: 'Load Entitlements from AD', connector: 'active-directory' },
+      { stepId: 'wf-003-s2', name: 'Route to Manager', recipientRole: 'Manager' },
+      { stepId: 'wf-003-s3', name: 'Manager Certification', recipientRole: 'Manager' },
+      { stepId: 'wf-003-s4', name: 'Apply Revocations', connector: 'servicenow' }
+    ],
+    profile: {
+      executions: 89,
+      inProgress: 0,
+      meanDuration: 2450,
+      lastRunMinutesAgo: 120,
+      failures: [
+        { errorCode: 'API_ERROR', count: 14, stepId: 'wf-003-s1', failureReason: 'API connection to Active Directory refused', sinceHours: 30 },
+        {
+          errorCode: 'ROUTING_ERROR',
+          count: 11,
+          stepId: 'wf-003-s2',
+          failureReason: 'Conditional routing failed for manager with >50 reports',
+          sinceHours: 216,
+          recipients: ['manager-07@example.com', 'manager-31@example.com']
+        },
+        { errorCode: 'ENVELOPE_EXPIRED', count: 8, stepId: 'wf-003-s3', failureReason: 'Envelope expired before completion' }
+      ]
+    }
+  },
+  {
+    id: 'wf-004',
+    name: 'Offboarding - Access Revocation',
+    department: 'HR',
+    baselineDuration: 120,
+    steps: [
+      { stepId: 'wf-004-s1', name: 'HR Termination Notice', connector: 'hris' },
+      { stepId: 'wf-004-s2', name: 'Revoke AD Access', connector: 'active-directory' },
+      { stepId: 'wf-004-s3', name: 'Asset Return Acknowledgement', recipientRole: 'Employee' }
+    ],
+    profile: {
+      executions: 278,
+      inProgress: 1,
+      meanDuration: 98,
+      lastRunMinutesAgo: 8,
+      failures: [
+        { errorCode: 'VALIDATION_ERROR', count: 3, stepId: 'wf-004-s1', failureReason: 'Termination date in the past' }
+      ],
+      // HRIS termination events stopped arriving four hours ago; only a trickle still starts
+      volumeDrop: { sinceHours: 4, factor: 0.1 }
+    }
+  },
+  {
+    id: 'wf-005',
+    name: 'Role Change - Permission Update',
+    department: 'HR',
+    baselineDuration: 140,
+    steps: [
+      { stepId: 'wf-005-s1', name: 'Role Change Request' },
+      { stepId: 'wf-005-s2', name: 'Route to Approvers', recipientRole: 'Approver' },
+      { stepId: 'wf-005-s3', name: 'Update Permissions', connector: 'servicenow' }
+    ],
+    profile: {
+      executions: 203,
+      inProgress: 1,
+      meanDuration: 285,
+      lastRunMinutesAgo: 18,
+      slowApprovers: ['approver-13@example.com'],
+      failures: [
+        { errorCode: 'TIMEOUT', count: 12, stepId: 'wf-005-s2', failureReason: 'Recipient did not respond before timeout' },
+        { errorCode: 'VALIDATION_ERROR', count: 5, stepId: 'wf-005-s1', failureReason: 'Requested role not found' }
+      ]
+    }
+  }
+];
+
+// Approvals sent outside business hours, or to one of the profile's slow
+// approvers, take a larger share of the run
+const OFF_HOURS_DELAY = 2.5;
+const SLOW_APPROVER_DELAY = 4;
+// Mock runs last minutes, so reminders go out every 45 seconds of waiting
+const REMINDER_EVERY_MS = 45000;
+
+const approvalDelay = (definition, step, { startedAt, recipients }) => {
+  if (!step.recipientRole) return 1;
+  const sent = new Date(startedAt);
+  const offHours = sent.getDay() === 0 || sent.getDay() === 6 || sent.getHours() < 8 || sent.getHours() >= 18;
+  const slow = definition.profile.slowApprovers?.includes(recipients[step.recipientRole]);
+  return (offHours ? OFF_HOURS_DELAY : 1) * (slow ? SLOW_APPROVER_DELAY : 1);
+};
+
+const remindersBetween = (from, to) => {
+  const reminders = [];
+  for (let at = from + REMINDER_EVERY_MS; at < to; at += REMINDER_EVERY_MS) reminders.push(new Date(at).toISOString());
+  return reminders;
+};
+
+// Split an instance's duration across its steps; the failed step ends the run and a
+// running instance stops at its current step
+export const buildSteps = (definition, { startedAt, duration, failure, recipients, runningAt }, random) => {
+  const weights = definition.steps.map(() => 0.5 + random())
+    .map((weight, index) => weight * approvalDelay(definition, definition.steps[index], { startedAt, recipients }));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const failedIndex = failure ? definition.steps.findIndex(s => s.stepId === failure.stepId) : -1;
+  const currentIndex = runningAt !== undefined ? Math.floor(random() * definition.steps.length) : -1;
+  const elapsed = runningAt !== undefined ? (runningAt - startedAt) / 1000 : duration;
+  let cursor = startedAt;
+
+  return definition.steps.map((step, index) => {
+    const base = {
+      stepId: step.stepId,
+      name: step.name,
+      ...(step.recipientRole && { recipient: recipients[step.recipientRole] })
+    };
+    const stopIndex = failedIndex !== -1 ? failedIndex : currentIndex;
+    if (stopIndex !== -1 && index > stopIndex) {
+      return { ...base, status: failedIndex !== -1 ? 'skipped' : 'pending', startedAt: null, completedAt: null };
+    }
+    const stepStart = cursor;
+    if (index === currentIndex) {
+      return {
+        ...base,
+        status: 'in_progress',
+        startedAt: new Date(stepStart).toISOString(),
+        completedAt: null,
+        ...(step.recipientRole && { reminders: remindersBetween(stepStart, runningAt) })
+      };
+    }
+    const share = currentIndex !== -1
+      ? weights[index] / weights.slice(0, currentIndex + 1).reduce((sum, w) => sum + w, 0)
+      : weights[index] / totalWeight;
+    cursor = stepStart + elapsed * 1000 * share;
+    const failedHere = index === failedIndex;
+    return {
+      ...base,
+      status: failedHere ? 'failed' : 'completed',
+      startedAt: new Date(stepStart).toISOString(),
+      completedAt: new Date(cursor).toISOString(),
+      ...(step.recipientRole && { reminders: remindersBetween(stepStart, cursor) }),
+      ...(failedHere && { errorMessage: failure.failureReason })
+    };
+  });
+};
+
+// One recipient per role for an instance; failures can pin the failed step's role to a
+// small set of recipients so drill-down shows who is involved
+const pickRecipients = (definition, failure, random) => {
+  const recipients = {};
+  definition.steps.filter(s => s.recipientRole).forEach(step => {
+    const role = step.recipientRole;
+    if (recipients[role]) return;
+    const pinned = failure?.stepId === step.stepId && failure.recipients;
+    recipients[role] = pinned
+      ? pinned[Math.floor(random() * pinned.length)]
+      : `${role.toLowerCase()}-${String(Math.floor(random() * 60) + 1).padStart(2, '0')}@example.com`;
+  });
+  return recipients;
+};
+
+const HOUR = 3600000;
+
+const shuffle = (items, random) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// One day of instances ending at `end`. Day 0 is the 24h window the cards show and matches
+// the profile exactly; older days jitter around it. Failures with `sinceHours`/`untilHours`
+// only occur inside that window, which is what gives the history charts their regressions.
+// A `volumeDrop` keeps only `factor` of the runs that would have started in its window.
+const generateMockDay = (definition, { now, day, includeSteps }) => {
+  const random = createRandom(hashString(`${definition.id}:${day}`));
+  const { executions, inProgress, meanDuration, lastRunMinutesAgo, failures, volumeDrop } = definition.profile;
+  const current = day === 0;
+  const end = now.getTime() - day * 24 * HOUR;
+  const dayStart = end - 24 * HOUR;
+  const newest = current ? end - lastRunMinutesAgo * 60000 : end;
+  const count = current ? executions : Math.round(executions * (0.85 + random() * 0.3));
+  const running = current ? inProgress : 0;
+
+  const scheduled = Array.from({ length: count }, (_, n) => (
+    current && n === 0 ? newest : newest - random() * (newest - dayStart)
+  ));
+  const dropFrom = volumeDrop ? now.getTime() - volumeDrop.sinceHours * HOUR : Infinity;
+  // Running instances and the latest run are kept so the card still matches the profile
+  const starts = scheduled.filter((start, n) => (
+    n < running || (current && n === 0) || start < dropFrom || random() < volumeDrop.factor
+  ));
+
+  const outcomes = Array(starts.length).fill(null);
+  failures.forEach(failure => {
+    const activeFrom = failure.sinceHours === undefined ? -Infinity : now.getTime() - failure.sinceHours * HOUR;
+    const activeTo = now.getTime() - (failure.untilHours || 0) * HOUR;
+    const overlap = Math.max(0, Math.min(activeTo, end) - Math.max(activeFrom, dayStart));
+    const expected = Math.round(failure.count * (overlap / (24 * HOUR)) * (count / executions));
+    const eligible = starts
+      .map((start, n) => n)
+      .filter(n => n >= running && outcomes[n] === null && starts[n] >= activeFrom && starts[n] < activeTo);
+    shuffle(eligible, random).slice(0, expected).forEach(n => { outcomes[n] = failure; });
+  });
+
+  return starts.map((startedAt, n) => {
+    const isRunning = n < running;
+    const failure = outcomes[n];
+    // Mostly near the mean with an occasional long tail
+    const duration = Math.round(meanDuration * (random() < 0.05 ? 2 + random() * 2 : 0.6 + random() * 0.8));
+
+    const recipients = pickRecipients(definition, failure, random);
+
+    const instance = {
+      instanceId: mockUuid(random),
+      workflowId: definition.id,
+      status: isRunning ? 'in_progress' : failure ? 'failed' : 'completed',
+      startedAt: new Date(startedAt).toISOString(),
+      completedAt: isRunning ? null : new Date(startedAt + duration * 1000).toISOString(),
+      duration: isRunning ? null : duration,
+      triggeredBy: `user-${Math.floor(random() * 40) + 1}`,
+      steps: includeSteps
+        ? buildSteps(definition, {
+          startedAt,
+          duration,
+          failure,
+          recipients,
+          ...(isRunning && { runningAt: now.getTime() })
+        }, random)
+        : [],
+      metadata: {
+        envelopeId: mockUuid(random),
+        recipients: Object.entries(recipients).map(([role, email]) => ({ email, role }))
+      }
+    };
+
+    if (failure) {
+      Object.assign(instance, {
+        errorCode: failure.errorCode,
+        errorMessage: `${failure.errorCode}: ${failure.failureReason}`,
+        failureReason: failure.failureReason,
+        failedStepId: failure.stepId
+      });
+    }
+    return instance;
+  });
+};
+
+// Raw instance records for one mock workflow over the last `windowHours`, newest first.
+// With `until`, only the ones started before it; later days are not generated at all.
+export function generateMockInstances(definition, { now = new Date(), windowHours = 24, until = null, includeSteps = true } = {}) {
+  const days = Math.ceil(windowHours / 24);
+  const oldest = now.getTime() - windowHours * HOUR;
+  const newest = until ? until.getTime() : Infinity;
+  const instances = [];
+  for (let day = until ? Math.max(0, Math.floor((now.getTime() - newest) / (24 * HOUR))) : 0; day < days; day++) {
+    instances.push(...generateMockDay(definition, { now, day, includeSteps }));
+  }
+
+  return instances
+    .filter(i => new Date(i.startedAt).getTime() >= oldest && new Date(i.startedAt).getTime() < newest)
+    .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+}
+
+export const getMockDefinition = (workflowId) => mockWorkflowDefinitions.find(d => d.id === workflowId);
+
+// History for one mock workflow; steps are skipped since only the aggregates are charted
+export function generateMockHistory(workflowId, { window = '7d', now = new Date() } = {}) {
+  const definition = getMockDefinition(workflowId);
+  if (!definition) return null;
+  const windowHours = HISTORY_WINDOWS[window].durationMs / HOUR;
+  const instances = generateMockInstances(definition, { now, windowHours, includeSteps: false });
+  return buildHistory(instances, definition, { window, now });
+}
+
+// Baseline history is expensive to generate, so it is rebuilt at most every 10 minutes
+const BASELINE_REFRESH_MS = 10 * 60000;
+const baselineCache = new Map();
+
+const mockBaselineHistory = (definition, now) => {
+  const at = new Date(Math.floor(now.getTime() / BASELINE_REFRESH_MS) * BASELINE_REFRESH_MS);
+  const key = `${definition.id}:${at.getTime()}`;
+  if (!baselineCache.has(key)) {
+    if (baselineCache.size >= mockWorkflowDefinitions.length * 2) baselineCache.clear();
+    const windowHours = DEFAULT_ANOMALY_CONFIG.baselineDays * 24 + 24;
+    baselineCache.set(key, { at, instances: generateMockInstances(definition, { now: at, windowHours, includeSteps: false }) });
+  }
+  return baselineCache.get(key);
+};
+
+// Mock data generator for workflows
+export const generateMockWorkflows = ({ now = new Date() } = {}) => mockWorkflowDefinitions.map(definition => {
+  const baseline = mockBaselineHistory(definition, now);
+  return withAnomalies({
+    ...computeWorkflowMetrics(definition, generateMockInstances(definition, { now }), { now, connectors: mockConnectors }),
+    trend: generateMockHistory(definition.id, { window: '7d', now }).trend
+  }, baseline.instances, { now: baseline.at });
+});
+
+// Mock test runs: each step takes TEST_STEP_MS, and the run fails at a step
+// whose connector or routing failure is still ongoing (no `untilHours`).
+// Failures pinned to recipients only reproduce when the payload names one.
+const TEST_STEP_MS = 1500;
+const REPRODUCIBLE_ERRORS = ['API_ERROR', 'ROUTING_ERROR'];
+const testRuns = new Map();
+
+const reproducibleFailure = (definition, payload) => {
+  const text = JSON.stringify(payload ?? {});
+  return definition.profile.failures.find(failure => REPRODUCIBLE_ERRORS.includes(failure.errorCode)
+    && !failure.untilHours
+    && (!failure.recipients || failure.recipients.some(email => text.includes(email))));
+};
+
+export function startMockTestRun(workflowId, payload, { now = new Date() } = {}) {
+  const definition = getMockDefinition(workflowId);
+  if (!definition) throw new Error(`Unknown workflow ${workflowId}`);
+  const instanceId = mockUuid(createRandom(hashString(`${workflowId}:${now.getTime()}:${testRuns.size}`)));
+  testRuns.set(instanceId, { definition, payload, startedAt: now.getTime(), failure: reproducibleFailure(definition, payload) });
+  return { instanceId, startedAt: now.toISOString() };
+}
+
+// The test instance as it stands at `now`, or null for an unknown ID
+export function getMockTestRun(instanceId, { now = new Date() } = {}) {
+  const run = testRuns.get(instanceId);
+  if (!run) return null;
+  const { definition, payload, startedAt, failure } = run;
+  const failedIndex = failure ? definition.steps.findIndex(s => s.stepId === failure.stepId) : -1;
+  const lastIndex = failedIndex !== -1 ? failedIndex : definition.steps.length - 1;
+  const reached = Math.floor((now.getTime() - startedAt) / TEST_STEP_MS);
+  const finished = reached > lastIndex;
+  const at = (index) => new Date(startedAt + index * TEST_STEP_MS).toISOString();
+
+  const steps = definition.steps.map((step, index) => {
+    const base = { stepId: step.stepId, name: step.name };
+    if (index > lastIndex) return { ...base, status: finished ? 'skipped' : 'pending', startedAt: null, completedAt: null };
+    if (index > reached) return { ...base, status: 'pending', startedAt: null, completedAt: null };
+    if (index === reached) return { ...base, status: 'in_progress', startedAt: at(index), completedAt: null };
+    const failedHere = index === failedIndex;
+    return {
+      ...base,
+      status: failedHere ? 'failed' : 'completed',
+      startedAt: at(index),
+      completedAt: at(index + 1),
+      ...(failedHere && { errorMessage: failure.failureReason })
+    };
+  });
+
+  const duration = finished ? ((lastIndex + 1) * TEST_STEP_MS) / 1000 : null;
+  return {
+    instanceId,
+    workflowId: definition.id,
+    synthetic: true,
+    status: !finished ? 'in_progress' : failure ? 'failed' : 'completed',
+    startedAt: at(0),
+    completedAt: finished ? at(lastIndex + 1) : null,
+    duration,
+    triggeredBy: 'test-run',
+    steps,
+    metadata: { payload },
+    ...(finished && failure && {
+      errorCode: failure.errorCode,
+      errorMessage: `${failure.errorCode}: ${failure.failureReason}`,
+      failureReason: failure.failureReason,
+      failedStepId: failure.stepId
+    })
+  };
+}
@@ -0,0 +1,159 @@
+import React from 'react';
+import { formatDuration, formatRate, summarizeWorkflows } from './workflow-metrics.js';
+import { describeBreach } from './health-thresholds.js';
+
+// Print-only report layout. The dashboard renders it into a container that is
+// hidden on screen and swaps it in for the dashboard under `@media print`,
+// so it is styled for paper: dark text, no backgrounds, no animations.
+
+const cellStyle = {
+  padding: '4pt 6pt',
+  borderBottom: '0.5pt solid #cbd5e1',
+  textAlign: 'left',
+  verticalAlign: 'top'
+};
+
+const headingStyle = {
+  fontSize: '13pt',
+  margin: '16pt 0 6pt 0',
+  breakAfter: 'avoid'
+};
+
+const SummaryStats = ({ summary }) => (
+  <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '8pt' }}>
+    <tbody>
+      <tr>
+        {[
+          ['Workflows', summary.total],
+          ['Healthy', summary.healthyCount],
+          ['Warning', summary.warningCount],
+          ['Critical', summary.criticalCount],
+          ['Avg Completion', `${summary.avgCompletion}%`]
+        ].map(([label, value]) => (
+          <td key={label} style={{ ...cellStyle, border: '0.5pt solid #cbd5e1' }}>
+            <div style={{ fontSize: '8pt', textTransform: 'uppercase', color: '#475569' }}>{label}</div>
+            <div style={{ fontSize: '16pt', fontWeight: '700' }}>{value}</div>
+          </td>
+        ))}
+      </tr>
+    </tbody>
+  </table>
+);
+
+const WorkflowSection = ({ workflow, recommendations, getStatusColor }) => (
+  <section style={{ breakInside: 'avoid', marginBottom: '12pt' }}>
+    <h2 style={headingStyle}>
+      {workflow.name}{' '}
+      <span style={{ fontWeight: '400', color: '#475569', fontSize: '10pt' }}>
+        {workflow.id}{workflow.source && ` · ${workflow.source.label}`} · <span style={{ color: getStatusColor(workflow.status) }}>{workflow.status}</span>
+      </span>
+    </h2>
+
+    <p style={{ margin: '0 0 6pt 0' }}>
+      Completion {formatRate(workflow.completionRate)} · Avg duration {workflow.avgDuration} · {workflow.executions} executions
+      · {workflow.failures} failures · last run {workflow.lastRunAt ? new Date(workflow.lastRunAt).toLocaleString() : 'never'}
+    </p>
+
+    {workflow.durationPercentiles && (
+      <p style={{ margin: '0 0 6pt 0' }}>
+        Duration p50 {formatDuration(workflow.durationPercentiles.p50)} · p95 {formatDuration(workflow.durationPercentiles.p95)}
+        {' '}· p99 {formatDuration(workflow.durationPercentiles.p99)}
+        {workflow.topFailedStep && ` · most failed step: ${workflow.topFailedStep.name || workflow.topFailedStep.stepId} (${workflow.topFailedStep.count})`}
+      </p>
+    )}
+
+    {workflow.breaches?.length > 0 && (
+      <>
+        <h3 style={{ fontSize: '10pt', margin: '6pt 0 2pt 0' }}>Threshold breaches</h3>
+        <ul style={{ margin: 0, paddingLeft: '14pt' }}>
+          {workflow.breaches.map(breach => <li key={breach.metric}>{describeBreach(breach)}</li>)}
+        </ul>
+      </>
+    )}
+
+    {workflow.issues.length > 0 && (
+      <>
+        <h3 style={{ fontSize: '10pt', margin: '6pt 0 2pt 0' }}>Issues</h3>
+        <ul style={{ margin: 0, paddingLeft: '14pt' }}>
+          {workflow.issues.map((issue, idx) => <li key={idx}>{issue.message}</li>)}
+        </ul>
+      </>
+    )}
+
+    {recommendations.length > 0 && (
+      <>
+        <h3 style={{ fontSize: '10pt', margin: '6pt 0 2pt 0' }}>Recommendations</h3>
+        <ul style={{ margin: 0, paddingLeft: '14pt' }}>
+          {recommendations.map(rec => (
+            <li key={rec.ruleId}>
+              <strong style={{ textTransform: 'uppercase', fontSize: '8pt' }}>{rec.priority}</strong> {rec.action}
+              <div style={{ color: '#475569', fontStyle: 'italic' }}>{rec.impact}</div>
+            </li>
+          ))}
+        </ul>
+      </>
+    )}
+  </section>
+);
+
+// `snapshotAt` is set when the report shows a replayed or offline snapshot
+export default function PrintReport({ workflows, workflow, recommendationEngine, generatedAt, snapshotAt = null, getStatusColor }) {
+  const summary = summarizeWorkflows(workflows);
+  const included = workflow ? [workflow] : workflows;
+  const recommendationsFor = (w) => (recommendationEngine ? recommendationEngine.evaluate(w) : []);
+
+  return (
+    <div style={{
+      fontFamily: '"DM Sans", system-ui, -apple-system, sans-serif',
+      fontSize: '10pt',
+      color: '#0f172a',
+      background: '#ffffff'
+    }}>
+      <header style={{ borderBottom: '1pt solid #0f172a', paddingBottom: '6pt', marginBottom: '10pt' }}>
+        <h1 style={{ fontSize: '18pt', margin: 0 }}>
+          Maestro Workflow Health Report{workflow ? `: ${workflow.name}` : ''}
+        </h1>
+        <p style={{ margin: '2pt 0 0 0', color: '#475569' }}>
+          Generated {generatedAt.toLocaleString()} ({generatedAt.toISOString()})
+        </p>
+        {snapshotAt && (
+          <p style={{ margin: '2pt 0 0 0', fontWeight: '700' }}>
+            Data as of {snapshotAt.toLocaleString()} ({snapshotAt.toISOString()}), from a recorded snapshot, not live
+          </p>
+        )}
+      </header>
+
+      <h2 style={headingStyle}>Fleet summary</h2>
+      <SummaryStats summary={summary} />
+
+      {!workflow && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8pt' }}>
+          <thead>
+            <tr>
+              {['Workflow', 'Status', 'Completion', 'Avg Duration', 'Executions', 'Failures', 'Issues'].map(label => (
+                <th key={label} style={{ ...cellStyle, borderBottom: '1pt solid #0f172a' }}>{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {workflows.map(w => (
+              <tr key={w.id}>
+                <td style={cellStyle}>{w.name}<br /><span style={{ color: '#475569' }}>{w.id}{w.source && ` · ${w.source.label}`}</span></td>
+                <td style={{ ...cellStyle, color: getStatusColor(w.status) }}>{w.status}</td>
+                <td style={cellStyle}>{formatRate(w.completionRate)}</td>
+                <td style={cellStyle}>{w.avgDuration}</td>
+                <td style={cellStyle}>{w.executions}</td>
+                <td style={cellStyle}>{w.failures}</td>
+                <td style={cellStyle}>{w.issues.length}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {included.map(w => (
+        <WorkflowSection key={w.id} workflow={w} recommendations={recommendationsFor(w)} getStatusColor={getStatusColor} />
+      ))}
+    </div>
+  );
+}
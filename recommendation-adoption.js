@@ -0,0 +1,167 @@
+import { createLocalStore, createHttpStore } from './shared-store.js';
+import { HISTORY_WINDOWS } from './workflow-history.js';
+import { formatters } from './recommendation-engine.js';
+
+// Recommendation adoption: record that a recommendation was applied (when, by
+// whom, with an optional link to the change), then measure the workflow's
+// history before and after that date so the predicted impact can be checked.
+//
+// State is `{ adoptions: { [key]: adoption } }`. An adoption keeps a snapshot
+// of the recommendation text, since the rule usually stops firing once the fix works.
+
+export const EMPTY_ADOPTION_STATE = { adoptions: {} };
+
+export const adoptionKey = (workflowId, ruleId) => `${workflowId}:${ruleId}`;
+
+export function applyAdoptionAction(state, { action, workflowId, recommendation, appliedAt, changeUrl, actor, at }) {
+  const key = adoptionKey(workflowId, recommendation?.ruleId);
+  if (!actor) throw new Error('Adoption changes need an actor');
+
+  switch (action) {
+    case 'apply': {
+      if (!recommendation?.ruleId) throw new Error('Apply needs the recommendation being applied');
+      if (!appliedAt || Number.isNaN(Date.parse(appliedAt))) throw new Error('Apply needs a valid applied date');
+      if (Date.parse(appliedAt) > Date.parse(at)) throw new Error('Applied date cannot be in the future');
+      if (changeUrl && !/^https?:\/\//.test(changeUrl)) throw new Error('Change link must be an http(s) URL');
+      const { ruleId, priority, action: text, impact, trigger, expectedReduction } = recommendation;
+      return {
+        adoptions: {
+          ...state.adoptions,
+          [key]: {
+            key,
+            workflowId,
+            ruleId,
+            priority,
+            action: text,
+            impact,
+            metric: trigger?.metric ?? null,
+            expectedReduction: expectedReduction ?? null,
+            appliedAt,
+            changeUrl: changeUrl || null,
+            recordedBy: actor,
+            recordedAt: at
+          }
+        }
+      };
+    }
+    case 'withdraw': {
+      const { [key]: removed, ...adoptions } = state.adoptions;
+      if (!removed) throw new Error(`Recommendation ${recommendation?.ruleId} is not marked as applied`);
+      return { adoptions };
+    }
+    default:
+      throw new Error(`Unknown adoption action "${action}"`);
+  }
+}
+
+const STORAGE_KEY = 'docusign-dashboard:adoptions';
+
+export const createLocalAdoptionStore = (options = {}) => createLocalStore({
+  reducer: applyAdoptionAction,
+  initialState: EMPTY_ADOPTION_STATE,
+  storageKey: STORAGE_KEY,
+  ...options
+});
+
+// Shared across users through GET /adoptions and POST /adoptions/actions
+export const createHttpAdoptionStore = (options = {}) => createHttpStore({
+  path: '/adoptions',
+  initialState: EMPTY_ADOPTION_STATE,
+  ...options
+});
+
+export const getAdoptions = (state, workflowId) =>
+  Object.values(state.adoptions).filter(adoption => adoption.workflowId === workflowId);
+
+// How each rule metric is measured from history buckets. All of them are
+// "lower is better", so a reduction is an improvement.
+const rateOf = (code) => (totals) => (totals.finished > 0 ? totals.byClass[code] / totals.finished : null);
+
+export const IMPACT_MEASURES = {
+  timeoutRate: { label: 'Timeout rate', value: rateOf('timeout'), format: formatters.pct },
+  apiErrorRate: { label: 'API failure rate', value: rateOf('api_error'), format: formatters.pct },
+  routingErrors: { label: 'Routing failure rate', value: rateOf('routing_error'), format: formatters.pct },
+  expirationRate: { label: 'Expiration rate', value: rateOf('expiration'), format: formatters.pct },
+  durationRatio: { label: 'Avg duration', value: (totals) => totals.avgDuration, format: formatters.duration },
+  failureRate: {
+    label: 'Failure rate',
+    value: (totals) => (totals.finished > 0 ? totals.failures / totals.finished : null),
+    format: formatters.pct
+  }
+};
+
+// Smallest history window that holds the same span before and after the applied date
+export const pickImpactWindow = (appliedAt, now = new Date()) => {
+  const span = now - new Date(appliedAt);
+  return Object.keys(HISTORY_WINDOWS).find(window => HISTORY_WINDOWS[window].durationMs >= 2 * span) || '90d';
+};
+
+const sumBuckets = (buckets) => {
+  const totals = buckets.reduce((acc, bucket) => {
+    acc.finished += bucket.finished;
+    acc.completed += bucket.completed;
+    acc.failures += bucket.failures;
+    if (bucket.avgDuration !== null && bucket.executions > 0) {
+      acc.durationWeight += bucket.executions;
+      acc.durationSum += bucket.avgDuration * bucket.executions;
+    }
+    Object.entries(bucket.failuresByClass).forEach(([code, count]) => {
+      acc.byClass[code] = (acc.byClass[code] || 0) + count;
+    });
+    return acc;
+  }, { finished: 0, completed: 0, failures: 0, durationSum: 0, durationWeight: 0, byClass: {} });
+
+  return {
+    ...totals,
+    completionRate: totals.finished > 0 ? (totals.completed / totals.finished) * 100 : null,
+    avgDuration: totals.durationWeight > 0 ? totals.durationSum / totals.durationWeight : null
+  };
+};
+
+// Compare equal spans either side of the applied date. The bucket containing
+// the date is left out of both. `verdict` is one of: met, partial, not_met
+// (when the rule states an expected reduction), improved, no_change, worse,
+// or insufficient_data when either side has fewer than `minRuns` finished runs.
+export function measureImpact(history, adoption, { now = new Date(), minRuns = 10, tolerance = 0.05 } = {}) {
+  const appliedAt = new Date(adoption.appliedAt).getTime();
+  const span = now.getTime() - appliedAt;
+  const before = sumBuckets(history.buckets.filter(b =>
+    new Date(b.end).getTime() <= appliedAt && new Date(b.start).getTime() >= appliedAt - span));
+  const after = sumBuckets(history.buckets.filter(b => new Date(b.start).getTime() >= appliedAt));
+
+  const measure = IMPACT_MEASURES[adoption.metric] || IMPACT_MEASURES.failureRate;
+  const beforeValue = measure.value(before);
+  const afterValue = measure.value(after);
+  const change = beforeValue > 0 && afterValue !== null
+    ? (afterValue - beforeValue) / beforeValue
+    : beforeValue === 0 && afterValue === 0 ? 0 : null;
+
+  // A failure class that only shows up after the change has no relative change, but is clearly worse
+  const appeared = beforeValue === 0 && afterValue > 0;
+
+  let verdict;
+  if (before.finished < minRuns || after.finished < minRuns || (change === null && !appeared)) {
+    verdict = 'insufficient_data';
+  } else if (appeared) {
+    verdict = adoption.expectedReduction !== null && adoption.expectedReduction !== undefined ? 'not_met' : 'worse';
+  } else if (adoption.expectedReduction !== null && adoption.expectedReduction !== undefined) {
+    const reduction = -change;
+    verdict = reduction >= adoption.expectedReduction - tolerance ? 'met' : reduction > tolerance ? 'partial' : 'not_met';
+  } else {
+    verdict = change < -tolerance ? 'improved' : change > tolerance ? 'worse' : 'no_change';
+  }
+
+  return {
+    label: measure.label,
+    format: measure.format,
+    before: beforeValue,
+    after: afterValue,
+    change,
+    completionBefore: before.completionRate,
+    completionAfter: after.completionRate,
+    runsBefore: before.finished,
+    runsAfter: after.finished,
+    spanMs: span,
+    verdict
+  };
+}
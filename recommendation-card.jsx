@@ -0,0 +1,65 @@
+import React from 'react';
+import { tokens, tint, badgeStyle, PRIORITY_TONES } from './design-tokens.js';
+
+export const PriorityBadge = ({ priority }) => (
+  <span style={{
+    ...badgeStyle(PRIORITY_TONES[priority] || 'info'),
+    padding: '0.25rem 0.75rem',
+    fontSize: '0.75rem',
+    marginBottom: '0.75rem'
+  }}>
+    {priority}
+  </span>
+);
+
+// One recommendation: priority, action, expected impact and the rule that fired.
+// `trigger` is null once the rule stops firing (kept for applied recommendations).
+// `children` go below, e.g. the adoption controls.
+export default function RecommendationCard({ recommendation, animationDelay, children }) {
+  const { priority, action, impact, ruleId, trigger } = recommendation;
+  return (
+    <div
+      className="recommendation-item"
+      style={{
+        padding: '1.25rem',
+        background: tint(tokens.color.accent, 10),
+        border: `1px solid ${tint(tokens.color.accent, 30)}`,
+        borderRadius: tokens.radius.lg,
+        animationDelay
+      }}
+    >
+      <PriorityBadge priority={priority} />
+
+      <p style={{
+        margin: '0 0 0.75rem 0',
+        fontSize: '0.9rem',
+        fontWeight: '500',
+        color: tokens.color.text.strong,
+        lineHeight: '1.5'
+      }}>
+        {action}
+      </p>
+
+      <p style={{
+        margin: 0,
+        fontSize: '0.85rem',
+        color: tokens.color.text.muted,
+        fontStyle: 'italic'
+      }}>
+        💡 {impact}
+      </p>
+
+      <p style={{
+        margin: '0.75rem 0 0 0',
+        fontSize: '0.75rem',
+        color: tokens.color.text.faint,
+        fontFamily: tokens.font.mono
+      }}>
+        rule: {ruleId}
+        {trigger ? ` · ${trigger.metric} = ${trigger.display}` : ' · no longer triggered'}
+      </p>
+
+      {children}
+    </div>
+  );
+}
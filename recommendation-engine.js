@@ -0,0 +1,174 @@
+import { formatDuration } from './workflow-metrics.js';
+
+// Rule-based recommendations over computed workflow stats (see calculateWorkflowStats).
+// A rule is { id, metric, condition(stats, workflow), priority, action, impact, format?, expectedReduction? }.
+// `action` and `impact` may reference any stat or workflow field as {{name}} or {{name|format}}.
+// `expectedReduction` is the fraction of `metric` the impact text promises to remove; adoption
+// tracking (recommendation-adoption.js) checks the measured change against it.
+
+export const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+export const formatters = {
+  pct: (value) => `${(value * 100).toFixed(1)}%`,
+  ratio: (value) => `${value.toFixed(1)}x`,
+  duration: (value) => formatDuration(value),
+  count: (value) => String(Math.round(value))
+};
+
+export const renderTemplate = (template, context) => template.replace(
+  /\{\{\s*(\w+)\s*(?:\|\s*(\w+)\s*)?\}\}/g,
+  (match, key, format) => {
+    const value = context[key];
+    if (value === null || value === undefined) return match;
+    return format && formatters[format] ? formatters[format](value) : String(value);
+  }
+);
+
+export const defaultRecommendationRules = [
+  {
+    id: 'approval-timeout-length',
+    metric: 'timeoutRate',
+    format: 'pct',
+    condition: (stats) => stats.timeoutRate > 0.1,
+    priority: 'high',
+    action: 'Reduce approval timeout from 48h to 24h to prevent workflow abandonment ({{timeouts}} of {{finished}} runs timed out)',
+    impact: 'Could improve completion rate by up to {{timeoutRate|pct}}'
+  },
+  {
+    id: 'approval-reminders',
+    metric: 'timeoutRate',
+    format: 'pct',
+    condition: (stats) => stats.timeoutRate > 0.05,
+    priority: 'medium',
+    action: 'Add reminder notifications at 12h and 20h marks',
+    impact: 'Reduce average response time'
+  },
+  {
+    id: 'api-retry-backoff',
+    metric: 'apiErrorRate',
+    format: 'pct',
+    condition: (stats) => stats.apiErrorRate > 0.05,
+    priority: 'critical',
+    action: 'Implement retry logic with exponential backoff for external API calls ({{apiErrors}} connection failures)',
+    impact: 'Should reduce API failures by 80%+',
+    expectedReduction: 0.8
+  },
+  {
+    id: 'routing-logic',
+    metric: 'routingErrors',
+    format: 'count',
+    condition: (stats) => stats.routingErrors > 0,
+    priority: 'critical',
+    action: 'Fix recipient routing logic - check conditional expressions and split large review batches into sub-workflows',
+    impact: 'Eliminate routing failures ({{routingErrors}} in current window)',
+    expectedReduction: 1
+  },
+  {
+    id: 'duration-over-baseline',
+    metric: 'durationRatio',
+    format: 'ratio',
+    condition: (stats) => stats.durationRatio > 3,
+    priority: 'high',
+    action: 'Review and optimize conditional logic - average duration {{avgDuration|duration}} is {{durationRatio|ratio}} the {{baselineDuration|duration}} baseline',
+    impact: 'Reduce execution time to baseline levels'
+  },
+  {
+    id: 'parallel-processing',
+    metric: 'durationRatio',
+    format: 'ratio',
+    condition: (stats) => stats.durationRatio > 2 && stats.durationRatio <= 3,
+    priority: 'medium',
+    action: 'Optimize parallel processing of independent steps',
+    impact: 'Bring average duration ({{avgDuration|duration}}) back toward the {{baselineDuration|duration}} baseline'
+  },
+  {
+    id: 'volume-drop-trigger',
+    metric: 'volumeRatio',
+    format: 'pct',
+    condition: (stats, workflow) => workflow.issues.some(issue => issue.code === 'volume_drop'),
+    priority: 'critical',
+    action: 'Check what starts this workflow (HRIS events, scheduled jobs, integrations) - executions are at {{volumeRatio|pct}} of the learned baseline',
+    impact: 'Catch runs that are silently not being triggered'
+  },
+  {
+    id: 'envelope-expiration',
+    metric: 'expirationRate',
+    format: 'pct',
+    condition: (stats) => stats.expirationRate > 0.05,
+    priority: 'high',
+    action: 'Extend envelope expiration period ({{expirations}} envelopes expired before completion)',
+    impact: 'Prevent premature expiration ({{expirationRate|pct}} of runs)'
+  }
+];
+
+const validateRule = (rule) => {
+  if (!rule || typeof rule.id !== 'string') {
+    throw new Error('Recommendation rule must have a string id');
+  }
+  if (typeof rule.condition !== 'function') {
+    throw new Error(`Recommendation rule "${rule.id}" must have a condition function`);
+  }
+  if (!(rule.priority in PRIORITY_ORDER)) {
+    throw new Error(`Recommendation rule "${rule.id}" has unknown priority "${rule.priority}"`);
+  }
+  if (typeof rule.action !== 'string' || typeof rule.impact !== 'string') {
+    throw new Error(`Recommendation rule "${rule.id}" must have action and impact text`);
+  }
+};
+
+export function createRecommendationEngine({ rules = defaultRecommendationRules } = {}) {
+  const registry = new Map();
+
+  const register = (rule) => {
+    validateRule(rule);
+    if (registry.has(rule.id)) {
+      throw new Error(`Recommendation rule "${rule.id}" is already registered`);
+    }
+    registry.set(rule.id, rule);
+  };
+
+  rules.forEach(register);
+
+  return {
+    register,
+    unregister: (id) => registry.delete(id),
+    getRules: () => [...registry.values()],
+
+    // Sorted recommendations for a workflow, each noting the rule and metric that triggered it
+    evaluate: (workflow) => {
+      if (!workflow?.stats) return [];
+      const context = { ...workflow, ...workflow.stats };
+
+      return [...registry.values()]
+        .filter(rule => {
+          try {
+            return rule.condition(workflow.stats, workflow);
+          } catch (err) {
+            // A broken team rule must not take the detail panel down with it
+            console.warn(`Recommendation rule "${rule.id}" threw:`, err);
+            return false;
+          }
+        })
+        .map(rule => {
+          const value = rule.metric ? context[rule.metric] : undefined;
+          return {
+            ruleId: rule.id,
+            priority: rule.priority,
+            action: renderTemplate(rule.action, context),
+            impact: renderTemplate(rule.impact, context),
+            expectedReduction: rule.expectedReduction ?? null,
+            trigger: rule.metric
+              ? {
+                metric: rule.metric,
+                value,
+                display: value !== null && value !== undefined && formatters[rule.format]
+                  ? formatters[rule.format](value)
+                  : String(value)
+              }
+              : null
+          };
+        })
+        .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] || a.ruleId.localeCompare(b.ruleId));
+    }
+  };
+}
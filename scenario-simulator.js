@@ -0,0 +1,460 @@
+import { createRandom, hashString, mockUuid, buildSteps, mockConnectors, mockWorkflowDefinitions } from './mock-data.js';
+import { computeWorkflowMetrics } from './workflow-metrics.js';
+import { buildHistory, HISTORY_WINDOWS } from './workflow-history.js';
+import { withAnomalies, DEFAULT_ANOMALY_CONFIG } from './anomaly-detection.js';
+
+// Seeded scenarios: raw instance streams for any number of workflows, with
+// failures injected on a timeline, played back through the same metrics, history
+// and anomaly pipeline the backend runs. The same scenario and seed always give
+// the same instances, so a scenario doubles as a regression test of the
+// detection rules.
+//
+// Scenario times are in hours from `startAt` (hour 0), where playback begins.
+// `historyDays` of traffic before it give anomaly detection its baselines.
+// Injections only change outcomes: the seed alone fixes when runs start, who
+// they are routed to and how long they take.
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+export const DEFAULT_SCENARIO = {
+  seed: 1,
+  workflows: 5,
+  // A Monday morning, so the first hours of playback are business hours
+  startAt: '2025-06-02T06:00:00.000Z',
+  durationHours: 24,
+  historyDays: DEFAULT_ANOMALY_CONFIG.baselineDays + 1,
+  // Multiplies the run rates of the mock workflows the scenario is modelled on
+  volume: 1,
+  injections: []
+};
+
+// Each type names the issue it should raise and the step its failures happen at;
+// workflows without such a step are never hit. `inject` returns the failure for
+// one run, `drop` whether a run never starts at all.
+export const INJECTION_TYPES = {
+  ad_outage: {
+    label: 'Active Directory outage',
+    detects: 'api_error',
+    step: (definition) => definition.steps.find(s => s.connector === 'active-directory'),
+    inject: ({ rate = 1 }, step, run, random) => random() < rate && {
+      errorCode: 'API_ERROR',
+      failureReason: 'API connection to Active Directory refused'
+    }
+  },
+  // Conditional routing breaks for managers with more than `reportThreshold` direct reports
+  routing_failure: {
+    label: 'Routing failures',
+    detects: 'routing_error',
+    step: (definition) => definition.steps.find(s => s.recipientRole === 'Manager'),
+    inject: ({ reportThreshold = 50 }, step, run) => run.manager.reports > reportThreshold && {
+      errorCode: 'ROUTING_ERROR',
+      failureReason: `Conditional routing failed for manager with >${reportThreshold} reports`
+    }
+  },
+  approval_timeout: {
+    label: 'Approval timeouts',
+    detects: 'timeout',
+    step: (definition) => definition.steps.find(s => s.recipientRole),
+    inject: ({ rate = 0.3, timeoutHours = 48 }, step, run, random) => random() < rate && {
+      errorCode: 'TIMEOUT',
+      failureReason: `${step.recipientRole} approval timed out after ${timeoutHours}h`
+    }
+  },
+  envelope_expiration: {
+    label: 'Envelope expirations',
+    detects: 'expiration',
+    step: (definition) => [...definition.steps].reverse().find(s => s.recipientRole),
+    inject: ({ rate = 0.2 }, step, run, random) => random() < rate && {
+      errorCode: 'ENVELOPE_EXPIRED',
+      failureReason: 'Envelope expired before completion'
+    }
+  },
+  // Only `factor` of the runs start, as when an upstream trigger stops firing
+  volume_drop: {
+    label: 'Volume drop',
+    detects: 'volume_drop',
+    step: (definition) => definition.steps[0],
+    drop: ({ factor = 0.1 }, random) => random() >= factor
+  }
+};
+
+// A higher failure rate is a side effect of every injected failure
+const SIDE_EFFECTS = ['failure_rate_spike'];
+
+export const SCENARIO_PRESETS = {
+  // One of each failure over a day, for demos
+  demo: {
+    seed: 7,
+    workflows: 10,
+    injections: [
+      { type: 'routing_failure', fromHour: 1, reportThreshold: 50 },
+      { type: 'ad_outage', fromHour: 3, toHour: 7 },
+      { type: 'approval_timeout', fromHour: 9, toHour: 15, rate: 0.35, workflowIds: ['sim-002'] },
+      { type: 'envelope_expiration', fromHour: 12, rate: 0.2, workflowIds: ['sim-005'] },
+      { type: 'volume_drop', fromHour: 16, factor: 0.1, workflowIds: ['sim-004'] }
+    ]
+  },
+  // Hundreds of workflows at a fifth of the volume; a week of history is the
+  // least rolling baselines need
+  load: {
+    seed: 11,
+    workflows: 300,
+    volume: 0.2,
+    historyDays: 8,
+    injections: [
+      { type: 'ad_outage', fromHour: 6, toHour: 8 },
+      { type: 'routing_failure', fromHour: 0, reportThreshold: 80 }
+    ]
+  }
+};
+
+// More runs in business hours, fewer at weekends (UTC, so a seed gives the same
+// traffic everywhere)
+const trafficFactor = (at) => {
+  const date = new Date(at);
+  const weekend = date.getUTCDay() === 0 || date.getUTCDay() === 6;
+  const businessHours = date.getUTCHours() >= 8 && date.getUTCHours() < 18;
+  return (weekend ? 0.6 : 1) * (businessHours ? 1.6 : 0.5);
+};
+
+const poisson = (mean, random) => {
+  const limit = Math.exp(-mean);
+  let count = 0;
+  for (let p = random(); p > limit; p *= random()) count++;
+  return count;
+};
+
+const MANAGER_COUNT = 60;
+
+// Managers the Manager steps route to; a few run large teams, which is what
+// conditional routing tends to trip over
+const createManagers = (random) => Array.from({ length: MANAGER_COUNT }, (_, n) => ({
+  email: `manager-${String(n + 1).padStart(2, '0')}@example.com`,
+  reports: random() < 0.08 ? 51 + Math.floor(random() * 70) : 2 + Math.floor(random() * 18)
+}));
+
+// Workflows modelled on the mock definitions, cycling through them; copies get
+// a number and their own run rate
+const createDefinitions = (count, volume, random) => Array.from({ length: count }, (_, n) => {
+  const template = mockWorkflowDefinitions[n % mockWorkflowDefinitions.length];
+  const copy = Math.floor(n / mockWorkflowDefinitions.length);
+  const id = `sim-${String(n + 1).padStart(3, '0')}`;
+  return {
+    id,
+    name: copy === 0 ? template.name : `${template.name} #${copy + 1}`,
+    department: template.department,
+    baselineDuration: template.baselineDuration,
+    steps: template.steps.map((step, index) => ({ ...step, stepId: `${id}-s${index + 1}` })),
+    profile: {
+      runsPerHour: (template.profile.executions / 24) * volume * (copy === 0 ? 1 : 0.5 + random()),
+      failureRate: 0.01 + random() * 0.02,
+      slowApprovers: []
+    }
+  };
+});
+
+const normalizeInjections = (injections, start, definitions) => injections.map(injection => {
+  if (!INJECTION_TYPES[injection.type]) throw new Error(`Unknown injection type "${injection.type}"`);
+  (injection.workflowIds || []).forEach(id => {
+    if (!definitions.some(d => d.id === id)) throw new Error(`Unknown workflow ${id}`);
+  });
+  return {
+    ...injection,
+    from: start + (injection.fromHour ?? 0) * HOUR,
+    to: injection.toHour === undefined ? Infinity : start + injection.toHour * HOUR
+  };
+});
+
+// Index of the first entry starting at or after `at`; entries are oldest first
+const firstFrom = (entries, at) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].startedAt < at) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+export function createSimulation(scenario = {}, { anomalyConfig = DEFAULT_ANOMALY_CONFIG } = {}) {
+  const { seed, workflows, startAt, durationHours, historyDays, volume, injections: requested } = { ...DEFAULT_SCENARIO, ...scenario };
+  const start = new Date(startAt).getTime();
+  if (Number.isNaN(start)) throw new Error(`Invalid scenario start "${startAt}"`);
+  const end = start + durationHours * HOUR;
+  const historyFrom = start - historyDays * DAY;
+
+  const definitions = createDefinitions(workflows, volume, createRandom(hashString(`${seed}:definitions`)));
+  const managers = createManagers(createRandom(hashString(`${seed}:managers`)));
+  const injections = normalizeInjections(requested, start, definitions);
+  const streams = new Map();
+
+  const getDefinition = (workflowId) => definitions.find(d => d.id === workflowId);
+
+  const pickRecipients = (definition, random) => {
+    const recipients = {};
+    let manager = null;
+    definition.steps.filter(s => s.recipientRole).forEach(({ recipientRole: role }) => {
+      if (recipients[role]) return;
+      if (role === 'Manager') {
+        manager = managers[Math.floor(random() * managers.length)];
+        recipients[role] = manager.email;
+      } else {
+        recipients[role] = `${role.toLowerCase()}-${String(Math.floor(random() * 60) + 1).padStart(2, '0')}@example.com`;
+      }
+    });
+    return { recipients, manager };
+  };
+
+  // Everything that does not depend on injections, drawn from the arrival random
+  const createRun = (definition, startedAt, random) => {
+    const duration = Math.round(definition.baselineDuration * (random() < 0.05 ? 2 + random() * 2 : 0.6 + random() * 0.8));
+    const { recipients, manager } = pickRecipients(definition, random);
+    const base = {
+      instanceId: mockUuid(random),
+      workflowId: definition.id,
+      startedAt: new Date(startedAt).toISOString(),
+      triggeredBy: `user-${Math.floor(random() * 40) + 1}`,
+      metadata: {
+        envelopeId: mockUuid(random),
+        recipients: Object.entries(recipients).map(([role, email]) => ({ email, role }))
+      }
+    };
+    const failure = random() < definition.profile.failureRate
+      ? { errorCode: 'VALIDATION_ERROR', stepId: definition.steps[0].stepId, failureReason: 'Required field missing from request' }
+      : null;
+    return { base, startedAt, duration, recipients, manager, failure };
+  };
+
+  // A failed run stops at the failed step, so it ends early
+  const finishRun = (definition, run) => {
+    const { base, startedAt, failure } = run;
+    const failedIndex = failure ? definition.steps.findIndex(s => s.stepId === failure.stepId) : -1;
+    const duration = failure
+      ? Math.max(1, Math.round(run.duration * ((failedIndex + 1) / definition.steps.length)))
+      : run.duration;
+    return {
+      startedAt,
+      endsAt: startedAt + duration * 1000,
+      recipients: run.recipients,
+      failure,
+      duration,
+      instance: {
+        ...base,
+        status: failure ? 'failed' : 'completed',
+        completedAt: new Date(startedAt + duration * 1000).toISOString(),
+        duration,
+        steps: [],
+        ...(failure && {
+          errorCode: failure.errorCode,
+          errorMessage: `${failure.errorCode}: ${failure.failureReason}`,
+          failureReason: failure.failureReason,
+          failedStepId: failure.stepId
+        })
+      }
+    };
+  };
+
+  // Every run of one workflow over the whole scenario, oldest first, plus how many
+  // runs each injection hit (`injected[index]`)
+  const generateStream = (definition) => {
+    const targets = injections.map((injection, index) => {
+      const type = INJECTION_TYPES[injection.type];
+      const step = (!injection.workflowIds || injection.workflowIds.includes(definition.id)) && type.step(definition);
+      return step ? { injection, type, step, index } : null;
+    }).filter(Boolean);
+    const stream = { entries: [], injected: injections.map(() => 0) };
+
+    for (let hour = historyFrom; hour < end; hour += HOUR) {
+      const random = createRandom(hashString(`${seed}:${definition.id}:${hour}`));
+      const outcomes = createRandom(hashString(`${seed}:${definition.id}:${hour}:outcomes`));
+      const count = poisson(definition.profile.runsPerHour * trafficFactor(hour), random);
+      const starts = Array.from({ length: count }, () => hour + Math.floor(random() * HOUR)).sort((a, b) => a - b);
+
+      starts.forEach(startedAt => {
+        const run = createRun(definition, startedAt, random);
+        const active = targets.filter(t => startedAt >= t.injection.from && startedAt < t.injection.to);
+        const dropped = active.find(t => t.type.drop?.(t.injection, outcomes));
+        if (dropped) {
+          stream.injected[dropped.index]++;
+          return;
+        }
+        if (!run.failure) {
+          const hit = active.find(t => {
+            const failure = t.type.inject?.(t.injection, t.step, run, outcomes);
+            if (failure) run.failure = { ...failure, stepId: t.step.stepId };
+            return failure;
+          });
+          if (hit) stream.injected[hit.index]++;
+        }
+        stream.entries.push(finishRun(definition, run));
+      });
+    }
+    return stream;
+  };
+
+  const streamOf = (definition) => {
+    if (!streams.has(definition.id)) streams.set(definition.id, generateStream(definition));
+    return streams.get(definition.id);
+  };
+
+  // An entry as seen at `now`: runs that have not finished yet are in progress
+  const viewEntry = (definition, entry, now, includeSteps) => {
+    const running = entry.endsAt > now;
+    const instance = running
+      ? { ...entry.instance, status: 'in_progress', completedAt: null, duration: null }
+      : entry.instance;
+    if (running) {
+      ['errorCode', 'errorMessage', 'failureReason', 'failedStepId'].forEach(key => delete instance[key]);
+    }
+    if (!includeSteps) return instance;
+    return {
+      ...instance,
+      steps: buildSteps(definition, {
+        startedAt: entry.startedAt,
+        duration: entry.duration,
+        failure: running ? null : entry.failure,
+        recipients: entry.recipients,
+        ...(running && { runningAt: now })
+      }, createRandom(hashString(instance.instanceId)))
+    };
+  };
+
+  // Raw instance records started in the `windowHours` before `now`, newest first
+  const instancesAt = (workflowId, { now, windowHours = 24, includeSteps = true } = {}) => {
+    const definition = getDefinition(workflowId);
+    if (!definition) throw new Error(`Unknown workflow ${workflowId}`);
+    const at = now.getTime();
+    const { entries } = streamOf(definition);
+    const from = firstFrom(entries, at - windowHours * HOUR);
+    const to = firstFrom(entries, at + 1);
+    return entries.slice(from, to).map(entry => viewEntry(definition, entry, at, includeSteps)).reverse();
+  };
+
+  const findInstance = (workflowId, instanceId, { now }) => {
+    const definition = getDefinition(workflowId);
+    const entry = definition && streamOf(definition).entries
+      .find(e => e.instance.instanceId === instanceId && e.startedAt <= now.getTime());
+    return entry ? viewEntry(definition, entry, now.getTime(), true) : null;
+  };
+
+  // The dashboard's workflow object at `now`: the last 24h, the 7d trend and anomalies
+  const workflowAt = (definition, now) => {
+    const windowHours = Math.max(anomalyConfig.baselineDays * 24 + 24, HISTORY_WINDOWS['7d'].durationMs / HOUR);
+    const history = instancesAt(definition.id, { now, windowHours, includeSteps: false });
+    const dayStart = new Date(now.getTime() - DAY).toISOString();
+    const lastDay = history.filter(i => i.startedAt >= dayStart);
+    return withAnomalies({
+      ...computeWorkflowMetrics(definition, lastDay, { now, connectors: mockConnectors }),
+      trend: buildHistory(history, definition, { window: '7d', now }).trend
+    }, history, { now, config: anomalyConfig });
+  };
+
+  return {
+    seed,
+    start: new Date(start),
+    end: new Date(end),
+    definitions,
+    injections,
+    getDefinition,
+    injectedCount: (workflowId) => streamOf(getDefinition(workflowId)).injected,
+    instancesAt,
+    findInstance,
+    workflowsAt: (now, { workflowIds } = {}) => definitions
+      .filter(d => !workflowIds || workflowIds.includes(d.id))
+      .map(definition => workflowAt(definition, now)),
+    historyAt: (workflowId, { window = '7d', now }) => {
+      const windowHours = HISTORY_WINDOWS[window].durationMs / HOUR;
+      return buildHistory(instancesAt(workflowId, { now, windowHours, includeSteps: false }), getDefinition(workflowId), { window, now });
+    }
+  };
+}
+
+// Simulated time for playback: from the scenario start, `speed` times faster than
+// the wall clock, stopping at the scenario end. Without `startedAt` the clock
+// starts when first read, so generating the streams does not eat into playback.
+export const createPlaybackClock = (simulation, { speed = 60, startedAt } = {}) => {
+  let started = startedAt;
+  return () => {
+    if (started === undefined) started = Date.now();
+    return new Date(Math.min(simulation.end.getTime(), simulation.start.getTime() + (Date.now() - started) * speed));
+  };
+};
+
+const replay = (simulation, { stepMinutes, workflowIds }) => {
+  const frames = [];
+  for (let at = simulation.start.getTime(); at <= simulation.end.getTime(); at += stepMinutes * 60000) {
+    frames.push({ at: new Date(at).toISOString(), workflows: simulation.workflowsAt(new Date(at), { workflowIds }) });
+  }
+  return frames;
+};
+
+// The workflows every `stepMinutes` from the start to the end of the scenario,
+// computed synchronously rather than in real time
+export const replayScenario = (scenario, { stepMinutes = 60, workflowIds, anomalyConfig } = {}) => (
+  replay(createSimulation(scenario, { anomalyConfig }), { stepMinutes, workflowIds })
+);
+
+// When each issue was raised and cleared, per workflow and issue code.
+// `clearedAt` is null for issues still open in the last frame.
+export function detectionTimeline(frames) {
+  const open = new Map();
+  const spans = [];
+  frames.forEach(({ at, workflows }) => {
+    const seen = new Set();
+    workflows.forEach(workflow => workflow.issues.forEach(issue => {
+      const key = `${workflow.id}:${issue.code}`;
+      seen.add(key);
+      if (open.has(key)) return;
+      const span = { workflowId: workflow.id, code: issue.code, type: issue.type, raisedAt: at, clearedAt: null };
+      open.set(key, span);
+      spans.push(span);
+    }));
+    open.forEach((span, key) => {
+      if (seen.has(key)) return;
+      span.clearedAt = at;
+      open.delete(key);
+    });
+  });
+  return spans;
+}
+
+// Whether the detection rules caught every injection on every workflow it hit,
+// and how long they took. Issues no injection explains are false positives.
+export function evaluateDetections(scenario, { stepMinutes = 60, anomalyConfig } = {}) {
+  const simulation = createSimulation(scenario, { anomalyConfig });
+  const spans = detectionTimeline(replay(simulation, { stepMinutes }));
+  const hit = (definition, index) => simulation.injectedCount(definition.id)[index] > 0;
+
+  const detections = simulation.injections.flatMap((injection, index) => simulation.definitions
+    .filter(definition => hit(definition, index))
+    .map(definition => {
+      const code = INJECTION_TYPES[injection.type].detects;
+      const from = Math.max(injection.from, simulation.start.getTime());
+      const span = spans.find(s => s.workflowId === definition.id && s.code === code
+        && (s.clearedAt === null || new Date(s.clearedAt).getTime() > from));
+      const detectedAt = span ? Math.max(new Date(span.raisedAt).getTime(), from) : null;
+      return {
+        injection: index,
+        type: injection.type,
+        workflowId: definition.id,
+        code,
+        injected: simulation.injectedCount(definition.id)[index],
+        detectedAt: detectedAt === null ? null : new Date(detectedAt).toISOString(),
+        latencyMinutes: detectedAt === null ? null : Math.round((detectedAt - from) / 60000)
+      };
+    }));
+
+  const explains = (span) => simulation.injections.some((injection, index) => {
+    const type = INJECTION_TYPES[injection.type];
+    return hit(simulation.getDefinition(span.workflowId), index)
+      && (span.code === type.detects || (type.inject && SIDE_EFFECTS.includes(span.code)));
+  });
+
+  return {
+    detections,
+    missed: detections.filter(d => d.detectedAt === null),
+    unexpected: spans.filter(span => !explains(span))
+  };
+}
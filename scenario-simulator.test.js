@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateDetections, SCENARIO_PRESETS } from './scenario-simulator.js';
+
+// Replays a simulated day twice, so it needs longer than the default timeout
+const SLOW = 60000;
+
+describe('evaluateDetections', () => {
+  it('detects every failure injected by the demo scenario, nothing else, and the same way each time', () => {
+    const result = evaluateDetections(SCENARIO_PRESETS.demo);
+    expect(result.detections).toHaveLength(15);
+    expect(result.missed).toEqual([]);
+    expect(result.unexpected).toEqual([]);
+    expect(new Set(result.detections.map(d => d.type))).toEqual(new Set(SCENARIO_PRESETS.demo.injections.map(i => i.type)));
+
+    expect(evaluateDetections(SCENARIO_PRESETS.demo)).toEqual(result);
+  }, SLOW);
+});
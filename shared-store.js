@@ -0,0 +1,122 @@
+// Small persisted stores for state people change from the dashboard (issue
+// lifecycle, recommendation adoption). A store is
+// `{ name, getState(), dispatch(action), subscribe(listener) }`: `dispatch` stamps
+// the action with `at`, applies it with the store's reducer and resolves to the
+// new state; `subscribe` calls the listener immediately and on every change.
+
+// localStorage-backed; other tabs on the same machine pick up changes through the `storage` event
+export function createLocalStore({
+  reducer,
+  initialState,
+  storageKey,
+  storage = typeof window !== 'undefined' ? window.localStorage : null,
+  clock = () => new Date()
+}) {
+  const read = () => {
+    try {
+      const raw = storage?.getItem(storageKey);
+      return raw ? JSON.parse(raw) : initialState;
+    } catch (err) {
+      return initialState;
+    }
+  };
+
+  let state = read();
+  const listeners = new Set();
+  const emit = () => listeners.forEach(listener => listener(state));
+
+  const onStorage = (event) => {
+    if (event.key !== storageKey) return;
+    state = read();
+    emit();
+  };
+
+  return {
+    // Only this browser sees the state, so the dashboard labels it single-user
+    name: 'local',
+    getState: () => state,
+    dispatch: async (action) => {
+      state = reducer(state, { ...action, at: clock().toISOString() });
+      storage?.setItem(storageKey, JSON.stringify(state));
+      emit();
+      return state;
+    },
+    subscribe: (listener) => {
+      if (listeners.size === 0 && typeof window !== 'undefined') window.addEventListener('storage', onStorage);
+      listeners.add(listener);
+      listener(state);
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && typeof window !== 'undefined') window.removeEventListener('storage', onStorage);
+      };
+    }
+  };
+}
+
+// Shared across users through the backend, which applies the same reducer:
+//   GET  {path}          → current state
+//   POST {path}/actions  → state after applying the posted action
+// Other people's changes arrive by polling every `pollInterval` ms.
+// `getAccessToken` adds a bearer token, as in createHttpProvider.
+export function createHttpStore({
+  path,
+  initialState,
+  baseUrl = '/api/docusign',
+  fetchImpl = (...args) => fetch(...args),
+  headers = {},
+  getAccessToken,
+  pollInterval = 15000
+}) {
+  let state = initialState;
+  const listeners = new Set();
+  let timer = null;
+  const url = (suffix) => `${baseUrl.replace(/\/$/, '')}${suffix}`;
+  const authHeaders = async () => {
+    const token = getAccessToken ? await getAccessToken() : null;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  };
+
+  const receive = async (response, suffix) => {
+    if (!response.ok) {
+      const error = new Error(`Request to ${suffix} failed: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    state = await response.json();
+    listeners.forEach(listener => listener(state));
+    return state;
+  };
+
+  const load = () => authHeaders()
+    .then(auth => fetchImpl(url(path), { headers: { Accept: 'application/json', ...auth, ...headers } }))
+    .then(response => receive(response, path))
+    .catch(err => console.warn(`Could not load ${path}`, err));
+
+  return {
+    name: 'http',
+    getState: () => state,
+    dispatch: async (action) => {
+      const response = await fetchImpl(url(`${path}/actions`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...(await authHeaders()), ...headers },
+        body: JSON.stringify({ ...action, at: new Date().toISOString() })
+      });
+      return receive(response, `${path}/actions`);
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      listener(state);
+      if (!timer) {
+        load();
+        timer = setInterval(load, pollInterval);
+      }
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          clearInterval(timer);
+          timer = null;
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Activity, LogIn } from 'lucide-react';
+
+const buttonStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'space-between',
+  gap: '1rem',
+  width: '100%',
+  padding: '0.85rem 1rem',
+  background: 'rgba(255, 255, 255, 0.05)',
+  border: '1px solid rgba(255, 255, 255, 0.1)',
+  borderRadius: '12px',
+  color: '#e2e8f0',
+  font: 'inherit',
+  fontSize: '0.9rem',
+  cursor: 'pointer',
+  textAlign: 'left'
+};
+
+// Shown while nobody is signed in. A stub provider lists its test users;
+// any other provider gets a single button that starts its sign-in redirect.
+export default function SignIn({ identityProvider, error }) {
+  const [pending, setPending] = useState(false);
+  const [signInError, setSignInError] = useState(null);
+
+  const signIn = async (options) => {
+    setPending(true);
+    setSignInError(null);
+    try {
+      await identityProvider.signIn(options);
+    } catch (err) {
+      setSignInError(err.message);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const message = signInError || error?.message;
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'linear-gradient(135deg, #0f172a 0%, #1e293b 100%)',
+      fontFamily: '"DM Sans", system-ui, -apple-system, sans-serif',
+      color: '#e2e8f0',
+      padding: '2rem'
+    }}>
+      <div style={{
+        width: '100%',
+        maxWidth: '380px',
+        background: 'rgba(255, 255, 255, 0.05)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '16px',
+        padding: '2rem'
+      }}>
+        <h1 style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', margin: '0 0 0.5rem 0', fontSize: '1.4rem', color: '#f1f5f9' }}>
+          <Activity size={22} style={{ color: '#60a5fa' }} />
+          Maestro Workflow Health
+        </h1>
+        <p style={{ margin: '0 0 1.5rem 0', fontSize: '0.875rem', color: '#94a3b8' }}>
+          Sign in to see the workflows of your department.
+        </p>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          {identityProvider.users ? identityProvider.users.map(user => (
+            <button key={user.id} onClick={() => signIn({ userId: user.id })} disabled={pending} style={buttonStyle}>
+              <span>
+                {user.name}
+                <span style={{ display: 'block', fontSize: '0.75rem', color: '#94a3b8' }}>
+                  {user.role} · {user.departments.join(', ')}
+                </span>
+              </span>
+              <LogIn size={16} style={{ color: '#94a3b8' }} />
+            </button>
+          )) : (
+            <button onClick={() => signIn()} disabled={pending} style={buttonStyle}>
+              Sign in with {identityProvider.label}
+              <LogIn size={16} style={{ color: '#94a3b8' }} />
+            </button>
+          )}
+        </div>
+
+        {message && (
+          <p role="alert" style={{ margin: '1rem 0 0 0', fontSize: '0.8rem', color: '#fca5a5' }}>{message}</p>
+        )}
+      </div>
+    </div>
+  );
+}
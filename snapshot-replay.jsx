@@ -0,0 +1,92 @@
+import React from 'react';
+import { History, ChevronLeft, ChevronRight, X } from 'lucide-react';
+
+const stepButtonStyle = (disabled) => ({
+  display: 'flex',
+  padding: '0.35rem',
+  background: 'var(--surface)',
+  border: '1px solid var(--border)',
+  borderRadius: '6px',
+  color: 'var(--text-secondary)',
+  cursor: disabled ? 'default' : 'pointer',
+  opacity: disabled ? 0.4 : 1
+});
+
+// Time slider over recorded snapshots. `timestamps` are the snapshots' `takenAt`,
+// oldest first; `index` is the one on screen.
+export default function SnapshotReplay({ timestamps, index, loading, onSeek, onExit }) {
+  const current = timestamps[index];
+  const first = timestamps[0];
+  const last = timestamps[timestamps.length - 1];
+
+  return (
+    <div style={{
+      marginTop: '0.75rem',
+      padding: '0.75rem 1rem',
+      background: 'rgba(167, 139, 250, 0.1)',
+      border: '1px solid rgba(167, 139, 250, 0.35)',
+      borderRadius: '8px',
+      fontSize: '0.875rem',
+      color: 'var(--text-highlight)'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', flexWrap: 'wrap' }}>
+        <History size={16} />
+        <span style={{ flex: 1 }} aria-live="polite">
+          {timestamps.length === 0
+            ? 'No snapshots recorded yet. They are taken while live data is flowing.'
+            : <>Replaying the dashboard as it was at <strong>{new Date(current).toLocaleString()}</strong>{loading && ' …'}</>}
+        </span>
+        <button
+          onClick={onExit}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.35rem',
+            padding: '0.25rem 0.75rem',
+            background: 'transparent',
+            border: '1px solid rgba(167, 139, 250, 0.5)',
+            borderRadius: '6px',
+            color: 'var(--text-highlight)',
+            font: 'inherit',
+            cursor: 'pointer'
+          }}
+        >
+          <X size={14} /> Back to live
+        </button>
+      </div>
+
+      {timestamps.length > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem' }}>
+          <button
+            onClick={() => onSeek(index - 1)}
+            disabled={index <= 0}
+            aria-label="Previous snapshot"
+            style={stepButtonStyle(index <= 0)}
+          >
+            <ChevronLeft size={14} />
+          </button>
+          <span style={{ fontSize: '0.75rem', color: 'var(--text-highlight)', whiteSpace: 'nowrap' }}>{new Date(first).toLocaleString()}</span>
+          <input
+            type="range"
+            min={0}
+            max={timestamps.length - 1}
+            value={index}
+            onChange={(e) => onSeek(Number(e.target.value))}
+            aria-label="Snapshot time"
+            aria-valuetext={new Date(current).toLocaleString()}
+            style={{ flex: 1, accentColor: '#a78bfa' }}
+          />
+          <span style={{ fontSize: '0.75rem', color: 'var(--text-highlight)', whiteSpace: 'nowrap' }}>{new Date(last).toLocaleString()}</span>
+          <button
+            onClick={() => onSeek(index + 1)}
+            disabled={index >= timestamps.length - 1}
+            aria-label="Next snapshot"
+            style={stepButtonStyle(index >= timestamps.length - 1)}
+          >
+            <ChevronRight size={14} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
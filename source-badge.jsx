@@ -0,0 +1,29 @@
+import React from 'react';
+import { getEnvironment } from './account-sources.js';
+
+// Account and environment a workflow was read from, e.g. "PROD · Main account"
+export default function SourceBadge({ source, compact = false }) {
+  if (!source) return null;
+  const environment = getEnvironment(source.environment);
+  return (
+    <span
+      title={`${source.label} (${environment.label})`}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '0.35rem',
+        padding: '0.1rem 0.5rem',
+        borderRadius: '6px',
+        background: environment.background,
+        color: environment.color,
+        fontSize: '0.7rem',
+        fontWeight: '600',
+        letterSpacing: '0.05em',
+        whiteSpace: 'nowrap'
+      }}
+    >
+      {environment.short}
+      {!compact && <span style={{ fontWeight: '500', letterSpacing: 0, color: 'var(--text-secondary)' }}>{source.label}</span>}
+    </span>
+  );
+}
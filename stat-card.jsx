@@ -0,0 +1,46 @@
+import React from 'react';
+import { tokens, tint, toneOf } from './design-tokens.js';
+
+// One summary number with its label and icon. With `onToggle` the card works as
+// a filter toggle, `active` while its filter is applied.
+export default function StatCard({ label, value, icon: Icon, tone = 'info', active = false, onToggle, animationDelay }) {
+  const { color } = toneOf(tone);
+  const toggle = onToggle && {
+    role: 'button',
+    tabIndex: 0,
+    'aria-pressed': active,
+    onClick: onToggle,
+    onKeyDown: (e) => {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+      e.preventDefault();
+      onToggle();
+    }
+  };
+
+  return (
+    <div
+      className="stat-card"
+      {...toggle}
+      style={{
+        background: `linear-gradient(135deg, ${tint(color, 10)} 0%, ${tint(color, 5)} 100%)`,
+        padding: tokens.space.xl,
+        borderRadius: tokens.radius.xl,
+        border: `1px solid ${tint(color, active ? 70 : 20)}`,
+        cursor: onToggle ? 'pointer' : 'default',
+        animationDelay
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <div>
+          <p style={{ margin: '0 0 0.5rem 0', fontSize: '0.875rem', color: tokens.color.text.muted, fontWeight: '500' }}>
+            {label}
+          </p>
+          <p style={{ margin: 0, fontSize: '2rem', fontWeight: '700', color }}>
+            {value}
+          </p>
+        </div>
+        {Icon && <Icon size={32} style={{ color, opacity: 0.5 }} aria-hidden="true" />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Screen reader announcements for workflow status changes. The dashboard puts
+// the message in a polite live region, so it is read out once the user pauses.
+
+export const STATUS_LABELS = {
+  healthy: 'Healthy',
+  warning: 'Warning',
+  critical: 'Critical',
+  unknown: 'Unknown'
+};
+
+export const statusLabel = (status) => STATUS_LABELS[status] || STATUS_LABELS.unknown;
+
+// Workflows whose status differs from `previous` (a Map of id → status). New and
+// removed workflows are not changes.
+export const findStatusChanges = (previous, workflows) => workflows
+  .filter(w => previous.has(w.id) && previous.get(w.id) !== w.status)
+  .map(w => ({ id: w.id, name: w.name, from: previous.get(w.id), to: w.status }));
+
+export const describeStatusChanges = (changes, { limit = 3 } = {}) => {
+  if (changes.length === 0) return '';
+  const described = changes
+    .slice(0, limit)
+    .map(c => `${c.name} is now ${statusLabel(c.to)}, was ${statusLabel(c.from)}.`);
+  const more = changes.length - limit;
+  if (more > 0) described.push(`${more} more workflow${more > 1 ? 's' : ''} changed status.`);
+  return described.join(' ');
+};
+
+// Latest announcement for `workflows`. While `enabled` is false (e.g. replaying
+// old snapshots) nothing is announced and the live statuses are kept for later.
+export function useStatusAnnouncer(workflows, { enabled = true } = {}) {
+  const previous = useRef(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!enabled || workflows.length === 0) return;
+    const next = new Map(workflows.map(w => [w.id, w.status]));
+    // The first load is not a change
+    if (previous.current) {
+      const changes = findStatusChanges(previous.current, workflows);
+      if (changes.length > 0) setMessage(describeStatusChanges(changes));
+    }
+    previous.current = next;
+  }, [workflows, enabled]);
+
+  return message;
+}
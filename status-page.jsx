@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { HISTORY_WINDOWS } from './workflow-history.js';
+import { loadThresholdConfig } from './health-thresholds.js';
+import { statusLabel } from './status-announcer.js';
+import { STATUS_PAGE_WINDOWS, loadStatusPage, describeOverall } from './workflow-uptime.js';
+import { tokens, tint } from './design-tokens.js';
+import { getStatusColor, getStatusIcon } from './status-visuals.jsx';
+import ThemeScope from './theme-scope.jsx';
+import SourceBadge from './source-badge.jsx';
+
+const formatUptime = (uptime) => (uptime === null ? 'No data' : `${(uptime * 100).toFixed(uptime === 1 ? 0 : 1)}% healthy`);
+
+const bucketLabel = (bucket, bucketMs) => {
+  const start = new Date(bucket.start);
+  const day = start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  const range = bucketMs > 86400000 ? `${day}–${new Date(bucket.end).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}` : day;
+  return `${range}: ${bucket.status === 'unknown' ? 'no runs' : statusLabel(bucket.status)}`;
+};
+
+const UptimeBars = ({ buckets, bucketMs }) => (
+  <div style={{ display: 'flex', gap: '2px', height: '28px' }}>
+    {buckets.map(bucket => (
+      <span
+        key={bucket.start}
+        title={bucketLabel(bucket, bucketMs)}
+        style={{
+          flex: 1,
+          borderRadius: '2px',
+          background: bucket.status === 'unknown' ? tokens.color.surface.raised : getStatusColor(bucket.status)
+        }}
+      />
+    ))}
+  </div>
+);
+
+const WorkflowRow = ({ workflow, window, bucketMs }) => (
+  <li style={{ padding: '1.25rem 0', borderBottom: `1px solid ${tokens.color.border.subtle}` }}>
+    <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.75rem', flexWrap: 'wrap' }}>
+      <h2 style={{ margin: 0, fontSize: '1rem', fontWeight: '600', color: tokens.color.text.strong }}>{workflow.name}</h2>
+      <SourceBadge source={workflow.source} />
+      <span style={{ marginLeft: 'auto', display: 'inline-flex', alignItems: 'center', gap: '0.35rem', color: getStatusColor(workflow.status), fontWeight: '600', fontSize: '0.875rem' }}>
+        {getStatusIcon(workflow.status, 16)}
+        {statusLabel(workflow.status)}
+      </span>
+    </div>
+    {workflow.buckets.length > 0 ? (
+      <>
+        <UptimeBars buckets={workflow.buckets} bucketMs={bucketMs} />
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '0.4rem', fontSize: '0.75rem', color: tokens.color.text.faint }}>
+          <span>{HISTORY_WINDOWS[window].label} ago</span>
+          <span style={{ color: tokens.color.text.muted }}>{formatUptime(workflow.uptime)}</span>
+          <span>Today</span>
+        </div>
+      </>
+    ) : (
+      <p style={{ margin: 0, fontSize: '0.8rem', color: tokens.color.text.faint }}>Uptime history unavailable</p>
+    )}
+  </li>
+);
+
+// Read-only status page: the current status and uptime history of each
+// workflow, and nothing about issues, instances or recommendations. Uptime is
+// the share of days (3-day periods for 90d) in which the workflow was healthy.
+export default function StatusPage({
+  provider,
+  workflowIds,
+  title = 'Workflow Status',
+  theme = 'system',
+  initialWindow = '30d',
+  thresholdConfig,
+  refreshInterval = 5 * 60000
+}) {
+  const [range, setRange] = useState(initialWindow);
+  const [page, setPage] = useState(null);
+  const [error, setError] = useState(null);
+  const idsKey = (workflowIds || []).join(',');
+
+  useEffect(() => {
+    if (!provider.fetchStatusPage) return undefined;
+    let controller = null;
+    const load = async () => {
+      controller?.abort();
+      controller = new AbortController();
+      const { signal } = controller;
+      try {
+        const next = await loadStatusPage(provider, {
+          window: range,
+          workflowIds: idsKey ? idsKey.split(',') : null,
+          thresholdConfig: thresholdConfig || loadThresholdConfig() || undefined,
+          signal
+        });
+        if (!signal.aborted) {
+          setPage(next);
+          setError(null);
+        }
+      } catch (err) {
+        if (!signal.aborted) setError(err);
+      }
+    };
+    load();
+    const timer = setInterval(load, refreshInterval);
+    return () => {
+      clearInterval(timer);
+      controller?.abort();
+    };
+  }, [provider, range, idsKey, thresholdConfig, refreshInterval]);
+
+  const overall = page?.overall || 'unknown';
+
+  // Built anywhere else, the page would need the full workflow data, which a public page must not load
+  if (!provider.fetchStatusPage) {
+    return (
+      <ThemeScope theme={theme} style={{ minHeight: '100vh', background: 'var(--page-background)', padding: '2rem' }}>
+        <main style={{ maxWidth: '760px', margin: '0 auto' }}>
+          <h1 style={{ margin: '0 0 1.5rem 0', fontSize: '1.5rem', fontWeight: '700', color: tokens.color.text.strong }}>{title}</h1>
+          <p role="alert" style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-danger)' }}>
+            This status page is not available: its data source cannot serve a public status page.
+          </p>
+        </main>
+      </ThemeScope>
+    );
+  }
+
+  return (
+    <ThemeScope theme={theme} style={{ minHeight: '100vh', background: 'var(--page-background)', padding: '2rem' }}>
+      <main style={{ maxWidth: '760px', margin: '0 auto' }}>
+        <h1 style={{ margin: '0 0 1.5rem 0', fontSize: '1.5rem', fontWeight: '700', color: tokens.color.text.strong }}>{title}</h1>
+
+        <div
+          role="status"
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.75rem',
+            padding: '1rem 1.25rem',
+            marginBottom: '1.5rem',
+            background: tint(getStatusColor(overall), 12),
+            border: `1px solid ${tint(getStatusColor(overall), 40)}`,
+            borderRadius: tokens.radius.lg,
+            color: getStatusColor(overall),
+            fontWeight: '600'
+          }}
+        >
+          {getStatusIcon(overall)}
+          {page ? describeOverall(overall) : 'Loading…'}
+        </div>
+
+        {error && (
+          <p role="alert" style={{ margin: '0 0 1rem 0', fontSize: '0.85rem', color: 'var(--text-danger)' }}>
+            Could not refresh the status{page ? '; showing the last known state' : ''}. {error.message}
+          </p>
+        )}
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', color: tokens.color.text.muted }}>
+          Uptime over
+          {STATUS_PAGE_WINDOWS.map(option => (
+            <button
+              key={option}
+              onClick={() => setRange(option)}
+              aria-pressed={option === range}
+              style={{
+                padding: '0.2rem 0.6rem',
+                background: option === range ? tint(tokens.color.accent, 20) : 'transparent',
+                border: `1px solid ${option === range ? tint(tokens.color.accent, 50) : tokens.color.border.default}`,
+                borderRadius: tokens.radius.sm,
+                color: option === range ? 'var(--text-accent)' : tokens.color.text.secondary,
+                font: 'inherit',
+                cursor: 'pointer'
+              }}
+            >
+              {HISTORY_WINDOWS[option].label}
+            </button>
+          ))}
+        </div>
+
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+          {(page?.workflows || []).map(workflow => (
+            <WorkflowRow key={workflow.id} workflow={workflow} window={page.window} bucketMs={page.bucketMs} />
+          ))}
+        </ul>
+
+        {page && (
+          <p style={{ marginTop: '1.5rem', fontSize: '0.75rem', color: tokens.color.text.faint }}>
+            Updated {new Date(page.generatedAt).toLocaleString()}
+            {page.complete === false && ' · Some uptime history could not be loaded and will be retried'}
+          </p>
+        )}
+      </main>
+    </ThemeScope>
+  );
+}
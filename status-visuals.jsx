@@ -0,0 +1,26 @@
+import React from 'react';
+import { Activity, AlertTriangle, CheckCircle, XCircle, TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import { tokens } from './design-tokens.js';
+
+// Color and icon for a workflow status or trend, shared by the dashboard and
+// anything embedding its components
+
+export const getStatusColor = (status) => tokens.color.status[status] || tokens.color.status.unknown;
+
+export const getStatusIcon = (status, size = 20) => {
+  switch (status) {
+    case 'healthy': return <CheckCircle size={size} />;
+    case 'warning': return <AlertTriangle size={size} />;
+    case 'critical': return <XCircle size={size} />;
+    default: return <Activity size={size} />;
+  }
+};
+
+export const getTrendIcon = (trend) => {
+  switch (trend) {
+    case 'up': return <TrendingUp size={16} style={{ color: tokens.color.status.healthy }} aria-label="Trending up" />;
+    case 'down': return <TrendingDown size={16} style={{ color: tokens.color.status.critical }} aria-label="Trending down" />;
+    case 'stable': return <Minus size={16} style={{ color: tokens.color.text.faint }} aria-label="Stable" />;
+    default: return null;
+  }
+};
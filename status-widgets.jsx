@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { summarizeWorkflows, formatRate } from './workflow-metrics.js';
+import { statusLabel } from './status-announcer.js';
+import { loadStatusPage } from './workflow-uptime.js';
+import { tokens, tint } from './design-tokens.js';
+import { getStatusColor, getStatusIcon } from './status-visuals.jsx';
+import ThemeScope from './theme-scope.jsx';
+
+// Compact widgets for other teams' pages: a strip with the summary counts and a
+// badge for one workflow. Both take the same `workflows` the dashboard renders
+// (thresholds applied); the *Widget versions fetch the public status page instead.
+
+// Workflows from `provider.fetchStatusPage`, polled every `refreshInterval` ms.
+// That is the public status page, judged by the provider's thresholds (the
+// backend's own for the HTTP provider), so a widget on another team's page
+// needs no sign-in and never loads issues or instances. `thresholdConfig` only
+// reaches providers that build the page themselves. Errors keep the last good list.
+export function useWorkflowStatuses(provider, { workflowIds, refreshInterval = 60000, thresholdConfig } = {}) {
+  const [state, setState] = useState({ workflows: [], loading: true, error: null, updatedAt: null });
+  const idsKey = (workflowIds || []).join(',');
+
+  useEffect(() => {
+    let controller = null;
+    const load = async () => {
+      controller?.abort();
+      controller = new AbortController();
+      const { signal } = controller;
+      try {
+        const page = await loadStatusPage(provider, {
+          workflowIds: idsKey ? idsKey.split(',') : null,
+          ...(thresholdConfig && { thresholdConfig }),
+          signal
+        });
+        if (!signal.aborted) setState({ workflows: page.workflows, loading: false, error: null, updatedAt: new Date(page.generatedAt) });
+      } catch (err) {
+        if (!signal.aborted) setState(prev => ({ ...prev, loading: false, error: err }));
+      }
+    };
+    load();
+    const timer = setInterval(load, refreshInterval);
+    return () => {
+      clearInterval(timer);
+      controller?.abort();
+    };
+  }, [provider, idsKey, thresholdConfig, refreshInterval]);
+
+  return state;
+}
+
+const linkProps = (href) => (href ? { href, target: '_top', rel: 'noopener' } : {});
+
+const Count = ({ status, count }) => (
+  <span
+    title={`${count} ${statusLabel(status).toLowerCase()}`}
+    style={{ display: 'inline-flex', alignItems: 'center', gap: '0.3rem', color: getStatusColor(status), fontWeight: '700' }}
+  >
+    {getStatusIcon(status, 14)}
+    {count}
+    <span className="sr-only">{statusLabel(status)}</span>
+  </span>
+);
+
+// One line: healthy, warning and critical counts plus the average completion.
+// With `href` the strip links to the full dashboard.
+export function SummaryStrip({ workflows, title = 'Workflow health', href }) {
+  const { healthyCount, warningCount, criticalCount, avgCompletion } = summarizeWorkflows(workflows);
+  const Container = href ? 'a' : 'div';
+  return (
+    <Container
+      {...linkProps(href)}
+      role="group"
+      aria-label={title}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: tokens.space.lg,
+        padding: '0.5rem 0.9rem',
+        background: tokens.color.surface.default,
+        border: `1px solid ${tokens.color.border.default}`,
+        borderRadius: tokens.radius.lg,
+        fontSize: '0.85rem',
+        color: tokens.color.text.secondary,
+        textDecoration: 'none',
+        width: 'fit-content'
+      }}
+    >
+      <span style={{ fontWeight: '600', color: tokens.color.text.strong }}>{title}</span>
+      <Count status="healthy" count={healthyCount} />
+      <Count status="warning" count={warningCount} />
+      <Count status="critical" count={criticalCount} />
+      <span style={{ color: tokens.color.text.muted }}>{avgCompletion}% avg completion</span>
+    </Container>
+  );
+}
+
+// Status of one workflow, e.g. "● Employee Onboarding · Healthy · 97%".
+// A missing workflow (not loaded yet, or not visible) shows as unknown.
+export function WorkflowBadge({ workflow, name = workflow?.name, href }) {
+  const status = workflow?.status || 'unknown';
+  const color = getStatusColor(status);
+  const Container = href ? 'a' : 'span';
+  return (
+    <Container
+      {...linkProps(href)}
+      role="status"
+      aria-label={`${name || 'Workflow'}: ${statusLabel(status)}`}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '0.4rem',
+        padding: '0.25rem 0.7rem',
+        background: tint(color, 12),
+        border: `1px solid ${tint(color, 40)}`,
+        borderRadius: '999px',
+        fontSize: '0.8rem',
+        color: tokens.color.text.default,
+        textDecoration: 'none',
+        whiteSpace: 'nowrap'
+      }}
+    >
+      <span style={{ display: 'flex', color }}>{getStatusIcon(status, 14)}</span>
+      <span style={{ fontWeight: '600' }}>{name || 'Unknown workflow'}</span>
+      <span style={{ color }}>{statusLabel(status)}</span>
+      {workflow?.completionRate != null && <span style={{ color: tokens.color.text.muted }}>{formatRate(workflow.completionRate)}</span>}
+    </Container>
+  );
+}
+
+// Self-contained strip: fetches, themes and refreshes itself.
+// `workflowIds` limits it to some workflows, e.g. ['wf-001', 'wf-004'].
+export function StatusStripWidget({ provider, workflowIds, theme = 'system', title, href, refreshInterval }) {
+  const { workflows } = useWorkflowStatuses(provider, { workflowIds, refreshInterval });
+  return (
+    <ThemeScope theme={theme} style={{ display: 'inline-block' }}>
+      <SummaryStrip workflows={workflows} title={title} href={href} />
+    </ThemeScope>
+  );
+}
+
+// Self-contained badge for the workflow with ID `workflowId`
+export function WorkflowBadgeWidget({ provider, workflowId, theme = 'system', href, refreshInterval }) {
+  const { workflows, loading } = useWorkflowStatuses(provider, { workflowIds: [workflowId], refreshInterval });
+  const workflow = workflows.find(w => w.id === workflowId);
+  return (
+    <ThemeScope theme={theme} style={{ display: 'inline-block' }}>
+      <WorkflowBadge workflow={workflow} name={workflow?.name || (loading ? 'Loading…' : workflowId)} href={href} />
+    </ThemeScope>
+  );
+}
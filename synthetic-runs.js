@@ -0,0 +1,238 @@
+import { createLocalStore, createHttpStore } from './shared-store.js';
+
+// Synthetic test runs and canaries.
+//
+// A test run starts a real workflow instance with a saved test payload
+// (`provider.startTestRun`) and follows its steps until it finishes. A canary
+// is a test run repeated on a schedule; its pass rate is a health signal of
+// its own, kept apart from organic traffic, so a deployed fix can be verified
+// in minutes instead of waiting for real users.
+//
+// State is `{ payloads, canaries, runs }`:
+//   payloads  { [workflowId]: { [name]: payload } }
+//   canaries  { [workflowId]: { payloadName, intervalMinutes, enabled, lastRunAt, scheduledBy } }
+//   runs      newest first, at most `runLimit` per workflow
+
+export const EMPTY_SYNTHETIC_STATE = { payloads: {}, canaries: {}, runs: [] };
+
+export const CANARY_INTERVALS = [
+  { minutes: 15, label: 'Every 15 min' },
+  { minutes: 60, label: 'Hourly' },
+  { minutes: 360, label: 'Every 6h' }
+];
+
+const TERMINAL_STATES = ['completed', 'failed'];
+
+export function applySyntheticAction(state, { action, workflowId, name, payload, intervalMinutes, run, actor, at }, { runLimit = 50 } = {}) {
+  if (!actor) throw new Error('Test run changes need an actor');
+  if (!workflowId) throw new Error('Test run changes need a workflow');
+  const payloads = state.payloads[workflowId] || {};
+
+  switch (action) {
+    case 'save_payload': {
+      if (!name?.trim()) throw new Error('Test payload needs a name');
+      if (!payload || typeof payload !== 'object') throw new Error('Test payload must be a JSON object');
+      return { ...state, payloads: { ...state.payloads, [workflowId]: { ...payloads, [name.trim()]: payload } } };
+    }
+    case 'delete_payload': {
+      const { [name]: removed, ...rest } = payloads;
+      if (!removed) throw new Error(`No test payload named "${name}"`);
+      if (state.canaries[workflowId]?.payloadName === name) throw new Error(`Payload "${name}" is used by the canary`);
+      return { ...state, payloads: { ...state.payloads, [workflowId]: rest } };
+    }
+    case 'schedule_canary': {
+      if (!payloads[name]) throw new Error(`No test payload named "${name}"`);
+      if (!CANARY_INTERVALS.some(i => i.minutes === intervalMinutes)) throw new Error(`Unsupported canary interval ${intervalMinutes}`);
+      const previous = state.canaries[workflowId];
+      return {
+        ...state,
+        canaries: {
+          ...state.canaries,
+          [workflowId]: { payloadName: name, intervalMinutes, enabled: true, lastRunAt: previous?.lastRunAt ?? null, scheduledBy: actor, scheduledAt: at }
+        }
+      };
+    }
+    case 'unschedule_canary': {
+      const { [workflowId]: removed, ...canaries } = state.canaries;
+      if (!removed) throw new Error('No canary is scheduled for this workflow');
+      return { ...state, canaries };
+    }
+    // Recorded when a run starts and again when it finishes (same run id)
+    case 'record_run': {
+      if (!run?.id) throw new Error('Recorded runs need an id');
+      const entry = { ...run, workflowId, actor };
+      const others = state.runs.filter(r => r.id !== run.id);
+      const sameWorkflow = others.filter(r => r.workflowId === workflowId);
+      const dropped = new Set(sameWorkflow.slice(runLimit - 1).map(r => r.id));
+      const canary = state.canaries[workflowId];
+      return {
+        ...state,
+        runs: [entry, ...others.filter(r => !dropped.has(r.id))].sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1)),
+        canaries: run.kind === 'canary' && canary
+          ? { ...state.canaries, [workflowId]: { ...canary, lastRunAt: run.startedAt } }
+          : state.canaries
+      };
+    }
+    default:
+      throw new Error(`Unknown test run action "${action}"`);
+  }
+}
+
+const STORAGE_KEY = 'docusign-dashboard:synthetic-runs';
+
+export const createLocalSyntheticStore = (options = {}) => createLocalStore({
+  reducer: applySyntheticAction,
+  initialState: EMPTY_SYNTHETIC_STATE,
+  storageKey: STORAGE_KEY,
+  ...options
+});
+
+// Shared through GET /synthetic and POST /synthetic/actions
+export const createHttpSyntheticStore = (options = {}) => createHttpStore({
+  path: '/synthetic',
+  initialState: EMPTY_SYNTHETIC_STATE,
+  ...options
+});
+
+export const getRuns = (state, workflowId, kind) =>
+  state.runs.filter(run => run.workflowId === workflowId && (!kind || run.kind === kind));
+
+// Summary of an instance for the run record
+const summarizeInstance = (instance) => {
+  const failedStep = instance.steps?.find(step => step.status === 'failed');
+  return {
+    instanceId: instance.instanceId,
+    status: instance.status,
+    completedAt: instance.completedAt ?? null,
+    duration: instance.duration ?? null,
+    failedStep: failedStep?.name ?? null,
+    error: instance.failureReason || instance.errorMessage || null
+  };
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  });
+});
+
+// Start a test run and follow it to the end. `onProgress(instance)` gets every
+// poll so the caller can show steps as they complete; `onRecord(run)` is called
+// when the run starts and when it finishes, for the store.
+export async function runSyntheticTest({
+  provider,
+  workflowId,
+  payloadName,
+  payload,
+  kind = 'manual',
+  onProgress = () => {},
+  onRecord = () => {},
+  pollMs = 2000,
+  timeoutMs = 15 * 60000,
+  signal,
+  clock = () => new Date()
+}) {
+  if (!provider.startTestRun) throw new Error('This data source cannot start test runs');
+  const started = await provider.startTestRun(workflowId, { payload, signal });
+  const run = {
+    id: `${workflowId}:${started.instanceId}`,
+    kind,
+    payloadName,
+    startedAt: started.startedAt || clock().toISOString(),
+    instanceId: started.instanceId,
+    status: 'in_progress'
+  };
+  await onRecord(run);
+
+  const deadline = clock().getTime() + timeoutMs;
+  let instance;
+  for (;;) {
+    instance = await provider.fetchInstance(workflowId, started.instanceId, { signal });
+    onProgress(instance);
+    if (TERMINAL_STATES.includes(instance.status)) break;
+    if (clock().getTime() > deadline) {
+      instance = { ...instance, status: 'failed', failureReason: `Test run did not finish within ${Math.round(timeoutMs / 60000)} minutes` };
+      break;
+    }
+    await wait(pollMs, signal);
+  }
+
+  const finished = { ...run, ...summarizeInstance(instance), instanceId: started.instanceId };
+  await onRecord(finished);
+  return finished;
+}
+
+// Canary health over the recent window: passing, degraded (some failures) or
+// failing (the latest runs failed), independent of the organic workflow status
+export function canaryHealth(runs, { now = new Date(), windowMs = 24 * 3600000, failingAfter = 2 } = {}) {
+  const finished = runs.filter(run => TERMINAL_STATES.includes(run.status));
+  const recent = finished.filter(run => now - new Date(run.startedAt) <= windowMs);
+  if (finished.length === 0) return { status: 'unknown', passRate: null, runs: 0, consecutiveFailures: 0, lastRun: null };
+
+  const consecutiveFailures = finished.findIndex(run => run.status !== 'failed');
+  const streak = consecutiveFailures === -1 ? finished.length : consecutiveFailures;
+  const passed = recent.filter(run => run.status === 'completed').length;
+  const passRate = recent.length > 0 ? passed / recent.length : null;
+
+  let status = 'passing';
+  if (streak >= failingAfter || finished[0].status === 'failed' && streak === finished.length) status = 'failing';
+  else if (passRate !== null && passRate < 1) status = 'degraded';
+
+  return { status, passRate, runs: recent.length, consecutiveFailures: streak, lastRun: finished[0] };
+}
+
+export const CANARY_STATUS_COLORS = {
+  passing: 'rgb(16, 185, 129)',
+  degraded: 'rgb(245, 158, 11)',
+  failing: 'rgb(239, 68, 68)',
+  unknown: 'rgb(107, 114, 128)'
+};
+
+// Canaries due at `now`, given each one's interval and last run
+export const dueCanaries = (state, now = new Date()) => Object.entries(state.canaries)
+  .filter(([, canary]) => canary.enabled && (
+    !canary.lastRunAt || now - new Date(canary.lastRunAt) >= canary.intervalMinutes * 60000
+  ))
+  .map(([workflowId, canary]) => ({ workflowId, ...canary }));
+
+// Runs due canaries every `checkEvery` ms. Meant for the backend (one scheduler
+// for everyone, see createServer); the dashboard starts one only when asked to.
+// `provider` needs startTestRun and fetchInstance; `store.getState()` may be async.
+export function createCanaryScheduler({ store, provider, actor = 'canary', checkEvery = 60000, onError = (err) => console.warn('Canary run failed to start', err) }) {
+  let timer = null;
+  const running = new Set();
+
+  const check = async () => {
+    const state = await store.getState();
+    dueCanaries(state).filter(canary => !running.has(canary.workflowId)).forEach(canary => {
+      const payload = state.payloads[canary.workflowId]?.[canary.payloadName];
+      if (!payload) return;
+      running.add(canary.workflowId);
+      runSyntheticTest({
+        provider,
+        workflowId: canary.workflowId,
+        payloadName: canary.payloadName,
+        payload,
+        kind: 'canary',
+        onRecord: (run) => store.dispatch({ action: 'record_run', workflowId: canary.workflowId, run, actor })
+      })
+        .catch(onError)
+        .finally(() => running.delete(canary.workflowId));
+    });
+  };
+  const tick = () => check().catch(onError);
+
+  return {
+    start: () => {
+      if (timer) return;
+      tick();
+      timer = setInterval(tick, checkEvery);
+    },
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
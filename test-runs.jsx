@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FlaskConical, Play, Save, Trash2, RefreshCw } from 'lucide-react';
+import { formatDuration, formatRelativeTime } from './workflow-metrics.js';
+import { InstanceTimeline, getInstanceColor, getInstanceIcon } from './instance-drilldown.jsx';
+import { runSyntheticTest, getRuns, canaryHealth, CANARY_INTERVALS, CANARY_STATUS_COLORS } from './synthetic-runs.js';
+
+const SAMPLE_PAYLOAD = { employee: 'test.user@example.com', startDate: '2030-01-01', department: 'QA' };
+
+const buttonStyle = (primary, disabled) => ({
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.35rem',
+  padding: '0.4rem 0.75rem',
+  background: primary ? 'rgba(96, 165, 250, 0.2)' : 'var(--surface)',
+  border: primary ? '1px solid rgba(96, 165, 250, 0.5)' : '1px solid var(--border)',
+  borderRadius: '6px',
+  color: primary ? 'var(--text-accent)' : 'var(--text-secondary)',
+  font: 'inherit',
+  fontSize: '0.8rem',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.5 : 1
+});
+
+const inputStyle = {
+  padding: '0.4rem 0.5rem',
+  background: 'var(--inset-strong)',
+  border: '1px solid var(--border)',
+  borderRadius: '6px',
+  color: 'var(--text-secondary)',
+  font: 'inherit',
+  fontSize: '0.8rem'
+};
+
+const parsePayload = (text) => {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? { value } : { error: 'Payload must be a JSON object' };
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+const format = (payload) => JSON.stringify(payload, null, 2);
+
+export const CanaryBadge = ({ health }) => (
+  <span
+    title={health.passRate === null ? 'Canary has not run yet' : `Canary: ${Math.round(health.passRate * 100)}% passing over ${health.runs} runs`}
+    style={{
+      padding: '0.1rem 0.45rem',
+      border: `1px solid ${CANARY_STATUS_COLORS[health.status]}`,
+      borderRadius: '999px',
+      color: CANARY_STATUS_COLORS[health.status],
+      fontSize: '0.7rem',
+      fontWeight: '600',
+      whiteSpace: 'nowrap'
+    }}
+  >
+    Canary {health.status}
+  </span>
+);
+
+// "Run test" for one workflow: saved payloads, a live view of the running test
+// instance, the canary schedule and recent synthetic runs. Canary health is
+// kept apart from the workflow's own status.
+export default function TestRuns({ provider, workflow, state, onAction, canRun, now = new Date() }) {
+  const payloads = state.payloads[workflow.id] || {};
+  const names = Object.keys(payloads);
+  const canary = state.canaries[workflow.id] || null;
+  const runs = getRuns(state, workflow.id);
+  const health = canary ? canaryHealth(getRuns(state, workflow.id, 'canary'), { now }) : null;
+
+  const [selected, setSelected] = useState(() => canary?.payloadName || names[0] || '');
+  const [name, setName] = useState(selected || 'default');
+  const [text, setText] = useState(() => format(payloads[selected] || SAMPLE_PAYLOAD));
+  const [intervalMinutes, setIntervalMinutes] = useState(canary?.intervalMinutes || 60);
+  const [instance, setInstance] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const mounted = useRef(true);
+
+  // A test keeps running (and is recorded) when the panel closes; only the live view stops
+  useEffect(() => () => { mounted.current = false; }, []);
+
+  if (!provider.startTestRun) return null;
+
+  const parsed = parsePayload(text);
+  const dirty = !payloads[name] || format(payloads[name]) !== text;
+
+  const act = async (action) => {
+    setError(null);
+    try {
+      await onAction(action);
+      return true;
+    } catch (err) {
+      setError(err);
+      return false;
+    }
+  };
+
+  const choose = (value) => {
+    setSelected(value);
+    setName(value || 'default');
+    setText(format(payloads[value] || SAMPLE_PAYLOAD));
+  };
+
+  const save = async () => {
+    if (await act({ action: 'save_payload', name, payload: parsed.value })) setSelected(name.trim());
+  };
+
+  const remove = async () => {
+    if (await act({ action: 'delete_payload', name: selected })) choose(names.find(n => n !== selected) || '');
+  };
+
+  const runTest = async () => {
+    setRunning(true);
+    setError(null);
+    setInstance(null);
+    try {
+      await runSyntheticTest({
+        provider,
+        workflowId: workflow.id,
+        payloadName: selected,
+        payload: payloads[selected],
+        onProgress: (next) => mounted.current && setInstance(next),
+        onRecord: (run) => onAction({ action: 'record_run', run })
+      });
+    } catch (err) {
+      if (mounted.current) setError(err);
+    } finally {
+      if (mounted.current) setRunning(false);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '2rem' }}>
+      <h3 style={{
+        fontSize: '1rem',
+        fontWeight: '600',
+        marginBottom: '1rem',
+        color: 'var(--text-strong)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <FlaskConical size={18} style={{ color: '#60a5fa' }} />
+        Test Runs
+        {running && <RefreshCw size={14} style={{ color: 'var(--text-faint)', animation: 'pulse 2s ease-in-out infinite' }} />}
+        {health && <span style={{ marginLeft: 'auto' }}><CanaryBadge health={health} /></span>}
+      </h3>
+
+      {error && (
+        <p role="alert" style={{ margin: '0 0 1rem 0', fontSize: '0.85rem', color: 'var(--text-danger)' }}>
+          {error.message}
+        </p>
+      )}
+
+      {canRun && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '1rem' }}>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <select value={selected} onChange={(e) => choose(e.target.value)} aria-label="Test payload" style={{ ...inputStyle, flex: 1 }}>
+              <option value="">New payload…</option>
+              {names.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+            <button
+              onClick={runTest}
+              disabled={running || !payloads[selected]}
+              title={payloads[selected] ? 'Start a test instance with this payload' : 'Save a payload first'}
+              style={buttonStyle(true, running || !payloads[selected])}
+            >
+              <Play size={14} /> {running ? 'Running…' : 'Run test'}
+            </button>
+          </div>
+
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            aria-label="Test payload JSON"
+            rows={5}
+            spellCheck={false}
+            style={{ ...inputStyle, fontFamily: '"JetBrains Mono", monospace', resize: 'vertical' }}
+          />
+          {parsed.error && <p style={{ margin: 0, fontSize: '0.75rem', color: 'var(--text-danger)' }}>{parsed.error}</p>}
+
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <input value={name} onChange={(e) => setName(e.target.value)} aria-label="Payload name" style={{ ...inputStyle, flex: 1 }} />
+            <button onClick={save} disabled={Boolean(parsed.error) || !dirty} style={buttonStyle(false, Boolean(parsed.error) || !dirty)}>
+              <Save size={14} /> Save
+            </button>
+            {selected && (
+              <button onClick={remove} aria-label={`Delete payload ${selected}`} style={buttonStyle(false, false)}>
+                <Trash2 size={14} />
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {instance && (
+        <div style={{ marginBottom: '1rem' }} aria-live="polite">
+          <InstanceTimeline instance={instance} />
+        </div>
+      )}
+
+      {/* Canary */}
+      <div style={{
+        padding: '0.75rem',
+        background: 'var(--inset)',
+        borderRadius: '8px',
+        fontSize: '0.8rem',
+        color: 'var(--text-muted)',
+        marginBottom: '1rem'
+      }}>
+        {canary ? (
+          <>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <span style={{ color: 'var(--text)' }}>
+                Canary: {CANARY_INTERVALS.find(i => i.minutes === canary.intervalMinutes)?.label.toLowerCase()} with "{canary.payloadName}"
+              </span>
+              {canRun && (
+                <button
+                  onClick={() => act({ action: 'unschedule_canary' })}
+                  style={{ ...buttonStyle(false, false), marginLeft: 'auto', padding: '0.2rem 0.5rem' }}
+                >
+                  Stop
+                </button>
+              )}
+            </div>
+            <p style={{ margin: '0.25rem 0 0 0' }}>
+              {health.passRate === null
+                ? 'Waiting for the first run'
+                : `${Math.round(health.passRate * 100)}% passed over ${health.runs} run${health.runs === 1 ? '' : 's'} in 24h`}
+              {health.consecutiveFailures > 1 && ` · ${health.consecutiveFailures} failures in a row`}
+              {health.lastRun && ` · last ${formatRelativeTime(health.lastRun.startedAt, now)}`}
+            </p>
+          </>
+        ) : canRun ? (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <span>Canary</span>
+            <select value={intervalMinutes} onChange={(e) => setIntervalMinutes(Number(e.target.value))} aria-label="Canary interval" style={{ ...inputStyle, flex: 1 }}>
+              {CANARY_INTERVALS.map(i => <option key={i.minutes} value={i.minutes}>{i.label}</option>)}
+            </select>
+            <button
+              onClick={() => act({ action: 'schedule_canary', name: selected, intervalMinutes })}
+              disabled={!payloads[selected]}
+              style={buttonStyle(false, !payloads[selected])}
+            >
+              Schedule
+            </button>
+          </div>
+        ) : (
+          <span>No canary scheduled.</span>
+        )}
+      </div>
+
+      {runs.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem' }}>
+          {runs.slice(0, 5).map(run => (
+            <div
+              key={run.id}
+              style={{
+                display: 'grid',
+                gridTemplateColumns: 'auto 1fr auto',
+                alignItems: 'center',
+                gap: '0.5rem',
+                padding: '0.5rem 0.75rem',
+                background: 'var(--surface-subtle)',
+                border: '1px solid var(--border-subtle)',
+                borderRadius: '6px',
+                fontSize: '0.8rem',
+                color: 'var(--text-secondary)'
+              }}
+            >
+              <span style={{ color: getInstanceColor(run.status) }}>{getInstanceIcon(run.status)}</span>
+              <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {run.kind === 'canary' ? 'Canary' : run.actor} · {run.payloadName} · {formatRelativeTime(run.startedAt, now)}
+                {run.failedStep && <span style={{ color: 'var(--text-danger)' }}> · failed at {run.failedStep}</span>}
+              </span>
+              <span style={{ color: 'var(--text-muted)' }}>{run.status === 'in_progress' ? 'running' : formatDuration(run.duration)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React from 'react';
+import { resolveTheme, reduceMotion, themeStyle } from './display-themes.js';
+import { tokens } from './design-tokens.js';
+
+// Animations, hover and focus styles the components rely on. Rendered once by
+// each ThemeScope (and by the dashboard); repeated copies are harmless.
+export const COMPONENT_CSS = `
+  @keyframes fadeInUp {
+    from {
+      opacity: 0;
+      transform: translateY(20px);
+    }
+    to {
+      opacity: 1;
+      transform: translateY(0);
+    }
+  }
+
+  @keyframes pulse {
+    0%, 100% {
+      opacity: 1;
+    }
+    50% {
+      opacity: 0.5;
+    }
+  }
+
+  @keyframes slideIn {
+    from {
+      transform: translateX(-10px);
+      opacity: 0;
+    }
+    to {
+      transform: translateX(0);
+      opacity: 1;
+    }
+  }
+
+  .theme-scope .workflow-card {
+    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+  }
+
+  .theme-scope .workflow-card:hover {
+    transform: translateY(-2px);
+    box-shadow: 0 20px 25px -5px var(--inset-strong), 0 10px 10px -5px var(--inset);
+  }
+
+  .theme-scope :focus-visible {
+    outline: 2px solid var(--focus-ring);
+    outline-offset: 2px;
+  }
+
+  .theme-scope .stat-card {
+    animation: fadeInUp 0.6s ease-out;
+  }
+
+  .theme-scope .recommendation-item {
+    animation: slideIn 0.4s ease-out;
+  }
+
+  /* !important so it also beats the inline animation styles */
+  .theme-scope[data-motion="reduce"] *,
+  .theme-scope[data-motion="reduce"] *::before,
+  .theme-scope[data-motion="reduce"] *::after {
+    animation: none !important;
+    transition: none !important;
+    scroll-behavior: auto !important;
+  }
+
+  .theme-scope[data-motion="reduce"] .workflow-card:hover {
+    transform: none;
+  }
+
+  .sr-only {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    padding: 0;
+    margin: -1px;
+    overflow: hidden;
+    clip: rect(0, 0, 0, 0);
+    white-space: nowrap;
+    border: 0;
+  }
+`;
+
+// Sets a theme's CSS variables for the components inside it, for embedding them
+// outside the dashboard, e.g. <ThemeScope theme="light"><StatCard … /></ThemeScope>.
+// `theme` and `motion` take the same values as the display preferences.
+export default function ThemeScope({ theme = 'system', motion = 'system', className = '', style, children, ...rest }) {
+  const resolved = resolveTheme(theme);
+  return (
+    <div
+      {...rest}
+      className={`theme-scope ${className}`.trim()}
+      data-theme={resolved}
+      data-motion={reduceMotion(motion) ? 'reduce' : 'full'}
+      style={{
+        ...themeStyle(resolved),
+        color: tokens.color.text.default,
+        fontFamily: tokens.font.body,
+        ...style
+      }}
+    >
+      <style>{COMPONENT_CSS}</style>
+      {children}
+    </div>
+  );
+}
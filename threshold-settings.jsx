@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { Settings, X, Plus, Trash2 } from 'lucide-react';
+import { THRESHOLD_METRICS, DEFAULT_THRESHOLD_CONFIG, applyThresholds } from './health-thresholds.js';
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.35rem 0.5rem',
+  background: 'var(--inset-strong)',
+  border: '1px solid var(--border)',
+  borderRadius: '6px',
+  color: 'var(--text)',
+  font: 'inherit',
+  fontSize: '0.8rem'
+};
+
+const buttonStyle = (variant) => ({
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.35rem',
+  padding: '0.5rem 1rem',
+  background: variant === 'primary' ? 'rgba(96, 165, 250, 0.2)' : 'transparent',
+  border: variant === 'primary' ? '1px solid rgba(96, 165, 250, 0.5)' : '1px solid var(--border)',
+  borderRadius: '8px',
+  color: variant === 'primary' ? 'var(--text-accent)' : 'var(--text-secondary)',
+  font: 'inherit',
+  fontSize: '0.85rem',
+  cursor: 'pointer'
+});
+
+const sectionTitleStyle = {
+  fontSize: '0.9rem',
+  fontWeight: '600',
+  margin: '0 0 0.75rem 0',
+  color: 'var(--text-strong)'
+};
+
+const parseLimit = (value) => (value === '' ? null : Number(value));
+
+// Grid of warning/critical inputs for every metric. In override mode an empty
+// field inherits the global limit instead of disabling the level.
+const LimitGrid = ({ limits, inherited, onChange }) => (
+  <div style={{
+    display: 'grid',
+    gridTemplateColumns: '1.5fr 1fr 1fr',
+    gap: '0.5rem 0.75rem',
+    alignItems: 'center',
+    fontSize: '0.8rem'
+  }}>
+    <span />
+    <span style={{ color: 'var(--text-warning)' }}>Warning</span>
+    <span style={{ color: 'var(--text-danger)' }}>Critical</span>
+    {Object.entries(THRESHOLD_METRICS).map(([metric, definition]) => (
+      <React.Fragment key={metric}>
+        <span style={{ color: 'var(--text-secondary)' }}>
+          {definition.label}
+          <span style={{ color: 'var(--text-faint)' }}> ({definition.unit})</span>
+        </span>
+        {['warning', 'critical'].map(level => {
+          const value = limits[metric]?.[level];
+          const fallback = inherited?.[metric]?.[level];
+          return (
+            <input
+              key={level}
+              type="number"
+              min="0"
+              value={value === null || value === undefined ? '' : value}
+              placeholder={inherited ? (fallback ?? 'off') : 'off'}
+              aria-label={`${definition.label} ${level} limit`}
+              onChange={(e) => onChange(metric, level, e.target.value)}
+              style={inputStyle}
+            />
+          );
+        })}
+      </React.Fragment>
+    ))}
+  </div>
+);
+
+export default function ThresholdSettings({ config, workflows, onSave, onClose, getStatusColor }) {
+  const [draft, setDraft] = useState(config);
+  const [newOverrideId, setNewOverrideId] = useState('');
+  const [saveError, setSaveError] = useState(null);
+
+  // Saving to the backend can fail (e.g. a rejected limit); the draft stays open to fix it
+  const save = async () => {
+    setSaveError(null);
+    try {
+      await onSave(draft);
+    } catch (err) {
+      setSaveError(err.message);
+    }
+  };
+
+  const setGlobal = (metric, level, value) => setDraft(prev => ({
+    ...prev,
+    global: { ...prev.global, [metric]: { ...prev.global[metric], [level]: parseLimit(value) } }
+  }));
+
+  const setOverride = (workflowId, metric, level, value) => setDraft(prev => {
+    const override = { ...prev.overrides[workflowId] };
+    const limits = { ...override[metric] };
+    if (value === '') delete limits[level];
+    else limits[level] = Number(value);
+    if (Object.keys(limits).length > 0) override[metric] = limits;
+    else delete override[metric];
+    return { ...prev, overrides: { ...prev.overrides, [workflowId]: override } };
+  });
+
+  const addOverride = () => {
+    if (!newOverrideId) return;
+    setDraft(prev => ({ ...prev, overrides: { [newOverrideId]: {}, ...prev.overrides } }));
+    setNewOverrideId('');
+  };
+
+  const removeOverride = (workflowId) => setDraft(prev => {
+    const { [workflowId]: removed, ...overrides } = prev.overrides;
+    return { ...prev, overrides };
+  });
+
+  // Preview: status under the saved config vs. the draft
+  const current = applyThresholds(workflows, config);
+  const preview = applyThresholds(workflows, draft);
+  const changed = preview.filter((w, idx) => w.status !== current[idx].status);
+  const count = (list, status) => list.filter(w => w.status === status).length;
+  const nameOf = (workflowId) => workflows.find(w => w.id === workflowId)?.name || workflowId;
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Health threshold settings"
+      onKeyDown={(e) => {
+        if (e.key !== 'Escape') return;
+        e.stopPropagation();
+        onClose();
+      }}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(15, 23, 42, 0.8)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        padding: '4rem 1rem',
+        overflowY: 'auto',
+        zIndex: 10
+      }}
+    >
+      <div style={{
+        width: '100%',
+        maxWidth: '720px',
+        background: 'var(--surface-modal)',
+        border: '1px solid var(--border)',
+        borderRadius: '16px',
+        padding: '2rem',
+        animation: 'fadeInUp 0.3s ease-out'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+          <h2 style={{ margin: 0, fontSize: '1.25rem', fontWeight: '600', color: 'var(--text-strong)', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <Settings size={20} style={{ color: '#60a5fa' }} />
+            Health Thresholds
+          </h2>
+          <button onClick={onClose} aria-label="Close settings" style={{ ...buttonStyle(), padding: '0.35rem' }}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div style={{ marginBottom: '2rem' }}>
+          <h3 style={sectionTitleStyle}>Global</h3>
+          <LimitGrid limits={draft.global} onChange={setGlobal} />
+        </div>
+
+        <div style={{ marginBottom: '2rem' }}>
+          <h3 style={sectionTitleStyle}>Per-workflow overrides</h3>
+
+          {Object.entries(draft.overrides).map(([workflowId, limits]) => (
+            <div key={workflowId} style={{
+              padding: '1rem',
+              marginBottom: '0.75rem',
+              background: 'var(--inset)',
+              borderRadius: '8px'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+                <span style={{ fontSize: '0.85rem', color: 'var(--text-strong)', fontWeight: '500' }}>
+                  {nameOf(workflowId)}
+                  <span style={{ marginLeft: '0.5rem', color: 'var(--text-faint)', fontFamily: '"JetBrains Mono", monospace' }}>{workflowId}</span>
+                </span>
+                <button onClick={() => removeOverride(workflowId)} aria-label={`Remove override for ${workflowId}`} style={{ ...buttonStyle(), padding: '0.35rem' }}>
+                  <Trash2 size={14} />
+                </button>
+              </div>
+              <LimitGrid
+                limits={limits}
+                inherited={draft.global}
+                onChange={(metric, level, value) => setOverride(workflowId, metric, level, value)}
+              />
+            </div>
+          ))}
+
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <select
+              value={newOverrideId}
+              onChange={(e) => setNewOverrideId(e.target.value)}
+              aria-label="Workflow to override"
+              style={{ ...inputStyle, flex: 1 }}
+            >
+              <option value="">Add an override for…</option>
+              {workflows.filter(w => !draft.overrides[w.id]).map(w => (
+                <option key={w.id} value={w.id}>{w.name} ({w.id})</option>
+              ))}
+            </select>
+            <button onClick={addOverride} disabled={!newOverrideId} style={buttonStyle()}>
+              <Plus size={14} /> Add
+            </button>
+          </div>
+        </div>
+
+        <div style={{ marginBottom: '2rem' }}>
+          <h3 style={sectionTitleStyle}>Preview</h3>
+          <div style={{ display: 'flex', gap: '1.5rem', fontSize: '0.85rem', marginBottom: '0.75rem' }}>
+            {['healthy', 'warning', 'critical'].map(status => (
+              <span key={status} style={{ color: getStatusColor(status) }}>
+                {status}: {count(current, status)} → <strong>{count(preview, status)}</strong>
+              </span>
+            ))}
+          </div>
+          {changed.length === 0 ? (
+            <p style={{ margin: 0, fontSize: '0.8rem', color: 'var(--text-muted)' }}>No workflow changes status with these thresholds.</p>
+          ) : (
+            <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+              {changed.map(w => (
+                <li key={w.id}>
+                  {w.name}:{' '}
+                  <span style={{ color: getStatusColor(current.find(c => c.id === w.id).status) }}>
+                    {current.find(c => c.id === w.id).status}
+                  </span>
+                  {' → '}
+                  <span style={{ color: getStatusColor(w.status) }}>{w.status}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {saveError && (
+          <p role="alert" style={{ margin: '0 0 0.75rem 0', fontSize: '0.8rem', color: 'var(--text-danger)' }}>{saveError}</p>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+          <button onClick={() => setDraft(DEFAULT_THRESHOLD_CONFIG)} style={buttonStyle()}>
+            Reset to defaults
+          </button>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button onClick={onClose} style={buttonStyle()}>Cancel</button>
+            <button onClick={save} style={buttonStyle('primary')}>Save</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { TrendingUp, RefreshCw } from 'lucide-react';
+import { formatDuration } from './workflow-metrics.js';
+import { HISTORY_WINDOWS } from './workflow-history.js';
+
+const CHART_WIDTH = 386;
+const CHART_HEIGHT = 80;
+const PADDING = { top: 8, right: 4, bottom: 4, left: 4 };
+
+const markerColor = (type) => (type === 'error' ? 'var(--status-critical)' : 'var(--status-warning)');
+
+// Break the line wherever a bucket has no data instead of interpolating through it
+export const toSegments = (points) => points.reduce((segments, point) => {
+  if (point.value === null || point.value === undefined) {
+    if (segments[segments.length - 1].length > 0) segments.push([]);
+  } else {
+    segments[segments.length - 1].push(point);
+  }
+  return segments;
+}, [[]]).filter(segment => segment.length > 0);
+
+const LineChart = ({ title, points, color, format, markers, start, end, minY }) => {
+  const values = points.map(p => p.value).filter(v => v !== null && v !== undefined);
+  const latest = [...points].reverse().find(p => p.value !== null && p.value !== undefined);
+  const low = minY ?? 0;
+  const high = Math.max(low + 1, ...values);
+  const x = (time) => PADDING.left + ((time - start) / (end - start)) * (CHART_WIDTH - PADDING.left - PADDING.right);
+  const y = (value) => CHART_HEIGHT - PADDING.bottom - ((value - low) / (high - low)) * (CHART_HEIGHT - PADDING.top - PADDING.bottom);
+
+  return (
+    <div style={{
+      padding: '0.75rem',
+      background: 'var(--inset)',
+      borderRadius: '8px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+        <span style={{ fontSize: '0.75rem', color: 'var(--text-faint)', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
+          {title}
+        </span>
+        <span style={{ fontSize: '0.8rem', fontWeight: '600', color: 'var(--text-secondary)' }}>
+          {latest ? format(latest.value) : '—'}
+        </span>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        style={{ width: '100%', height: 'auto', display: 'block' }}
+        role="img"
+        aria-label={`${title} over time`}
+      >
+        {markers.map(marker => (
+          <g key={marker.code}>
+            <line
+              x1={x(new Date(marker.firstSeenAt).getTime())}
+              x2={x(new Date(marker.firstSeenAt).getTime())}
+              y1={0}
+              y2={CHART_HEIGHT}
+              stroke={markerColor(marker.type)}
+              strokeWidth="1"
+              strokeDasharray="3 3"
+              opacity={marker.beforeWindow ? 0.3 : 0.8}
+            />
+            <title>{marker.label}</title>
+          </g>
+        ))}
+
+        {toSegments(points).map((segment, idx) => (
+          <polyline
+            key={idx}
+            fill="none"
+            stroke={color}
+            strokeWidth="1.75"
+            strokeLinejoin="round"
+            points={segment.map(p => `${x(p.time)},${y(p.value)}`).join(' ')}
+          />
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+export default function WorkflowTrendCharts({ provider, workflow }) {
+  const [range, setRange] = useState('7d');
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!provider.fetchHistory) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    provider.fetchHistory(workflow.id, { window: range, signal: controller.signal })
+      .then(next => {
+        if (controller.signal.aborted) return;
+        setHistory(next);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (controller.signal.aborted) return;
+        setError(err);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [provider, workflow.id, range]);
+
+  if (!provider.fetchHistory) return null;
+
+  // Only mark issues the workflow currently has; older, resolved failures would just be noise
+  const activeCodes = new Set(workflow.issues.map(i => i.code));
+  const markers = history && history.workflowId === workflow.id
+    ? history.issueOnsets.filter(o => activeCodes.has(o.code))
+    : [];
+  const buckets = history && history.workflowId === workflow.id ? history.buckets : [];
+  const start = buckets.length > 0 ? new Date(buckets[0].start).getTime() : 0;
+  const end = buckets.length > 0 ? new Date(buckets[buckets.length - 1].end).getTime() : 1;
+  const series = (key) => buckets.map(b => ({ time: new Date(b.start).getTime(), value: b[key] }));
+
+  return (
+    <div style={{ marginBottom: '2rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <h3 style={{
+          fontSize: '1rem',
+          fontWeight: '600',
+          margin: 0,
+          color: 'var(--text-strong)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <TrendingUp size={18} style={{ color: '#60a5fa' }} />
+          History
+          {loading && <RefreshCw size={14} style={{ color: 'var(--text-faint)', animation: 'pulse 2s ease-in-out infinite' }} />}
+        </h3>
+
+        <div style={{ display: 'flex', gap: '0.25rem' }}>
+          {Object.keys(HISTORY_WINDOWS).map(key => (
+            <button
+              key={key}
+              onClick={() => setRange(key)}
+              style={{
+                padding: '0.25rem 0.5rem',
+                background: range === key ? 'rgba(96, 165, 250, 0.2)' : 'transparent',
+                border: range === key ? '1px solid rgba(96, 165, 250, 0.5)' : '1px solid var(--border)',
+                borderRadius: '6px',
+                color: range === key ? 'var(--text-accent)' : 'var(--text-muted)',
+                font: 'inherit',
+                fontSize: '0.75rem',
+                cursor: 'pointer'
+              }}
+            >
+              {HISTORY_WINDOWS[key].label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <p style={{ margin: '0 0 1rem 0', fontSize: '0.85rem', color: 'var(--text-danger)' }}>
+          Could not load history: {error.message}
+        </p>
+      )}
+
+      {buckets.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+          <LineChart
+            title="Completion Rate"
+            points={series('completionRate')}
+            color="rgb(16, 185, 129)"
+            format={(v) => `${v.toFixed(1)}%`}
+            minY={Math.min(50, ...buckets.filter(b => b.completionRate !== null).map(b => Math.floor(b.completionRate / 10) * 10))}
+            markers={markers}
+            start={start}
+            end={end}
+          />
+          <LineChart
+            title="Executions"
+            points={series('executions')}
+            color="rgb(96, 165, 250)"
+            format={(v) => String(v)}
+            markers={markers}
+            start={start}
+            end={end}
+          />
+          <LineChart
+            title="Failures"
+            points={series('failures')}
+            color="rgb(239, 68, 68)"
+            format={(v) => String(v)}
+            markers={markers}
+            start={start}
+            end={end}
+          />
+          <LineChart
+            title="Avg Duration"
+            points={series('avgDuration')}
+            color="rgb(167, 139, 250)"
+            format={formatDuration}
+            markers={markers}
+            start={start}
+            end={end}
+          />
+        </div>
+      )}
+
+      {markers.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', marginTop: '0.75rem' }}>
+          {markers.map(marker => (
+            <p key={marker.code} style={{ margin: 0, fontSize: '0.8rem', color: 'var(--text-muted)', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <span style={{
+                display: 'inline-block',
+                width: '10px',
+                borderTop: `2px dashed ${markerColor(marker.type)}`
+              }} />
+              {marker.label}{' '}
+              {marker.beforeWindow
+                ? `already present at start of ${HISTORY_WINDOWS[range].label} window`
+                : `first seen ${new Date(marker.firstSeenAt).toLocaleString()}`}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useState, useRef, useEffect, useCallback, useLayoutEffect } from 'react';
+
+// Windowed list for long workflow lists. Rows may differ in height (cards with
+// issues are taller), so each rendered row is measured and the estimate is only
+// used for rows that have not been seen yet.
+//
+// Rows outside the window are not in the DOM, so focus cannot be moved to them
+// directly. Given `listRef`, `listRef.current.scrollToIndex(index, onShown)`
+// scrolls a row into view and calls `onShown(rowNode)` once it is rendered.
+export default function VirtualList({
+  items,
+  getKey,
+  renderItem,
+  estimateHeight = 190,
+  gap = 16,
+  overscan = 4,
+  maxHeight = '75vh',
+  listRef
+}) {
+  const containerRef = useRef(null);
+  const heights = useRef(new Map());
+  const observers = useRef(new Map());
+  const rows = useRef(new Map());
+  const layout = useRef({ offsets: [], keys: [] });
+  const pendingShow = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState(800);
+  const [, setMeasureVersion] = useState(0);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    setViewport(container.clientHeight);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(() => setViewport(container.clientHeight));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => () => {
+    observers.current.forEach(observer => observer.disconnect());
+    observers.current.clear();
+  }, []);
+
+  const refCallbacks = useRef(new Map());
+
+  // One stable ref callback per key so rows are not re-observed on every render,
+  // dropped when the row unmounts so scrolling a long list does not keep them all
+  const measureRef = useCallback((key) => {
+    if (!refCallbacks.current.has(key)) {
+      refCallbacks.current.set(key, (node) => {
+        if (!node) refCallbacks.current.delete(key);
+        observeRow(key, node);
+      });
+    }
+    return refCallbacks.current.get(key);
+  }, []);
+
+  const observeRow = (key, node) => {
+    observers.current.get(key)?.disconnect();
+    observers.current.delete(key);
+    if (!node) {
+      rows.current.delete(key);
+      return;
+    }
+    rows.current.set(key, node);
+    if (pendingShow.current?.key === key) {
+      const { onShown } = pendingShow.current;
+      pendingShow.current = null;
+      onShown(node);
+    }
+
+    const record = () => {
+      const height = node.offsetHeight;
+      if (heights.current.get(key) !== height) {
+        heights.current.set(key, height);
+        setMeasureVersion(v => v + 1);
+      }
+    };
+    record();
+    if (typeof ResizeObserver !== 'undefined') {
+      const observer = new ResizeObserver(record);
+      observer.observe(node);
+      observers.current.set(key, observer);
+    }
+  };
+
+  const offsets = [];
+  let total = 0;
+  items.forEach(item => {
+    offsets.push(total);
+    total += (heights.current.get(getKey(item)) ?? estimateHeight) + gap;
+  });
+  layout.current = { offsets, keys: items.map(getKey) };
+
+  useEffect(() => {
+    if (!listRef) return undefined;
+    listRef.current = {
+      scrollToIndex: (index, onShown = () => {}) => {
+        const container = containerRef.current;
+        const key = layout.current.keys[index];
+        if (!container || key === undefined) return;
+        const top = layout.current.offsets[index];
+        const bottom = top + (heights.current.get(key) ?? estimateHeight);
+        // Only as far as needed, so moving one row down does not jump the list
+        let next = container.scrollTop;
+        if (top < next) next = top;
+        else if (bottom > next + container.clientHeight) next = bottom - container.clientHeight;
+        if (next !== container.scrollTop) {
+          container.scrollTop = next;
+          setScrollTop(next);
+        }
+        if (rows.current.has(key)) {
+          pendingShow.current = null;
+          onShown(rows.current.get(key));
+        } else {
+          pendingShow.current = { key, onShown };
+        }
+      }
+    };
+    return () => { listRef.current = null; };
+  }, [listRef, estimateHeight]);
+
+  let first = 0;
+  while (first < items.length - 1 && offsets[first + 1] <= scrollTop) first++;
+  let last = first;
+  while (last < items.length - 1 && offsets[last + 1] < scrollTop + viewport) last++;
+  first = Math.max(0, first - overscan);
+  last = Math.min(items.length - 1, last + overscan);
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ maxHeight, overflowY: 'auto', position: 'relative' }}
+    >
+      <div style={{ height: Math.max(total - gap, 0), position: 'relative' }}>
+        {items.slice(first, last + 1).map((item, idx) => {
+          const index = first + idx;
+          const key = getKey(item);
+          return (
+            <div
+              key={key}
+              ref={measureRef(key)}
+              style={{ position: 'absolute', top: offsets[index], left: 0, right: 0 }}
+            >
+              {renderItem(item, index)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import React from 'react';
+import { ChevronRight } from 'lucide-react';
+import { getBreach } from './health-thresholds.js';
+import { formatRate } from './workflow-metrics.js';
+import { statusLabel } from './status-announcer.js';
+import { tokens, tint, labelStyle } from './design-tokens.js';
+import { getStatusColor, getStatusIcon, getTrendIcon } from './status-visuals.jsx';
+import SourceBadge from './source-badge.jsx';
+import { CanaryBadge } from './test-runs.jsx';
+
+const describeCard = (workflow, openIssues) => [
+  workflow.name,
+  `status ${statusLabel(workflow.status)}`,
+  workflow.completionRate === null ? 'no finished runs' : `${workflow.completionRate}% completion`,
+  `${workflow.failures} failures`,
+  openIssues > 0 ? `${openIssues} open issue${openIssues > 1 ? 's' : ''}` : null,
+  workflow.source?.label
+].filter(Boolean).join(', ');
+
+const Metric = ({ label, children, color = tokens.color.text.secondary }) => (
+  <div>
+    <p style={labelStyle}>{label}</p>
+    <p style={{ margin: 0, fontSize: '1.25rem', fontWeight: '700', color, display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+      {children}
+    </p>
+  </div>
+);
+
+// One workflow in the list: status, headline metrics and its issue count.
+// `openIssues` counts issues still needing attention (not acknowledged, snoozed…);
+// `canary` is the health from canaryHealth() when the workflow has canaries.
+// `onSelect(id)` opens it; `onKeyDown(event, id)` is for list keyboard navigation.
+function WorkflowCard({
+  workflow,
+  selected = false,
+  openIssues = workflow.issues.length,
+  canary = null,
+  compactSource = false,
+  index = 0,
+  animate = true,
+  onSelect,
+  onKeyDown
+}) {
+  const failureBreach = getBreach(workflow, 'failures');
+
+  return (
+    <div
+      className="workflow-card"
+      role="button"
+      tabIndex={0}
+      data-workflow-id={workflow.id}
+      aria-label={describeCard(workflow, openIssues)}
+      aria-expanded={selected}
+      aria-controls={selected ? 'workflow-detail-panel' : undefined}
+      onClick={() => onSelect?.(workflow.id)}
+      onKeyDown={(e) => onKeyDown?.(e, workflow.id)}
+      style={{
+        background: selected ? tokens.color.surface.raised : tokens.color.surface.default,
+        border: selected ? `1px solid ${tint(tokens.color.accent, 50)}` : `1px solid ${tokens.color.border.default}`,
+        borderRadius: tokens.radius.xl,
+        padding: tokens.space.xl,
+        cursor: 'pointer',
+        animation: animate ? `fadeInUp 0.5s ease-out ${Math.min(index, 10) * 0.1}s backwards` : 'none'
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '1rem' }}>
+        <div style={{ flex: 1 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.5rem' }}>
+            <div role="img" aria-label={statusLabel(workflow.status)} title={statusLabel(workflow.status)} style={{ color: getStatusColor(workflow.status), display: 'flex' }}>
+              {getStatusIcon(workflow.status)}
+            </div>
+            <h3 style={{
+              margin: 0,
+              fontSize: '1.1rem',
+              fontWeight: '600',
+              color: tokens.color.text.strong
+            }}>
+              {workflow.name}
+            </h3>
+            <SourceBadge source={workflow.source} compact={compactSource} />
+            {canary && <CanaryBadge health={canary} />}
+          </div>
+          <p style={{
+            margin: 0,
+            fontSize: '0.875rem',
+            color: tokens.color.text.muted,
+            fontFamily: tokens.font.mono
+          }}>
+            {workflow.id}
+          </p>
+        </div>
+
+        <ChevronRight
+          size={20}
+          aria-hidden="true"
+          style={{
+            color: tokens.color.text.faint,
+            transform: selected ? 'rotate(90deg)' : 'rotate(0deg)',
+            transition: 'transform 0.3s ease'
+          }}
+        />
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(4, 1fr)',
+        gap: '1rem',
+        marginTop: '1rem',
+        paddingTop: '1rem',
+        borderTop: `1px solid ${tokens.color.border.default}`
+      }}>
+        <Metric label="Completion" color={getStatusColor(workflow.status)}>
+          {formatRate(workflow.completionRate)}
+          {getTrendIcon(workflow.trend)}
+        </Metric>
+        <Metric label="Avg Duration">{workflow.avgDuration}</Metric>
+        <Metric label="Executions">{workflow.executions}</Metric>
+        <Metric label="Failures" color={failureBreach ? getStatusColor(failureBreach.level) : undefined}>
+          {workflow.failures}
+        </Metric>
+      </div>
+
+      {workflow.issues.length > 0 && (
+        <div style={{
+          marginTop: '1rem',
+          padding: '0.75rem',
+          background: tokens.color.surface.inset,
+          borderRadius: tokens.radius.md,
+          fontSize: '0.875rem'
+        }}>
+          {openIssues > 0 ? (
+            <p style={{ margin: '0 0 0.5rem 0', color: tokens.color.status.warning, fontWeight: '500' }}>
+              ⚠ {openIssues} issue{openIssues > 1 ? 's' : ''} detected
+            </p>
+          ) : (
+            <p style={{ margin: '0 0 0.5rem 0', color: tokens.color.text.muted }}>
+              ✓ {workflow.issues.length} issue{workflow.issues.length > 1 ? 's' : ''} being handled
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A card only depends on its workflow, whether it is selected, its open issue
+// count (which changes as snoozes expire) and its canary. Handlers are usually
+// recreated on every render of the list, so they are left out of the comparison.
+export default React.memo(WorkflowCard, (prev, next) => prev.workflow === next.workflow
+  && prev.selected === next.selected
+  && prev.openIssues === next.openIssues
+  && prev.canary?.status === next.canary?.status
+  && prev.compactSource === next.compactSource
+  && prev.index === next.index
+  && prev.animate === next.animate);
@@ -0,0 +1,211 @@
+import { calculateWorkflowHealth, calculateDurationPercentiles, averageDuration, detectIssues, formatDuration } from './workflow-metrics.js';
+import { bucketRange, bucketSizeFor } from './workflow-history.js';
+
+// Side-by-side comparison of two to four workflows over the same range, or of
+// one workflow over two ranges. Each column is a period summary: metrics,
+// bucketed trend, the fixed-rule issues and the failure reasons for one
+// workflow between `from` and `to`. The first column is the baseline every
+// other column is compared with.
+
+const DAY = 24 * 3600000;
+
+export const COMPARISON_LIMITS = { min: 2, max: 4 };
+
+export const MAX_RANGE_DAYS = 90;
+
+// Periods of one workflow, each ending `offsetDays` apart. Bursty workflows such
+// as quarterly recertification are only fairly judged against the same point of
+// an earlier cycle.
+export const PERIOD_PRESETS = [
+  { value: 'week', label: 'Last 7 days vs the 7 before', days: 7, offsetDays: 7 },
+  { value: 'month', label: 'Last 30 days vs the 30 before', days: 30, offsetDays: 30 },
+  { value: 'quarter', label: 'Last 7 days vs the same week last quarter', days: 7, offsetDays: 91 },
+  { value: 'custom', label: 'Custom ranges' }
+];
+
+// The earlier period first, so deltas read as "now compared with then"
+export const presetRanges = (value, now = new Date()) => {
+  const preset = PERIOD_PRESETS.find(p => p.value === value);
+  if (!preset?.days) throw new Error(`Unknown period preset "${value}"`);
+  const end = now.getTime();
+  return [
+    { from: new Date(end - (preset.offsetDays + preset.days) * DAY), to: new Date(end - preset.offsetDays * DAY) },
+    { from: new Date(end - preset.days * DAY), to: now }
+  ];
+};
+
+// 'YYYY-MM-DD' in local time, for date inputs
+export const toDateInput = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Whole local days from the start of `fromDay` to the end of `toDay`
+export const rangeFromDates = (fromDay, toDay) => {
+  const [fromYear, fromMonth, fromDate] = fromDay.split('-').map(Number);
+  const [toYear, toMonth, toDate] = toDay.split('-').map(Number);
+  const from = new Date(fromYear, fromMonth - 1, fromDate);
+  const to = new Date(toYear, toMonth - 1, toDate + 1);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) throw new Error('Pick a start and end date');
+  if (to <= from) throw new Error('The range ends before it starts');
+  if (to - from > MAX_RANGE_DAYS * DAY) throw new Error(`Ranges are limited to ${MAX_RANGE_DAYS} days`);
+  return { from, to };
+};
+
+export const formatRange = ({ from, to }) => {
+  const format = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  // `to` is exclusive, so a range of whole days ends the day before
+  return `${format(from)} – ${format(new Date(new Date(to).getTime() - 1))}`;
+};
+
+// One bucket size for every column, so executions per bucket line up
+export const comparisonBucketMs = (ranges) => bucketSizeFor(Math.max(...ranges.map(({ from, to }) => to - from)));
+
+// Failed runs grouped by reason, most frequent first; `rate` is per finished run
+export function breakdownFailureReasons(instances) {
+  const finished = instances.filter(i => i.status !== 'in_progress').length;
+  const reasons = new Map();
+  instances.filter(i => i.status === 'failed').forEach(instance => {
+    const reason = instance.failureReason || instance.errorMessage || instance.errorCode || 'Unknown';
+    const entry = reasons.get(reason) || { reason, errorCode: instance.errorCode || null, count: 0 };
+    entry.count++;
+    reasons.set(reason, entry);
+  });
+  return [...reasons.values()]
+    .map(entry => ({ ...entry, rate: finished > 0 ? entry.count / finished : 0 }))
+    .sort((a, b) => b.count - a.count);
+}
+
+export function summarizePeriod(allInstances, definition = {}, { from, to, bucketMs = bucketSizeFor(to - from) }) {
+  const start = from.getTime();
+  const end = to.getTime();
+  // Test runs and canaries are left out, as on the cards
+  const instances = allInstances.filter(i => {
+    const startedAt = new Date(i.startedAt).getTime();
+    return !i.synthetic && startedAt >= start && startedAt < end;
+  });
+  const health = calculateWorkflowHealth(instances);
+  const days = (end - start) / DAY;
+
+  return {
+    workflowId: definition.id,
+    name: definition.name,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    bucketMs,
+    metrics: {
+      executions: health.total,
+      executionsPerDay: health.total / days,
+      failures: health.failed,
+      failuresPerDay: health.failed / days,
+      completionRate: health.completionRate,
+      avgDuration: averageDuration(instances),
+      p95Duration: calculateDurationPercentiles(instances).p95
+    },
+    buckets: bucketRange(instances, { start, end, bucketMs }),
+    issues: detectIssues(instances, definition),
+    failureReasons: breakdownFailureReasons(instances)
+  };
+}
+
+// `better` is the direction that is an improvement (null when neither is);
+// `delta` is whether changes are shown in percentage points or percent.
+// Changes within `tolerance` count as the same.
+export const COMPARISON_METRICS = [
+  { key: 'completionRate', label: 'Completion rate', format: (v) => `${v.toFixed(1)}%`, better: 'higher', delta: 'points', tolerance: 1 },
+  { key: 'executionsPerDay', label: 'Executions per day', format: (v) => v.toFixed(1), better: null, delta: 'percent', tolerance: 10 },
+  { key: 'failuresPerDay', label: 'Failures per day', format: (v) => v.toFixed(1), better: 'lower', delta: 'percent', tolerance: 10 },
+  { key: 'avgDuration', label: 'Avg duration', format: formatDuration, better: 'lower', delta: 'percent', tolerance: 5 },
+  { key: 'p95Duration', label: 'p95 duration', format: formatDuration, better: 'lower', delta: 'percent', tolerance: 5 }
+];
+
+const changeOf = (metric, delta) => {
+  if (delta === null) return null;
+  if (Math.abs(delta) < metric.tolerance) return 'same';
+  if (!metric.better) return 'changed';
+  return (delta > 0) === (metric.better === 'higher') ? 'better' : 'worse';
+};
+
+export const formatDelta = (metric, delta) => {
+  if (delta === null) return '';
+  const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±';
+  return metric.delta === 'points'
+    ? `${sign}${Math.abs(delta).toFixed(1)} pts`
+    : `${sign}${Math.abs(Math.round(delta))}%`;
+};
+
+// One row per metric; each cell has its value and its change from the first column
+export const compareMetrics = (periods) => COMPARISON_METRICS.map(metric => {
+  const baseline = periods[0]?.metrics[metric.key] ?? null;
+  return {
+    ...metric,
+    cells: periods.map((period, index) => {
+      const value = period.metrics[metric.key] ?? null;
+      let delta = null;
+      if (index > 0 && value !== null && baseline !== null) {
+        if (metric.delta === 'points') delta = value - baseline;
+        else if (baseline !== 0) delta = ((value - baseline) / baseline) * 100;
+      }
+      return { value, delta, change: changeOf(metric, delta) };
+    })
+  };
+});
+
+const presenceChange = (baseline, present) => {
+  if (baseline && !present) return 'resolved';
+  if (!baseline && present) return 'new';
+  return present ? 'same' : null;
+};
+
+const ISSUE_LABELS = {
+  timeout: 'Timeouts',
+  api_error: 'API failures',
+  routing_error: 'Routing failures',
+  expiration: 'Expirations',
+  slow_duration: 'Duration > 2x baseline'
+};
+
+// Every issue code raised in any column, errors first. A cell is the issue (or
+// null) and whether it is new or resolved compared with the first column.
+export const diffIssues = (periods) => {
+  const codes = [...new Set(periods.flatMap(p => p.issues.map(i => i.code)))];
+  return codes
+    .map(code => {
+      const issues = periods.map(p => p.issues.find(i => i.code === code) || null);
+      return {
+        code,
+        label: ISSUE_LABELS[code] || code,
+        type: issues.find(Boolean).type,
+        cells: issues.map((issue, index) => ({ issue, change: index === 0 ? null : presenceChange(issues[0], issue) }))
+      };
+    })
+    .sort((a, b) => (a.type === 'error' ? 0 : 1) - (b.type === 'error' ? 0 : 1));
+};
+
+// Failure reasons across columns, compared by rate per finished run so busier
+// columns don't look worse just for running more
+export const diffFailureReasons = (periods, { tolerance = 0.005 } = {}) => {
+  const reasons = new Map();
+  periods.forEach(p => p.failureReasons.forEach(r => {
+    if (!reasons.has(r.reason)) reasons.set(r.reason, r.errorCode);
+  }));
+
+  return [...reasons.entries()]
+    .map(([reason, errorCode]) => {
+      const entries = periods.map(p => p.failureReasons.find(r => r.reason === reason) || { count: 0, rate: 0 });
+      const [baseline] = entries;
+      return {
+        reason,
+        errorCode,
+        cells: entries.map(({ count, rate }, index) => {
+          if (index === 0) return { count, rate, change: null };
+          const change = presenceChange(baseline.count > 0, count > 0);
+          if (change !== 'same') return { count, rate, change };
+          if (Math.abs(rate - baseline.rate) < tolerance) return { count, rate, change: 'same' };
+          return { count, rate, change: rate > baseline.rate ? 'worse' : 'better' };
+        })
+      };
+    })
+    .sort((a, b) => Math.max(...b.cells.map(c => c.count)) - Math.max(...a.cells.map(c => c.count)));
+};
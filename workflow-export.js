@@ -0,0 +1,95 @@
+import { summarizeWorkflows } from './workflow-metrics.js';
+import { describeBreach } from './health-thresholds.js';
+
+// Export of the workflow list for audit evidence: one record per workflow with
+// every metric on the card plus its issues and engine recommendations.
+
+export const EXPORT_COLUMNS = [
+  { key: 'id', label: 'Workflow ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'source', label: 'Account', format: (source) => (source ? `${source.label} (${source.environment})` : '') },
+  { key: 'status', label: 'Status' },
+  { key: 'completionRate', label: 'Completion Rate (%)' },
+  { key: 'trend', label: 'Trend' },
+  { key: 'avgDuration', label: 'Avg Duration' },
+  { key: 'executions', label: 'Executions' },
+  { key: 'failures', label: 'Failures' },
+  { key: 'inProgress', label: 'In Progress' },
+  { key: 'lastRunAt', label: 'Last Run' },
+  { key: 'breaches', label: 'Threshold Breaches', format: (breaches) => breaches.join('; ') },
+  { key: 'issues', label: 'Issues', format: (issues) => issues.map(i => `${i.message} (${i.state})`).join('; ') },
+  {
+    key: 'recommendations',
+    label: 'Recommendations',
+    format: (recs) => recs.map(r => `[${r.priority}] ${r.action}`).join('; ')
+  }
+];
+
+export const toExportRecord = (workflow, recommendationEngine) => ({
+  id: workflow.id,
+  name: workflow.name,
+  source: workflow.source ?? null,
+  status: workflow.status,
+  completionRate: workflow.completionRate,
+  trend: workflow.trend ?? null,
+  avgDuration: workflow.avgDuration,
+  executions: workflow.executions,
+  failures: workflow.failures,
+  inProgress: workflow.inProgress ?? 0,
+  lastRunAt: workflow.lastRunAt ?? null,
+  breaches: (workflow.breaches || []).map(describeBreach),
+  issues: workflow.issues.map(({ code, type, message, state, owner, confidence }) => ({
+    code: code ?? null,
+    type,
+    message,
+    state: state || 'open',
+    owner: owner ?? null,
+    confidence: confidence ?? null
+  })),
+  recommendations: recommendationEngine
+    ? recommendationEngine.evaluate(workflow).map(({ ruleId, priority, action, impact }) => ({ ruleId, priority, action, impact }))
+    : []
+});
+
+// Quote per RFC 4180, and neutralise leading formula characters so a
+// spreadsheet never evaluates an error message as a formula (a leading tab or
+// carriage return is dropped by some importers, exposing what follows)
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const workflowsToCsv = (workflows, { recommendationEngine } = {}) => {
+  const rows = workflows.map(workflow => {
+    const record = toExportRecord(workflow, recommendationEngine);
+    return EXPORT_COLUMNS.map(({ key, format }) => csvCell(format ? format(record[key]) : record[key]));
+  });
+  return [EXPORT_COLUMNS.map(c => csvCell(c.label)), ...rows].map(row => row.join(',')).join('\r\n');
+};
+
+// `snapshotAt` is when the exported data was taken, for a replayed or offline snapshot
+export const workflowsToJson = (workflows, { recommendationEngine, generatedAt = new Date(), snapshotAt = null } = {}) => JSON.stringify({
+  generatedAt: generatedAt.toISOString(),
+  dataAsOf: (snapshotAt || generatedAt).toISOString(),
+  fromSnapshot: Boolean(snapshotAt),
+  summary: summarizeWorkflows(workflows),
+  workflows: workflows.map(workflow => toExportRecord(workflow, recommendationEngine))
+}, null, 2);
+
+// e.g. workflow-health-2025-01-15T09-30-00.csv, or workflow-health-snapshot-2025-01-14T22-00-00.csv
+// named after the snapshot's time when exporting one
+export const exportFilename = (extension, generatedAt = new Date(), { snapshotAt = null } = {}) =>
+  `workflow-health-${snapshotAt ? 'snapshot-' : ''}${(snapshotAt || generatedAt).toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
+
+export const downloadFile = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { exportFilename, workflowsToCsv, workflowsToJson } from './workflow-export.js';
+import { WORKFLOW_FIXTURES } from './component-fixtures.js';
+
+const workflows = Object.values(WORKFLOW_FIXTURES);
+const generatedAt = new Date('2025-01-15T09:30:00.000Z');
+const snapshotAt = new Date('2025-01-14T22:00:00.000Z');
+
+describe('snapshot exports', () => {
+  it('stamps live exports with the time they were made', () => {
+    const json = JSON.parse(workflowsToJson(workflows, { generatedAt }));
+    expect(json).toMatchObject({ generatedAt: generatedAt.toISOString(), dataAsOf: generatedAt.toISOString(), fromSnapshot: false });
+    expect(exportFilename('csv', generatedAt)).toBe('workflow-health-2025-01-15T09-30-00.csv');
+  });
+
+  it('stamps a snapshot export with when the snapshot was taken', () => {
+    const json = JSON.parse(workflowsToJson(workflows, { generatedAt, snapshotAt }));
+    expect(json).toMatchObject({ generatedAt: generatedAt.toISOString(), dataAsOf: snapshotAt.toISOString(), fromSnapshot: true });
+    expect(exportFilename('csv', generatedAt, { snapshotAt })).toBe('workflow-health-snapshot-2025-01-14T22-00-00.csv');
+  });
+});
+
+describe('workflowsToCsv', () => {
+  const nameCell = (name) => workflowsToCsv([{ ...workflows[0], name }]).split('\r\n')[1].split(',')[1];
+
+  it('neutralises cells that a spreadsheet would read as a formula', () => {
+    expect(nameCell('=HYPERLINK("http://x")')).toBe(`"'=HYPERLINK(""http://x"")"`);
+    expect(nameCell('@SUM(A1)')).toBe(`'@SUM(A1)`);
+  });
+
+  it('also neutralises formulas behind a leading tab or carriage return', () => {
+    expect(nameCell('\t=1+1')).toBe(`'\t=1+1`);
+    expect(nameCell('\r=1+1')).toBe(`"'\r=1+1"`);
+  });
+});
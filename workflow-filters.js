@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react';
+import { parseDuration } from './workflow-metrics.js';
+
+// Search, status filter and sorting for the workflow list, mirrored into the URL
+// query string so filtered views can be shared as links. `source` is the
+// account switcher's selection ('' for all accounts).
+
+export const SORT_OPTIONS = [
+  { value: '', label: 'Default order' },
+  { value: 'completion', label: 'Completion rate' },
+  { value: 'failures', label: 'Failures' },
+  { value: 'executions', label: 'Executions' },
+  { value: 'duration', label: 'Avg duration' },
+  { value: 'lastRun', label: 'Last run' }
+];
+
+export const DEFAULT_FILTERS = {
+  query: '',
+  status: '',
+  sort: '',
+  dir: 'desc',
+  source: ''
+};
+
+// Query-string keys for each filter field
+const URL_KEYS = { query: 'q', status: 'status', sort: 'sort', dir: 'dir', source: 'account' };
+
+const sortValue = {
+  completion: (w) => w.completionRate,
+  failures: (w) => w.failures,
+  executions: (w) => w.executions,
+  duration: (w) => w.stats?.avgDuration ?? parseDuration(w.avgDuration),
+  lastRun: (w) => (w.lastRunAt ? new Date(w.lastRunAt).getTime() : null)
+};
+
+export const filterBySource = (workflows, source) => (source ? workflows.filter(w => w.source?.id === source) : workflows);
+
+export function applyWorkflowFilters(workflows, { query, status, sort, dir, source } = DEFAULT_FILTERS) {
+  const needle = (query || '').trim().toLowerCase();
+  const filtered = filterBySource(workflows, source).filter(w => (
+    (!status || w.status === status) &&
+    (!needle || w.name.toLowerCase().includes(needle) || w.id.toLowerCase().includes(needle))
+  ));
+
+  if (!sort || !sortValue[sort]) return filtered;
+  const direction = dir === 'asc' ? 1 : -1;
+  // Workflows without a value always sink to the bottom, whichever the direction
+  return [...filtered].sort((a, b) => {
+    const left = sortValue[sort](a);
+    const right = sortValue[sort](b);
+    const leftMissing = left === null || left === undefined;
+    const rightMissing = right === null || right === undefined;
+    if (leftMissing || rightMissing) return Number(leftMissing) - Number(rightMissing);
+    return (left - right) * direction;
+  });
+}
+
+export const readFiltersFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(
+    Object.entries(URL_KEYS).map(([field, key]) => [field, params.get(key) ?? DEFAULT_FILTERS[field]])
+  );
+};
+
+// Merge filters into an existing query string, dropping defaults to keep links short
+export const writeFiltersToSearch = (filters, search = '') => {
+  const params = new URLSearchParams(search);
+  Object.entries(URL_KEYS).forEach(([field, key]) => {
+    if (filters[field] && filters[field] !== DEFAULT_FILTERS[field]) params.set(key, filters[field]);
+    else params.delete(key);
+  });
+  const next = params.toString();
+  return next ? `?${next}` : '';
+};
+
+export function useWorkflowFilters() {
+  const [filters, setFilters] = useState(() => (
+    typeof window === 'undefined' ? DEFAULT_FILTERS : readFiltersFromSearch(window.location.search)
+  ));
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return undefined;
+    const onPopState = () => setFilters(readFiltersFromSearch(window.location.search));
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+    const search = writeFiltersToSearch(filters, window.location.search);
+    if (search !== window.location.search) {
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}${window.location.hash}`);
+    }
+  }, [filters]);
+
+  const updateFilters = useCallback((patch) => setFilters(prev => ({ ...prev, ...patch })), []);
+  // Clearing filters keeps the selected account; that is changed with the switcher
+  const resetFilters = useCallback(() => setFilters(prev => ({ ...DEFAULT_FILTERS, source: prev.source })), []);
+
+  return { filters, updateFilters, resetFilters };
+}
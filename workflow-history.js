@@ -0,0 +1,120 @@
+import { averageDuration, isTimeout, isApiError, isRoutingError, isExpired } from './workflow-metrics.js';
+
+// Time-series history of a workflow, bucketed from raw instance records
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+export const HISTORY_WINDOWS = {
+  '24h': { label: '24h', durationMs: DAY, bucketMs: HOUR },
+  '7d': { label: '7d', durationMs: 7 * DAY, bucketMs: 6 * HOUR },
+  '30d': { label: '30d', durationMs: 30 * DAY, bucketMs: DAY },
+  '90d': { label: '90d', durationMs: 90 * DAY, bucketMs: 3 * DAY }
+};
+
+// Failure classes tracked for issue onset markers, keyed by the issue codes detectIssues emits
+const ISSUE_CLASSES = [
+  { code: 'timeout', label: 'Timeouts', type: 'warning', matches: isTimeout },
+  { code: 'api_error', label: 'API failures', type: 'error', matches: isApiError },
+  { code: 'routing_error', label: 'Routing failures', type: 'error', matches: isRoutingError },
+  { code: 'expiration', label: 'Expirations', type: 'warning', matches: isExpired }
+];
+
+// Bucket size for a range of `durationMs`: that of the shortest history window covering it
+export const bucketSizeFor = (durationMs) => (
+  Object.values(HISTORY_WINDOWS).find(w => w.durationMs >= durationMs) || HISTORY_WINDOWS['90d']
+).bucketMs;
+
+export function bucketInstances(instances, { window = '7d', now = new Date() } = {}) {
+  const { durationMs, bucketMs } = HISTORY_WINDOWS[window];
+  const end = now.getTime();
+  return bucketRange(instances, { start: end - durationMs, end, bucketMs });
+}
+
+// Buckets of `bucketMs` from `start` to `end` (epoch ms); the last one may be shorter
+export function bucketRange(instances, { start, end, bucketMs }) {
+  const count = Math.ceil((end - start) / bucketMs);
+
+  const buckets = Array.from({ length: count }, (_, index) => ({
+    start: new Date(start + index * bucketMs).toISOString(),
+    end: new Date(Math.min(start + (index + 1) * bucketMs, end)).toISOString(),
+    instances: []
+  }));
+
+  instances.forEach(instance => {
+    const startedAt = new Date(instance.startedAt).getTime();
+    if (startedAt < start || startedAt >= end) return;
+    buckets[Math.floor((startedAt - start) / bucketMs)].instances.push(instance);
+  });
+
+  return buckets.map(({ instances: bucketed, ...bucket }) => {
+    const finished = bucketed.filter(i => i.status !== 'in_progress');
+    const completed = finished.filter(i => i.status === 'completed').length;
+    const failed = finished.filter(i => i.status === 'failed');
+    return {
+      ...bucket,
+      executions: bucketed.length,
+      finished: finished.length,
+      completed,
+      failures: failed.length,
+      completionRate: finished.length > 0 ? (completed / finished.length) * 100 : null,
+      avgDuration: averageDuration(bucketed),
+      failuresByClass: Object.fromEntries(
+        ISSUE_CLASSES.map(({ code, matches }) => [code, failed.filter(matches).length])
+      )
+    };
+  });
+}
+
+// When each issue class first shows up in the window; `beforeWindow` means it was already present at the start
+export function findIssueOnsets(buckets, definition = {}) {
+  const onsets = ISSUE_CLASSES
+    .map(({ code, label, type }) => {
+      const index = buckets.findIndex(b => b.failuresByClass[code] > 0);
+      return index === -1 ? null : { code, label, type, firstSeenAt: buckets[index].start, beforeWindow: index === 0 };
+    })
+    .filter(Boolean);
+
+  if (definition.baselineDuration) {
+    const index = buckets.findIndex(b => b.avgDuration > definition.baselineDuration * 2);
+    if (index !== -1) {
+      onsets.push({
+        code: 'slow_duration',
+        label: 'Duration > 2x baseline',
+        type: 'warning',
+        firstSeenAt: buckets[index].start,
+        beforeWindow: index === 0
+      });
+    }
+  }
+
+  return onsets.sort((a, b) => (a.firstSeenAt < b.firstSeenAt ? -1 : 1));
+}
+
+const weightedCompletion = (buckets) => {
+  const finished = buckets.reduce((sum, b) => sum + b.finished, 0);
+  const completed = buckets.reduce((sum, b) => sum + b.completed, 0);
+  return finished > 0 ? (completed / finished) * 100 : null;
+};
+
+// Compare the completion rate of the newer half of the window with the older half
+export function deriveTrend(buckets, { tolerance = 2 } = {}) {
+  const middle = Math.floor(buckets.length / 2);
+  const older = weightedCompletion(buckets.slice(0, middle));
+  const newer = weightedCompletion(buckets.slice(middle));
+  if (older === null || newer === null) return 'stable';
+  if (newer - older > tolerance) return 'up';
+  if (older - newer > tolerance) return 'down';
+  return 'stable';
+}
+
+export function buildHistory(instances, definition = {}, { window = '7d', now = new Date() } = {}) {
+  const buckets = bucketInstances(instances, { window, now });
+  return {
+    workflowId: definition.id,
+    window,
+    buckets,
+    issueOnsets: findIssueOnsets(buckets, definition),
+    trend: deriveTrend(buckets)
+  };
+}
@@ -0,0 +1,325 @@
+// Workflow health metrics derived from raw Maestro instance records.
+// Instances follow the shape in IMPLEMENTATION_GUIDE "Workflow Instance Fields to Capture".
+
+export const HEALTH_THRESHOLDS = {
+  healthy: 95,
+  warning: 85
+};
+
+const reasonMatches = (instance, pattern) => pattern.test(instance.failureReason || '');
+
+// Failure classifiers, matching on errorCode first and falling back to failureReason
+export const isTimeout = (i) => i.errorCode === 'TIMEOUT' || reasonMatches(i, /timeout|timed out/i);
+export const isApiError = (i) => i.errorCode === 'API_ERROR' || reasonMatches(i, /connection|\bAPI\b/);
+export const isRoutingError = (i) => i.errorCode === 'ROUTING_ERROR' || reasonMatches(i, /routing/i);
+export const isExpired = (i) => i.errorCode === 'ENVELOPE_EXPIRED' || reasonMatches(i, /expir/i);
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined || Number.isNaN(seconds)) return '—';
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  if (seconds < 3600) return `${(seconds / 60).toFixed(1)}m`;
+  return `${(seconds / 3600).toFixed(1)}h`;
+};
+
+// "2.3m" / "45s" / "1.2h" back to seconds, for workflows that only carry the display string
+export const parseDuration = (value) => {
+  const match = /^([\d.]+)\s*(s|m|h)$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return parseFloat(match[1]) * { s: 1, m: 60, h: 3600 }[match[2]];
+};
+
+// Completion rate for display; null while no run has finished
+export const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${rate}%`);
+
+export const formatRelativeTime = (date, now = new Date()) => {
+  if (!date) return 'never';
+  const minutes = Math.floor((now - new Date(date)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days > 1 ? 's' : ''} ago`;
+};
+
+export const getHealthStatus = (completionRate) => {
+  if (completionRate === null) return 'unknown';
+  if (completionRate >= HEALTH_THRESHOLDS.healthy) return 'healthy';
+  if (completionRate >= HEALTH_THRESHOLDS.warning) return 'warning';
+  return 'critical';
+};
+
+export function calculateWorkflowHealth(instances) {
+  const total = instances.length;
+  const completed = instances.filter(i => i.status === 'completed').length;
+  const failed = instances.filter(i => i.status === 'failed').length;
+  const inProgress = instances.filter(i => i.status === 'in_progress').length;
+  const cancelled = instances.filter(i => i.status === 'cancelled').length;
+
+  // Running instances haven't succeeded or failed yet, so they don't count against the rate
+  const finished = total - inProgress;
+  const completionRate = finished > 0 ? (completed / finished) * 100 : null;
+
+  return {
+    status: getHealthStatus(completionRate),
+    completionRate,
+    total,
+    completed,
+    failed,
+    inProgress,
+    cancelled
+  };
+}
+
+// Nearest-rank percentile over an unsorted list of numbers
+export const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+};
+
+const finishedDurations = (instances) => instances
+  .filter(i => i.status !== 'in_progress' && typeof i.duration === 'number')
+  .map(i => i.duration);
+
+export function calculateDurationPercentiles(instances) {
+  const durations = finishedDurations(instances);
+  return {
+    p50: percentile(durations, 50),
+    p95: percentile(durations, 95),
+    p99: percentile(durations, 99)
+  };
+}
+
+export const averageDuration = (instances) => {
+  const durations = finishedDurations(instances);
+  return durations.length > 0
+    ? durations.reduce((sum, d) => sum + d, 0) / durations.length
+    : null;
+};
+
+// Share of finished instances failing with each errorCode, most frequent first
+export function calculateErrorRates(instances) {
+  const finished = instances.filter(i => i.status !== 'in_progress').length;
+  const counts = {};
+  instances
+    .filter(i => i.status === 'failed')
+    .forEach(i => {
+      const code = i.errorCode || 'UNKNOWN';
+      counts[code] = (counts[code] || 0) + 1;
+    });
+
+  return Object.entries(counts)
+    .map(([errorCode, count]) => ({ errorCode, count, rate: finished > 0 ? count / finished : 0 }))
+    .sort((a, b) => b.count - a.count);
+}
+
+export function findMostFailedStep(instances) {
+  const counts = {};
+  instances
+    .filter(i => i.failedStepId)
+    .forEach(i => {
+      const entry = counts[i.failedStepId] || { stepId: i.failedStepId, name: null, count: 0 };
+      entry.count += 1;
+      entry.name = entry.name || i.steps?.find(s => s.stepId === i.failedStepId)?.name || null;
+      counts[i.failedStepId] = entry;
+    });
+
+  return Object.values(counts).sort((a, b) => b.count - a.count)[0] || null;
+}
+
+// Whether an instance got as far as calling a step. Without step records,
+// completed runs passed every step and failed runs stopped at their failed step.
+const reachedStep = (instance, stepId) => {
+  const step = instance.steps?.find(s => s.stepId === stepId);
+  if (step) return step.status === 'completed' || step.status === 'failed';
+  return instance.status === 'completed' || instance.failedStepId === stepId;
+};
+
+// Calls to each external connector a definition's steps use (`step.connector`).
+// Only connection failures and timeouts at those steps count against the
+// connector; validation errors are a data problem, not an outage.
+export function calculateConnectorUsage(instances, definition = {}, connectors = []) {
+  const usage = new Map();
+  (definition.steps || []).filter(step => step.connector).forEach(step => {
+    const known = connectors.find(c => c.id === step.connector);
+    const entry = usage.get(step.connector) || {
+      id: step.connector,
+      name: known?.name || step.connector,
+      kind: known?.kind || null,
+      steps: [],
+      calls: 0,
+      failures: 0,
+      lastFailureAt: null,
+      lastError: null
+    };
+    const reached = instances.filter(i => reachedStep(i, step.stepId));
+    const failed = reached
+      .filter(i => i.failedStepId === step.stepId && (isApiError(i) || isTimeout(i)))
+      .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+    entry.steps.push({ stepId: step.stepId, name: step.name, calls: reached.length, failures: failed.length });
+    entry.calls += reached.length;
+    entry.failures += failed.length;
+    if (failed.length > 0 && (!entry.lastFailureAt || failed[0].startedAt > entry.lastFailureAt)) {
+      entry.lastFailureAt = failed[0].startedAt;
+      entry.lastError = failed[0].failureReason || failed[0].errorMessage || null;
+    }
+    usage.set(step.connector, entry);
+  });
+  return [...usage.values()];
+}
+
+// Rates consumed by issue detection and the recommendations engine
+export function calculateWorkflowStats(instances, definition = {}) {
+  const finished = instances.filter(i => i.status !== 'in_progress');
+  const failed = instances.filter(i => i.status === 'failed');
+  const rate = (predicate) => finished.length > 0 ? failed.filter(predicate).length / finished.length : 0;
+  const avgDuration = averageDuration(instances);
+
+  return {
+    finished: finished.length,
+    timeouts: failed.filter(isTimeout).length,
+    timeoutRate: rate(isTimeout),
+    apiErrors: failed.filter(isApiError).length,
+    apiErrorRate: rate(isApiError),
+    routingErrors: failed.filter(isRoutingError).length,
+    routingErrorRate: rate(isRoutingError),
+    expirations: failed.filter(isExpired).length,
+    expirationRate: rate(isExpired),
+    avgDuration,
+    baselineDuration: definition.baselineDuration ?? null,
+    durationRatio: avgDuration !== null && definition.baselineDuration
+      ? avgDuration / definition.baselineDuration
+      : null
+  };
+}
+
+// Name of the step most often failing for the given failure class, for issue messages
+const dominantStepName = (instances) => findMostFailedStep(instances)?.name;
+
+// Start of the latest run showing an issue, so a resolved issue can tell when it came back
+const latestStart = (instances) => instances.reduce(
+  (latest, i) => (i.startedAt && (!latest || i.startedAt > latest) ? i.startedAt : latest),
+  null
+);
+
+export function detectIssues(instances, definition = {}) {
+  const issues = [];
+  const finished = instances.filter(i => i.status !== 'in_progress');
+  const failed = instances.filter(i => i.status === 'failed');
+  if (finished.length === 0) return issues;
+
+  // Check for timeout patterns
+  const timeouts = failed.filter(isTimeout);
+  if (timeouts.length > finished.length * 0.1) {
+    const pct = Math.round((timeouts.length / finished.length) * 100);
+    issues.push({
+      code: 'timeout',
+      type: 'warning',
+      message: `Timeout rate elevated: ${timeouts.length} timeouts in last ${finished.length} executions (${pct}%)`,
+      lastSeenAt: latestStart(timeouts)
+    });
+  }
+
+  // Check for API connection failures
+  const apiFailures = failed.filter(isApiError);
+  if (apiFailures.length > 0) {
+    const step = dominantStepName(apiFailures);
+    issues.push({
+      code: 'api_error',
+      type: 'error',
+      message: `API connection failures${step ? ` in "${step}"` : ''}: ${apiFailures.length} instances`,
+      lastSeenAt: latestStart(apiFailures)
+    });
+  }
+
+  // Check for routing errors
+  const routingErrors = failed.filter(isRoutingError);
+  if (routingErrors.length > 0) {
+    const step = dominantStepName(routingErrors);
+    issues.push({
+      code: 'routing_error',
+      type: 'error',
+      message: `Routing logic failures${step ? ` in "${step}"` : ''}: ${routingErrors.length} instances`,
+      lastSeenAt: latestStart(routingErrors)
+    });
+  }
+
+  // Check for envelopes expiring before completion
+  const expirations = failed.filter(isExpired);
+  if (expirations.length > 0) {
+    issues.push({
+      code: 'expiration',
+      type: 'warning',
+      message: `Envelope expiration before completion (${expirations.length} instance${expirations.length > 1 ? 's' : ''})`,
+      lastSeenAt: latestStart(expirations)
+    });
+  }
+
+  // Check average duration vs baseline
+  const avgDuration = averageDuration(instances);
+  if (definition.baselineDuration && avgDuration > definition.baselineDuration * 2) {
+    issues.push({
+      code: 'slow_duration',
+      type: 'warning',
+      message: `Average duration ${formatDuration(avgDuration)} is ${(avgDuration / definition.baselineDuration).toFixed(1)}x baseline`,
+      lastSeenAt: latestStart(finished)
+    });
+  }
+
+  return issues;
+}
+
+// Build the workflow object rendered by the dashboard from a definition and its instances
+// `connectors` names the external systems referenced by `step.connector`
+export function computeWorkflowMetrics(definition, allInstances, { now = new Date(), connectors = [] } = {}) {
+  // Test runs and canaries have their own health signal (see synthetic-runs.js)
+  const instances = allInstances.filter(i => !i.synthetic);
+  const health = calculateWorkflowHealth(instances);
+  const avgDuration = averageDuration(instances);
+  const lastRunAt = instances.reduce(
+    (latest, i) => (i.startedAt && (!latest || i.startedAt > latest) ? i.startedAt : latest),
+    null
+  );
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    department: definition.department ?? null,
+    status: health.status,
+    completionRate: health.completionRate === null ? null : round(health.completionRate),
+    avgDuration: formatDuration(avgDuration),
+    lastRun: formatRelativeTime(lastRunAt, now),
+    lastRunAt,
+    executions: health.total,
+    failures: health.failed,
+    inProgress: health.inProgress,
+    issues: detectIssues(instances, definition),
+    durationPercentiles: calculateDurationPercentiles(instances),
+    errorRates: calculateErrorRates(instances),
+    topFailedStep: findMostFailedStep(instances),
+    connectors: calculateConnectorUsage(instances, definition, connectors),
+    stats: calculateWorkflowStats(instances, definition)
+  };
+}
+
+// Fleet-level counts shown in the summary cards and exported reports.
+// Workflows with no finished run have no completion rate and don't pull the average down.
+export const summarizeWorkflows = (workflows) => {
+  const rated = workflows.filter(w => w.completionRate !== null && w.completionRate !== undefined);
+  return {
+    total: workflows.length,
+    healthyCount: workflows.filter(w => w.status === 'healthy').length,
+    warningCount: workflows.filter(w => w.status === 'warning').length,
+    criticalCount: workflows.filter(w => w.status === 'critical').length,
+    avgCompletion: rated.length > 0
+      ? (rated.reduce((sum, w) => sum + w.completionRate, 0) / rated.length).toFixed(1)
+      : '0.0'
+  };
+};
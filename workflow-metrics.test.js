@@ -0,0 +1,266 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateWorkflowHealth,
+  calculateDurationPercentiles,
+  detectIssues,
+  computeWorkflowMetrics,
+  summarizeWorkflows,
+  percentile
+} from './workflow-metrics.js';
+import { applyThresholdAction, applyThresholds, DEFAULT_THRESHOLD_CONFIG, EMPTY_THRESHOLD_STATE } from './health-thresholds.js';
+
+// Instance records in the shape of IMPLEMENTATION_GUIDE "Workflow Instance Fields to Capture"
+let sequence = 0;
+const instance = (overrides = {}) => ({
+  instanceId: `inst-${++sequence}`,
+  workflowId: 'wf-test',
+  status: 'completed',
+  startedAt: '2025-01-28T10:00:00.000Z',
+  completedAt: '2025-01-28T10:02:00.000Z',
+  duration: 120,
+  ...overrides
+});
+
+const repeat = (count, overrides) => Array.from({ length: count }, () => instance(overrides));
+
+const failed = (errorCode, overrides = {}) => instance({ status: 'failed', errorCode, duration: 60, ...overrides });
+
+const definition = {
+  id: 'wf-test',
+  name: 'Test Workflow',
+  department: 'IT',
+  baselineDuration: 120,
+  steps: [
+    { stepId: 'step-1', name: 'Create AD Account', connector: 'active-directory' },
+    { stepId: 'step-2', name: 'Manager Approval' }
+  ]
+};
+
+describe('calculateWorkflowHealth', () => {
+  it('has no completion rate and unknown status without instances', () => {
+    expect(calculateWorkflowHealth([])).toEqual({
+      status: 'unknown',
+      completionRate: null,
+      total: 0,
+      completed: 0,
+      failed: 0,
+      inProgress: 0,
+      cancelled: 0
+    });
+  });
+
+  it('does not count in-progress instances against the rate', () => {
+    const health = calculateWorkflowHealth(repeat(3, { status: 'in_progress', duration: null }));
+    expect(health.completionRate).toBeNull();
+    expect(health.status).toBe('unknown');
+    expect(health.inProgress).toBe(3);
+    expect(health.total).toBe(3);
+  });
+
+  it('rates completed against finished instances', () => {
+    const health = calculateWorkflowHealth([
+      ...repeat(18, {}),
+      failed('TIMEOUT'),
+      ...repeat(2, { status: 'in_progress', duration: null }),
+      instance({ status: 'cancelled' })
+    ]);
+    expect(health.completionRate).toBe(90);
+    expect(health.status).toBe('warning');
+    expect(health).toMatchObject({ total: 22, completed: 18, failed: 1, inProgress: 2, cancelled: 1 });
+  });
+
+  it('counts cancelled runs as finished but not completed', () => {
+    const health = calculateWorkflowHealth([instance(), instance({ status: 'cancelled' })]);
+    expect(health.completionRate).toBe(50);
+    expect(health.failed).toBe(0);
+    expect(health.status).toBe('critical');
+  });
+
+  it('uses the healthy and warning thresholds inclusively', () => {
+    expect(calculateWorkflowHealth([...repeat(19, {}), failed('API_ERROR')]).status).toBe('healthy');
+    expect(calculateWorkflowHealth([...repeat(17, {}), ...repeat(3, { status: 'failed' })]).status).toBe('warning');
+  });
+});
+
+describe('calculateDurationPercentiles', () => {
+  it('is null without finished instances', () => {
+    expect(calculateDurationPercentiles([])).toEqual({ p50: null, p95: null, p99: null });
+    expect(calculateDurationPercentiles(repeat(2, { status: 'in_progress', duration: 500 }))).toEqual({ p50: null, p95: null, p99: null });
+  });
+
+  it('uses nearest rank over finished durations', () => {
+    const instances = Array.from({ length: 100 }, (_, index) => instance({ duration: index + 1 }));
+    expect(calculateDurationPercentiles(instances)).toEqual({ p50: 50, p95: 95, p99: 99 });
+  });
+
+  it('leaves out running instances and instances without a duration', () => {
+    const instances = [
+      instance({ duration: 10 }),
+      instance({ duration: 30 }),
+      instance({ status: 'in_progress', duration: 9999 }),
+      instance({ status: 'cancelled', duration: 20 }),
+      instance({ duration: undefined })
+    ];
+    expect(calculateDurationPercentiles(instances)).toEqual({ p50: 20, p95: 30, p99: 30 });
+  });
+
+  it('returns the only value for a single instance', () => {
+    expect(percentile([42], 1)).toBe(42);
+    expect(percentile([42], 99)).toBe(42);
+  });
+});
+
+describe('detectIssues', () => {
+  it('finds nothing without instances or with only running ones', () => {
+    expect(detectIssues([], definition)).toEqual([]);
+    expect(detectIssues(repeat(5, { status: 'in_progress', duration: null }), definition)).toEqual([]);
+  });
+
+  it('finds nothing for healthy runs', () => {
+    expect(detectIssues(repeat(20, {}), definition)).toEqual([]);
+  });
+
+  it('flags timeouts only above 10% of finished runs', () => {
+    const atThreshold = [...repeat(18, {}), failed('TIMEOUT'), failed('TIMEOUT')];
+    expect(detectIssues(atThreshold, definition).map(i => i.code)).not.toContain('timeout');
+
+    const above = [...repeat(17, {}), failed('TIMEOUT'), failed('TIMEOUT'), failed(null, { failureReason: 'Approval timed out after 48h' })];
+    const issue = detectIssues(above, definition).find(i => i.code === 'timeout');
+    expect(issue).toMatchObject({ type: 'warning' });
+    expect(issue.message).toContain('3 timeouts in last 20 executions (15%)');
+  });
+
+  it('names the step most API failures stopped at', () => {
+    const instances = [
+      ...repeat(10, {}),
+      failed('API_ERROR', { failedStepId: 'step-1', steps: [{ stepId: 'step-1', name: 'Create AD Account', status: 'failed' }] }),
+      failed('API_ERROR', { failedStepId: 'step-1', steps: [{ stepId: 'step-1', name: 'Create AD Account', status: 'failed' }] })
+    ];
+    expect(detectIssues(instances, definition)).toContainEqual({
+      code: 'api_error',
+      type: 'error',
+      message: 'API connection failures in "Create AD Account": 2 instances',
+      lastSeenAt: '2025-01-28T10:00:00.000Z'
+    });
+  });
+
+  it('classifies routing errors and expirations by failure reason as well as code', () => {
+    const instances = [
+      ...repeat(10, {}),
+      failed(null, { failureReason: 'Conditional routing failed for manager with >50 reports' }),
+      failed('ENVELOPE_EXPIRED'),
+      failed(null, { failureReason: 'Envelope expired before completion' })
+    ];
+    const issues = detectIssues(instances, definition);
+    expect(issues.find(i => i.code === 'routing_error').message).toBe('Routing logic failures: 1 instances');
+    expect(issues.find(i => i.code === 'expiration').message).toBe('Envelope expiration before completion (2 instances)');
+  });
+
+  it('flags an average duration over twice the baseline', () => {
+    expect(detectIssues(repeat(5, { duration: 240 }), definition).map(i => i.code)).not.toContain('slow_duration');
+    const slow = detectIssues(repeat(5, { duration: 300 }), definition).find(i => i.code === 'slow_duration');
+    expect(slow.message).toBe('Average duration 5.0m is 2.5x baseline');
+    expect(detectIssues(repeat(5, { duration: 300 }), { ...definition, baselineDuration: undefined })).toEqual([]);
+  });
+
+  it('does not treat cancelled runs as failures', () => {
+    expect(detectIssues([...repeat(5, {}), ...repeat(5, { status: 'cancelled', errorCode: 'TIMEOUT' })], definition)).toEqual([]);
+  });
+});
+
+describe('computeWorkflowMetrics', () => {
+  const now = new Date('2025-01-28T12:00:00.000Z');
+
+  it('renders a workflow without instances', () => {
+    const workflow = computeWorkflowMetrics(definition, [], { now });
+    expect(workflow).toMatchObject({
+      id: 'wf-test',
+      name: 'Test Workflow',
+      department: 'IT',
+      status: 'unknown',
+      completionRate: null,
+      avgDuration: '—',
+      lastRun: 'never',
+      lastRunAt: null,
+      executions: 0,
+      failures: 0,
+      inProgress: 0,
+      issues: [],
+      errorRates: [],
+      topFailedStep: null
+    });
+  });
+
+  it('leaves synthetic test runs and canaries out of every metric', () => {
+    const instances = [
+      ...repeat(19, {}),
+      failed('API_ERROR', { failedStepId: 'step-1' }),
+      ...repeat(5, { status: 'failed', errorCode: 'ROUTING_ERROR', synthetic: true, startedAt: '2025-01-28T11:59:00.000Z' })
+    ];
+    const workflow = computeWorkflowMetrics(definition, instances, { now });
+    expect(workflow.executions).toBe(20);
+    expect(workflow.failures).toBe(1);
+    expect(workflow.completionRate).toBe(95);
+    expect(workflow.status).toBe('healthy');
+    expect(workflow.issues.map(i => i.code)).toEqual(['api_error']);
+    expect(workflow.errorRates).toEqual([{ errorCode: 'API_ERROR', count: 1, rate: 0.05 }]);
+    expect(workflow.lastRunAt).toBe('2025-01-28T10:00:00.000Z');
+    expect(workflow.lastRun).toBe('2 hours ago');
+  });
+
+  it('counts connector calls and failures per step', () => {
+    const instances = [
+      ...repeat(8, {}),
+      failed('API_ERROR', { failedStepId: 'step-1', failureReason: 'AD connection refused' }),
+      failed('VALIDATION_ERROR', { failedStepId: 'step-1' }),
+      failed('TIMEOUT', { failedStepId: 'step-2' })
+    ];
+    const [connector] = computeWorkflowMetrics(definition, instances, { now, connectors: [{ id: 'active-directory', name: 'Active Directory', kind: 'identity' }] }).connectors;
+    expect(connector).toMatchObject({
+      id: 'active-directory',
+      name: 'Active Directory',
+      kind: 'identity',
+      calls: 10,
+      failures: 1,
+      lastError: 'AD connection refused'
+    });
+  });
+
+  it('rounds the completion rate and formats durations for the cards', () => {
+    const workflow = computeWorkflowMetrics(definition, [...repeat(2, { duration: 150 }), failed('TIMEOUT', { duration: 30 })], { now });
+    expect(workflow.completionRate).toBe(66.7);
+    expect(workflow.avgDuration).toBe('1.8m');
+    expect(workflow.durationPercentiles).toEqual({ p50: 150, p95: 150, p99: 150 });
+  });
+
+  it('stays unknown while every run is still in progress', () => {
+    const running = computeWorkflowMetrics(definition, repeat(3, { status: 'in_progress', completedAt: null, duration: null }), { now });
+    const [judged] = applyThresholds([running], DEFAULT_THRESHOLD_CONFIG, { now });
+    expect(running.completionRate).toBeNull();
+    expect(judged.status).toBe('unknown');
+    expect(judged.breaches).toEqual([]);
+  });
+});
+
+describe('summarizeWorkflows', () => {
+  it('averages completion over workflows with finished runs only', () => {
+    const summary = summarizeWorkflows([{ status: 'healthy', completionRate: 90 }, { status: 'unknown', completionRate: null }]);
+    expect(summary.avgCompletion).toBe('90.0');
+  });
+});
+
+describe('applyThresholdAction', () => {
+  const at = '2025-01-15T09:30:00.000Z';
+
+  it('records who saved the configuration and when', () => {
+    const config = { global: { failures: { warning: 5, critical: 20 } }, overrides: { 'wf-003': { completionRate: { warning: 90 } } } };
+    expect(applyThresholdAction(EMPTY_THRESHOLD_STATE, { action: 'set', config, actor: 'Dana', at }))
+      .toEqual({ config, updatedAt: at, updatedBy: 'Dana' });
+  });
+
+  it('rejects limits that are not numbers and unknown metrics', () => {
+    const set = (config) => () => applyThresholdAction(EMPTY_THRESHOLD_STATE, { action: 'set', config, actor: 'Dana', at });
+    expect(set({ global: { failures: { warning: '5' } } })).toThrow('failures warning limit in global');
+    expect(set({ ...DEFAULT_THRESHOLD_CONFIG, overrides: { 'wf-001': { uptime: { warning: 1 } } } })).toThrow('Unknown threshold metric "uptime"');
+  });
+});
@@ -0,0 +1,340 @@
+import { generateMockWorkflows, generateMockHistory, generateMockInstances, getMockDefinition, startMockTestRun, getMockTestRun } from './mock-data.js';
+import { buildHistory, HISTORY_WINDOWS } from './workflow-history.js';
+import { computeApprovalAnalytics } from './approval-analytics.js';
+import { summarizePeriod } from './workflow-comparison.js';
+import { createSimulation, createPlaybackClock } from './scenario-simulator.js';
+import { diffWorkflows, createLiveConnection, createSseTransport, createWebSocketTransport } from './live-updates.js';
+import { assembleStatusPage } from './workflow-uptime.js';
+
+// Workflow data providers.
+// A provider is any object with a `fetchWorkflows({ signal })` method that
+// resolves to the array of workflow objects rendered by the dashboard, and a
+// `fetchHistory(workflowId, { window, signal })` method resolving to the
+// bucketed history built by workflow-history.js. Instance drill-down uses
+// `fetchInstances(workflowId, { status, errorCode, page, pageSize, signal })`
+// resolving to `{ instances, total, page, pageSize }`, and
+// `fetchInstance(workflowId, instanceId, { signal })`.
+// `fetchApprovalAnalytics(workflowId, { window, signal })` resolves to the
+// per-step and per-recipient wait analytics built by approval-analytics.js.
+// `fetchPeriod(workflowId, { from, to, bucketMs, signal })` resolves to the summary
+// of one workflow between two dates built by workflow-comparison.js, for
+// comparison mode.
+// `fetchStatusPage({ window, thresholdConfig, signal })` resolves to the public
+// status page built by workflow-uptime.js; the status page does not run without it.
+// A provider that can push updates also has `subscribe({ onEvent, onStatus })`,
+// returning an unsubscribe function; events and statuses are described in
+// live-updates.js. Without it the dashboard polls `fetchWorkflows`.
+// Admins can drop the backend's cached DocuSign responses with `clearCache({ signal })`.
+// `startTestRun(workflowId, { payload, signal })` starts a synthetic instance and
+// resolves to `{ instanceId, startedAt }`; follow it with `fetchInstance`.
+
+export const DEFAULT_PAGE_SIZE = 10;
+
+// Filter and paginate instance records, newest first
+export const pageInstances = (instances, { status, errorCode, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) => {
+  const matching = instances
+    .filter(i => !status || i.status === status)
+    .filter(i => !errorCode || i.errorCode === errorCode)
+    .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+  return {
+    instances: matching.slice((page - 1) * pageSize, page * pageSize),
+    total: matching.length,
+    page,
+    pageSize
+  };
+};
+
+// Resolve `produce()` after `latency` ms unless the signal aborts first
+const delayed = (produce, latency, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    try {
+      resolve(produce());
+    } catch (err) {
+      reject(err);
+    }
+  }, latency);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  });
+});
+
+// In-memory providers hold nothing private, so they build the public status page from their own data
+const withStatusPage = (provider) => ({ ...provider, fetchStatusPage: (options) => assembleStatusPage(provider, options) });
+
+// With `liveInterval` set, the mock also streams the changes between
+// regenerated snapshots as live events
+export const createMockProvider = ({ latency = 0, liveInterval = 15000 } = {}) => withStatusPage({
+  name: 'mock',
+  ...(liveInterval && {
+    subscribe: ({ onEvent, onStatus = () => {} }) => {
+      let previous = generateMockWorkflows();
+      onStatus({ state: 'live', attempt: 0 });
+      onEvent({ type: 'snapshot', workflows: previous });
+      const interval = setInterval(() => {
+        const next = generateMockWorkflows();
+        const events = diffWorkflows(previous, next);
+        previous = next;
+        (events.length > 0 ? events : [{ type: 'heartbeat' }]).forEach(onEvent);
+      }, liveInterval);
+      return () => clearInterval(interval);
+    }
+  }),
+  fetchWorkflows: ({ signal } = {}) => delayed(() => generateMockWorkflows(), latency, signal),
+  fetchHistory: (workflowId, { window = '7d', signal } = {}) => delayed(() => {
+    const history = generateMockHistory(workflowId, { window });
+    if (!history) throw new Error(`Unknown workflow ${workflowId}`);
+    return history;
+  }, latency, signal),
+  fetchInstances: (workflowId, { signal, ...query } = {}) => delayed(() => {
+    const definition = getMockDefinition(workflowId);
+    if (!definition) throw new Error(`Unknown workflow ${workflowId}`);
+    return pageInstances(generateMockInstances(definition), query);
+  }, latency, signal),
+  fetchApprovalAnalytics: (workflowId, { window = '7d', signal } = {}) => delayed(() => {
+    const definition = getMockDefinition(workflowId);
+    if (!definition) throw new Error(`Unknown workflow ${workflowId}`);
+    const now = new Date();
+    const windowHours = HISTORY_WINDOWS[window].durationMs / 3600000;
+    return computeApprovalAnalytics(generateMockInstances(definition, { now, windowHours }), definition, { window, now });
+  }, latency, signal),
+  // Generated up to now so failure windows stay where the cards show them
+  fetchPeriod: (workflowId, { from, to, bucketMs, signal } = {}) => delayed(() => {
+    const definition = getMockDefinition(workflowId);
+    if (!definition) throw new Error(`Unknown workflow ${workflowId}`);
+    const now = new Date();
+    const windowHours = Math.ceil((now - from) / 3600000);
+    return summarizePeriod(generateMockInstances(definition, { now, windowHours, includeSteps: false }), definition, { from, to, bucketMs });
+  }, latency, signal),
+  fetchInstance: (workflowId, instanceId, { signal } = {}) => delayed(() => {
+    const testRun = getMockTestRun(instanceId);
+    if (testRun) return testRun;
+    const definition = getMockDefinition(workflowId);
+    const instance = definition && generateMockInstances(definition).find(i => i.instanceId === instanceId);
+    if (!instance) throw new Error(`Unknown instance ${instanceId}`);
+    return instance;
+  }, latency, signal),
+  startTestRun: (workflowId, { payload, signal } = {}) => delayed(() => startMockTestRun(workflowId, payload), latency, signal),
+  clearCache: ({ signal } = {}) => delayed(() => ({ cleared: true }), latency, signal)
+});
+
+// Plays a scenario from scenario-simulator.js back in accelerated time: `speed`
+// simulated seconds pass per real second, and the clock stops at the end of the
+// scenario. `now()` is the simulated time the data is currently computed at.
+export const createScenarioProvider = (scenario, { speed = 60, latency = 0, liveInterval = 5000 } = {}) => {
+  const simulation = createSimulation(scenario);
+  const now = createPlaybackClock(simulation, { speed });
+  const knownWorkflow = (workflowId) => {
+    if (!simulation.getDefinition(workflowId)) throw new Error(`Unknown workflow ${workflowId}`);
+    return workflowId;
+  };
+
+  return withStatusPage({
+    name: 'scenario',
+    now,
+    ...(liveInterval && {
+      subscribe: ({ onEvent, onStatus = () => {} }) => {
+        let previous = simulation.workflowsAt(now());
+        onStatus({ state: 'live', attempt: 0 });
+        onEvent({ type: 'snapshot', workflows: previous });
+        const interval = setInterval(() => {
+          const next = simulation.workflowsAt(now());
+          const events = diffWorkflows(previous, next);
+          previous = next;
+          (events.length > 0 ? events : [{ type: 'heartbeat' }]).forEach(onEvent);
+        }, liveInterval);
+        return () => clearInterval(interval);
+      }
+    }),
+    fetchWorkflows: ({ signal } = {}) => delayed(() => simulation.workflowsAt(now()), latency, signal),
+    fetchHistory: (workflowId, { window = '7d', signal } = {}) => delayed(
+      () => simulation.historyAt(knownWorkflow(workflowId), { window, now: now() }),
+      latency,
+      signal
+    ),
+    fetchInstances: (workflowId, { signal, ...query } = {}) => delayed(
+      () => pageInstances(simulation.instancesAt(knownWorkflow(workflowId), { now: now() }), query),
+      latency,
+      signal
+    ),
+    fetchApprovalAnalytics: (workflowId, { window = '7d', signal } = {}) => delayed(() => {
+      const at = now();
+      const windowHours = HISTORY_WINDOWS[window].durationMs / 3600000;
+      const instances = simulation.instancesAt(knownWorkflow(workflowId), { now: at, windowHours });
+      return computeApprovalAnalytics(instances, simulation.getDefinition(workflowId), { window, now: at });
+    }, latency, signal),
+    fetchPeriod: (workflowId, { from, to, bucketMs, signal } = {}) => delayed(() => {
+      const at = new Date(Math.min(to.getTime(), now().getTime()));
+      const windowHours = Math.ceil((at - from) / 3600000);
+      const instances = simulation.instancesAt(knownWorkflow(workflowId), { now: at, windowHours, includeSteps: false });
+      return summarizePeriod(instances, simulation.getDefinition(workflowId), { from, to, bucketMs });
+    }, latency, signal),
+    fetchInstance: (workflowId, instanceId, { signal } = {}) => delayed(() => {
+      const instance = simulation.findInstance(workflowId, instanceId, { now: now() });
+      if (!instance) throw new Error(`Unknown instance ${instanceId}`);
+      return instance;
+    }, latency, signal)
+  });
+};
+
+// Talks to the backend described in the README (GET /api/docusign/workflows).
+// `fetchImpl` lets tests point the provider at a local stub server. With
+// `streamUrl` set it subscribes to live updates over SSE (`stream: 'sse'`) or
+// a WebSocket (`stream: 'websocket'`); `live` passes backoff options through.
+// `getAccessToken` (e.g. from an identity provider) adds a bearer token to every request.
+export const createHttpProvider = ({
+  baseUrl = '/api/docusign',
+  fetchImpl = (...args) => fetch(...args),
+  headers = {},
+  getAccessToken,
+  timeoutMs = 10000,
+  streamUrl,
+  stream = 'sse',
+  live = {}
+} = {}) => {
+  const request = async (path, { method = 'GET', body, signal } = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      const token = getAccessToken ? await getAccessToken() : null;
+      const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}${path}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...headers
+        },
+        ...(body !== undefined && { body: JSON.stringify(body) }),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        const error = new Error(`Request to ${path} failed: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+      return await response.json();
+    } catch (err) {
+      if (err.name === 'AbortError' && !signal?.aborted) {
+        throw new Error(`Request to ${path} timed out after ${timeoutMs}ms`);
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+
+  // A workflow's definition and every instance started from `since`, up to
+  // `until` when given. Instances after `until` are dropped here too, for
+  // backends that ignore it.
+  const fetchRange = async (workflowId, { since, until, signal }) => {
+    const params = new URLSearchParams({ since: since.toISOString() });
+    if (until) params.set('until', until.toISOString());
+    const id = encodeURIComponent(workflowId);
+    const [definition, body] = await Promise.all([
+      request(`/workflows/${id}`, { signal }),
+      request(`/workflows/${id}/instances?${params}`, { signal })
+    ]);
+    const instances = Array.isArray(body) ? body : body?.instances;
+    if (!Array.isArray(instances)) {
+      throw new Error(`Unexpected response from /workflows/${workflowId}/instances: expected an array of instances`);
+    }
+    return {
+      definition: { ...definition, id: workflowId },
+      instances: until ? instances.filter(i => new Date(i.startedAt) < until) : instances
+    };
+  };
+
+  // Every instance started in the window
+  const fetchWindow = (workflowId, { window, now, signal }) => fetchRange(workflowId, {
+    since: new Date(now.getTime() - HISTORY_WINDOWS[window].durationMs),
+    signal
+  });
+
+  // EventSource and WebSocket cannot send the access token, so each connect
+  // trades it for a short-lived stream token and passes that in the URL
+  const streamUrlWithToken = async () => {
+    const { token } = await request('/stream/token', { method: 'POST' });
+    return `${streamUrl}${streamUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+  };
+  const transportUrl = getAccessToken ? streamUrlWithToken : streamUrl;
+
+  const createTransport = () => (stream === 'websocket'
+    ? createWebSocketTransport({ url: transportUrl, ...live })
+    : createSseTransport({ url: transportUrl, ...live }));
+
+  return {
+    name: 'http',
+    // Where the dashboard reads shared state and alerts from, unless given its own
+    backend: { baseUrl, fetchImpl, headers, getAccessToken },
+    ...(streamUrl && {
+      subscribe: ({ onEvent, onStatus }) => createLiveConnection({
+        transport: createTransport(),
+        onEvent,
+        onStatus,
+        ...live
+      }).start()
+    }),
+    fetchWorkflows: async ({ signal } = {}) => {
+      const body = await request('/workflows', { signal });
+      // Accept both a bare array and a `{ workflows: [...] }` envelope
+      const workflows = Array.isArray(body) ? body : body?.workflows;
+      if (!Array.isArray(workflows)) {
+        throw new Error('Unexpected response from /workflows: expected an array of workflows');
+      }
+      return workflows;
+    },
+
+    // History is bucketed client-side from the instances route so the backend stays a thin proxy
+    fetchHistory: async (workflowId, { window = '7d', signal } = {}) => {
+      const now = new Date();
+      const { definition, instances } = await fetchWindow(workflowId, { window, now, signal });
+      return buildHistory(instances, definition, { window, now });
+    },
+
+    // Same instances as the history; the backend must include their step records
+    fetchApprovalAnalytics: async (workflowId, { window = '7d', signal } = {}) => {
+      const now = new Date();
+      const { definition, instances } = await fetchWindow(workflowId, { window, now, signal });
+      return computeApprovalAnalytics(instances, definition, { window, now });
+    },
+
+    fetchPeriod: async (workflowId, { from, to, bucketMs, signal } = {}) => {
+      const { definition, instances } = await fetchRange(workflowId, { since: from, until: to, signal });
+      return summarizePeriod(instances, definition, { from, to, bucketMs });
+    },
+
+    // Public and read-only: the backend answers without an access token, by its own thresholds
+    fetchStatusPage: ({ window = '30d', signal } = {}) => request(`/status?window=${encodeURIComponent(window)}`, { signal }),
+
+    fetchInstances: async (workflowId, { status, errorCode, page = 1, pageSize = DEFAULT_PAGE_SIZE, signal } = {}) => {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(pageSize) });
+      if (status) params.set('status', status);
+      if (errorCode) params.set('errorCode', errorCode);
+      const body = await request(`/workflows/${encodeURIComponent(workflowId)}/instances?${params}`, { signal });
+      // A bare array means the backend did not paginate; do it here
+      return Array.isArray(body)
+        ? pageInstances(body, { status, errorCode, page, pageSize })
+        : { page, pageSize, ...body };
+    },
+
+    fetchInstance: (workflowId, instanceId, { signal } = {}) => request(
+      `/workflows/${encodeURIComponent(workflowId)}/instances/${encodeURIComponent(instanceId)}`,
+      { signal }
+    ),
+
+    // Operators and admins; the backend starts the instance with the test payload
+    // (POST /maestro/workflows/{workflowId}/instances) and flags it as synthetic
+    startTestRun: (workflowId, { payload, signal } = {}) => request(
+      `/workflows/${encodeURIComponent(workflowId)}/test-runs`,
+      { method: 'POST', body: { payload }, signal }
+    ),
+
+    // Admin only; the backend answers 403 for other roles
+    clearCache: ({ signal } = {}) => request('/cache/clear', { method: 'POST', signal })
+  };
+};
@@ -0,0 +1,143 @@
+// Snapshots of the computed workflow list, for showing the last good data when
+// the live source fails and for replaying the dashboard at a past moment.
+//
+// A snapshot is `{ takenAt, workflows, sourceStatus }`; `takenAt` is an ISO
+// string, so snapshots sort by it. A snapshot store has async
+// `save(snapshot)`, `latest()`, `list({ from, to })` (the `takenAt` of each
+// snapshot in range, oldest first), `at(time)` (the last snapshot taken at or
+// before `time`) and `prune(before)`. The browser keeps them in IndexedDB; the
+// backend has file and SQLite stores in backend/services/snapshot.service.js.
+
+const iso = (time) => (time instanceof Date ? time : new Date(time)).toISOString();
+
+// In memory only; for tests and browsers without IndexedDB
+export function createMemorySnapshotStore() {
+  let snapshots = [];
+
+  return {
+    name: 'memory',
+    save: async (snapshot) => {
+      snapshots = [...snapshots.filter(s => s.takenAt !== snapshot.takenAt), snapshot]
+        .sort((a, b) => (a.takenAt < b.takenAt ? -1 : 1));
+    },
+    latest: async () => snapshots[snapshots.length - 1] || null,
+    list: async ({ from = new Date(0), to = new Date() } = {}) => snapshots
+      .map(s => s.takenAt)
+      .filter(takenAt => takenAt >= iso(from) && takenAt <= iso(to)),
+    at: async (time) => snapshots.filter(s => s.takenAt <= iso(time)).pop() || null,
+    prune: async (before) => {
+      snapshots = snapshots.filter(s => s.takenAt >= iso(before));
+    }
+  };
+}
+
+const promised = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export function createIndexedDbSnapshotStore({
+  dbName = 'docusign-dashboard',
+  storeName = 'snapshots',
+  indexedDB = typeof window !== 'undefined' ? window.indexedDB : null,
+  IDBKeyRange = typeof window !== 'undefined' ? window.IDBKeyRange : null
+} = {}) {
+  if (!indexedDB) throw new Error('IndexedDB is not available');
+  let db = null;
+
+  const open = () => {
+    if (!db) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: 'takenAt' });
+      db = promised(request);
+    }
+    return db;
+  };
+
+  const objectStore = async (mode) => (await open()).transaction(storeName, mode).objectStore(storeName);
+
+  // First value of a cursor walking backwards from `range`
+  const last = async (range) => {
+    const cursor = await promised((await objectStore('readonly')).openCursor(range, 'prev'));
+    return cursor ? cursor.value : null;
+  };
+
+  return {
+    name: 'indexeddb',
+    save: async (snapshot) => {
+      await promised((await objectStore('readwrite')).put(snapshot));
+    },
+    latest: () => last(null),
+    list: async ({ from = new Date(0), to = new Date() } = {}) =>
+      promised((await objectStore('readonly')).getAllKeys(IDBKeyRange.bound(iso(from), iso(to)))),
+    at: (time) => last(IDBKeyRange.upperBound(iso(time))),
+    prune: async (before) => {
+      await promised((await objectStore('readwrite')).delete(IDBKeyRange.upperBound(iso(before), true)));
+    }
+  };
+}
+
+// IndexedDB where the browser has it, otherwise memory (lost on reload)
+export const createBrowserSnapshotStore = (options) => {
+  try {
+    return createIndexedDbSnapshotStore(options);
+  } catch (err) {
+    return createMemorySnapshotStore();
+  }
+};
+
+// Snapshots recorded by the backend, read through
+//   GET {baseUrl}/snapshots?from=&to=     → [takenAt]
+//   GET {baseUrl}/snapshots/latest        → snapshot or 404
+//   GET {baseUrl}/snapshots/at?time=      → snapshot or 404
+// The backend records its own snapshots, so `save` and `prune` do nothing.
+export function createHttpSnapshotStore({ baseUrl = '/api/docusign', fetchImpl = (...args) => fetch(...args), headers = {}, getAccessToken } = {}) {
+  const get = async (path) => {
+    const token = getAccessToken ? await getAccessToken() : null;
+    const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}${path}`, {
+      headers: { Accept: 'application/json', ...(token && { Authorization: `Bearer ${token}` }), ...headers }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      const error = new Error(`Request to ${path} failed: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'http',
+    save: async () => {},
+    latest: () => get('/snapshots/latest'),
+    list: async ({ from = new Date(0), to = new Date() } = {}) =>
+      (await get(`/snapshots?${new URLSearchParams({ from: iso(from), to: iso(to) })}`)) || [],
+    at: (time) => get(`/snapshots/at?${new URLSearchParams({ time: iso(time) })}`),
+    prune: async () => {}
+  };
+}
+
+export const DEFAULT_SNAPSHOT_INTERVAL = 15 * 60000;
+export const DEFAULT_SNAPSHOT_RETENTION_DAYS = 7;
+
+// Saves at most one snapshot per `interval`, and drops those older than `retentionDays`
+export function createSnapshotRecorder({
+  store,
+  interval = DEFAULT_SNAPSHOT_INTERVAL,
+  retentionDays = DEFAULT_SNAPSHOT_RETENTION_DAYS,
+  clock = () => new Date()
+}) {
+  let lastSavedAt = 0;
+
+  return {
+    record: async (workflows, { sourceStatus = {} } = {}) => {
+      const now = clock();
+      if (workflows.length === 0 || now.getTime() - lastSavedAt < interval) return null;
+      lastSavedAt = now.getTime();
+      const snapshot = { takenAt: now.toISOString(), workflows, sourceStatus };
+      await store.save(snapshot);
+      await store.prune(new Date(now.getTime() - retentionDays * 24 * 3600000));
+      return snapshot;
+    }
+  };
+}
@@ -0,0 +1,104 @@
+import { HISTORY_WINDOWS } from './workflow-history.js';
+import { THRESHOLD_METRICS, DEFAULT_THRESHOLD_CONFIG, applyThresholds, resolveThresholds, evaluateHealth, worstStatus } from './health-thresholds.js';
+
+// Status-page data: current status and uptime history per workflow, and nothing
+// else. Issue messages, recommendations and instance details never leave this
+// module, so the result is safe to serve without sign-in.
+
+export const STATUS_PAGE_WINDOWS = ['30d', '90d'];
+
+// Only the completion-rate limits apply per bucket: failure counts and durations
+// are set for the whole dashboard window, not for one day
+const NO_LIMITS = Object.fromEntries(Object.keys(THRESHOLD_METRICS).map(metric => [metric, { warning: null, critical: null }]));
+
+export const bucketStatus = (bucket, thresholds) => evaluateHealth(
+  { executions: bucket.finished, completionRate: bucket.completionRate === null ? null : Math.round(bucket.completionRate) },
+  { ...NO_LIMITS, completionRate: thresholds.completionRate }
+).status;
+
+// `uptime` is the share of buckets with finished runs in which the workflow was
+// healthy; null when nothing finished in the window
+export function computeUptime(history, thresholds) {
+  const buckets = history.buckets.map(bucket => ({
+    start: bucket.start,
+    end: bucket.end,
+    status: bucketStatus(bucket, thresholds)
+  }));
+  const measured = buckets.filter(b => b.status !== 'unknown');
+  return {
+    buckets,
+    uptime: measured.length > 0 ? measured.filter(b => b.status === 'healthy').length / measured.length : null
+  };
+}
+
+const OVERALL = {
+  healthy: 'All workflows operational',
+  warning: 'Some workflows degraded',
+  critical: 'Major outage',
+  unknown: 'No recent data'
+};
+
+export const describeOverall = (status) => OVERALL[status] || OVERALL.unknown;
+
+export const overallStatus = (workflows) => {
+  const known = workflows.map(w => w.status).filter(status => status !== 'unknown');
+  return known.length > 0 ? worstStatus(...known) : 'unknown';
+};
+
+// `workflows` have their thresholds applied; `histories` maps workflow ID to
+// its fetchHistory() result for `window`. `complete` is false when a history is missing.
+export function buildStatusPage(workflows, histories, { thresholdConfig, window = '30d', now = new Date() }) {
+  const entries = workflows.map(workflow => {
+    const history = histories[workflow.id];
+    const uptime = history ? computeUptime(history, resolveThresholds(thresholdConfig, workflow.id)) : { buckets: [], uptime: null };
+    return {
+      id: workflow.id,
+      name: workflow.name,
+      status: workflow.status,
+      // Current completion for the status widgets; null before any run has finished
+      completionRate: workflow.completionRate ?? null,
+      source: workflow.source ? { id: workflow.source.id, label: workflow.source.label, environment: workflow.source.environment } : null,
+      ...uptime
+    };
+  });
+  return {
+    generatedAt: now.toISOString(),
+    window,
+    bucketMs: HISTORY_WINDOWS[window].bucketMs,
+    overall: overallStatus(entries),
+    complete: workflows.every(workflow => histories[workflow.id]),
+    workflows: entries
+  };
+}
+
+// Only the listed workflows, in their original order; all of them without a list
+export const selectWorkflows = (workflows, workflowIds) => (
+  workflowIds?.length ? workflows.filter(w => workflowIds.includes(w.id)) : workflows
+);
+
+// Built from a provider's own workflows and histories. Only for sources that
+// hold nothing private: the in-memory providers, and the backend's /status
+// route. A workflow whose history fails to load is listed without uptime.
+export async function assembleStatusPage(source, { window = '30d', thresholdConfig = DEFAULT_THRESHOLD_CONFIG, signal } = {}) {
+  const workflows = applyThresholds(await source.fetchWorkflows({ signal }), thresholdConfig);
+  const results = await Promise.allSettled(workflows.map(w => source.fetchHistory(w.id, { window, signal })));
+  if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+  const histories = Object.fromEntries(results
+    .map((result, idx) => [workflows[idx].id, result.status === 'fulfilled' ? result.value : null])
+    .filter(([, history]) => history));
+  return buildStatusPage(workflows, histories, { thresholdConfig, window });
+}
+
+// From the provider's `fetchStatusPage`, and never from its full workflow data,
+// so a public page only ever receives what buildStatusPage() lets through
+export async function loadStatusPage(provider, {
+  window = '30d',
+  workflowIds = null,
+  thresholdConfig = DEFAULT_THRESHOLD_CONFIG,
+  signal
+} = {}) {
+  if (!provider.fetchStatusPage) throw new Error('The status page needs a provider with fetchStatusPage');
+  const page = await provider.fetchStatusPage({ window, thresholdConfig, signal });
+  const workflows = selectWorkflows(page.workflows, workflowIds);
+  return { ...page, workflows, overall: overallStatus(workflows) };
+}